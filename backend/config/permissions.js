@@ -0,0 +1,43 @@
+// Role based access control: every role declares the capabilities it grants.
+// Routes ask for a capability (via the `authorize` middleware), never for a role name.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  EMPLOYEE: 'employee'
+};
+
+// Roles that can be assigned to members inside an admin's organisation
+export const EMPLOYEE_ROLES = [ROLES.EMPLOYEE, ROLES.MANAGER];
+
+export const PERMISSIONS = {
+  // Organisation level administration (admin accounts, diagnostics)
+  ORG_MANAGE: 'org:manage',
+  // Add and edit members of the organisation
+  MEMBER_MANAGE: 'member:manage',
+  // Look up any member of the organisation
+  MEMBER_VIEW: 'member:view',
+  // Create and edit tasks for any member
+  TASK_CREATE: 'task:create',
+  // Approve or reject submitted tasks
+  TASK_VERIFY: 'task:verify',
+  // Work on own tasks: accept, upload documents, update progress
+  TASK_WORK: 'task:work'
+};
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.MANAGER]: [
+    PERMISSIONS.MEMBER_VIEW,
+    PERMISSIONS.TASK_CREATE,
+    PERMISSIONS.TASK_VERIFY,
+    PERMISSIONS.TASK_WORK
+  ],
+  [ROLES.EMPLOYEE]: [
+    PERMISSIONS.TASK_WORK
+  ]
+};
+
+// Check whether a role grants a capability
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
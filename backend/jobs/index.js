@@ -0,0 +1,18 @@
+import { taskExpiryJob } from './taskExpiry.js';
+import { taskReminderJob } from './taskReminders.js';
+import { taskRecurrenceJob } from './taskRecurrence.js';
+
+// Background jobs by name, as used in /api/admin/scheduler/:job
+export const JOBS = {
+  [taskExpiryJob.name]: taskExpiryJob,
+  [taskReminderJob.name]: taskReminderJob,
+  [taskRecurrenceJob.name]: taskRecurrenceJob
+};
+
+export const startJobs = () => {
+  Object.values(JOBS).forEach(job => job.start());
+};
+
+export const stopJobs = () => {
+  Object.values(JOBS).forEach(job => job.stop());
+};
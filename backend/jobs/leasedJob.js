@@ -0,0 +1,86 @@
+import os from 'os';
+import JobLease from '../models/JobLease.js';
+
+// Shared runner for background jobs. Every instance runs the timer, but `run` is only
+// called while holding the job's lease in Mongo, so several instances never run the
+// same job at the same time.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+// Upper bound for one run; a crashed instance loses the lease after this
+const DEFAULT_LEASE_TTL_MS = 5 * 60 * 1000;
+
+// `run(startedAt)` does the work and resolves to a small, loggable result object.
+export const createLeasedJob = ({ name, intervalMs, enabled = true, leaseTtlMs = DEFAULT_LEASE_TTL_MS, run }) => {
+  let timer = null;
+
+  // Run once under the lease. Resolves to { ran: false } when another instance holds it.
+  const runOnce = async ({ trigger = 'schedule' } = {}) => {
+    const startedAt = new Date();
+    const acquired = await JobLease.acquire(name, INSTANCE_ID, leaseTtlMs, startedAt);
+    if (!acquired) {
+      return { ran: false, reason: `Another instance holds the ${name} lease` };
+    }
+
+    let result;
+    try {
+      result = {
+        ...(await run(startedAt)),
+        durationMs: Date.now() - startedAt.getTime()
+      };
+    } catch (error) {
+      result = { error: error.message, durationMs: Date.now() - startedAt.getTime() };
+      console.error(`❌ [${name}] Run failed:`, error);
+    } finally {
+      await JobLease.release(name, INSTANCE_ID, { startedAt, trigger, result })
+        .catch(error => console.error(`❌ [${name}] Could not release lease:`, error));
+    }
+
+    return { ran: true, trigger, startedAt, ...result };
+  };
+
+  // Current lease and last run, for admin endpoints
+  const status = async () => {
+    const lease = await JobLease.findById(name).lean();
+    const now = new Date();
+
+    return {
+      job: name,
+      instance: INSTANCE_ID,
+      schedulerRunning: timer !== null,
+      intervalMs,
+      locked: Boolean(lease && lease.expiresAt > now),
+      lease: lease ? {
+        owner: lease.owner,
+        expiresAt: lease.expiresAt
+      } : null,
+      lastRun: lease?.lastRunAt ? {
+        at: lease.lastRunAt,
+        by: lease.lastRunBy,
+        trigger: lease.lastTrigger,
+        result: lease.lastResult
+      } : null
+    };
+  };
+
+  const start = () => {
+    if (timer || !enabled) return;
+
+    const tick = () => {
+      runOnce().catch(error => console.error(`❌ [${name}] Scheduler tick failed:`, error));
+    };
+
+    timer = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for the timer
+    timer.unref();
+    console.log(`⏰ ${name} scheduler started (every ${intervalMs}ms, instance ${INSTANCE_ID})`);
+    tick();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { name, run: runOnce, status, start, stop };
+};
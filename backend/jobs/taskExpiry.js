@@ -0,0 +1,91 @@
+import Employee from '../models/Employee.js';
+import Task from '../models/Task.js';
+import TaskEvent from '../models/TaskEvent.js';
+import { createLeasedJob } from './leasedJob.js';
+import { notifyTaskExpired } from '../notifications/notifier.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { notifyUnblockedSuccessors } from '../utils/taskDependencies.js';
+import {
+  TASK_STATES,
+  EXPIRABLE_STATES,
+  applyTransition,
+  deriveStateFields
+} from '../utils/taskStateMachine.js';
+
+// Background expiry of overdue tasks across all organisations.
+//
+//   TASK_EXPIRY_INTERVAL_MS   how often the sweep runs (default 60000)
+//   TASK_EXPIRY_SCHEDULER     set to 'off' to disable the in-process timer
+//
+// Runs through jobs/leasedJob.js, so concurrent instances never sweep at the same time.
+export const JOB_NAME = 'task-expiry';
+
+const INTERVAL_MS = parseInt(process.env.TASK_EXPIRY_INTERVAL_MS, 10) || 60 * 1000;
+
+// Expire overdue open tasks, optionally within one organisation. Idempotent: a task is
+// only changed if it is still in the state it was read in, so a concurrent submission
+// or a second sweep never overwrites newer work.
+export const expireOverdueTasks = async ({ adminId = null, now = new Date() } = {}) => {
+  const filter = {
+    endDate: { $lt: now },
+    status: { $in: EXPIRABLE_STATES }
+  };
+  if (adminId) filter.admin = adminId;
+
+  const overdueTasks = await Task.find(filter)
+    .select('_id admin assignee taskTitle status endDate')
+    .lean();
+
+  const expiredTasks = [];
+  const affectedEmployees = new Set();
+
+  for (const task of overdueTasks) {
+    const previousStatus = task.status;
+    const transition = applyTransition(task, TASK_STATES.EXPIRED, { at: now, by: 'system' });
+
+    const { modifiedCount } = await Task.updateOne(
+      { _id: task._id, status: previousStatus },
+      { $set: { ...deriveStateFields(TASK_STATES.EXPIRED), updatedAt: now } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await TaskEvent.record(task, transition);
+    await notifyTaskExpired(task);
+    expiredTasks.push(task);
+    affectedEmployees.add(task.assignee.toString());
+  }
+
+  // Recompute counters once per affected employee
+  const taskCounts = new Map();
+  for (const employeeId of affectedEmployees) {
+    taskCounts.set(employeeId, await Employee.refreshTaskCounts(employeeId));
+  }
+
+  // Push the changes to connected clients (the task already carries its new state fields)
+  // and release the tasks that were waiting for the expired ones
+  for (const task of expiredTasks) {
+    publishTaskEvent(TASK_EVENTS.EXPIRED, task, { taskCounts: taskCounts.get(task.assignee.toString()) });
+    await notifyUnblockedSuccessors(task);
+  }
+
+  return {
+    expiredCount: expiredTasks.length,
+    taskIds: expiredTasks.map(task => task._id.toString()),
+    employeeCount: affectedEmployees.size
+  };
+};
+
+// Scheduled sweep across all organisations
+export const taskExpiryJob = createLeasedJob({
+  name: JOB_NAME,
+  intervalMs: INTERVAL_MS,
+  enabled: process.env.TASK_EXPIRY_SCHEDULER !== 'off',
+  run: async (startedAt) => {
+    const sweep = await expireOverdueTasks({ now: startedAt });
+    if (sweep.expiredCount > 0) {
+      console.log(`⏰ [${JOB_NAME}] Expired ${sweep.expiredCount} tasks (${sweep.taskIds.join(', ')})`);
+    }
+    return { expiredCount: sweep.expiredCount, employeeCount: sweep.employeeCount };
+  }
+});
+
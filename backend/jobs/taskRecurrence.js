@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import Employee, { activeStatusFilter } from '../models/Employee.js';
+import Task from '../models/Task.js';
+import TaskEvent from '../models/TaskEvent.js';
+import TaskSeries from '../models/TaskSeries.js';
+import Team from '../models/Team.js';
+import { TASK_SERIES_STATUSES } from '../models/constants.js';
+import { createLeasedJob } from './leasedJob.js';
+import { notifyTaskAssigned } from '../notifications/notifier.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { TASK_STATES } from '../utils/taskStateMachine.js';
+import { listOccurrences, nextOccurrence } from '../utils/recurrence.js';
+
+// Turns the upcoming occurrences of recurring task series into tasks.
+//
+//   TASK_RECURRENCE_INTERVAL_MS    how often series are checked (default 900000)
+//   TASK_RECURRENCE_LOOKAHEAD_MS   how far ahead occurrences are created (default 86400000)
+//   TASK_RECURRENCE_SCHEDULER      set to 'off' to disable the in-process timer
+export const JOB_NAME = 'task-recurrence';
+
+const INTERVAL_MS = parseInt(process.env.TASK_RECURRENCE_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const LOOKAHEAD_MS = parseInt(process.env.TASK_RECURRENCE_LOOKAHEAD_MS, 10) || 24 * 60 * 60 * 1000;
+// Occurrences handled per series and run, so catching up after an outage stays bounded
+const MAX_OCCURRENCES_PER_RUN = 50;
+
+// Active members of the organisation the series is assigned to, including the current
+// members of its team
+export const resolveSeriesAssignees = async (series) => {
+  const ids = (series.assignees || []).map(String);
+  if (series.team) {
+    const teamMembers = await Team.memberIds(series.admin, series.team);
+    ids.push(...(teamMembers || []).map(String));
+  }
+  if (ids.length === 0) return [];
+
+  const employees = await Employee.find({
+    _id: { $in: [...new Set(ids)] },
+    admin: series.admin,
+    status: activeStatusFilter()
+  }).select('_id').lean();
+  return employees.map(employee => employee._id);
+};
+
+// Create the tasks of one occurrence and move the series past it, in one transaction.
+// The series is claimed on its `lastOccurrenceAt`, so an occurrence is only created once;
+// resolves to null when the series changed in the meantime. Without assignees the
+// occurrence is skipped but still claimed.
+const createOccurrence = async (series, occurrenceAt, assigneeIds) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { modifiedCount } = await TaskSeries.updateOne(
+      { _id: series._id, status: TASK_SERIES_STATUSES.ACTIVE, lastOccurrenceAt: series.lastOccurrenceAt },
+      {
+        $set: { lastOccurrenceAt: occurrenceAt },
+        $inc: { occurrenceCount: assigneeIds.length > 0 ? 1 : 0 }
+      },
+      { session }
+    );
+    if (modifiedCount === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const assignmentGroup = assigneeIds.length > 1 ? new mongoose.Types.ObjectId() : null;
+    const tasks = assigneeIds.length === 0 ? [] : await Task.create(assigneeIds.map(assignee => ({
+      admin: series.admin,
+      assignee,
+      assignmentGroup,
+      series: series._id,
+      occurrenceAt,
+      taskTitle: series.taskTitle,
+      taskDescription: series.taskDescription,
+      category: series.category,
+      requiredDocumentTypes: series.requiredDocumentTypes || [],
+      checklist: (series.checklist || []).map(({ text, required }) => ({ text, required })),
+      taskDate: occurrenceAt,
+      endDate: new Date(occurrenceAt.getTime() + series.durationMinutes * 60 * 1000),
+      status: TASK_STATES.NEW
+    })), { session, ordered: true });
+
+    for (const task of tasks) {
+      await TaskEvent.record(task, {
+        fromState: null,
+        toState: task.status,
+        at: task.createdAt,
+        by: 'system',
+        note: 'Recurring task'
+      }, { session });
+    }
+    const taskCounts = [];
+    for (const assignee of assigneeIds) {
+      taskCounts.push(await Employee.refreshTaskCounts(assignee, session));
+    }
+    await session.commitTransaction();
+    session.endSession();
+
+    for (const [index, task] of tasks.entries()) {
+      publishTaskEvent(TASK_EVENTS.CREATED, task, { taskCounts: taskCounts[index] });
+      await notifyTaskAssigned(task);
+    }
+    return tasks;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Create the tasks of every occurrence starting before now + lookahead, for all active
+// series or just one (right after it was created or edited). Occurrences whose due date
+// already passed, e.g. after downtime, are skipped rather than created expired.
+export const materializeSeries = async ({ now = new Date(), seriesId = null, lookaheadMs = LOOKAHEAD_MS } = {}) => {
+  const filter = { status: TASK_SERIES_STATUSES.ACTIVE };
+  if (seriesId) filter._id = seriesId;
+
+  const seriesList = await TaskSeries.find(filter).lean();
+  const until = new Date(now.getTime() + lookaheadMs);
+  let occurrenceCount = 0;
+  let taskCount = 0;
+  let finishedCount = 0;
+
+  for (const series of seriesList) {
+    try {
+      const due = listOccurrences(series, { after: series.lastOccurrenceAt, until, limit: MAX_OCCURRENCES_PER_RUN });
+
+      for (const occurrenceAt of due) {
+        const endDate = new Date(occurrenceAt.getTime() + series.durationMinutes * 60 * 1000);
+        const assigneeIds = endDate <= now ? [] : await resolveSeriesAssignees(series);
+        const tasks = await createOccurrence(series, occurrenceAt, assigneeIds);
+        if (!tasks) break;
+
+        series.lastOccurrenceAt = occurrenceAt;
+        if (tasks.length > 0) {
+          occurrenceCount++;
+          taskCount += tasks.length;
+        }
+      }
+
+      // Count or end date reached: nothing left to create
+      if (!nextOccurrence(series, series.lastOccurrenceAt)) {
+        const { modifiedCount } = await TaskSeries.updateOne(
+          { _id: series._id, status: TASK_SERIES_STATUSES.ACTIVE },
+          { $set: { status: TASK_SERIES_STATUSES.FINISHED } }
+        );
+        finishedCount += modifiedCount;
+      }
+    } catch (error) {
+      console.error(`❌ [${JOB_NAME}] Series ${series._id} failed:`, error);
+    }
+  }
+
+  return { seriesCount: seriesList.length, occurrenceCount, taskCount, finishedCount };
+};
+
+export const taskRecurrenceJob = createLeasedJob({
+  name: JOB_NAME,
+  intervalMs: INTERVAL_MS,
+  enabled: process.env.TASK_RECURRENCE_SCHEDULER !== 'off',
+  run: async (startedAt) => {
+    const result = await materializeSeries({ now: startedAt });
+    if (result.taskCount > 0) {
+      console.log(`🔁 [${JOB_NAME}] Created ${result.taskCount} tasks for ${result.occurrenceCount} occurrences`);
+    }
+    return result;
+  }
+});
@@ -0,0 +1,83 @@
+import Task from '../models/Task.js';
+import { createLeasedJob } from './leasedJob.js';
+import { notifyTaskReminder } from '../notifications/notifier.js';
+import { EXPIRABLE_STATES } from '../utils/taskStateMachine.js';
+
+// Due-date reminders for open tasks.
+//
+//   TASK_REMINDER_OFFSETS       comma separated offsets before endDate (default '24h,1h';
+//                               units m, h, d)
+//   TASK_REMINDER_INTERVAL_MS   how often due tasks are checked (default 60000)
+//   TASK_REMINDER_SCHEDULER     set to 'off' to disable the in-process timer
+export const JOB_NAME = 'task-reminders';
+
+const INTERVAL_MS = parseInt(process.env.TASK_REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// '24h,1h' -> [{ label: '24h', ms: 86400000 }, { label: '1h', ms: 3600000 }], largest first
+export const parseReminderOffsets = (value = '24h,1h') => value
+  .split(',')
+  .map(label => label.trim())
+  .map(label => {
+    const match = /^(\d+)([mhd])$/.exec(label);
+    if (!match) {
+      console.warn(`⚠️ Ignoring invalid reminder offset "${label}"`);
+      return null;
+    }
+    return { label, ms: parseInt(match[1], 10) * UNIT_MS[match[2]] };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.ms - a.ms);
+
+const OFFSETS = parseReminderOffsets(process.env.TASK_REMINDER_OFFSETS);
+
+// Send reminders for open tasks that have entered a reminder window. Each offset is
+// claimed on the task before sending, so a reminder goes out at most once per due date
+// even across instances. When several windows are reached at once (e.g. a task created
+// 30 minutes before its deadline) only the closest one is sent.
+export const sendDueReminders = async ({ now = new Date(), offsets = OFFSETS } = {}) => {
+  if (offsets.length === 0) {
+    return { reminderCount: 0 };
+  }
+
+  const dueTasks = await Task.find({
+    status: { $in: EXPIRABLE_STATES },
+    endDate: { $gt: now, $lte: new Date(now.getTime() + offsets[0].ms) }
+  })
+    .select('_id admin assignee taskTitle endDate remindersSent')
+    .lean();
+
+  let reminderCount = 0;
+  for (const task of dueTasks) {
+    const remaining = new Date(task.endDate).getTime() - now.getTime();
+    const due = offsets
+      .filter(offset => remaining <= offset.ms && !task.remindersSent?.includes(offset.label))
+      .map(offset => offset.label);
+    if (due.length === 0) continue;
+
+    const { modifiedCount } = await Task.updateOne(
+      { _id: task._id, remindersSent: { $nin: due } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+    if (modifiedCount === 0) continue;
+
+    // Offsets are sorted largest first, so the last one is the closest
+    await notifyTaskReminder(task, due[due.length - 1]);
+    reminderCount++;
+  }
+
+  return { reminderCount };
+};
+
+export const taskReminderJob = createLeasedJob({
+  name: JOB_NAME,
+  intervalMs: INTERVAL_MS,
+  enabled: process.env.TASK_REMINDER_SCHEDULER !== 'off',
+  run: async (startedAt) => {
+    const result = await sendDueReminders({ now: startedAt });
+    if (result.reminderCount > 0) {
+      console.log(`🔔 [${JOB_NAME}] Sent ${result.reminderCount} reminders`);
+    }
+    return result;
+  }
+});
@@ -1,7 +1,16 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { ROLES, PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { jwtSecret } from '../utils/authTokens.js';
 
-// Middleware to verify JWT token and set req.user
+// A password change, offboarding or "sign out everywhere" raises the user's tokenVersion,
+// which ends access tokens issued before it
+const sameTokenVersion = (decoded, user) => (decoded.tv ?? 0) === (user.tokenVersion ?? 0);
+
+// Middleware to verify JWT token (admin or employee) and set req.user
 export const protect = async (req, res, next) => {
   try {
     let token;
@@ -23,20 +32,60 @@ export const protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+      const decoded = jwt.verify(token, jwtSecret());
       
+      // Employee tokens must still match an employee of the same organisation
+      if (decoded.role === 'employee') {
+        const employee = await Employee.findOne(
+          { _id: decoded.employeeId, admin: decoded.adminId },
+          { email: 1, role: 1, admin: 1, status: 1, tokenVersion: 1, mustChangePassword: 1 }
+        ).lean();
+
+        if (!employee) {
+          return res.status(401).json({ message: 'Not authorized, employee not found' });
+        }
+
+        // Deactivating or offboarding a member ends their existing sessions too
+        if (employee.status && employee.status !== EMPLOYEE_STATUSES.ACTIVE) {
+          return res.status(401).json({ message: 'Not authorized, account is deactivated' });
+        }
+
+        if (!sameTokenVersion(decoded, employee)) {
+          return res.status(401).json({ message: 'Not authorized, session has ended' });
+        }
+
+        req.user = {
+          id: employee._id,
+          employeeId: employee._id,
+          adminId: employee.admin,
+          email: employee.email,
+          // Members carry their organisation role (employee or manager) from the database
+          role: employee.role || ROLES.EMPLOYEE,
+          mustChangePassword: Boolean(employee.mustChangePassword),
+          tokenVersion: employee.tokenVersion ?? 0
+        };
+
+        return next();
+      }
+
       // Get admin from the token
       const admin = await Admin.findById(decoded.id).select('-password');
       
       if (!admin) {
         return res.status(401).json({ message: 'Not authorized, admin not found' });
       }
+
+      if (!sameTokenVersion(decoded, admin)) {
+        return res.status(401).json({ message: 'Not authorized, session has ended' });
+      }
       
       // Set user in request object
       req.user = {
         id: admin._id,
+        adminId: admin._id,
         email: admin.email,
-        role: 'admin'
+        role: 'admin',
+        tokenVersion: admin.tokenVersion ?? 0
       };
       
       next();
@@ -50,11 +99,103 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Whether the session protect() accepted for `user` (req.user) has ended since: the account
+// is gone or no longer active, its tokenVersion moved on, or its role changed. Used by
+// long-lived connections, which are only authenticated when they open.
+export const sessionEnded = async (user) => {
+  if (user.employeeId) {
+    const employee = await Employee.findOne({ _id: user.employeeId, admin: user.adminId })
+      .select('role status tokenVersion')
+      .lean();
+    return !employee
+      || Boolean(employee.status && employee.status !== EMPLOYEE_STATUSES.ACTIVE)
+      || (employee.tokenVersion ?? 0) !== user.tokenVersion
+      || (employee.role || ROLES.EMPLOYEE) !== user.role;
+  }
+
+  const admin = await Admin.findById(user.id).select('tokenVersion').lean();
+  return !admin || (admin.tokenVersion ?? 0) !== user.tokenVersion;
+};
+
+// Middleware, after protect, holding back employees who still have to replace the password
+// an admin gave them (POST /api/auth/password/change is the one route left open to them)
+export const requirePasswordChanged = (req, res, next) => {
+  if (req.user?.mustChangePassword) {
+    return res.status(403).json({
+      message: 'Choose a new password before continuing',
+      code: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+  next();
+};
+
 // Middleware to check if user is admin
 export const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+  if (req.user && req.user.role === ROLES.ADMIN) {
     next();
   } else {
     res.status(403).json({ message: 'Not authorized as admin' });
   }
 };
+
+// Middleware factory requiring every listed capability (see config/permissions.js)
+export const authorize = (...permissions) => (req, res, next) => {
+  const role = req.user?.role;
+  const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'Not authorized to perform this action',
+      role,
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
+
+// Middleware to keep callers inside their own organisation for /:adminId routes
+export const organisationAccess = (paramName = 'adminId') => (req, res, next) => {
+  const adminId = req.params[paramName];
+
+  if (!req.user?.adminId || req.user.adminId.toString() !== String(adminId)) {
+    return res.status(403).json({ message: 'Forbidden: cannot access another organisation' });
+  }
+
+  next();
+};
+
+// Middleware to restrict employee-scoped routes: employees may only touch their own
+// record and tasks, admins and managers only members of their own organisation
+export const employeeAccess = (paramName = 'employeeId') => async (req, res, next) => {
+  try {
+    const employeeId = req.params[paramName];
+
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID' });
+    }
+
+    if (!req.user) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    // Acting on yourself is always allowed
+    if (req.user.employeeId && req.user.employeeId.toString() === employeeId.toString()) {
+      return next();
+    }
+
+    if (!hasPermission(req.user.role, PERMISSIONS.MEMBER_VIEW)) {
+      return res.status(403).json({ message: 'Not authorized to access another employee' });
+    }
+
+    const inOrganisation = await Employee.exists({ _id: employeeId, admin: req.user.adminId });
+    if (!inOrganisation) {
+      return res.status(403).json({ message: 'Not authorized to access this employee' });
+    }
+
+    return next();
+  } catch (error) {
+    console.error('Employee access check failed:', error);
+    return res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
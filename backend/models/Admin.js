@@ -1,144 +1,46 @@
 import mongoose from 'mongoose';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { notificationPreferencesSchema } from './notificationPreferences.js';
 
-// Task schema for embedded tasks within employees
-const taskSchema = new mongoose.Schema({
-  // Overall task workflow status used by routes/UI
-  status: {
-    type: String,
-    enum: ['new', 'active', 'completed', 'failed', 'pendingVerification', 'expired'],
-    default: 'new'
-  },
-  taskTitle: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  taskDescription: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  taskDate: {
-    type: Date,
-    required: true
-  },
-  endDate: {
-    type: Date,
-    required: true
-  },
-  category: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  active: {
+// TOTP two-factor authentication (see utils/twoFactor.js). Everything secret is left out
+// of queries unless selected explicitly.
+const twoFactorSchema = new mongoose.Schema({
+  enabled: {
     type: Boolean,
     default: false
   },
-  newTask: {
-    type: Boolean,
-    default: true
-  },
-  completed: {
-    type: Boolean,
-    default: false
-  },
-  failed: {
-    type: Boolean,
-    default: false
-  },
-  // Task-level verification status
-  verificationStatus: {
+  // Encrypted secret of the authenticator app
+  secret: {
     type: String,
-    // Include all values referenced by routes and utilities
-    enum: ['pending', 'verified', 'approved', 'rejected', 'expired', 'none', ''],
-    default: ''
+    default: null,
+    select: false
   },
-  verificationNote: {
+  // Secret shown during setup, until it is confirmed with a first code
+  pendingSecret: {
     type: String,
-    default: ''
-  },
-  verificationDate: {
+    default: null,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  recoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Time step of the last accepted code, so that no code works twice
+  lastUsedStep: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  enabledAt: {
     type: Date,
     default: null
-  },
-  // Document uploads for this task
-  documents: [{
-    filename: String,
-    originalName: String,
-    path: String,
-    uploadDate: {
-      type: Date,
-      default: Date.now
-    },
-    verified: {
-      type: Boolean,
-      default: false
-    },
-    verificationDate: {
-      type: Date,
-    },
-    verificationNote: {
-      type: String,
-      default: ''
-    },
-    verificationStatus: {
-      type: String,
-      enum: ['pending', 'verified', 'approved', 'rejected', 'expired', 'none', ''],
-      default: ''
-    }
-  }],
-  // Documents submitted by employee for verification (used across routes)
-  submittedDocuments: [{
-    fileName: String,
-    originalName: String,
-    filePath: String,
-    fileSize: Number,
-    mimeType: String,
-    uploadedAt: { type: Date, default: Date.now }
-  }]
-}, {
-  timestamps: true
-});
-
-const employeeSchema = new mongoose.Schema({
-  firstName: {
-    type: String,
-    required: false,
-    default: '',
-    trim: true
-  },
-  email: {
-    type: String,
-    required: true,
-    lowercase: true,
-    trim: true
-  },
-  password: {
-    type: String,
-    required: true,
-    minlength: 3
-  },
-  tasks: [taskSchema],
-  taskCounts: {
-    newTask: { type: Number, default: 0 },
-    active: { type: Number, default: 0 },
-    completed: { type: Number, default: 0 },
-    failed: { type: Number, default: 0 }
   }
-}, {
-  timestamps: true
-});
+}, { _id: false });
 
-// Method to update task counts for an employee
-employeeSchema.methods.updateTaskCounts = function() {
-  this.taskCounts.completed = this.tasks.filter(task => task.completed === true).length;
-  this.taskCounts.failed = this.tasks.filter(task => task.failed === true && task.completed !== true).length;
-  this.taskCounts.active = this.tasks.filter(task => task.active === true && task.completed !== true && task.failed !== true).length;
-  this.taskCounts.newTask = this.tasks.filter(task => task.newTask === true && task.active !== true && task.completed !== true && task.failed !== true).length;
-};
-
-// Admin schema with embedded employees
+// Admin schema: the organisation owner. Employees and tasks live in their own
+// collections (models/Employee.js, models/Task.js) and reference the admin by id.
 const adminSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -158,30 +60,56 @@ const adminSchema = new mongoose.Schema({
     required: true,
     minlength: 3
   },
-  employees: {
-    type: [employeeSchema],
-    default: []
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  // Failed logins since the last successful one (see utils/loginThrottle.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Logins are refused until then after too many failures
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
+  // Organisation setting: two-factor authentication is mandatory and cannot be turned off
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Carried by every token issued to the admin; raising it ends all their sessions
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
-// Helper methods for admin to manage embedded employees
-adminSchema.methods.findEmployeeById = function(employeeId) {
-  return this.employees.id(employeeId);
-};
-
-adminSchema.methods.findEmployeeByEmail = function(email) {
-  return this.employees.find(emp => emp.email === email);
-};
-
-adminSchema.methods.addEmployee = function(employeeData) {
-  this.employees.push(employeeData);
-  return this.employees[this.employees.length - 1];
-};
+// Hash the admin password whenever it is set or changed. A new password signs the admin
+// out everywhere; re-hashing a legacy password at login (`$locals.passwordRehash`) does not.
+adminSchema.pre('save', async function() {
+  if (!this.isNew && this.isModified('password') && !this.$locals.passwordRehash) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  if (this.isModified('password')) {
+    this.password = await hashPassword(this.password);
+  }
+});
 
-adminSchema.methods.removeEmployee = function(employeeId) {
-  return this.employees.id(employeeId).deleteOne();
+// Compare a login attempt with the stored (hashed or legacy plaintext) password
+adminSchema.methods.comparePassword = function(candidate) {
+  return verifyPassword(candidate, this.password);
 };
 
 const Admin = mongoose.model('Admin', adminSchema);
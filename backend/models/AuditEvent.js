@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS } from './constants.js';
+import { appendOnly } from './appendOnly.js';
+
+// AuditEvent schema: append-only log of security events of an organisation, such as
+// accounts locked after failed logins and unlocked again. Like the task history, events
+// are only ever inserted and are deleted only together with the organisation.
+const auditEventSchema = new mongoose.Schema({
+  // Organisation the account belongs to
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true,
+    immutable: true
+  },
+  // Account the event is about
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true,
+    immutable: true
+  },
+  targetModel: {
+    type: String,
+    enum: ['Admin', 'Employee'],
+    required: true,
+    immutable: true
+  },
+  // Email of the account at the time, kept for reading the log later
+  targetEmail: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  // Id of the admin/employee who caused the event, or 'system'
+  actor: {
+    type: String,
+    default: 'system',
+    immutable: true
+  },
+  actorRole: {
+    type: String,
+    default: 'system',
+    immutable: true
+  },
+  ip: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  note: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest first per organisation
+auditEventSchema.index({ admin: 1, at: -1 });
+// History of one account
+auditEventSchema.index({ target: 1, at: -1 });
+
+auditEventSchema.plugin(appendOnly, { message: 'The audit log is append-only' });
+
+// Append an event about an account (an Admin or Employee document). Never throws: a
+// failed audit entry must not fail the login or request that caused it.
+auditEventSchema.statics.record = async function(action, account, targetModel, { user = null, ip = '', note = '' } = {}) {
+  try {
+    return await this.create({
+      admin: targetModel === 'Admin' ? account._id : account.admin,
+      action,
+      target: account._id,
+      targetModel,
+      targetEmail: account.email || '',
+      actor: user?.id?.toString() || 'system',
+      actorRole: user?.role || 'system',
+      ip,
+      note
+    });
+  } catch (error) {
+    console.error(`❌ Could not record ${action} for ${targetModel} ${account._id}:`, error.message);
+    return null;
+  }
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
@@ -1,85 +1,57 @@
 import mongoose from 'mongoose';
+import Task, { computeTaskCounts } from './Task.js';
+import Team from './Team.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { notificationPreferencesSchema } from './notificationPreferences.js';
+import { EMPLOYEE_STATUSES } from './constants.js';
+import { ROLES, EMPLOYEE_ROLES } from '../config/permissions.js';
 
-const taskSchema = new mongoose.Schema({
-  active: {
-    type: Boolean,
-    default: false  // Fixed: New tasks should NOT be active by default
-  },
-  newTask: {
-    type: Boolean,
-    default: true   // Correct: New tasks should be newTask by default
-  },
-  completed: {
-    type: Boolean,
-    default: false
-  },
-  failed: {
-    type: Boolean,
-    default: false
-  },
-  taskTitle: {
+// Employee schema: one document per employee, owned by an organisation (admin).
+// Tasks live in their own collection and are exposed through the `tasks` virtual.
+// Invitation link sent to a new member; only a hash of its token is stored
+const invitationSchema = new mongoose.Schema({
+  tokenHash: {
     type: String,
     required: true,
-    trim: true
-  },
-  taskDescription: {
-    type: String,
-    required: true,
-    trim: true
+    select: false
   },
-  taskDate: {
+  expiresAt: {
     type: Date,
     required: true
   },
-  endDate: {
+  sentAt: {
     type: Date,
-    required: true
+    default: Date.now
   },
-  category: {
+  // Id of the admin or manager who sent it
+  invitedBy: {
     type: String,
-    required: true,
-    enum: ['Design', 'Development', 'Meeting', 'QA', 'Documentation', 'DevOps', 'Presentation', 'Support']
-  },
-  submittedDocuments: [{
-    fileName: {
-      type: String,
-      required: true
-    },
-    originalName: {
-      type: String,
-      required: true
-    },
-    filePath: {
-      type: String,
-      required: true
-    },
-    fileSize: {
-      type: Number,
-      required: true
-    },
-    mimeType: {
-      type: String,
-      required: true
-    },
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
-}, {
-  timestamps: true
-});
+    default: ''
+  }
+}, { _id: false });
 
 const employeeSchema = new mongoose.Schema({
+  // Organisation the employee belongs to
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
   firstName: {
     type: String,
-    required: true,
+    required: false,
+    default: '',
+    trim: true
+  },
+  lastName: {
+    type: String,
+    default: '',
     trim: true
   },
   email: {
     type: String,
     required: true,
-    unique: true,
     lowercase: true,
     trim: true
   },
@@ -88,61 +60,187 @@ const employeeSchema = new mongoose.Schema({
     required: true,
     minlength: 3
   },
+  address: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  phone: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  department: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  jobTitle: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Reporting manager, another member of the same organisation
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  hireDate: {
+    type: Date,
+    default: null
+  },
+  // URL of the profile picture
+  avatarUrl: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Lifecycle status; only active employees can sign in
+  status: {
+    type: String,
+    enum: Object.values(EMPLOYEE_STATUSES),
+    default: EMPLOYEE_STATUSES.ACTIVE
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  offboardedAt: {
+    type: Date,
+    default: null
+  },
+  // Organisation role; managers can create and verify tasks for other members
+  role: {
+    type: String,
+    enum: EMPLOYEE_ROLES,
+    default: ROLES.EMPLOYEE
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  // Pending invitation of an invited employee (see utils/invitations.js); cleared once accepted
+  invitation: {
+    type: invitationSchema,
+    default: null
+  },
+  // Set when an admin chose the password; the employee has to pick their own at first login
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Failed logins since the last successful one (see utils/loginThrottle.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Logins are refused until then after too many failures
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Carried by every token issued to the employee; raising it ends all their sessions
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Denormalised counters, recomputed from the Task collection by refreshTaskCounts
   taskCounts: {
-    active: {
-      type: Number,
-      default: 0
-    },
-    newTask: {
-      type: Number,
-      default: 0
-    },
-    completed: {
-      type: Number,
-      default: 0
-    },
-    failed: {
-      type: Number,
-      default: 0
-    }
-  },
-  tasks: [taskSchema]
+    newTask: { type: Number, default: 0 },
+    active: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// An email identifies one employee across every organisation, since login looks
+// employees up by email alone
+employeeSchema.index({ email: 1 }, { unique: true });
+
+// Direct reports of a manager
+employeeSchema.index({ manager: 1 });
+// Opening an invitation link
+employeeSchema.index({ 'invitation.tokenHash': 1 }, { sparse: true });
+// Rosters filtered by lifecycle status
+employeeSchema.index({ admin: 1, status: 1 });
+
+// Query condition on `status` matching active employees, including legacy documents
+// without a status. Fresh on every call, since mongoose may rewrite conditions it casts.
+export const activeStatusFilter = () => ({
+  $nin: [EMPLOYEE_STATUSES.INVITED, EMPLOYEE_STATUSES.INACTIVE, EMPLOYEE_STATUSES.OFFBOARDED]
+});
+
+// Legacy documents have no status and count as active
+employeeSchema.virtual('isActive').get(function() {
+  return (this.status || EMPLOYEE_STATUSES.ACTIVE) === EMPLOYEE_STATUSES.ACTIVE;
+});
+
+// "First Last", falling back to the email for members without a name
+employeeSchema.virtual('fullName').get(function() {
+  const name = [this.firstName, this.lastName].filter(Boolean).join(' ');
+  return name || this.email;
 });
 
-// Method to update task counts using EXCLUSIVE state principle
-// Only ONE of the four states should be true at any time
-employeeSchema.methods.updateTaskCounts = function() {
-  // EXCLUSIVE COUNTING: Priority order - completed > failed > active > newTask
-  // Each task is counted in only ONE category based on highest priority state
-  
-  this.taskCounts.completed = this.tasks.filter(task => task.completed === true).length;
-  
-  this.taskCounts.failed = this.tasks.filter(task => 
-    task.failed === true && task.completed !== true
-  ).length;
-  
-  this.taskCounts.active = this.tasks.filter(task => 
-    task.active === true && 
-    task.completed !== true && 
-    task.failed !== true
-  ).length;
-  
-  this.taskCounts.newTask = this.tasks.filter(task => 
-    task.newTask === true && 
-    task.active !== true && 
-    task.completed !== true && 
-    task.failed !== true
-  ).length;
-  
-  console.log('Task counts updated (EXCLUSIVE):', {
-    newTask: this.taskCounts.newTask,
-    active: this.taskCounts.active,
-    completed: this.taskCounts.completed,
-    failed: this.taskCounts.failed,
-    total: this.tasks.length
-  });
+// Tasks assigned to this employee (use .populate('tasks'))
+employeeSchema.virtual('tasks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'assignee'
+});
+
+// Hash the employee password whenever it is set or changed. A new password, or leaving
+// active status, signs the employee out everywhere; re-hashing a legacy password at login
+// (`$locals.passwordRehash`) does not.
+employeeSchema.pre('save', async function() {
+  const passwordChanged = this.isModified('password') && !this.$locals.passwordRehash;
+  const deactivated = this.isModified('status') && this.status !== EMPLOYEE_STATUSES.ACTIVE;
+  if (!this.isNew && (passwordChanged || deactivated)) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  if (this.isModified('password')) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+// Compare a login attempt with the stored (hashed or legacy plaintext) password
+employeeSchema.methods.comparePassword = function(candidate) {
+  return verifyPassword(candidate, this.password);
+};
+
+// Employees already registered with any of the given emails, in any organisation, as
+// lean { _id, admin, email, status }. `except` leaves out the employee being edited.
+employeeSchema.statics.findByEmail = function(emails, { except = null } = {}) {
+  const filter = { email: { $in: [].concat(emails).map(email => email.toLowerCase().trim()) } };
+  if (except) filter._id = { $ne: except };
+  return this.find(filter).select('admin email status').lean();
+};
+
+// Recompute and persist the task counters of an employee from the Task collection,
+// together with the rollups of the teams they belong to
+employeeSchema.statics.refreshTaskCounts = async function(employeeId, session = null) {
+  const tasks = await Task.find({ assignee: employeeId })
+    .select('newTask active completed failed')
+    .session(session)
+    .lean();
+
+  const taskCounts = computeTaskCounts(tasks);
+  await this.updateOne(
+    { _id: employeeId },
+    { $set: { taskCounts } },
+    { session, runValidators: false }
+  );
+  await Team.refreshTaskCountsForMember(employeeId, session);
+
+  return taskCounts;
 };
 
 const Employee = mongoose.model('Employee', employeeSchema);
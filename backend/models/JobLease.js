@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// JobLease schema: one document per background job. The instance that holds an
+// unexpired lease is the only one allowed to run the job; the document also keeps
+// the outcome of the last run for inspection.
+const jobLeaseSchema = new mongoose.Schema({
+  // Job name, e.g. 'task-expiry'
+  _id: {
+    type: String,
+    required: true
+  },
+  // Instance currently holding the lease
+  owner: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunBy: {
+    type: String,
+    default: null
+  },
+  // What triggered the last run: 'schedule' or 'manual'
+  lastTrigger: {
+    type: String,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Take the lease for `ttlMs` if it is free or expired. Resolves to true when acquired.
+jobLeaseSchema.statics.acquire = async function(name, owner, ttlMs, now = new Date()) {
+  try {
+    const lease = await this.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lease?.owner === owner;
+  } catch (error) {
+    // The upsert raced with a live lease held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Release the lease and store the outcome of the run
+jobLeaseSchema.statics.release = function(name, owner, run) {
+  return this.updateOne(
+    { _id: name, owner },
+    {
+      $set: {
+        expiresAt: new Date(),
+        lastRunAt: run.startedAt,
+        lastRunBy: owner,
+        lastTrigger: run.trigger,
+        lastResult: run.result
+      }
+    }
+  );
+};
+
+const JobLease = mongoose.model('JobLease', jobLeaseSchema);
+
+export default JobLease;
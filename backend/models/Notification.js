@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from './constants.js';
+
+// Notification schema: in-app notifications for admins and employees
+const notificationSchema = new mongoose.Schema({
+  // Organisation the notification belongs to
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'recipientModel',
+    required: true
+  },
+  recipientModel: {
+    type: String,
+    enum: ['Admin', 'Employee'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Task the notification is about, if any
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Extra details for the client, e.g. the reminder offset
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Newest-first listing per recipient
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+// Unread badge counts
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Organisation cleanup
+notificationSchema.index({ admin: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
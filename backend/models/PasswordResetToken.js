@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Password reset token: sent by email from POST /api/auth/password/forgot and exchanged
+// once for a new password. Only a hash of the token is stored; requesting a new link
+// replaces any unused one.
+const passwordResetTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'userModel',
+    required: true
+  },
+  userModel: {
+    type: String,
+    enum: ['Admin', 'Employee'],
+    required: true
+  },
+  // Organisation of the user (admins are their own organisation)
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Replacing the unused tokens of a user
+passwordResetTokenSchema.index({ user: 1 });
+// Organisation cleanup
+passwordResetTokenSchema.index({ admin: 1 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Refresh token: one sign-in of an admin or employee, kept in an httpOnly cookie and
+// exchanged for short-lived access tokens by POST /api/auth/refresh. Only a hash of the
+// token is stored. Every refresh replaces the token with a new one; revoked tokens stay
+// until they expire so that a replayed old token can be recognised.
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'userModel',
+    required: true
+  },
+  userModel: {
+    type: String,
+    enum: ['Admin', 'Employee'],
+    required: true
+  },
+  // Organisation of the user (admins are their own organisation)
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // The user's tokenVersion when signing in; a newer version ends the session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Token issued in exchange for this one, set when it was used to refresh
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Revoking every session of a user
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Organisation cleanup
+refreshTokenSchema.index({ admin: 1 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
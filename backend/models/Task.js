@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import { TASK_STATUSES, VERIFICATION_STATUSES, LEGACY_VERIFICATION_STATUSES, DOCUMENT_TYPES } from './constants.js';
+import { deriveStateFields } from '../utils/taskStateMachine.js';
+
+// Verification values accepted on documents; legacy aliases are normalised by fixTaskStates
+const ACCEPTED_VERIFICATION_STATUSES = [
+  ...VERIFICATION_STATUSES,
+  ...Object.keys(LEGACY_VERIFICATION_STATUSES)
+];
+
+// A file submitted by the assignee as proof of work
+const submittedDocumentSchema = new mongoose.Schema({
+  fileName: String,
+  originalName: String,
+  filePath: String,
+  fileSize: Number,
+  mimeType: String,
+  uploadedAt: { type: Date, default: Date.now },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  }
+});
+
+// One step of the work, ticked off by the assignee. Required items must be done before
+// documents can be submitted.
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // When and by whom (admin/employee id) the item was last ticked off
+  doneAt: {
+    type: Date,
+    default: null
+  },
+  doneBy: {
+    type: String,
+    default: null
+  }
+});
+
+// Task schema: one document per task, owned by an organisation (admin) and assigned to an employee
+const taskSchema = new mongoose.Schema({
+  // Organisation the task belongs to
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Employee the task is assigned to
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Shared by the per-assignee copies of a task given to several employees at once
+  assignmentGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Recurring series this task is an occurrence of, and the occurrence's start
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrenceAt: {
+    type: Date,
+    default: null
+  },
+  // Predecessors: tasks that must be finished before this one can be accepted or submitted
+  dependsOn: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Workflow state, changed only through utils/taskStateMachine.js.
+  // The flags and verificationStatus below are derived from it.
+  status: {
+    type: String,
+    enum: TASK_STATUSES,
+    default: 'new'
+  },
+  taskTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskDescription: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  newTask: {
+    type: Boolean,
+    default: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  failed: {
+    type: Boolean,
+    default: false
+  },
+  // Task-level verification status
+  verificationStatus: {
+    type: String,
+    enum: ACCEPTED_VERIFICATION_STATUSES,
+    default: ''
+  },
+  verificationNote: {
+    type: String,
+    default: ''
+  },
+  verificationDate: {
+    type: Date,
+    default: null
+  },
+  // Workflow bookkeeping written by the upload and verification routes
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Id of the verifying admin/manager, or 'system'
+  verifiedBy: {
+    type: String,
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  rejectedBy: {
+    type: String,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  // Kinds of document (keys of DOCUMENT_TYPES) a submission must be; empty accepts any
+  requiredDocumentTypes: {
+    type: [{ type: String, enum: Object.keys(DOCUMENT_TYPES) }],
+    default: []
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    default: []
+  },
+  // The assignee's own notes on their work
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes can be at most 2000 characters'],
+    default: ''
+  },
+  // Reminder offsets (e.g. '24h', '1h') already sent for the current endDate
+  remindersSent: {
+    type: [String],
+    default: []
+  },
+  // Documents submitted by employee for verification
+  submittedDocuments: [submittedDocumentSchema]
+}, {
+  timestamps: true
+});
+
+// Keep the legacy flags and verificationStatus in step with `status`
+taskSchema.pre('validate', function() {
+  if (this.isNew || this.isModified('status')) {
+    Object.assign(this, deriveStateFields(this.status));
+  }
+  // Reminders start over when the due date moves
+  if (!this.isNew && this.isModified('endDate')) {
+    this.remindersSent = [];
+  }
+});
+
+// Per-employee task lists filtered by workflow status
+taskSchema.index({ assignee: 1, status: 1 });
+// Organisation-wide queues (pending verification, dashboards)
+taskSchema.index({ admin: 1, status: 1 });
+taskSchema.index({ admin: 1, verificationStatus: 1 });
+// Progress of multi-assignee tasks
+taskSchema.index({ assignmentGroup: 1 });
+// Successors of a task, looked up when it is completed
+taskSchema.index({ dependsOn: 1 });
+// One task per assignee and occurrence of a series, even if materialisation is retried
+taskSchema.index(
+  { series: 1, occurrenceAt: 1, assignee: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
+// Expiry sweeps over overdue tasks
+taskSchema.index({ endDate: 1 });
+
+// Count tasks per bucket using the EXCLUSIVE state principle
+// (priority order: completed > failed > active > newTask)
+export const computeTaskCounts = (tasks = []) => ({
+  completed: tasks.filter(task => task.completed === true).length,
+  failed: tasks.filter(task => task.failed === true && task.completed !== true).length,
+  active: tasks.filter(task => task.active === true && task.completed !== true && task.failed !== true).length,
+  newTask: tasks.filter(task => task.newTask === true && task.active !== true && task.completed !== true && task.failed !== true).length
+});
+
+const Task = mongoose.model('Task', taskSchema);
+
+export default Task;
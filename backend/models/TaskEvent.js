@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { TASK_STATUSES } from './constants.js';
+import { appendOnly } from './appendOnly.js';
+
+// TaskEvent schema: append-only audit trail of task state changes. Events are only
+// ever inserted; updates and deletes are refused (models/appendOnly.js) except together
+// with the organisation that owns them.
+const taskEventSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true,
+    immutable: true
+  },
+  // Organisation the task belongs to
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    immutable: true
+  },
+  // null for the creation event
+  fromState: {
+    type: String,
+    enum: [...TASK_STATUSES, null],
+    default: null,
+    immutable: true
+  },
+  toState: {
+    type: String,
+    enum: TASK_STATUSES,
+    required: true,
+    immutable: true
+  },
+  // Id of the admin/employee who caused the change, or 'system'
+  actor: {
+    type: String,
+    default: 'system',
+    immutable: true
+  },
+  actorRole: {
+    type: String,
+    default: 'system',
+    immutable: true
+  },
+  note: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  // Ids of the task.submittedDocuments entries involved in the change
+  documents: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Timeline of one task
+taskEventSchema.index({ task: 1, at: 1 });
+// Organisation cleanup
+taskEventSchema.index({ admin: 1 });
+
+taskEventSchema.plugin(appendOnly, { message: 'Task history is append-only' });
+
+// Append transitions (as returned by utils/taskStateMachine.js) to a task's history
+taskEventSchema.statics.record = function(task, transitions, { user = null, documents = [], session = null } = {}) {
+  const events = [].concat(transitions).filter(Boolean).map(transition => ({
+    task: task._id,
+    admin: task.admin,
+    fromState: transition.fromState ?? null,
+    toState: transition.toState,
+    actor: transition.by?.toString() || user?.id?.toString() || 'system',
+    actorRole: transition.by === 'system' ? 'system' : (user?.role || 'system'),
+    note: transition.note || '',
+    documents,
+    at: transition.at || new Date()
+  }));
+
+  if (events.length === 0) {
+    return Promise.resolve([]);
+  }
+  return this.insertMany(events, { session });
+};
+
+const TaskEvent = mongoose.model('TaskEvent', taskEventSchema);
+
+export default TaskEvent;
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { TASK_SERIES_STATUSES, DOCUMENT_TYPES } from './constants.js';
+import { RECURRENCE_FREQUENCIES } from '../utils/recurrence.js';
+
+// Task series: a task template plus a recurrence rule. jobs/taskRecurrence.js turns each
+// upcoming occurrence into ordinary tasks (one per assignee) linked back by `series`.
+const taskSeriesSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Id of the admin/manager who created the series
+  createdBy: {
+    type: String,
+    default: null
+  },
+  // Template copied into every occurrence
+  taskTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskDescription: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requiredDocumentTypes: {
+    type: [{ type: String, enum: Object.keys(DOCUMENT_TYPES) }],
+    default: []
+  },
+  // Checklist items ({ text, required }); every occurrence starts with all of them open
+  checklist: {
+    type: [{
+      _id: false,
+      text: { type: String, required: true, trim: true },
+      required: { type: Boolean, default: false }
+    }],
+    default: []
+  },
+  // Assignees picked one by one, and/or a team whose active members are resolved
+  // again for every occurrence
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  }],
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  recurrence: {
+    frequency: { type: String, enum: RECURRENCE_FREQUENCIES, required: true },
+    interval: { type: Number, default: 1, min: 1 },
+    // 0 (Sunday) to 6 (Saturday); weekly series only
+    byWeekday: { type: [Number], default: [] },
+    // Monthly series only; defaults to the day of `startAt`
+    byMonthDay: { type: Number, default: null },
+    count: { type: Number, default: null },
+    until: { type: Date, default: null }
+  },
+  // Start of the first occurrence; later ones keep its wall-clock time
+  startAt: {
+    type: Date,
+    required: true
+  },
+  // Offset of the wall clock the rule is written in (Date#getTimezoneOffset)
+  utcOffsetMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Time from an occurrence's taskDate to its endDate
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(TASK_SERIES_STATUSES),
+    default: TASK_SERIES_STATUSES.ACTIVE
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  // Start of the latest occurrence turned into tasks
+  lastOccurrenceAt: {
+    type: Date,
+    default: null
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Series the recurrence job has to look at
+taskSeriesSchema.index({ status: 1 });
+taskSeriesSchema.index({ admin: 1, status: 1 });
+
+const TaskSeries = mongoose.model('TaskSeries', taskSeriesSchema);
+
+export default TaskSeries;
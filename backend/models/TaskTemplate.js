@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { DOCUMENT_TYPES } from './constants.js';
+
+// Task template: a saved starting point for new tasks, kept per organisation (admin).
+// Picking a template in the create task form copies its fields; tasks do not link back.
+const taskTemplateSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Id of the admin/manager who saved the template
+  createdBy: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  taskDescription: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Suggested time from assignment to the due date
+  defaultDurationMinutes: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  requiredDocumentTypes: {
+    type: [{ type: String, enum: Object.keys(DOCUMENT_TYPES) }],
+    default: []
+  },
+  // Checklist items ({ text, required }) copied into each new task
+  checklist: {
+    type: [{
+      _id: false,
+      text: { type: String, required: true, trim: true },
+      required: { type: Boolean, default: false }
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// A template name identifies one template within an organisation
+taskTemplateSchema.index({ admin: 1, name: 1 }, { unique: true });
+
+const TaskTemplate = mongoose.model('TaskTemplate', taskTemplateSchema);
+
+export default TaskTemplate;
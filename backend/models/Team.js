@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import Task, { computeTaskCounts } from './Task.js';
+
+// Team schema: a named group of employees inside an organisation (admin).
+// An employee may belong to several teams; the lead is always one of the members.
+const teamSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  }],
+  // Denormalised rollup of the members' tasks, recomputed by refreshTaskCounts
+  taskCounts: {
+    newTask: { type: Number, default: 0 },
+    active: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// A team name identifies one team within an organisation
+teamSchema.index({ admin: 1, name: 1 }, { unique: true });
+// Teams of an employee
+teamSchema.index({ members: 1 });
+
+// The lead always belongs to the team
+teamSchema.pre('validate', function() {
+  if (this.lead && !this.members.some(member => member.equals(this.lead))) {
+    this.members.push(this.lead);
+  }
+});
+
+// Recompute a team's task counters from its members' tasks and store them
+teamSchema.statics.refreshTaskCounts = async function(teamId, session = null) {
+  const team = await this.findById(teamId).select('members').session(session).lean();
+  if (!team) return null;
+
+  const tasks = await Task.find({ assignee: { $in: team.members } })
+    .select('newTask active completed failed')
+    .session(session)
+    .lean();
+
+  const taskCounts = computeTaskCounts(tasks);
+  await this.updateOne({ _id: teamId }, { $set: { taskCounts } }, { session });
+  return taskCounts;
+};
+
+// Refresh every team an employee belongs to, after their tasks changed
+teamSchema.statics.refreshTaskCountsForMember = async function(employeeId, session = null) {
+  const teams = await this.find({ members: employeeId }).select('_id').session(session).lean();
+  for (const team of teams) {
+    await this.refreshTaskCounts(team._id, session);
+  }
+};
+
+// Member IDs of one team of an organisation, or null when there is no such team
+teamSchema.statics.memberIds = async function(adminId, teamId) {
+  if (!mongoose.Types.ObjectId.isValid(teamId)) return null;
+  const team = await this.findOne({ _id: teamId, admin: adminId }).select('members').lean();
+  return team ? team.members : null;
+};
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
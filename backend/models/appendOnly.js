@@ -0,0 +1,32 @@
+// Schema plugin for append-only logs (task history, audit log): documents are only ever
+// inserted. Every update, replace or delete is refused with `message`, except removing a
+// whole organisation's entries through `Model.deleteForOrganisation(adminId)`.
+export const appendOnly = (schema, { message }) => {
+  const refuse = function() {
+    throw new Error(message);
+  };
+
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'findOneAndDelete'].forEach(operation => {
+    schema.pre(operation, refuse);
+  });
+  schema.pre('deleteOne', { document: true, query: true }, refuse);
+  schema.pre('deleteMany', function() {
+    const filter = this.getFilter();
+    const wholeOrganisation = this.getOptions().organisationDeletion === true
+      && Object.keys(filter).length === 1
+      && filter.admin;
+    if (!wholeOrganisation) {
+      refuse();
+    }
+  });
+  schema.pre('save', function() {
+    if (!this.isNew) {
+      refuse();
+    }
+  });
+
+  // The one way to delete entries: together with the organisation they belong to
+  schema.statics.deleteForOrganisation = function(adminId) {
+    return this.deleteMany({ admin: adminId }).setOptions({ organisationDeletion: true });
+  };
+};
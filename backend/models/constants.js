@@ -0,0 +1,76 @@
+// Canonical task vocabulary shared by the models, routes, seed and maintenance scripts.
+// The frontend select in CreateTask.jsx offers the same categories.
+
+export const TASK_CATEGORIES = [
+  'Design',
+  'Development',
+  'Meeting',
+  'QA',
+  'Documentation',
+  'DevOps',
+  'Presentation',
+  'Support'
+];
+
+// Kinds of document an employee can submit, by MIME type. A task may require its
+// submissions to be of some of these kinds (`requiredDocumentTypes`).
+export const DOCUMENT_TYPES = {
+  pdf: ['application/pdf'],
+  document: [
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  spreadsheet: [
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  image: ['image/jpeg', 'image/png', 'image/gif'],
+  text: ['text/plain']
+};
+
+// Workflow states; the allowed moves between them live in utils/taskStateMachine.js
+export const TASK_STATUSES = ['new', 'active', 'pendingVerification', 'completed', 'rejected', 'failed', 'expired'];
+
+export const VERIFICATION_STATUSES = ['', 'pending', 'approved', 'rejected', 'expired'];
+
+// Values written by older code paths, still accepted on read and rewritten by
+// scripts/fixTaskStates.js to their canonical equivalent
+export const LEGACY_VERIFICATION_STATUSES = {
+  verified: 'approved',
+  none: ''
+};
+
+// Employee lifecycle: invited members have not accepted their invitation yet; inactive
+// members cannot sign in but keep their place in the organisation; offboarded members
+// are hidden from rosters and only kept for history
+export const EMPLOYEE_STATUSES = {
+  INVITED: 'invited',
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  OFFBOARDED: 'offboarded'
+};
+
+// Kinds of notification the notifier can send (see notifications/notifier.js)
+export const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: 'task-assigned',
+  TASK_SUBMITTED: 'task-submitted',
+  TASK_APPROVED: 'task-approved',
+  TASK_REJECTED: 'task-rejected',
+  TASK_REMINDER: 'task-reminder',
+  TASK_EXPIRED: 'task-expired',
+  TASK_UNBLOCKED: 'task-unblocked'
+};
+
+// Security events kept in the audit log (see models/AuditEvent.js)
+export const AUDIT_ACTIONS = {
+  ACCOUNT_LOCKED: 'account-locked',
+  ACCOUNT_UNLOCKED: 'account-unlocked'
+};
+
+// Recurring task series: active series keep creating occurrences, stopped ones were ended
+// by an admin and finished ones ran out of occurrences (count or until reached)
+export const TASK_SERIES_STATUSES = {
+  ACTIVE: 'active',
+  STOPPED: 'stopped',
+  FINISHED: 'finished'
+};
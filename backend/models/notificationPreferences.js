@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Per-user notification settings, embedded in Admin and Employee.
+// Email is opt-in; in-app notifications are on unless switched off.
+export const notificationPreferencesSchema = new mongoose.Schema({
+  // Delivery channels
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: false },
+  // Kinds of notification
+  taskUpdates: { type: Boolean, default: true },
+  verificationRequests: { type: Boolean, default: true },
+  taskReminders: { type: Boolean, default: true },
+  taskExpiredAlerts: { type: Boolean, default: true }
+}, { _id: false });
+
+// Keys a user may change through the preferences endpoint
+export const NOTIFICATION_PREFERENCE_KEYS = Object.keys(notificationPreferencesSchema.obj);
@@ -0,0 +1,34 @@
+import { isSmtpConfigured, sendEmail } from './transports/smtp.js';
+
+// Account emails, such as password reset links, that are sent whatever the recipient's
+// notification preferences. A mailer is an object with `send({ to, subject, text })`;
+// setMailer replaces the default one, e.g. with a mailer that collects messages in tests.
+const smtpMailer = { send: sendEmail };
+
+// Without SMTP the email is printed instead, so links can still be followed in development.
+// It is written to stdout directly: console output has its tokens redacted (utils/logScrubber.js).
+const consoleMailer = {
+  send: ({ to, subject, text }) => {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn(`⚠️ Email to ${to} not sent: SMTP is not configured`);
+      return null;
+    }
+    process.stdout.write(`📧 Email to ${to} (SMTP not configured)\nSubject: ${subject}\n${text}\n`);
+    return null;
+  }
+};
+
+let mailer = null;
+
+// Replace the mailer; `null` goes back to SMTP (or the console when SMTP is not configured)
+export const setMailer = (replacement) => {
+  mailer = replacement;
+};
+
+// Whether emails actually go out (the console fallback only prints them)
+export const isMailerConfigured = () => Boolean(mailer) || isSmtpConfigured();
+
+export const sendMail = async (message) => {
+  const active = mailer || (isSmtpConfigured() ? smtpMailer : consoleMailer);
+  return active.send(message);
+};
@@ -0,0 +1,169 @@
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import Task from '../models/Task.js';
+import { NOTIFICATION_TYPES, EMPLOYEE_STATUSES } from '../models/constants.js';
+import { TASK_STATES } from '../utils/taskStateMachine.js';
+import inAppTransport from './transports/inApp.js';
+import smtpTransport, { isSmtpConfigured } from './transports/smtp.js';
+
+// Pluggable notifier. A transport is an object with `send(notification, recipient)`,
+// registered under the name of the channel preference that enables it
+// (see models/notificationPreferences.js).
+const transports = new Map();
+
+export const registerTransport = (channel, transport) => {
+  transports.set(channel, transport);
+};
+
+export const isChannelAvailable = (channel) => transports.has(channel);
+
+registerTransport('inApp', inAppTransport);
+if (isSmtpConfigured()) {
+  registerTransport('email', smtpTransport);
+}
+
+const RECIPIENT_MODELS = { Admin, Employee };
+
+// Preference that switches each notification type on or off
+const TYPE_PREFERENCES = {
+  [NOTIFICATION_TYPES.TASK_ASSIGNED]: 'taskUpdates',
+  [NOTIFICATION_TYPES.TASK_APPROVED]: 'taskUpdates',
+  [NOTIFICATION_TYPES.TASK_REJECTED]: 'taskUpdates',
+  [NOTIFICATION_TYPES.TASK_UNBLOCKED]: 'taskUpdates',
+  [NOTIFICATION_TYPES.TASK_SUBMITTED]: 'verificationRequests',
+  [NOTIFICATION_TYPES.TASK_REMINDER]: 'taskReminders',
+  [NOTIFICATION_TYPES.TASK_EXPIRED]: 'taskExpiredAlerts'
+};
+
+// Deliver one notification on every channel the recipient has enabled. Never throws:
+// a failed notification must not fail the request or job that caused it.
+export const notify = async ({ recipientModel, recipientId, type, title, message = '', task = null, data = {} }) => {
+  try {
+    const recipient = await RECIPIENT_MODELS[recipientModel]
+      .findById(recipientId)
+      .select('admin email status notificationPreferences')
+      .lean();
+    // Deactivated and offboarded employees are not notified (admins have no status)
+    if (!recipient || (recipient.status && recipient.status !== EMPLOYEE_STATUSES.ACTIVE)) return [];
+
+    const preferences = recipient.notificationPreferences || {};
+    const typePreference = TYPE_PREFERENCES[type];
+    if (typePreference && preferences[typePreference] === false) return [];
+
+    const notification = {
+      // Admins are their own organisation
+      admin: recipientModel === 'Admin' ? recipient._id : recipient.admin,
+      recipient: recipient._id,
+      recipientModel,
+      type,
+      title,
+      message,
+      task,
+      data
+    };
+
+    const delivered = [];
+    for (const [channel, transport] of transports) {
+      // In-app is on unless switched off; other channels are opt-in
+      const enabled = preferences[channel] ?? channel === 'inApp';
+      if (!enabled) continue;
+
+      try {
+        await transport.send(notification, recipient);
+        delivered.push(channel);
+      } catch (error) {
+        console.error(`❌ Could not deliver ${type} notification via ${channel}:`, error.message);
+      }
+    }
+    return delivered;
+  } catch (error) {
+    console.error(`❌ Could not send ${type} notification:`, error.message);
+    return [];
+  }
+};
+
+// Tell the assignee about a newly created task
+export const notifyTaskAssigned = (task) => notify({
+  recipientModel: 'Employee',
+  recipientId: task.assignee,
+  type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+  title: `New task: ${task.taskTitle}`,
+  message: `You have been assigned "${task.taskTitle}", due on ${new Date(task.endDate).toLocaleString()}.`,
+  task: task._id,
+  data: { endDate: task.endDate }
+});
+
+// Tell the organisation admin that work is waiting for verification
+export const notifyTaskSubmitted = async (task, { documentAdded = false } = {}) => {
+  const pendingCount = await Task.countDocuments({
+    admin: task.admin,
+    status: TASK_STATES.PENDING_VERIFICATION
+  }).catch(() => null);
+
+  return notify({
+    recipientModel: 'Admin',
+    recipientId: task.admin,
+    type: NOTIFICATION_TYPES.TASK_SUBMITTED,
+    title: documentAdded ? `Document added: ${task.taskTitle}` : `Submitted for verification: ${task.taskTitle}`,
+    message: pendingCount
+      ? `${pendingCount} ${pendingCount === 1 ? 'submission awaits' : 'submissions await'} verification.`
+      : '',
+    task: task._id,
+    data: { assignee: task.assignee, pendingCount }
+  });
+};
+
+// Tell the assignee whether their submission was approved or rejected
+export const notifyTaskReviewed = (task) => {
+  const approved = task.status === TASK_STATES.COMPLETED;
+  return notify({
+    recipientModel: 'Employee',
+    recipientId: task.assignee,
+    type: approved ? NOTIFICATION_TYPES.TASK_APPROVED : NOTIFICATION_TYPES.TASK_REJECTED,
+    title: `${approved ? 'Approved' : 'Rejected'}: ${task.taskTitle}`,
+    message: approved
+      ? `Your submission for "${task.taskTitle}" was approved.`
+      : `Your submission for "${task.taskTitle}" was rejected${task.rejectionReason ? `: ${task.rejectionReason}` : '.'}`,
+    task: task._id
+  });
+};
+
+// Tell the assignee that the last task their task was waiting for has finished
+export const notifyTaskUnblocked = (task, predecessor) => notify({
+  recipientModel: 'Employee',
+  recipientId: task.assignee,
+  type: NOTIFICATION_TYPES.TASK_UNBLOCKED,
+  title: `Ready to start: ${task.taskTitle}`,
+  message: predecessor.status === TASK_STATES.COMPLETED
+    ? `"${predecessor.taskTitle}" was completed, so "${task.taskTitle}" can now be accepted.`
+    : `"${predecessor.taskTitle}" ended without being completed (${predecessor.status}); "${task.taskTitle}" no longer waits for it.`,
+  task: task._id,
+  data: { predecessor: predecessor._id }
+});
+
+// Remind the assignee that a task is due soon; `offset` is a label such as '24h'
+export const notifyTaskReminder = (task, offset) => notify({
+  recipientModel: 'Employee',
+  recipientId: task.assignee,
+  type: NOTIFICATION_TYPES.TASK_REMINDER,
+  title: `Task due soon: ${task.taskTitle}`,
+  message: `"${task.taskTitle}" is due on ${new Date(task.endDate).toLocaleString()}.`,
+  task: task._id,
+  data: { offset, endDate: task.endDate }
+});
+
+// Tell the organisation admin and the assignee that a task expired before it was submitted
+export const notifyTaskExpired = (task) => {
+  const notification = {
+    type: NOTIFICATION_TYPES.TASK_EXPIRED,
+    title: `Task expired: ${task.taskTitle}`,
+    message: `"${task.taskTitle}" passed its due date of ${new Date(task.endDate).toLocaleString()} without being submitted.`,
+    task: task._id,
+    data: { assignee: task.assignee, endDate: task.endDate }
+  };
+
+  return Promise.all([
+    notify({ ...notification, recipientModel: 'Admin', recipientId: task.admin }),
+    notify({ ...notification, recipientModel: 'Employee', recipientId: task.assignee })
+  ]);
+};
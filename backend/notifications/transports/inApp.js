@@ -0,0 +1,6 @@
+import Notification from '../../models/Notification.js';
+
+// Stores the notification so it can be listed in the app
+export default {
+  send: (notification) => Notification.create(notification)
+};
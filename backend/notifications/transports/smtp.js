@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer';
+
+// SMTP delivery. Point SMTP_HOST/SMTP_PORT at a local test server (e.g. MailHog on
+// localhost:1025) during development.
+//
+//   SMTP_HOST     required to enable email
+//   SMTP_PORT     default 587
+//   SMTP_SECURE   'true' for implicit TLS (port 465)
+//   SMTP_USER     optional auth
+//   SMTP_PASS
+//   SMTP_FROM     default 'EMS <no-reply@ems.local>'
+export const isSmtpConfigured = () => Boolean(process.env.SMTP_HOST);
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send one plain-text email
+export const sendEmail = ({ to, subject, text }) => getTransporter().sendMail({
+  from: process.env.SMTP_FROM || 'EMS <no-reply@ems.local>',
+  to,
+  subject,
+  text
+});
+
+export default {
+  send: (notification, recipient) => {
+    if (!recipient.email) return null;
+
+    return sendEmail({
+      to: recipient.email,
+      subject: notification.title,
+      text: notification.message || notification.title
+    });
+  }
+};
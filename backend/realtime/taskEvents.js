@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+// In-process hub for live task updates, streamed to clients by routes/events.js.
+// Events are published after the change is committed and are scoped to the
+// organisation (admin) that owns the task.
+export const TASK_EVENTS = {
+  CREATED: 'task-created',
+  UPDATED: 'task-updated',
+  SUBMITTED: 'task-submitted',
+  VERIFIED: 'task-verified',
+  EXPIRED: 'task-expired'
+};
+
+const bus = new EventEmitter();
+// One listener per open connection
+bus.setMaxListeners(0);
+
+const channel = (adminId) => `org:${adminId}`;
+
+// Broadcast a task change to every connection of the task's organisation.
+// `taskCounts` are the assignee's recomputed counters, so clients can patch them too.
+export const publishTaskEvent = (type, task, { taskCounts = null } = {}) => {
+  const payload = typeof task.toObject === 'function' ? task.toObject() : task;
+
+  bus.emit(channel(payload.admin), {
+    type,
+    task: payload,
+    employeeId: payload.assignee?.toString(),
+    taskCounts,
+    at: new Date()
+  });
+};
+
+// Listen to the task events of one organisation; returns the unsubscribe function
+export const subscribeToTaskEvents = (adminId, listener) => {
+  bus.on(channel(adminId), listener);
+  return () => bus.off(channel(adminId), listener);
+};
@@ -0,0 +1,88 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { startSession } from '../utils/authTokens.js';
+import { findInvitedEmployee } from '../utils/invitations.js';
+import { newPasswordValidator } from '../utils/password.js';
+
+// Public side of invitations, mounted by routes/auth.js at /api/auth/invitations
+const router = express.Router();
+
+const INVALID_INVITATION = {
+  message: 'This invitation link is invalid or has expired. Ask your administrator for a new one.',
+  code: 'INVITATION_INVALID'
+};
+
+// GET /api/auth/invitations/:token - Who the invitation is for, to greet them on the
+// accept page
+router.get('/:token', async (req, res) => {
+  try {
+    const employee = await findInvitedEmployee(req.params.token)
+      ?.select('email firstName lastName admin invitation.expiresAt')
+      .populate('admin', 'name')
+      .lean();
+    if (!employee) {
+      return res.status(404).json(INVALID_INVITATION);
+    }
+
+    res.json({
+      email: employee.email,
+      firstName: employee.firstName,
+      lastName: employee.lastName,
+      organisation: employee.admin?.name || '',
+      expiresAt: employee.invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Invitation lookup error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/invitations/accept - Choose a password and join: { token, password }.
+// Signs the new member in, answering like POST /api/auth/employee/login.
+router.post('/accept', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  newPasswordValidator('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employee = await findInvitedEmployee(req.body.token);
+    if (!employee) {
+      return res.status(400).json(INVALID_INVITATION);
+    }
+
+    // Hashed by the Employee pre-save hook
+    employee.password = req.body.password;
+    employee.status = EMPLOYEE_STATUSES.ACTIVE;
+    employee.statusChangedAt = new Date();
+    employee.invitation = null;
+    employee.mustChangePassword = false;
+    await employee.save({ validateModifiedOnly: true });
+    console.log('✅ Invitation accepted by:', employee.email);
+
+    const token = await startSession(req, res, employee, 'Employee');
+
+    await employee.populate('tasks');
+    const employeeResponse = employee.toObject();
+    delete employeeResponse.password;
+    employeeResponse.adminId = employee.admin;
+
+    res.json({
+      message: 'Welcome aboard',
+      user: { ...employeeResponse, token },
+      userType: 'employee',
+      adminId: employee.admin,
+      token,
+      accessToken: token
+    });
+  } catch (error) {
+    console.error('❌ Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,12 +1,82 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Admin from '../models/Admin.js';
+import Employee, { activeStatusFilter } from '../models/Employee.js';
+import Task from '../models/Task.js';
+import TaskEvent from '../models/TaskEvent.js';
+import Notification from '../models/Notification.js';
+import Team from '../models/Team.js';
+import TaskSeries from '../models/TaskSeries.js';
+import TaskTemplate from '../models/TaskTemplate.js';
+import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { TASK_CATEGORIES, EMPLOYEE_STATUSES, AUDIT_ACTIONS } from '../models/constants.js';
+import {
+  TASK_STATES,
+  canTransition,
+  applyTransition,
+  isTerminalState,
+  transitionConflict
+} from '../utils/taskStateMachine.js';
 import mongoose from 'mongoose';
+import multer from 'multer';
+import { authorize, organisationAccess, employeeAccess } from '../middleware/auth.js';
+import { ROLES, PERMISSIONS, EMPLOYEE_ROLES } from '../config/permissions.js';
+import { JOBS } from '../jobs/index.js';
+import { notifyTaskAssigned } from '../notifications/notifier.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import {
+  MANAGER_SELECT,
+  PROFILE_FIELDS,
+  PROFILE_SELECT,
+  pickProfileFields,
+  profileValidators,
+  validateManager
+} from '../utils/employeeProfile.js';
+import { MAX_IMPORT_BYTES, ROSTER_COLUMNS, prepareEmployeeImport } from '../utils/employeeImport.js';
+import { toCsv } from '../utils/csv.js';
+import { readChecklist, readDocumentTypes } from '../utils/taskDetails.js';
+import {
+  blockedConflict,
+  findOpenBlockers,
+  notifyUnblockedSuccessors,
+  readDependencies
+} from '../utils/taskDependencies.js';
+import teamRoutes from './teams.js';
+import taskSeriesRoutes from './taskSeries.js';
+import taskTemplateRoutes from './taskTemplates.js';
+import taskDependencyRoutes from './taskDependencies.js';
+import invitationRoutes from './invitations.js';
+import {
+  ipRetryAfter,
+  accountRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  tooManyAttempts
+} from '../utils/loginThrottle.js';
 
 const router = express.Router();
 
+// Teams live in their own router: /api/admin/:adminId/teams
+router.use('/:adminId/teams', organisationAccess('adminId'), teamRoutes);
+// Recurring tasks: /api/admin/:adminId/task-series
+router.use('/:adminId/task-series', organisationAccess('adminId'), taskSeriesRoutes);
+// Saved starting points for new tasks: /api/admin/:adminId/task-templates
+router.use('/:adminId/task-templates', organisationAccess('adminId'), taskTemplateRoutes);
+// What a task waits for: /api/admin/:adminId/tasks/:taskId/dependencies
+router.use('/:adminId/tasks/:taskId/dependencies', organisationAccess('adminId'), taskDependencyRoutes);
+// Members invited to join: /api/admin/:adminId/invitations
+router.use('/:adminId/invitations', organisationAccess('adminId'), invitationRoutes);
+
+// Tasks that still need work and have to be handed over when their assignee leaves
+const OPEN_TASK_STATES = Object.values(TASK_STATES).filter(state => !isTerminalState(state));
+// Largest number of copies created by one multi-assignee task
+const MAX_ASSIGNEES = 200;
+
 // GET /api/admin/employee/:employeeId - Get admin by employee ID
-router.get('/employee/:employeeId', async (req, res) => {
+router.get('/employee/:employeeId', authorize(PERMISSIONS.MEMBER_VIEW), employeeAccess('employeeId'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     
@@ -15,20 +85,19 @@ router.get('/employee/:employeeId', async (req, res) => {
       return res.status(400).json({ message: 'Invalid employee ID' });
     }
     
-    // Find admin that has this employee
-    const admin = await Admin.findOne(
-      { 'employees._id': employeeId },
-      { 'employees.$': 1 } // Only return the matching employee
-    );
+    // Find the employee (with tasks) and the organisation it belongs to
+    const employee = await Employee.findById(employeeId)
+      .select('-password')
+      .populate('tasks');
     
-    if (!admin) {
+    if (!employee) {
       return res.status(404).json({ message: 'Admin not found for this employee' });
     }
     
     // Return the admin ID and the employee data
     res.json({
-      adminId: admin._id,
-      employee: admin.employees[0]
+      adminId: employee.admin,
+      employee
     });
   } catch (error) {
     console.error('Error finding admin by employee ID:', error);
@@ -40,13 +109,13 @@ router.get('/employee/:employeeId', async (req, res) => {
 });
 
 // GET /api/admin/tasks/pending-verification - Get all tasks pending verification
-router.get('/tasks/pending-verification', async (req, res) => {
+router.get('/tasks/pending-verification', authorize(PERMISSIONS.TASK_VERIFY), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const adminId = req.query.adminId || req.admin?._id;
+    const adminId = req.query.adminId || req.user?.adminId;
     
     if (!adminId) {
       console.error('No admin ID found in request');
@@ -57,48 +126,57 @@ router.get('/tasks/pending-verification', async (req, res) => {
       return res.status(400).json({ message: 'Invalid admin ID format' });
     }
 
-    // Get the admin document
-    const adminDoc = await Admin.findById(adminId).lean();
-    if (!adminDoc) {
-      return res.status(404).json({ message: 'Admin not found' });
+    // Verifiers only see their own organisation's queue
+    if (adminId.toString() !== req.user.adminId.toString()) {
+      return res.status(403).json({ message: 'Forbidden: cannot access another organisation' });
     }
-    
-    // First, get all pending tasks for the admin's employees
-    const pendingTasks = [];
-    let totalPendingTasks = 0;
-    
-    adminDoc.employees.forEach(employee => {
-      if (employee.tasks) {
-        const employeePendingTasks = employee.tasks.filter(
-          task => task.verificationStatus === 'pending' && 
-                 (task.completed || (task.submittedDocuments && task.submittedDocuments.length > 0))
-        );
-        
-        totalPendingTasks += employeePendingTasks.length;
-        
-        employeePendingTasks.forEach(task => {
-          pendingTasks.push({
-            taskId: task._id,
-            title: task.title || 'Untitled Task',
-            description: task.description,
-            dueDate: task.dueDate,
-            status: task.status,
-            verificationStatus: task.verificationStatus,
-            employee: {
-              id: employee._id,
-              name: `${employee.firstName} ${employee.lastName}`,
-              email: employee.email
-            },
-            createdAt: task.createdAt,
-            updatedAt: task.updatedAt
-          });
-        });
+
+    // Submitted tasks of this organisation still waiting for a decision
+    const pendingFilter = {
+      admin: adminId,
+      verificationStatus: 'pending',
+      $or: [
+        { completed: true },
+        { 'submittedDocuments.0': { $exists: true } }
+      ]
+    };
+
+    // Narrow the queue to one team's members
+    if (req.query.team) {
+      const teamMembers = await Team.memberIds(adminId, req.query.team);
+      if (!teamMembers) {
+        return res.status(404).json({ message: 'Team not found' });
       }
-    });
+      pendingFilter.assignee = { $in: teamMembers };
+    }
+
+    const [totalPendingTasks, tasks] = await Promise.all([
+      Task.countDocuments(pendingFilter),
+      Task.find(pendingFilter)
+        .populate('assignee', 'firstName lastName email')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean()
+    ]);
+
+    const paginatedTasks = tasks.map(task => ({
+      taskId: task._id,
+      title: task.title || 'Untitled Task',
+      description: task.description,
+      dueDate: task.dueDate,
+      status: task.status,
+      verificationStatus: task.verificationStatus,
+      employee: {
+        id: task.assignee?._id,
+        name: [task.assignee?.firstName, task.assignee?.lastName].filter(Boolean).join(' '),
+        email: task.assignee?.email
+      },
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt
+    }));
     
-    // Apply pagination
     const totalPages = Math.ceil(totalPendingTasks / limit);
-    const paginatedTasks = pendingTasks.slice(skip, skip + limit);
 
     res.json({
       success: true,
@@ -122,56 +200,53 @@ router.get('/tasks/pending-verification', async (req, res) => {
   }
 });
 
-// Debug route to check tasks with more detailed information
-router.get('/debug/verification-tasks', async (req, res) => {
+// Debug route to check the caller's organisation's tasks with more detailed information
+router.get('/debug/verification-tasks', authorize(PERMISSIONS.ORG_MANAGE), async (req, res) => {
   try {
-    const admins = await Admin.find({}, { 'employees.tasks': 1, 'employees.email': 1, 'employees.firstName': 1, 'employees.lastName': 1 });
+    const tasks = await Task.find({ admin: req.user.adminId }).populate('assignee', 'email firstName lastName').lean();
     
     const allTasks = [];
     
-    admins.forEach(admin => {
-      admin.employees.forEach(employee => {
-        (employee.tasks || []).forEach(task => {
-          const taskData = {
-            taskId: task._id,
-            taskTitle: task.taskTitle,
-            verificationStatus: task.verificationStatus,
-            status: task.status,
-            completed: task.completed,
-            active: task.active,
-            newTask: task.newTask,
-            failed: task.failed,
-            hasDocuments: (task.submittedDocuments?.length || 0) > 0,
-            documentCount: task.submittedDocuments?.length || 0,
-            employee: {
-              id: employee._id,
-              email: employee.email,
-              name: `${employee.firstName || ''} ${employee.lastName || ''}`.trim()
-            },
-            adminId: admin._id,
-            taskDate: task.taskDate,
-            endDate: task.endDate,
-            category: task.category,
-            createdAt: task.createdAt,
-            updatedAt: task.updatedAt
-          };
-          
-          // Log tasks that should appear in verification
-          if (task.verificationStatus === 'pending' && (task.completed || task.submittedDocuments?.length > 0)) {
-            console.log('Task eligible for verification:', {
-              taskId: task._id,
-              title: task.taskTitle,
-              status: task.status,
-              verificationStatus: task.verificationStatus,
-              completed: task.completed,
-              hasDocuments: task.submittedDocuments?.length > 0,
-              documentCount: task.submittedDocuments?.length || 0
-            });
-          }
-          
-          allTasks.push(taskData);
+    tasks.forEach(task => {
+      const employee = task.assignee || {};
+      const taskData = {
+        taskId: task._id,
+        taskTitle: task.taskTitle,
+        verificationStatus: task.verificationStatus,
+        status: task.status,
+        completed: task.completed,
+        active: task.active,
+        newTask: task.newTask,
+        failed: task.failed,
+        hasDocuments: (task.submittedDocuments?.length || 0) > 0,
+        documentCount: task.submittedDocuments?.length || 0,
+        employee: {
+          id: employee._id,
+          email: employee.email,
+          name: `${employee.firstName || ''} ${employee.lastName || ''}`.trim()
+        },
+        adminId: task.admin,
+        taskDate: task.taskDate,
+        endDate: task.endDate,
+        category: task.category,
+        createdAt: task.createdAt,
+        updatedAt: task.updatedAt
+      };
+      
+      // Log tasks that should appear in verification
+      if (task.verificationStatus === 'pending' && (task.completed || task.submittedDocuments?.length > 0)) {
+        console.log('Task eligible for verification:', {
+          taskId: task._id,
+          title: task.taskTitle,
+          status: task.status,
+          verificationStatus: task.verificationStatus,
+          completed: task.completed,
+          hasDocuments: task.submittedDocuments?.length > 0,
+          documentCount: task.submittedDocuments?.length || 0
         });
-      });
+      }
+      
+      allTasks.push(taskData);
     });
 
     const pendingVerificationTasks = allTasks.filter(t => t.verificationStatus === 'pending');
@@ -198,7 +273,7 @@ router.get('/debug/verification-tasks', async (req, res) => {
 });
 
 // In backend/routes/admin.js
-router.get('/health', (req, res) => {
+router.get('/health', authorize(PERMISSIONS.ORG_MANAGE), (req, res) => {
   const memoryUsage = process.memoryUsage();
   res.json({
     status: 'ok',
@@ -212,10 +287,41 @@ router.get('/health', (req, res) => {
   });
 });
 
-// GET /api/admin - Get all admins
-router.get('/', async (req, res) => {
+// GET /api/admin/scheduler/:job - Inspect a background job (task-expiry, task-reminders)
+router.get('/scheduler/:job', authorize(PERMISSIONS.ORG_MANAGE), async (req, res) => {
   try {
-    const admins = await Admin.find().select('-password');
+    const job = JOBS[req.params.job];
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', jobs: Object.keys(JOBS) });
+    }
+    res.json(await job.status());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/admin/scheduler/:job/run - Run a background job now
+router.post('/scheduler/:job/run', authorize(PERMISSIONS.ORG_MANAGE), async (req, res) => {
+  try {
+    const job = JOBS[req.params.job];
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', jobs: Object.keys(JOBS) });
+    }
+    const run = await job.run({ trigger: 'manual' });
+    if (!run.ran) {
+      return res.status(409).json({ message: run.reason, code: 'JOB_LOCKED' });
+    }
+    console.log(`⏰ ${job.name} run triggered by ${req.user.email}`);
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/admin - Admins the caller can see: only their own organisation's
+router.get('/', authorize(PERMISSIONS.ORG_MANAGE), async (req, res) => {
+  try {
+    const admins = await Admin.find({ _id: req.user.adminId }).select('-password');
     res.json(admins);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -223,72 +329,69 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/admin/:id - Get admin by ID with pagination
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize(PERMISSIONS.ORG_MANAGE), organisationAccess('id'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Only select necessary fields and populate employees with pagination
-    const admin = await Admin.aggregate([
-      { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
-      {
-        $project: {
-          _id: 1,  // Ensure _id is always included
-          email: 1,
-          name: 1,
-          createdAt: 1,
-          updatedAt: 1,
-          employees: {
-            $slice: [
-              {
-                $map: {
-                  input: { $ifNull: ['$employees', []] },
-                  as: 'emp',
-                  in: {
-                    _id: '$$emp._id',
-                    firstName: '$$emp.firstName',
-                    lastName: '$$emp.lastName',
-                    email: '$$emp.email',
-                    position: '$$emp.position',
-                    department: '$$emp.department',
-                    taskCounts: '$$emp.taskCounts',
-                    tasks: {
-                      $filter: {
-                        input: { $ifNull: ['$$emp.tasks', []] },
-                        as: 'task',
-                        cond: { 
-                          $in: ['$$task.status', ['active', 'pendingVerification']]
-                        }
-                      }
-                    },
-                    taskCount: { $size: { $ifNull: ['$$emp.tasks', []] } }
-                  }
-                }
-              },
-              skip,
-              limit
-            ]
-          }
-        }
-      }
-    ]);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid admin ID format' });
+    }
+
+    const admin = await Admin.findById(req.params.id)
+      .select('_id email name createdAt updatedAt')
+      .lean();
 
-    if (!admin || admin.length === 0) {
+    if (!admin) {
       return res.status(404).json({ message: 'Admin not found' });
     }
 
-    // Get total count of employees for pagination
-    const totalEmployees = await Admin.aggregate([
-      { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
-      { $project: { count: { $size: { $ifNull: ['$employees', []] } } } }
+    // Page through the organisation's employees; offboarded members only on request
+    const employeeFilter = { admin: admin._id };
+    if (req.query.includeOffboarded !== 'true') {
+      employeeFilter.status = { $ne: EMPLOYEE_STATUSES.OFFBOARDED };
+    }
+    const [total, employees] = await Promise.all([
+      Employee.countDocuments(employeeFilter),
+      Employee.find(employeeFilter)
+        .select(`${PROFILE_SELECT} taskCounts invitation.expiresAt invitation.sentAt lockedUntil`)
+        .populate('manager', MANAGER_SELECT)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean()
     ]);
+    const employeeIds = employees.map(emp => emp._id);
+
+    // Only ship tasks that still need attention, plus a total per employee
+    const [openTasks, taskTotals] = await Promise.all([
+      Task.find({
+        assignee: { $in: employeeIds },
+        status: { $in: ['active', 'pendingVerification'] }
+      }).lean(),
+      Task.aggregate([
+        { $match: { assignee: { $in: employeeIds } } },
+        { $group: { _id: '$assignee', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalsByEmployee = new Map(taskTotals.map(t => [t._id.toString(), t.count]));
+    const tasksByEmployee = openTasks.reduce((acc, task) => {
+      const key = task.assignee.toString();
+      (acc[key] = acc[key] || []).push(task);
+      return acc;
+    }, {});
 
-    const total = totalEmployees[0]?.count || 0;
     const totalPages = Math.ceil(total / limit);
 
     const result = {
-      ...admin[0],
+      ...admin,
+      employees: employees.map(emp => ({
+        ...emp,
+        tasks: tasksByEmployee[emp._id.toString()] || [],
+        taskCount: totalsByEmployee.get(emp._id.toString()) || 0
+      })),
       pagination: {
         currentPage: page,
         totalPages,
@@ -297,17 +400,6 @@ router.get('/:id', async (req, res) => {
       }
     };
 
-    // Ensure essential fields are present
-    if (!result._id) {
-      console.error('Admin aggregation missing _id field:', result);
-      result._id = req.params.id;
-    }
-
-    // Ensure employees array exists
-    if (!result.employees) {
-      result.employees = [];
-    }
-
     console.log('Admin GET response for ID:', req.params.id, 'has _id:', !!result._id, 'employees count:', result.employees?.length || 0);
 
     res.json(result);
@@ -321,7 +413,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/admin - Create new admin
-router.post('/', [
+router.post('/', authorize(PERMISSIONS.ORG_MANAGE), [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 3 }).withMessage('Password must be at least 3 characters')
 ], async (req, res) => {
@@ -358,7 +450,7 @@ router.post('/', [
 });
 
 // POST /api/admin/login - Admin login
-router.post('/login', [
+router.post('/login', authorize(PERMISSIONS.ORG_MANAGE), [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -370,17 +462,39 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Throttled like /api/auth/admin/login, so this route cannot be used to guess passwords
+    const ipWait = ipRetryAfter(req.ip);
+    if (ipWait > 0) {
+      return tooManyAttempts(res, { retryAfter: ipWait });
+    }
+
     // Find admin by email
     const admin = await Admin.findOne({ email });
     if (!admin) {
+      await recordLoginFailure(req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Check password (in production, use bcrypt)
-    if (admin.password !== password) {
+    const adminWait = await accountRetryAfter(admin, 'Admin', req);
+    if (adminWait) {
+      return tooManyAttempts(res, adminWait);
+    }
+
+    // Check password (bcrypt hash, or legacy plaintext that gets upgraded below)
+    const { match, needsUpgrade } = await admin.comparePassword(password);
+    if (!match) {
+      await recordLoginFailure(req, admin, 'Admin');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    await recordLoginSuccess(req, admin, 'Admin');
+
+    if (needsUpgrade) {
+      admin.password = password;
+      admin.$locals.passwordRehash = true;
+      await admin.save({ validateModifiedOnly: true });
+    }
+
     // Return admin without password
     const adminResponse = admin.toObject();
     delete adminResponse.password;
@@ -395,9 +509,11 @@ router.post('/login', [
 });
 
 // POST /api/admin/:adminId/employees - Create a new employee for an admin
-router.post('/:adminId/employees', [
+router.post('/:adminId/employees', authorize(PERMISSIONS.MEMBER_MANAGE), organisationAccess('adminId'), [
   body('email').isEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 3 }).withMessage('Password must be at least 3 characters')
+  body('password').isLength({ min: 3 }).withMessage('Password must be at least 3 characters'),
+  body('role').optional().isIn(EMPLOYEE_ROLES).withMessage(`Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`),
+  ...profileValidators({ requireName: true })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -406,7 +522,7 @@ router.post('/:adminId/employees', [
     }
 
     const { adminId } = req.params;
-    const { firstName, email, password, address } = req.body;
+    const { email, password, role } = req.body;
 
     // Validate adminId
     if (!mongoose.Types.ObjectId.isValid(adminId)) {
@@ -419,40 +535,48 @@ router.post('/:adminId/employees', [
       return res.status(404).json({ message: 'Admin not found' });
     }
 
-    // Check if employee with this email already exists in this admin's employees
-    const existingEmployee = admin.employees.find(emp => emp.email === email);
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // An email can only belong to one employee in any organisation
+    const [existingEmployee] = await Employee.findByEmail(normalizedEmail);
     if (existingEmployee) {
       return res.status(400).json({ message: 'Employee with this email already exists' });
     }
 
-    // Create new employee
-    const newEmployee = {
-      firstName: firstName || '',
-      email: email.toLowerCase().trim(),
+    const profile = pickProfileFields(req.body, PROFILE_FIELDS);
+    const managerError = await validateManager(admin._id, profile.manager);
+    if (managerError) {
+      return res.status(400).json({ message: managerError });
+    }
+
+    // Create new employee (password is hashed by the Employee pre-save hook)
+    const createdEmployee = await Employee.create({
+      ...profile,
+      admin: admin._id,
+      email: normalizedEmail,
       password: password,
-      address: address || '',
-      tasks: [],
+      mustChangePassword: true,
+      role: role || ROLES.EMPLOYEE,
       taskCounts: {
         newTask: 0,
         active: 0,
         completed: 0,
         failed: 0
       }
-    };
-
-    // Add employee to admin
-    admin.employees.push(newEmployee);
-    await admin.save();
-
-    // Get the newly created employee (it will have an _id after save)
-    const createdEmployee = admin.employees[admin.employees.length - 1];
+    });
 
-    // Return employee without password
+    // Return employee without password; a new employee has no tasks yet
+    await createdEmployee.populate('manager', MANAGER_SELECT);
     const employeeResponse = createdEmployee.toObject();
     delete employeeResponse.password;
+    employeeResponse.tasks = [];
 
     res.status(201).json(employeeResponse);
   } catch (error) {
+    // Someone registered the email between the check and the insert
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Employee with this email already exists' });
+    }
     console.error('Error creating employee:', error);
     res.status(500).json({ 
       message: 'Server error', 
@@ -461,8 +585,505 @@ router.post('/:adminId/employees', [
   }
 });
 
+// Accept the import file as multipart upload (field `file`) or as a raw text/csv body
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES } });
+const receiveCsv = [
+  express.text({ type: ['text/csv', 'text/plain'], limit: MAX_IMPORT_BYTES }),
+  (req, res, next) => csvUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: `CSV upload failed: ${error.message}` });
+    }
+    next();
+  })
+];
+
+// POST /api/admin/:adminId/employees/import - Create employees from a CSV roster.
+// Every row is validated first; if any row is rejected nothing is imported. With
+// `?dryRun=true` the file is only validated and the would-be result is returned.
+router.post('/:adminId/employees/import', authorize(PERMISSIONS.MEMBER_MANAGE), organisationAccess('adminId'), receiveCsv, async (req, res) => {
+  const { adminId } = req.params;
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === 'true' || req.body?.dryRun === true;
+  const csvText = req.file
+    ? req.file.buffer.toString('utf8')
+    : (typeof req.body === 'string' ? req.body : req.body?.csv);
+
+  if (!csvText || !csvText.trim()) {
+    return res.status(400).json({ message: 'Upload a CSV file (field "file") or send it as a text/csv body' });
+  }
+
+  let prepared;
+  try {
+    prepared = await prepareEmployeeImport(new mongoose.Types.ObjectId(adminId), csvText);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const { rows, errors, ignoredColumns } = prepared;
+  const summary = {
+    dryRun,
+    totalRows: rows.length + errors.length,
+    valid: rows.length,
+    imported: 0,
+    errors,
+    ignoredColumns
+  };
+
+  if (dryRun) {
+    return res.json({
+      ...summary,
+      employees: rows.map(({ row, employee }) => ({
+        row,
+        email: employee.email,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        role: employee.role
+      }))
+    });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      ...summary,
+      message: `${errors.length} row(s) have errors; nothing was imported`
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Employee.create (not insertMany) so passwords go through the pre-save hash hook
+    const created = await Employee.create(rows.map(({ employee }) => employee), { session, ordered: true });
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`📥 Imported ${created.length} employee(s) into organisation ${adminId}`);
+
+    res.status(201).json({
+      ...summary,
+      imported: created.length,
+      // Generated passwords are only ever shown here; share them with the new members
+      employees: created.map((employee, index) => ({
+        row: rows[index].row,
+        _id: employee._id,
+        email: employee.email,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        role: employee.role,
+        temporaryPassword: rows[index].temporaryPassword || undefined
+      }))
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    // Someone registered one of the emails between validation and insert
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An email in the file was registered while importing; nothing was imported' });
+    }
+    console.error('Error importing employees:', error);
+    res.status(500).json({ message: 'Error importing employees', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/employees/export - Download the roster as CSV.
+// Offboarded members are included with `?includeOffboarded=true`.
+router.get('/:adminId/employees/export', authorize(PERMISSIONS.MEMBER_VIEW), organisationAccess('adminId'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const filter = { admin: adminId };
+    if (req.query.includeOffboarded !== 'true') {
+      filter.status = { $ne: EMPLOYEE_STATUSES.OFFBOARDED };
+    }
+
+    const employees = await Employee.find(filter)
+      .select(PROFILE_SELECT)
+      .populate('manager', 'email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const csv = toCsv(ROSTER_COLUMNS, employees.map(employee => ({
+      ...employee,
+      status: employee.status || EMPLOYEE_STATUSES.ACTIVE,
+      manager: employee.manager?.email || ''
+    })));
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="employees-${date}.csv"`
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting employees:', error);
+    res.status(500).json({ message: 'Error exporting employees', error: error.message });
+  }
+});
+
+// PATCH /api/admin/:adminId/employees/:employeeId - Edit an employee, or deactivate/reactivate them
+router.patch('/:adminId/employees/:employeeId', authorize(PERMISSIONS.MEMBER_MANAGE), organisationAccess('adminId'), [
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('password').optional().isLength({ min: 3 }).withMessage('Password must be at least 3 characters'),
+  body('role').optional().isIn(EMPLOYEE_ROLES).withMessage(`Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`),
+  body('status').optional()
+    .isIn([EMPLOYEE_STATUSES.ACTIVE, EMPLOYEE_STATUSES.INACTIVE])
+    .withMessage('Status must be active or inactive; use DELETE to offboard'),
+  ...profileValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId, employeeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID format' });
+    }
+
+    const employee = await Employee.findOne({ _id: employeeId, admin: adminId });
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const { email, password, role, status } = req.body;
+
+    // Invited members choose their own password and become active by accepting
+    if (employee.status === EMPLOYEE_STATUSES.INVITED && (password || status !== undefined)) {
+      return res.status(409).json({
+        message: 'This member has not accepted their invitation yet; resend or revoke it instead',
+        code: 'INVITATION_PENDING'
+      });
+    }
+
+    if (email !== undefined) {
+      const normalizedEmail = email.toLowerCase().trim();
+      const [emailOwner] = await Employee.findByEmail(normalizedEmail, { except: employee._id });
+      if (emailOwner) {
+        return res.status(400).json({ message: 'Employee with this email already exists' });
+      }
+      employee.email = normalizedEmail;
+    }
+
+    const profile = pickProfileFields(req.body, PROFILE_FIELDS);
+    if (profile.manager !== undefined) {
+      const managerError = await validateManager(adminId, profile.manager, employee._id);
+      if (managerError) {
+        return res.status(400).json({ message: managerError });
+      }
+    }
+    Object.assign(employee, profile);
+
+    if (role !== undefined) employee.role = role;
+    // Hashed by the Employee pre-save hook; the employee replaces it at their next login
+    if (password) {
+      employee.password = password;
+      employee.mustChangePassword = true;
+    }
+
+    // Setting the status back to active also brings back an offboarded employee
+    if (status !== undefined && status !== (employee.status || EMPLOYEE_STATUSES.ACTIVE)) {
+      employee.status = status;
+      employee.statusChangedAt = new Date();
+      if (status === EMPLOYEE_STATUSES.ACTIVE) {
+        employee.offboardedAt = null;
+      }
+      console.log(`👤 Employee ${employee.email} is now ${status}`);
+    }
+
+    await employee.save();
+    await employee.populate('manager', MANAGER_SELECT);
+
+    const employeeResponse = employee.toObject();
+    delete employeeResponse.password;
+    res.json(employeeResponse);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Employee with this email already exists' });
+    }
+    console.error('Error updating employee:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      message: 'Error updating employee',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/:adminId/employees/:employeeId/unlock - Lift the lockout of a member
+// locked out after too many failed logins (and forget their failed attempts)
+router.post('/:adminId/employees/:employeeId/unlock', authorize(PERMISSIONS.MEMBER_MANAGE), organisationAccess('adminId'), async (req, res) => {
+  try {
+    const { adminId, employeeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID format' });
+    }
+
+    const employee = await Employee.findOne({ _id: employeeId, admin: adminId })
+      .select('email admin lockedUntil')
+      .lean();
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const wasLocked = await unlockAccount(employee, 'Employee', { user: req.user, ip: req.ip, note: 'Unlocked by an admin' });
+    if (wasLocked) {
+      console.log(`🔓 Employee ${employee.email} unlocked by ${req.user.email}`);
+    }
+
+    res.json({
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked',
+      employeeId: employee._id,
+      wasLocked
+    });
+  } catch (error) {
+    console.error('Error unlocking employee:', error);
+    res.status(500).json({ message: 'Error unlocking employee', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/audit-events - Security log of the organisation, newest first.
+// Optional ?action= (one of AUDIT_ACTIONS) and ?employeeId=, paginated with ?page=&limit=.
+router.get('/:adminId/audit-events', authorize(PERMISSIONS.ORG_MANAGE), organisationAccess('adminId'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = { admin: adminId };
+    if (req.query.action) {
+      if (!Object.values(AUDIT_ACTIONS).includes(req.query.action)) {
+        return res.status(400).json({ message: `Action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}` });
+      }
+      filter.action = req.query.action;
+    }
+    if (req.query.employeeId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.employeeId)) {
+        return res.status(400).json({ message: 'Invalid employee ID format' });
+      }
+      filter.target = req.query.employeeId;
+    }
+
+    const [total, events] = await Promise.all([
+      AuditEvent.countDocuments(filter),
+      AuditEvent.find(filter)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEvents: total,
+        eventsPerPage: limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// DELETE /api/admin/:adminId/employees/:employeeId - Offboard an employee.
+// Open tasks must be handed over first: pass `reassignTo` (another active member) or
+// `closeOpenTasks: true` to mark them failed. Without either the request is refused
+// with 409 and the list of open tasks so the client can ask what to do with them.
+router.delete('/:adminId/employees/:employeeId', authorize(PERMISSIONS.MEMBER_MANAGE), organisationAccess('adminId'), async (req, res) => {
+  const { adminId, employeeId } = req.params;
+  const { reassignTo, closeOpenTasks } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+    return res.status(400).json({ message: 'Invalid employee ID format' });
+  }
+  if (reassignTo && closeOpenTasks) {
+    return res.status(400).json({ message: 'Choose either reassignTo or closeOpenTasks, not both' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const employee = await Employee.findOne({ _id: employeeId, admin: adminId }).session(session);
+    if (!employee) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    if (employee.status === EMPLOYEE_STATUSES.OFFBOARDED) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({ message: 'Employee is already offboarded', code: 'ALREADY_OFFBOARDED' });
+    }
+
+    let newAssignee = null;
+    if (reassignTo) {
+      if (reassignTo.toString() === employeeId.toString()) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: 'Tasks must be reassigned to a different employee' });
+      }
+      newAssignee = mongoose.Types.ObjectId.isValid(reassignTo)
+        ? await Employee.findOne({ _id: reassignTo, admin: adminId }).session(session)
+        : null;
+      if (!newAssignee || !newAssignee.isActive) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: 'Tasks can only be reassigned to an active member of the organisation' });
+      }
+    }
+
+    const openTasks = await Task.find({ assignee: employee._id, status: { $in: OPEN_TASK_STATES } })
+      .session(session);
+
+    if (openTasks.length > 0 && !newAssignee && !closeOpenTasks) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        message: `${openTasks.length} open task(s) must be reassigned or closed before offboarding`,
+        code: 'OPEN_TASKS',
+        openTasks: openTasks.map(task => ({
+          _id: task._id,
+          taskTitle: task.taskTitle,
+          status: task.status,
+          endDate: task.endDate
+        }))
+      });
+    }
+
+    const now = new Date();
+    const previousName = employee.fullName;
+    for (const task of openTasks) {
+      if (newAssignee) {
+        // The task keeps its state; the history records who it was handed to
+        task.assignee = newAssignee._id;
+        await task.save({ session });
+        await TaskEvent.record(task, {
+          fromState: task.status,
+          toState: task.status,
+          at: now,
+          by: req.user.id,
+          note: `Reassigned from ${previousName} to ${newAssignee.fullName}`
+        }, { user: req.user, session });
+      } else {
+        const transition = applyTransition(task, TASK_STATES.FAILED, {
+          at: now,
+          by: req.user.id,
+          note: 'Assignee offboarded'
+        });
+        await task.save({ session });
+        await TaskEvent.record(task, transition, { user: req.user, session });
+      }
+    }
+
+    employee.status = EMPLOYEE_STATUSES.OFFBOARDED;
+    employee.statusChangedAt = now;
+    employee.offboardedAt = now;
+    await employee.save({ session, validateModifiedOnly: true });
+
+    // Direct reports no longer have this person as their manager, and teams lose a member
+    await Employee.updateMany(
+      { admin: adminId, manager: employee._id },
+      { $set: { manager: null } },
+      { session }
+    );
+    const formerTeams = await Team.find({ admin: adminId, members: employee._id }).select('_id').session(session).lean();
+    await Team.updateMany(
+      { admin: adminId, lead: employee._id },
+      { $set: { lead: null } },
+      { session }
+    );
+    await Team.updateMany(
+      { admin: adminId, members: employee._id },
+      { $pull: { members: employee._id } },
+      { session }
+    );
+    for (const team of formerTeams) {
+      await Team.refreshTaskCounts(team._id, session);
+    }
+
+    const taskCounts = await Employee.refreshTaskCounts(employee._id, session);
+    const newAssigneeCounts = newAssignee
+      ? await Employee.refreshTaskCounts(newAssignee._id, session)
+      : null;
+
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`👋 Offboarded employee ${employee.email}: ${openTasks.length} open task(s) ${newAssignee ? `reassigned to ${newAssignee.email}` : 'closed'}`);
+
+    for (const task of openTasks) {
+      if (newAssignee) {
+        publishTaskEvent(TASK_EVENTS.UPDATED, task, { taskCounts: newAssigneeCounts });
+        await notifyTaskAssigned(task);
+      } else {
+        publishTaskEvent(TASK_EVENTS.UPDATED, task, { taskCounts });
+        // Closed tasks no longer hold back the tasks waiting for them
+        await notifyUnblockedSuccessors(task);
+      }
+    }
+
+    res.json({
+      message: 'Employee offboarded successfully',
+      employee: {
+        _id: employee._id,
+        email: employee.email,
+        status: employee.status,
+        offboardedAt: employee.offboardedAt
+      },
+      reassignedTo: newAssignee?._id || null,
+      tasksReassigned: newAssignee ? openTasks.length : 0,
+      tasksClosed: newAssignee ? 0 : openTasks.length
+    });
+  } catch (error) {
+    console.error('Error offboarding employee:', error);
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({
+      message: 'Error offboarding employee',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/admin/:adminId/security - Security settings of the organisation:
+// { requireTwoFactor }. Two-factor authentication can only be required once the admin
+// has turned it on (409, code TWO_FACTOR_NOT_ENABLED); while required it cannot be turned off.
+router.patch('/:adminId/security', authorize(PERMISSIONS.ORG_MANAGE), organisationAccess('adminId'), [
+  body('requireTwoFactor').isBoolean().withMessage('requireTwoFactor must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const admin = await Admin.findById(req.params.adminId).select('twoFactor.enabled').lean();
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const requireTwoFactor = req.body.requireTwoFactor === true || req.body.requireTwoFactor === 'true';
+    if (requireTwoFactor && !admin.twoFactor?.enabled) {
+      return res.status(409).json({
+        message: 'Turn on two-factor authentication for your own account before requiring it',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    await Admin.updateOne({ _id: admin._id }, { $set: { requireTwoFactor } });
+    console.log(`🛡️ Two-factor authentication ${requireTwoFactor ? 'required' : 'optional'} for organisation ${admin._id}`);
+
+    res.json({ requireTwoFactor });
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ message: 'Error updating security settings', error: error.message });
+  }
+});
+
 // PUT /api/admin/:id - Update admin
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize(PERMISSIONS.ORG_MANAGE), organisationAccess('id'), async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -474,8 +1095,6 @@ router.put('/:id', async (req, res) => {
     if (email) admin.email = email;
     if (password) admin.password = password;
 
-    // Ensure Mongoose tracks subdocument changes properly
-    admin.markModified('employees');
     await admin.save({ validateModifiedOnly: true });
     
     const adminResponse = admin.toObject();
@@ -488,139 +1107,363 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/admin/:id - Delete admin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize(PERMISSIONS.ORG_MANAGE), organisationAccess('id'), async (req, res) => {
   try {
     const admin = await Admin.findByIdAndDelete(req.params.id);
     if (!admin) {
       return res.status(404).json({ message: 'Admin not found' });
     }
+
+    // Employees and tasks no longer live inside the admin document, remove them explicitly
+    await Promise.all([
+      Employee.deleteMany({ admin: admin._id }),
+      Task.deleteMany({ admin: admin._id }),
+      TaskEvent.deleteForOrganisation(admin._id),
+      Notification.deleteMany({ admin: admin._id }),
+      Team.deleteMany({ admin: admin._id }),
+      TaskSeries.deleteMany({ admin: admin._id }),
+      TaskTemplate.deleteMany({ admin: admin._id }),
+      RefreshToken.deleteMany({ admin: admin._id }),
+      PasswordResetToken.deleteMany({ admin: admin._id }),
+      AuditEvent.deleteForOrganisation(admin._id)
+    ]);
     res.json({ message: 'Admin deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Check the fields of a task to create. Returns { error } for a 400 response, or
+// { fields } with the server-side start time and a new state.
+const readNewTask = (taskData) => {
+  // Validate required fields (taskDate is set by server, so not required from client)
+  if (!taskData.taskTitle || !taskData.taskDescription || !taskData.endDate || !taskData.category) {
+    return { error: 'Missing required task fields' };
+  }
+
+  if (!TASK_CATEGORIES.includes(taskData.category)) {
+    return { error: `Invalid category. Must be one of: ${TASK_CATEGORIES.join(', ')}` };
+  }
+
+  // Validate dates
+  // Set task start time on server to avoid client clock/timezone issues
+  const parsedTaskDate = new Date();
+  const parsedEndDate = new Date(taskData.endDate);
+  if (isNaN(parsedEndDate.getTime())) {
+    return { error: 'Invalid endDate format. Expect ISO string.' };
+  }
+  // Allow a small grace (30 seconds) so endDate on the same minute is accepted
+  const GRACE_MS = 30 * 1000;
+  if (parsedEndDate.getTime() <= parsedTaskDate.getTime() + GRACE_MS) {
+    return { error: 'End date/time must be slightly after current time' };
+  }
+
+  const documentTypes = readDocumentTypes(taskData.requiredDocumentTypes);
+  if (documentTypes.error) {
+    return { error: documentTypes.error };
+  }
+  const checklist = readChecklist(taskData.checklist);
+  if (checklist.error) {
+    return { error: checklist.error };
+  }
+
+  return {
+    fields: {
+      taskTitle: taskData.taskTitle,
+      taskDescription: taskData.taskDescription,
+      taskDate: parsedTaskDate,
+      endDate: parsedEndDate,
+      category: taskData.category,
+      requiredDocumentTypes: documentTypes.value,
+      checklist: checklist.value,
+      // Flags and verificationStatus are derived from the status by the Task model
+      status: TASK_STATES.NEW
+    }
+  };
+};
+
+// Response for a task creation error; validation problems are the client's fault
+const sendTaskCreationError = (req, res, error) => {
+  const payload = {
+    name: error.name,
+    message: error.message,
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+  };
+  // Include validation errors if present
+  if (error.name === 'ValidationError' && error.errors) {
+    payload.validationErrors = Object.keys(error.errors).reduce((acc, key) => {
+      acc[key] = error.errors[key]?.message || String(error.errors[key]);
+      return acc;
+    }, {});
+  }
+  console.error('Error creating task:', payload);
+  if (process.env.NODE_ENV === 'development') {
+    console.error('Request body:', req.body);
+    console.error('Params:', req.params);
+  }
+  const status = payload.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ 
+    message: 'Error creating task', 
+    error: payload
+  });
+};
+
 // POST /api/admin/:adminId/employees/:employeeId/tasks - Create a new task for an employee
-router.post('/:adminId/employees/:employeeId/tasks', async (req, res) => {
+router.post('/:adminId/employees/:employeeId/tasks', authorize(PERMISSIONS.TASK_CREATE), organisationAccess('adminId'), async (req, res) => {
   try {
     const { adminId, employeeId } = req.params;
-    const taskData = req.body;
     
     // Validate ObjectIds
     if (!mongoose.Types.ObjectId.isValid(adminId) || 
         !mongoose.Types.ObjectId.isValid(employeeId)) {
       return res.status(400).json({ message: 'Invalid ID format' });
     }
-    
-    // Validate required fields (taskDate is set by server, so not required from client)
-    if (!taskData.taskTitle || !taskData.taskDescription || !taskData.endDate || !taskData.category) {
-      return res.status(400).json({ message: 'Missing required task fields' });
+
+    const { error, fields } = readNewTask(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const dependencies = await readDependencies(adminId, req.body.dependsOn);
+    if (dependencies.error) {
+      return res.status(400).json({ message: dependencies.error, code: dependencies.code });
     }
+    fields.dependsOn = dependencies.value;
     
-    // Optional: ensure the requester matches the admin in path (defense in depth)
-    if (req.user && req.user.role === 'admin' && req.user.id && req.user.id.toString() !== adminId.toString()) {
-      return res.status(403).json({ message: 'Forbidden: cannot modify other admin data' });
+    // Make sure the assignee belongs to this organisation
+    const assignee = await Employee.findOne({ _id: employeeId, admin: adminId }).select('status').lean();
+    if (!assignee) {
+      return res.status(404).json({ message: 'Admin or employee not found' });
+    }
+    if (assignee.status && assignee.status !== EMPLOYEE_STATUSES.ACTIVE) {
+      return res.status(400).json({ message: 'Tasks can only be assigned to active employees' });
+    }
+
+    // Insert the task into its own collection, then refresh the employee's counters
+    const createdTask = await Task.create({
+      ...fields,
+      admin: adminId,
+      assignee: employeeId
+    });
+    await TaskEvent.record(createdTask, {
+      fromState: null,
+      toState: createdTask.status,
+      at: createdTask.createdAt,
+      by: req.user.id
+    }, { user: req.user });
+    const taskCounts = await Employee.refreshTaskCounts(employeeId);
+    publishTaskEvent(TASK_EVENTS.CREATED, createdTask, { taskCounts });
+    await notifyTaskAssigned(createdTask);
+
+    // Respond with the newly created task
+    res.status(201).json(createdTask);
+  } catch (error) {
+    sendTaskCreationError(req, res, error);
+  }
+});
+
+// POST /api/admin/:adminId/tasks - Give one task to several employees, picked one by one
+// (`assignees`) and/or as every active member of a `team`. Every assignee gets their own
+// copy, linked by a shared `assignmentGroup` whose progress is reported below.
+router.post('/:adminId/tasks', authorize(PERMISSIONS.TASK_CREATE), organisationAccess('adminId'), async (req, res) => {
+  // Started once the request has been checked
+  let session = null;
+
+  try {
+    const { adminId } = req.params;
+    const requested = [].concat(req.body.assignees || []);
+
+    if (req.body.team) {
+      const teamMembers = await Team.memberIds(adminId, req.body.team);
+      if (!teamMembers) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+      const activeMembers = await Employee.find({
+        _id: { $in: teamMembers },
+        status: activeStatusFilter()
+      }).select('_id').lean();
+      requested.push(...activeMembers.map(member => member._id));
     }
 
-    // Validate dates
-    // Set task start time on server to avoid client clock/timezone issues
-    const parsedTaskDate = new Date();
-    const parsedEndDate = new Date(taskData.endDate);
-    if (isNaN(parsedEndDate.getTime())) {
-      return res.status(400).json({ message: 'Invalid endDate format. Expect ISO string.' });
+    const assigneeIds = [...new Set(requested.map(String))];
+
+    if (assigneeIds.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one assignee' });
+    }
+    if (assigneeIds.length > MAX_ASSIGNEES) {
+      return res.status(400).json({ message: `A task can be assigned to at most ${MAX_ASSIGNEES} employees at once` });
     }
-    // Allow a small grace (30 seconds) so endDate on the same minute is accepted
-    const GRACE_MS = 30 * 1000;
-    if (parsedEndDate.getTime() <= parsedTaskDate.getTime() + GRACE_MS) {
-      return res.status(400).json({ message: 'End date/time must be slightly after current time' });
+    if (!assigneeIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid ID format' });
     }
 
-    // Create new task object with default values
-    const newTask = {
-      _id: new mongoose.Types.ObjectId(),
-      taskTitle: taskData.taskTitle,
-      taskDescription: taskData.taskDescription,
-      taskDate: parsedTaskDate,
-      endDate: parsedEndDate,
-      category: taskData.category,
-      active: false,
-      newTask: true,
-      completed: false,
-      failed: false,
-      verificationStatus: '',
-      documents: [],
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    // Atomically push the new task to avoid full-document validation side effects
-    const adminObjectId = new mongoose.Types.ObjectId(adminId);
-    const employeeObjectId = new mongoose.Types.ObjectId(employeeId);
-    const pushResult = await Admin.updateOne(
-      { _id: adminObjectId, 'employees._id': employeeObjectId },
-      { $push: { 'employees.$.tasks': newTask } },
-      { runValidators: false }
+    const { error, fields } = readNewTask(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const dependencies = await readDependencies(adminId, req.body.dependsOn);
+    if (dependencies.error) {
+      return res.status(400).json({ message: dependencies.error, code: dependencies.code });
+    }
+    fields.dependsOn = dependencies.value;
+
+    // Every assignee must be an active member of this organisation
+    const assignees = await Employee.find({ _id: { $in: assigneeIds }, admin: adminId }).select('status').lean();
+    const found = new Map(assignees.map(employee => [employee._id.toString(), employee]));
+    const unavailable = assigneeIds.filter(id => {
+      const employee = found.get(id);
+      return !employee || (employee.status && employee.status !== EMPLOYEE_STATUSES.ACTIVE);
+    });
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        message: 'Tasks can only be assigned to active employees of this organisation',
+        unavailable
+      });
+    }
+
+    // A single assignee is an ordinary task; only real groups are linked
+    const assignmentGroup = assigneeIds.length > 1 ? new mongoose.Types.ObjectId() : null;
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const createdTasks = await Task.create(
+      assigneeIds.map(assignee => ({ ...fields, admin: adminId, assignee, assignmentGroup })),
+      { session, ordered: true }
     );
-    if (!pushResult || pushResult.matchedCount === 0) {
-      return res.status(404).json({ message: 'Admin or employee not found' });
+    for (const task of createdTasks) {
+      await TaskEvent.record(task, {
+        fromState: null,
+        toState: task.status,
+        at: task.createdAt,
+        by: req.user.id
+      }, { user: req.user, session });
     }
+    const taskCounts = [];
+    for (const assignee of assigneeIds) {
+      taskCounts.push(await Employee.refreshTaskCounts(assignee, session));
+    }
+    await session.commitTransaction();
+    session.endSession();
+    session = null;
 
-    // Recompute taskCounts in memory and persist via a focused $set
-    const adminDoc = await Admin.findById(adminId).lean();
-    if (!adminDoc) {
-      return res.status(404).json({ message: 'Admin not found after push' });
+    for (const [index, task] of createdTasks.entries()) {
+      publishTaskEvent(TASK_EVENTS.CREATED, task, { taskCounts: taskCounts[index] });
+      await notifyTaskAssigned(task);
     }
-    const emp = (adminDoc.employees || []).find(e => e._id.toString() === employeeId.toString());
-    if (!emp) {
-      return res.status(404).json({ message: 'Employee not found after push' });
+
+    console.log(`📋 Assigned "${fields.taskTitle}" to ${createdTasks.length} employee(s)`);
+
+    res.status(201).json({ assignmentGroup, tasks: createdTasks });
+  } catch (error) {
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
     }
-    const tasks = Array.isArray(emp.tasks) ? emp.tasks : [];
-    const taskCounts = {
-      completed: tasks.filter(t => t.completed === true).length,
-      failed: tasks.filter(t => t.failed === true && t.completed !== true).length,
-      active: tasks.filter(t => t.active === true && t.completed !== true && t.failed !== true).length,
-      newTask: tasks.filter(t => t.newTask === true && t.active !== true && t.completed !== true && t.failed !== true).length,
-    };
+    sendTaskCreationError(req, res, error);
+  }
+});
 
-    await Admin.updateOne(
-      { _id: adminObjectId, 'employees._id': employeeObjectId },
-      { $set: { 'employees.$.taskCounts': taskCounts } },
-      { runValidators: false }
-    );
+// Progress of a group from the statuses of its tasks; only verified work counts as done
+const summarizeTaskGroup = (statuses) => {
+  const byStatus = statuses.reduce((acc, status) => {
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+  const completed = byStatus[TASK_STATES.COMPLETED] || 0;
+  return {
+    total: statuses.length,
+    completed,
+    open: statuses.filter(status => OPEN_TASK_STATES.includes(status)).length,
+    byStatus,
+    completion: statuses.length ? Math.round((completed / statuses.length) * 100) : 0
+  };
+};
 
-    // Respond with the newly created task
-    res.status(201).json(newTask);
+// GET /api/admin/:adminId/task-groups - Multi-assignee tasks with their overall completion,
+// newest first. `?open=true` keeps only groups with unfinished work.
+router.get('/:adminId/task-groups', authorize(PERMISSIONS.TASK_CREATE), organisationAccess('adminId'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const groups = await Task.aggregate([
+      { $match: { admin: new mongoose.Types.ObjectId(adminId), assignmentGroup: { $ne: null } } },
+      {
+        $group: {
+          _id: '$assignmentGroup',
+          taskTitle: { $first: '$taskTitle' },
+          category: { $first: '$category' },
+          endDate: { $max: '$endDate' },
+          createdAt: { $min: '$createdAt' },
+          statuses: { $push: '$status' },
+          assignees: { $push: '$assignee' }
+        }
+      },
+      ...(req.query.open === 'true' ? [{ $match: { statuses: { $in: OPEN_TASK_STATES } } }] : []),
+      { $sort: { createdAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({
+      groups: groups.map(({ _id, statuses, ...group }) => ({
+        ...group,
+        assignmentGroup: _id,
+        progress: summarizeTaskGroup(statuses)
+      }))
+    });
   } catch (error) {
-    const payload = {
-      name: error.name,
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-    };
-    // Include validation errors if present
-    if (error.name === 'ValidationError' && error.errors) {
-      payload.validationErrors = Object.keys(error.errors).reduce((acc, key) => {
-        acc[key] = error.errors[key]?.message || String(error.errors[key]);
-        return acc;
-      }, {});
-    }
-    console.error('Error creating task:', payload);
-    if (process.env.NODE_ENV === 'development') {
-      console.error('Request body:', req.body);
-      console.error('Params:', req.params);
-    }
-    const status = payload.name === 'ValidationError' ? 400 : 500;
-    res.status(status).json({ 
-      message: 'Error creating task', 
-      error: payload
+    console.error('Error fetching task groups:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/task-groups/:groupId - Every assignee's copy of a group task
+router.get('/:adminId/task-groups/:groupId', authorize(PERMISSIONS.TASK_CREATE), organisationAccess('adminId'), async (req, res) => {
+  try {
+    const { adminId, groupId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const tasks = await Task.find({ admin: adminId, assignmentGroup: groupId })
+      .populate('assignee', 'firstName lastName email avatarUrl')
+      .sort({ createdAt: 1 })
+      .lean();
+    if (tasks.length === 0) {
+      return res.status(404).json({ message: 'Task group not found' });
+    }
+
+    res.json({
+      assignmentGroup: groupId,
+      taskTitle: tasks[0].taskTitle,
+      category: tasks[0].category,
+      progress: summarizeTaskGroup(tasks.map(task => task.status)),
+      tasks
     });
+  } catch (error) {
+    console.error('Error fetching task group:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// PUT /api/admin/:adminId/employees/:employeeId/tasks/:taskId - Update a task for an employee
-router.put('/:adminId/employees/:employeeId/tasks/:taskId', async (req, res) => {
+// Task fields an admin can change through PUT /:adminId/employees/:employeeId/tasks/:taskId
+const EDITABLE_TASK_FIELDS = ['taskTitle', 'taskDescription', 'endDate', 'category', 'requiredDocumentTypes', 'checklist', 'dependsOn'];
+
+// States the task update cannot request because another flow owns them
+const REVIEWED_STATES = {
+  [TASK_STATES.PENDING_VERIFICATION]: 'Tasks move to pendingVerification when the assignee uploads documents.',
+  [TASK_STATES.COMPLETED]: 'Use the verification endpoint to approve tasks.',
+  [TASK_STATES.REJECTED]: 'Use the verification endpoint to reject tasks.',
+  [TASK_STATES.EXPIRED]: 'Cannot manually set status to expired. It is set automatically when endDate is passed.'
+};
+
+// PUT /api/admin/:adminId/employees/:employeeId/tasks/:taskId - Update a task for an employee.
+// Only the fields above change; a `status` of active or failed moves the task along, while
+// submitted work is approved or rejected through POST /api/employees/:employeeId/tasks/:taskId/verify.
+router.put('/:adminId/employees/:employeeId/tasks/:taskId', authorize(PERMISSIONS.TASK_CREATE), organisationAccess('adminId'), async (req, res) => {
   try {
     const { adminId, employeeId, taskId } = req.params;
-    const updateData = req.body;
+    const { status: requestedStatus, note } = req.body;
     
     // Validate ObjectIds
     if (!mongoose.Types.ObjectId.isValid(adminId) || 
@@ -628,53 +1471,105 @@ router.put('/:adminId/employees/:employeeId/tasks/:taskId', async (req, res) =>
         !mongoose.Types.ObjectId.isValid(taskId)) {
       return res.status(400).json({ message: 'Invalid ID format' });
     }
+
+    if (REVIEWED_STATES[requestedStatus]) {
+      return res.status(400).json({ message: REVIEWED_STATES[requestedStatus], code: 'MANAGED_STATE' });
+    }
     
-    // Find the admin and update the task in one operation
-    const result = await Admin.findOneAndUpdate(
-      { 
-        _id: adminId,
-        'employees._id': employeeId,
-        'employees.tasks._id': taskId
-      },
-      { 
-        $set: {
-          'employees.$.tasks.$[task]': {
-            ...updateData,
-            _id: taskId, // Preserve the task ID
-            updatedAt: new Date()
-          }
-        }
-      },
-      {
-        arrayFilters: [{ 'task._id': taskId }],
-        new: true
-      }
-    );
-    
-    if (!result) {
+    const existingTask = await Task.findOne({ _id: taskId, admin: adminId, assignee: employeeId }).lean();
+    if (!existingTask) {
       return res.status(404).json({ message: 'Admin, employee, or task not found' });
     }
-    
-    // Find the updated task to return it
-    const admin = await Admin.findById(adminId);
-    if (!admin) {
-      return res.status(404).json({ message: 'Admin not found after update' });
+
+    const changes = {};
+    EDITABLE_TASK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (changes.category !== undefined && !TASK_CATEGORIES.includes(changes.category)) {
+      return res.status(400).json({ message: `Invalid category. Must be one of: ${TASK_CATEGORIES.join(', ')}` });
     }
-    
-    const employee = admin.employees.id(employeeId);
-    if (!employee) {
-      return res.status(404).json({ message: 'Employee not found after update' });
+    if (changes.endDate !== undefined) {
+      changes.endDate = new Date(changes.endDate);
+      if (isNaN(changes.endDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid endDate format. Expect ISO string.' });
+      }
+      // Reminders start over when the due date moves
+      if (changes.endDate.getTime() !== new Date(existingTask.endDate).getTime()) {
+        changes.remindersSent = [];
+      }
+    }
+    if (changes.requiredDocumentTypes !== undefined) {
+      const documentTypes = readDocumentTypes(changes.requiredDocumentTypes);
+      if (documentTypes.error) {
+        return res.status(400).json({ message: documentTypes.error });
+      }
+      changes.requiredDocumentTypes = documentTypes.value;
+    }
+    if (changes.checklist !== undefined) {
+      const checklist = readChecklist(changes.checklist);
+      if (checklist.error) {
+        return res.status(400).json({ message: checklist.error });
+      }
+      changes.checklist = checklist.value;
+    }
+
+    // New predecessors must not close a dependency cycle
+    if (changes.dependsOn !== undefined) {
+      const dependencies = await readDependencies(adminId, changes.dependsOn, { taskId: existingTask._id });
+      if (dependencies.error) {
+        const { error: message, code, cycle } = dependencies;
+        return res.status(400).json({ message, code, cycle });
+      }
+      changes.dependsOn = dependencies.value;
     }
+
+    let transition = null;
+    if (requestedStatus && requestedStatus !== existingTask.status) {
+      if (!canTransition(existingTask.status, requestedStatus)) {
+        return res.status(409).json(transitionConflict(existingTask, requestedStatus));
+      }
+      // A task cannot be started before its predecessors are finished
+      if (requestedStatus === TASK_STATES.ACTIVE) {
+        const blockers = await findOpenBlockers({ dependsOn: changes.dependsOn ?? existingTask.dependsOn });
+        if (blockers.length > 0) {
+          return res.status(409).json(blockedConflict(blockers));
+        }
+      }
+      // The state machine writes the status, its flags and the bookkeeping of the move
+      const stateChange = { status: existingTask.status };
+      transition = applyTransition(stateChange, requestedStatus, { by: req.user.id, note });
+      Object.assign(changes, stateChange);
+    }
+
+    // Only the listed fields are written, checked by the schema; the status in the filter
+    // keeps a concurrent state change from being overwritten
+    const updatedTask = await Task.findOneAndUpdate(
+      { _id: taskId, admin: adminId, assignee: employeeId, status: existingTask.status },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
     
-    const updatedTask = employee.tasks.id(taskId);
     if (!updatedTask) {
-      return res.status(404).json({ message: 'Task not found after update' });
+      return res.status(409).json({
+        message: 'The task changed while it was being updated. Reload it and try again.',
+        code: 'TASK_CHANGED'
+      });
+    }
+
+    await TaskEvent.record(updatedTask, transition, { user: req.user });
+    const taskCounts = await Employee.refreshTaskCounts(employeeId);
+    publishTaskEvent(TASK_EVENTS.UPDATED, updatedTask, { taskCounts });
+    // A failed task no longer holds back the tasks waiting for it
+    if (transition && isTerminalState(transition.toState)) {
+      await notifyUnblockedSuccessors(updatedTask);
     }
     
     res.json(updatedTask);
   } catch (error) {
     console.error('Error updating task:', error);
-    res.status(500).json({ 
+    const invalid = error.name === 'ValidationError' || error.name === 'CastError';
+    res.status(invalid ? 400 : 500).json({ 
       message: 'Failed to update task', 
       error: error.message 
     });
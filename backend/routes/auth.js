@@ -2,11 +2,23 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Employee from '../models/Employee.js';
 import Admin from '../models/Admin.js';
-import jwt from 'jsonwebtoken';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { startSession, refreshSession, endSession } from '../utils/authTokens.js';
+import {
+  ipRetryAfter,
+  accountRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  tooManyAttempts
+} from '../utils/loginThrottle.js';
+import { findChallengedAdmin, signTwoFactorChallenge, verifySecondFactor } from '../utils/twoFactor.js';
+import passwordRoutes from './password.js';
+import acceptInvitationRoutes from './acceptInvitation.js';
+import twoFactorRoutes from './twoFactor.js';
 
 const router = express.Router();
 
-// POST /api/auth/employee/login - Employee login (search across all admin documents)
+// POST /api/auth/employee/login - Employee login (search across all organisations)
 router.post('/employee/login', [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -19,47 +31,77 @@ router.post('/employee/login', [
 
     const { email, password } = req.body;
 
+    // Clients that keep guessing have to wait longer and longer between attempts
+    const ipWait = ipRetryAfter(req.ip);
+    if (ipWait > 0) {
+      return tooManyAttempts(res, { retryAfter: ipWait });
+    }
+
     console.log('🔍 Looking for employee with email:', email);
 
-    // Find admin that contains this employee
-    const admin = await Admin.findOne({ 'employees.email': email });
-    if (!admin) {
+    // Find the employee along with their tasks; offboarded accounts can no longer sign in,
+    // invited ones have no password until they accept their invitation
+    const employee = await Employee.findOne({
+      email: email.toLowerCase().trim(),
+      status: { $nin: [EMPLOYEE_STATUSES.INVITED, EMPLOYEE_STATUSES.OFFBOARDED] }
+    }).populate('tasks');
+    if (!employee) {
       console.log('❌ Employee not found for email:', email);
+      await recordLoginFailure(req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Find the specific employee within the admin's employees array
-    const employee = admin.employees.find(emp => emp.email === email);
-    if (!employee) {
-      console.log('❌ Employee not found in admin document');
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // Locked accounts are refused before their password is even checked
+    const employeeWait = await accountRetryAfter(employee, 'Employee', req);
+    if (employeeWait) {
+      console.log('⏳ Login throttled for employee:', email);
+      return tooManyAttempts(res, employeeWait);
     }
 
-    // Check password
-    console.log('🔐 Comparing passwords...');
-    console.log('- Stored password:', employee.password);
-    console.log('- Provided password:', password);
-    console.log('- Passwords match:', employee.password === password);
-    
-    if (employee.password !== password) {
-      console.log('❌ Password mismatch!');
+    // Check password (bcrypt hash, or legacy plaintext that gets upgraded below)
+    const { match, needsUpgrade } = await employee.comparePassword(password);
+    if (!match) {
+      console.log('❌ Password mismatch for employee:', email);
+      await recordLoginFailure(req, employee, 'Employee');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Deactivated members keep their account but cannot sign in until reactivated
+    if (!employee.isActive) {
+      console.log('🚫 Login blocked for deactivated employee:', email);
+      return res.status(403).json({ message: 'Your account has been deactivated. Contact your administrator.' });
+    }
+
+    await recordLoginSuccess(req, employee, 'Employee');
+
+    // Transparently migrate legacy plaintext passwords to bcrypt on first successful login
+    if (needsUpgrade) {
+      employee.password = password;
+      employee.$locals.passwordRehash = true;
+      await employee.save({ validateModifiedOnly: true });
+      console.log('🔐 Upgraded plaintext password to hash for employee:', email);
+    }
+
     // Return employee data without password
     const employeeResponse = employee.toObject();
     delete employeeResponse.password;
     
     // Also include admin ID for reference
-    employeeResponse.adminId = admin._id;
+    employeeResponse.adminId = employee.admin;
     
+    // Access token carrying both the employee and the owning admin id; the refresh
+    // token goes into an httpOnly cookie
+    const token = await startSession(req, res, employee, 'Employee');
+
     console.log('✅ Employee login successful:', employee.firstName);
     
     res.json({ 
       message: 'Login successful',
-      user: employeeResponse,
+      user: { ...employeeResponse, token },
       userType: 'employee',
-      adminId: admin._id
+      adminId: employee.admin,
+      token,
+      accessToken: token
     });
   } catch (error) {
     console.error('❌ Employee login error:', error);
@@ -67,7 +109,28 @@ router.post('/employee/login', [
   }
 });
 
-// POST /api/auth/admin/login - Admin login
+// Sign an admin in: starts the session and sends the login response
+const sendAdminSession = async (req, res, admin, extra = {}) => {
+  // Return admin without password
+  const adminResponse = admin.toObject();
+  delete adminResponse.password;
+
+  // Access token with admin id; the refresh token goes into an httpOnly cookie
+  const token = await startSession(req, res, admin, 'Admin');
+
+  res.json({ 
+    message: 'Login successful',
+    user: { ...adminResponse, token },
+    userType: 'admin',
+    token,              // direct token field
+    accessToken: token, // alternative key for compatibility
+    ...extra
+  });
+};
+
+// POST /api/auth/admin/login - Admin login. With two-factor authentication on, a right
+// password answers { twoFactorRequired: true, challengeToken } instead of signing in;
+// the code goes to POST /api/auth/admin/login/2fa.
 router.post('/admin/login', [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -80,36 +143,103 @@ router.post('/admin/login', [
 
     const { email, password } = req.body;
 
+    const ipWait = ipRetryAfter(req.ip);
+    if (ipWait > 0) {
+      return tooManyAttempts(res, { retryAfter: ipWait });
+    }
+
     // Find admin by email
     const admin = await Admin.findOne({ email });
     if (!admin) {
+      await recordLoginFailure(req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Check password (in production, use bcrypt)
-    if (admin.password !== password) {
+    const adminWait = await accountRetryAfter(admin, 'Admin', req);
+    if (adminWait) {
+      return tooManyAttempts(res, adminWait);
+    }
+
+    // Check password (bcrypt hash, or legacy plaintext that gets upgraded below)
+    const { match, needsUpgrade } = await admin.comparePassword(password);
+    if (!match) {
+      await recordLoginFailure(req, admin, 'Admin');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Return admin without password
-    const adminResponse = admin.toObject();
-    delete adminResponse.password;
+    // Transparently migrate legacy plaintext passwords to bcrypt on first successful login
+    if (needsUpgrade) {
+      admin.password = password;
+      admin.$locals.passwordRehash = true;
+      await admin.save({ validateModifiedOnly: true });
+      console.log('🔐 Upgraded plaintext password to hash for admin:', admin.email);
+    }
 
-    // Sign JWT with admin id
-    const token = jwt.sign(
-      { id: admin._id.toString(), role: 'admin', email: admin.email },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // The password is only half of the login: failed attempts keep counting until the
+    // code is right as well
+    if (admin.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(admin)
+      });
+    }
 
-    res.json({ 
-      message: 'Login successful',
-      user: { ...adminResponse, token },
-      userType: 'admin',
-      token,              // direct token field
-      accessToken: token  // alternative key for compatibility
-    });
+    await recordLoginSuccess(req, admin, 'Admin');
+    await sendAdminSession(req, res, admin);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/admin/login/2fa - Second step of an admin login with two-factor
+// authentication: { challengeToken, code } or { challengeToken, recoveryCode }. Answers
+// like the admin login; a used recovery code adds `recoveryCodesLeft`.
+router.post('/admin/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('A code from the authenticator app or a recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ipWait = ipRetryAfter(req.ip);
+    if (ipWait > 0) {
+      return tooManyAttempts(res, { retryAfter: ipWait });
+    }
+
+    const admin = await findChallengedAdmin(req.body.challengeToken);
+    if (!admin) {
+      return res.status(401).json({
+        message: 'This login has expired. Enter your email and password again.',
+        code: 'TWO_FACTOR_CHALLENGE_INVALID'
+      });
+    }
+
+    const adminWait = await accountRetryAfter(admin, 'Admin', req);
+    if (adminWait) {
+      return tooManyAttempts(res, adminWait);
+    }
+
+    const result = await verifySecondFactor(admin._id, req.body);
+    if (!result) {
+      await recordLoginFailure(req, admin, 'Admin');
+      return res.status(401).json({ message: 'The code is not valid', code: 'TWO_FACTOR_CODE_INVALID' });
+    }
+
+    await recordLoginSuccess(req, admin, 'Admin');
+    if (result.method === 'recovery') {
+      console.log(`🛡️ Admin ${admin.email} signed in with a recovery code (${result.recoveryCodesLeft} left)`);
+      return sendAdminSession(req, res, admin, { recoveryCodesLeft: result.recoveryCodesLeft });
+    }
+    await sendAdminSession(req, res, admin);
   } catch (error) {
+    console.error('❌ Two-factor login error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -137,7 +267,7 @@ router.post('/admin/signup', [
     // Create new admin
     const newAdmin = new Admin({
       email,
-      password, // In production, hash this with bcrypt
+      password, // Hashed by the Admin pre-save hook
       name
     });
 
@@ -148,12 +278,8 @@ router.post('/admin/signup', [
     const adminResponse = newAdmin.toObject();
     delete adminResponse.password;
 
-    // Sign JWT so a newly created admin can access protected routes immediately
-    const token = jwt.sign(
-      { id: newAdmin._id.toString(), role: 'admin', email: newAdmin.email },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session so a newly created admin can access protected routes immediately
+    const token = await startSession(req, res, newAdmin, 'Admin');
     
     res.status(201).json({ 
       message: 'Admin account created successfully',
@@ -168,4 +294,46 @@ router.post('/admin/signup', [
   }
 });
 
+// POST /api/auth/refresh - Exchange the refresh cookie for a new access token (and a new
+// refresh cookie). 401 when the session has expired, was signed out or was revoked.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, accessToken, userModel } = await refreshSession(req, res);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    res.json({
+      userType: userModel === 'Employee' ? 'employee' : 'admin',
+      token: accessToken,
+      accessToken
+    });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/logout - End the session of the refresh cookie; with { everywhere: true }
+// every session of the user, on all devices
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await endSession(req, res, { everywhere: req.body?.everywhere === true });
+    if (session) {
+      console.log(`👋 ${session.userModel} ${session.user} signed out${req.body?.everywhere === true ? ' everywhere' : ''}`);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Password reset and change
+router.use('/password', passwordRoutes);
+// Accepting an invitation to an organisation
+router.use('/invitations', acceptInvitationRoutes);
+// Two-factor authentication settings of admins
+router.use('/2fa', twoFactorRoutes);
+
 export default router;
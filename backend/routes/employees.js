@@ -4,7 +4,37 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import mongoose from 'mongoose';
-import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import Task from '../models/Task.js';
+import TaskEvent from '../models/TaskEvent.js';
+import Team from '../models/Team.js';
+import { DOCUMENT_TYPES } from '../models/constants.js';
+import { expireOverdueTasks } from '../jobs/taskExpiry.js';
+import { notifyTaskExpired, notifyTaskReviewed, notifyTaskSubmitted } from '../notifications/notifier.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import {
+  MANAGER_SELECT,
+  ORGANISATION_PROFILE_FIELDS,
+  PROFILE_FIELDS,
+  PROFILE_SELECT,
+  SELF_EDITABLE_PROFILE_FIELDS,
+  pickProfileFields,
+  profileValidators,
+  validateManager
+} from '../utils/employeeProfile.js';
+import { authorize, employeeAccess } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import {
+  TASK_STATES,
+  canTransition,
+  applyTransition,
+  expireIfOverdue,
+  isTerminalState,
+  transitionConflict
+} from '../utils/taskStateMachine.js';
+import { matchesDocumentTypes, openRequiredItems } from '../utils/taskDetails.js';
+import { blockedConflict, findOpenBlockers, notifyUnblockedSuccessors } from '../utils/taskDependencies.js';
+import taskChecklistRoutes from './taskChecklist.js';
 
 const router = express.Router();
 
@@ -46,17 +76,7 @@ const storage = multer.diskStorage({
 
 // File filter to validate file types
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-  ];
+  const allowedTypes = Object.values(DOCUMENT_TYPES).flat();
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -73,55 +93,19 @@ const upload = multer({
   }
 });
 
-// Helper function to update task state based on verification status and timers
-function updateTaskState(task, currentTime) {
-  if (!task) return;
-  
-  // If task is completed, it's a terminal state - no further changes
-  if (task.completed) {
-    return;
-  }
-  
-  // Check for task expiration (endDate has passed)
-  if (task.endDate && new Date(task.endDate) < currentTime && !task.failed) {
-    task.active = false;
-    task.newTask = false;
-    task.completed = false;
-    task.failed = true;
-    task.verificationStatus = 'expired';
-    task.updatedAt = currentTime;
-    return;
-  }
-  
-  // Handle verification status changes
-  if (task.verificationStatus === 'pending') {
-    // Task is pending verification - wait for admin action
-    task.active = false;
-    task.newTask = false;
-    task.completed = false;
-    task.failed = false;
-  } 
-  // No need for else-if here as we want to allow other status checks
-  
-  // If task is active, ensure other flags are correct
-  // Ensure task status is consistent with flags
-  if (task.failed) {
-    task.status = 'expired';
-  } else if (task.completed) {
-    task.status = 'completed';
-  } else if (task.verificationStatus === 'pending') {
-    task.status = 'pendingVerification';
-  } else if (task.active) {
-    task.status = 'active';
-  } else if (task.newTask) {
-    task.status = 'new';
-  } else {
-    task.status = 'new'; // Default fallback
-  }
-}
+// Task fields PUT /:id/tasks/:taskId writes besides the status; everything else belongs to
+// the admin task update or to its own flow (uploads, verification, checklist, dependencies)
+const ASSIGNEE_FIELDS = ['notes'];
+
+// States that PUT /:id/tasks/:taskId cannot request because another flow owns them
+const MANAGED_STATES = {
+  [TASK_STATES.PENDING_VERIFICATION]: 'Cannot directly set status to pendingVerification. Upload documents instead.',
+  [TASK_STATES.EXPIRED]: 'Cannot manually set status to expired. It is set automatically when endDate is passed.',
+  [TASK_STATES.REJECTED]: 'Use the verification endpoint to reject tasks.'
+};
 
 // Get a single employee by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', employeeAccess('id'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -129,15 +113,10 @@ router.get('/:id', async (req, res) => {
       return res.status(400).json({ message: 'Employee ID is required' });
     }
 
-    // Find the admin that contains this employee
-    const admin = await Admin.findOne({ 'employees._id': id });
-    
-    if (!admin) {
-      return res.status(404).json({ message: 'Employee not found' });
-    }
-
-    // Find the employee in the admin's employees array
-    const employee = admin.employees.id(id);
+    // Find the employee together with their tasks and what those tasks wait for
+    const employee = await Employee.findById(id)
+      .select('-password')
+      .populate({ path: 'tasks', populate: { path: 'dependsOn', select: 'taskTitle status' } });
     
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
@@ -164,52 +143,72 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Get a single employee by ID
-router.get('/:id', async (req, res) => {
+// GET /api/employees/:id/profile - Profile of an employee with their reporting manager
+router.get('/:id/profile', employeeAccess('id'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({ message: 'Employee ID is required' });
+    const employee = await Employee.findById(req.params.id)
+      .select(PROFILE_SELECT)
+      .populate('manager', MANAGER_SELECT);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
     }
 
-    // Find the admin that contains this employee
-    const admin = await Admin.findOne({ 'employees._id': id });
-    
-    if (!admin) {
-      return res.status(404).json({ message: 'Employee not found' });
+    res.json(employee.toObject());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PUT /api/employees/:id/profile - Update profile fields. Employees may change their own
+// contact details; department, job title, manager and hire date need MEMBER_MANAGE.
+router.put('/:id/profile', employeeAccess('id'), profileValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Find the employee in the admin's employees array
-    const employee = admin.employees.id(id);
-    
+    const canManageMembers = hasPermission(req.user.role, PERMISSIONS.MEMBER_MANAGE);
+    const isSelf = req.user.employeeId?.toString() === req.params.id;
+    if (!canManageMembers && !isSelf) {
+      return res.status(403).json({ message: 'Not authorized to edit this profile' });
+    }
+
+    const restricted = ORGANISATION_PROFILE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (!canManageMembers && restricted.length > 0) {
+      return res.status(403).json({
+        message: `Only member managers can change: ${restricted.join(', ')}`,
+        editableFields: SELF_EDITABLE_PROFILE_FIELDS
+      });
+    }
+
+    const employee = await Employee.findById(req.params.id);
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
-    // Return the employee data
-    res.json({
-      ...employee.toObject(),
-      _id: employee._id,
-      id: employee._id
-    });
+    const profile = pickProfileFields(req.body, PROFILE_FIELDS);
+    const managerError = await validateManager(employee.admin, profile.manager, employee._id);
+    if (managerError) {
+      return res.status(400).json({ message: managerError });
+    }
+
+    employee.set(profile);
+    await employee.save();
+    await employee.populate('manager', MANAGER_SELECT);
 
+    const response = employee.toObject();
+    delete response.password;
+    res.json(response);
   } catch (error) {
-    console.error('Error fetching employee:', {
-      error: error.message,
-      stack: error.stack,
-      params: req.params
-    });
-    
-    res.status(500).json({ 
-      message: 'Error fetching employee',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    console.error('Error updating profile:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Error updating profile', error: error.message });
   }
 });
 
 // Upload document to a task
-router.post('/:employeeId/tasks/:taskId/documents', upload.single('document'), async (req, res) => {
+router.post('/:employeeId/tasks/:taskId/documents', employeeAccess('employeeId'), upload.single('document'), async (req, res) => {
   const logContext = {
     timestamp: new Date().toISOString(),
     params: req.params,
@@ -241,27 +240,50 @@ router.post('/:employeeId/tasks/:taskId/documents', upload.single('document'), a
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    // Find the admin that contains this employee
-    const admin = await Admin.findOne({ 'employees._id': employeeId });
-    if (!admin) {
-      return res.status(404).json({ message: 'Employee not found' });
+    // Find the task assigned to this employee
+    const task = await Task.findOne({ _id: taskId, assignee: employeeId }).session(session);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Find the employee
-    const employee = admin.employees.id(employeeId);
-    if (!employee) {
-      return res.status(404).json({ message: 'Employee not found' });
+    // Overdue, finished or failed tasks cannot take new submissions
+    const currentTime = new Date();
+    expireIfOverdue(task, currentTime);
+    if (task.status !== TASK_STATES.PENDING_VERIFICATION && !canTransition(task.status, TASK_STATES.PENDING_VERIFICATION)) {
+      await session.abortTransaction();
+      return res.status(409).json(transitionConflict(task, TASK_STATES.PENDING_VERIFICATION));
     }
 
-    // Find the task
-    const task = employee.tasks.id(taskId);
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    // The task may ask for particular kinds of document
+    if (!matchesDocumentTypes(req.file.mimetype, task.requiredDocumentTypes)) {
+      await session.abortTransaction();
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        message: `This task needs a document of type: ${task.requiredDocumentTypes.join(', ')}`,
+        requiredDocumentTypes: task.requiredDocumentTypes
+      });
     }
 
-    // Initialize submittedDocuments array if it doesn't exist
-    if (!task.submittedDocuments) {
-      task.submittedDocuments = [];
+    // The first submission has to wait for the task's predecessors, like accepting it
+    if (task.status !== TASK_STATES.PENDING_VERIFICATION) {
+      const blockers = await findOpenBlockers(task, session);
+      if (blockers.length > 0) {
+        await session.abortTransaction();
+        fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(409).json(blockedConflict(blockers));
+      }
+    }
+
+    // Required checklist items have to be done first
+    const openItems = openRequiredItems(task.checklist);
+    if (openItems.length > 0) {
+      await session.abortTransaction();
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(409).json({
+        message: 'Finish the required checklist items before submitting documents',
+        code: 'CHECKLIST_INCOMPLETE',
+        openItems: openItems.map(item => ({ _id: item._id, text: item.text }))
+      });
     }
 
     // Create document object with additional metadata
@@ -272,10 +294,8 @@ router.post('/:employeeId/tasks/:taskId/documents', upload.single('document'), a
       filePath: `/uploads/${req.file.filename}`,
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
-      uploadedAt: new Date(),
-      uploadedBy: employeeId,
-      status: 'pending',
-      taskId: taskId
+      uploadedAt: currentTime,
+      uploadedBy: employeeId
     };
     
     // Add the document to the task
@@ -284,18 +304,19 @@ router.post('/:employeeId/tasks/:taskId/documents', upload.single('document'), a
     }
     task.submittedDocuments.push(document);
     
-    // Update task status to indicate document has been submitted
-    if (task.status === 'new' || task.status === 'active') {
-      task.status = 'pendingVerification';
-      task.verificationStatus = 'pending';
-    }
+    // The first submission moves the task to pendingVerification; later files are attached
+    const transition = task.status === TASK_STATES.PENDING_VERIFICATION
+      ? { fromState: task.status, toState: task.status, at: currentTime, by: req.user.id }
+      : applyTransition(task, TASK_STATES.PENDING_VERIFICATION, { at: currentTime, by: req.user.id });
     
-    // Mark the task as modified to ensure it gets saved
-    admin.markModified('employees');
-
-    // Save the admin document
-    await admin.save({ session });
+    // Save the task, log the submission and recompute the employee's counters
+    await task.save({ session });
+    await TaskEvent.record(task, transition, { user: req.user, documents: [document._id], session });
+    const taskCounts = await Employee.refreshTaskCounts(employeeId, session);
     await session.commitTransaction();
+
+    publishTaskEvent(TASK_EVENTS.SUBMITTED, task, { taskCounts });
+    await notifyTaskSubmitted(task, { documentAdded: transition.fromState === transition.toState });
     
     res.status(201).json({
       message: 'Document uploaded successfully',
@@ -320,54 +341,57 @@ router.post('/:employeeId/tasks/:taskId/documents', upload.single('document'), a
 });
 
 // Get all tasks pending verification
-router.get('/tasks/pending-verification', async (req, res) => {
+router.get('/tasks/pending-verification', authorize(PERMISSIONS.TASK_VERIFY), async (req, res) => {
   try {
-    // Find all admins with employees who have tasks pending verification
-    const admins = await Admin.find({
-      'employees.tasks': {
-        $elemMatch: {
-          'status': 'pendingVerification'
-        }
+    // Only look inside the verifier's own organisation, optionally one team of it
+    const filter = {
+      admin: req.user.adminId,
+      status: 'pendingVerification'
+    };
+    if (req.query.team) {
+      const teamMembers = await Team.memberIds(req.user.adminId, req.query.team);
+      if (!teamMembers) {
+        return res.status(404).json({ message: 'Team not found' });
       }
-    });
+      filter.assignee = { $in: teamMembers };
+    }
 
-    // Extract tasks with their employee and admin info
-    const pendingTasks = [];
-    
-    admins.forEach(admin => {
-      admin.employees.forEach(employee => {
-        employee.tasks.forEach(task => {
-          if (task.status === 'pendingVerification') {
-            pendingTasks.push({
-              _id: task._id,
-              taskTitle: task.taskTitle,
-              description: task.description,
-              startDate: task.startDate,
-              endDate: task.endDate,
-              category: task.category,
-              submittedDocuments: task.submittedDocuments || [],
-              status: task.status,
-              employeeId: employee._id,
-              employee: {
-                _id: employee._id,
-                firstName: employee.firstName,
-                lastName: employee.lastName,
-                email: employee.email,
-                position: employee.position,
-                department: employee.department
-              },
-              adminId: admin._id,
-              admin: {
-                _id: admin._id,
-                name: admin.name,
-                email: admin.email
-              },
-              createdAt: task.createdAt,
-              updatedAt: task.updatedAt
-            });
-          }
-        });
-      });
+    const tasks = await Task.find(filter)
+      .populate('assignee', 'firstName lastName email jobTitle department')
+      .populate('admin', 'name email')
+      .lean();
+
+    // Shape tasks with their employee and admin info
+    const pendingTasks = tasks.map(task => {
+      const employee = task.assignee || {};
+      const admin = task.admin || {};
+      return {
+        _id: task._id,
+        taskTitle: task.taskTitle,
+        description: task.description,
+        startDate: task.startDate,
+        endDate: task.endDate,
+        category: task.category,
+        submittedDocuments: task.submittedDocuments || [],
+        status: task.status,
+        employeeId: employee._id,
+        employee: {
+          _id: employee._id,
+          firstName: employee.firstName,
+          lastName: employee.lastName,
+          email: employee.email,
+          jobTitle: employee.jobTitle,
+          department: employee.department
+        },
+        adminId: admin._id,
+        admin: {
+          _id: admin._id,
+          name: admin.name,
+          email: admin.email
+        },
+        createdAt: task.createdAt,
+        updatedAt: task.updatedAt
+      };
     });
 
     res.status(200).json({ tasks: pendingTasks });
@@ -378,7 +402,7 @@ router.get('/tasks/pending-verification', async (req, res) => {
 });
 
 // Verify or reject a completed task
-router.post('/:employeeId/tasks/:taskId/verify', async (req, res) => {
+router.post('/:employeeId/tasks/:taskId/verify', authorize(PERMISSIONS.TASK_VERIFY), employeeAccess('employeeId'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -397,32 +421,19 @@ router.post('/:employeeId/tasks/:taskId/verify', async (req, res) => {
       });
     }
 
-    // Find the admin that contains this employee
-    const admin = await Admin.findOne({ 'employees._id': employeeId }).session(session);
-    if (!admin) {
+    // Managers verify other members' work, never their own
+    if (req.user.employeeId && req.user.employeeId.toString() === employeeId.toString()) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(404).json({ 
+      return res.status(403).json({
         success: false,
-        message: 'Employee not found',
-        code: 'EMPLOYEE_NOT_FOUND'
+        message: 'You cannot verify your own task',
+        code: 'SELF_VERIFICATION'
       });
     }
 
-    // Find the employee
-    const employee = admin.employees.id(employeeId);
-    if (!employee) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ 
-        success: false,
-        message: 'Employee not found',
-        code: 'EMPLOYEE_NOT_FOUND'
-      });
-    }
-
-    // Find the task
-    const task = employee.tasks.id(taskId);
+    // Find the task assigned to this employee
+    const task = await Task.findOne({ _id: taskId, assignee: employeeId }).session(session);
     if (!task) {
       await session.abortTransaction();
       session.endSession();
@@ -433,69 +444,43 @@ router.post('/:employeeId/tasks/:taskId/verify', async (req, res) => {
       });
     }
 
-    // Verify the task is in pending verification
-    if (task.verificationStatus !== 'pending') {
+    // Only work that is pending verification can be approved or rejected
+    if (!canTransition(task.status, status)) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ 
-        success: false,
-        message: 'Task is not pending verification',
-        currentVerificationStatus: task.verificationStatus,
-        taskStatus: task.status,
-        code: 'INVALID_TASK_STATUS'
-      });
+      return res.status(409).json(transitionConflict(task, status));
     }
 
     const currentTime = new Date();
     const adminId = req.user?.id || 'system';
 
-    // Update task based on verification status
+    // Approve (completed) or send back to the assignee (rejected)
+    const transition = applyTransition(task, status, {
+      at: currentTime,
+      by: adminId,
+      note: req.body.note,
+      reason
+    });
+
     if (status === 'completed') {
-      // Mark as completed and approved
-      task.completed = true;
-      task.active = false;
-      task.newTask = false;
-      task.failed = false;
-      task.verificationStatus = 'approved';
-      task.verifiedAt = currentTime;
-      task.verifiedBy = adminId;
-      task.updatedAt = currentTime;
-      
-      // Update task counts for the employee
-      employee.taskCounts.completed = (employee.taskCounts.completed || 0) + 1;
-      employee.taskCounts.active = Math.max(0, (employee.taskCounts.active || 1) - 1);
-      
-      // Log the verification
       console.log(`Task ${taskId} approved by admin ${adminId} at ${currentTime.toISOString()}`);
-    } else if (status === 'rejected') {
-      // Mark as rejected and keep it active for resubmission
-      task.completed = false;
-      task.active = true;
-      task.newTask = false;
-      task.failed = false;
-      task.verificationStatus = 'rejected';
-      task.rejectedAt = currentTime;
-      task.rejectedBy = adminId;
-      task.rejectionReason = reason || 'No reason provided';
-      task.verificationNote = req.body.note || 'Task rejected - please resubmit';
-      task.verificationDate = currentTime;
-      task.updatedAt = currentTime;
-      
-      // Update task counts (move from pending back to active)
-      employee.taskCounts.active = (employee.taskCounts.active || 0) + 1;
-      
-      // Log the rejection
+    } else {
       console.log(`Task ${taskId} rejected by admin ${adminId} at ${currentTime.toISOString()}, reason: ${task.rejectionReason}`);
     }
 
-    // Mark the employee as modified to ensure it gets saved
-    admin.markModified('employees');
-
-    // Save the admin document
-    await admin.save({ session });
+    // Save the task, log the decision and recompute the employee's counters
+    await task.save({ session });
+    await TaskEvent.record(task, transition, { user: req.user, session });
+    const taskCounts = await Employee.refreshTaskCounts(employeeId, session);
     await session.commitTransaction();
     session.endSession();
 
+    publishTaskEvent(TASK_EVENTS.VERIFIED, task, { taskCounts });
+    await notifyTaskReviewed(task);
+    if (task.status === TASK_STATES.COMPLETED) {
+      await notifyUnblockedSuccessors(task);
+    }
+
     res.status(200).json({
       message: `Task ${status === 'completed' ? 'verified' : 'rejected'} successfully`,
       task: {
@@ -521,8 +506,39 @@ router.post('/:employeeId/tasks/:taskId/verify', async (req, res) => {
   }
 });
 
+// Checklist items of a task: add, tick off, reorder, remove
+router.use('/:employeeId/tasks/:taskId/checklist', employeeAccess('employeeId'), taskChecklistRoutes);
+
+// Get the state change history of a task, oldest first
+router.get('/:id/tasks/:taskId/history', employeeAccess('id'), async (req, res) => {
+  try {
+    const { id: employeeId, taskId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+
+    const taskExists = await Task.exists({ _id: taskId, assignee: employeeId });
+    if (!taskExists) {
+      return res.status(404).json({ message: 'Task not found', taskId });
+    }
+
+    const history = await TaskEvent.find({ task: taskId })
+      .sort({ at: 1, _id: 1 })
+      .lean();
+
+    res.json({ taskId, history });
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ 
+      message: 'Error fetching task history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Update a specific task for an employee
-router.put('/:id/tasks/:taskId', async (req, res) => {
+router.put('/:id/tasks/:taskId', employeeAccess('id'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -543,220 +559,94 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
       return res.status(400).json({ message: 'Employee ID and Task ID are required' });
     }
 
-    // Find the admin that contains this employee
-    const admin = await Admin.findOne({ 'employees._id': employeeId }).session(session);
-    if (!admin) {
-      console.error('Admin not found for employee ID:', employeeId);
+    // Find the task assigned to this employee
+    const task = await Task.findOne({ _id: taskId, assignee: employeeId }).session(session);
+    if (!task) {
+      console.error('Task not found with ID:', taskId);
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ 
-        message: 'Employee not found',
-        employeeId
+        message: 'Task not found',
+        taskId
       });
     }
 
-    // Find the employee
-    const employee = admin.employees.id(employeeId);
-    if (!employee) {
-      console.error('Employee not found with ID:', employeeId);
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ 
-        message: 'Employee not found',
-        employeeId
-      });
-    }
+    const { status } = req.body;
+    const currentTime = new Date();
+    const canVerify = hasPermission(req.user.role, PERMISSIONS.TASK_VERIFY);
 
-    // Find the task
-    const task = employee.tasks.id(taskId);
-    if (!task) {
-      console.error('Task not found with ID:', taskId);
-      console.log('Available task IDs:', employee.tasks.map(t => t._id || t.id));
+    // Only verifiers may approve work; nobody may approve their own submission
+    if (status === TASK_STATES.COMPLETED && (!canVerify || req.user.employeeId?.toString() === employeeId.toString())) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(404).json({ 
-        message: 'Task not found',
-        taskId,
-        availableTaskIds: employee.tasks.map(t => t._id || t.id)
-      });
+      return res.status(403).json({ message: 'Not authorized to verify this task' });
     }
 
-    // Update task fields
-    const { status, ...updateData } = req.body;
-    const currentTime = new Date();
-    
-    // Handle document uploads for verification
-    if (req.files && req.files.length > 0) {
-      // If this is a new submission, update task state
-      if (task.verificationStatus !== 'pending') {
-        // Reset task state for new submission
-        task.active = false;
-        task.completed = false;
-        task.failed = false;
-        task.newTask = false;
-        task.verificationStatus = 'pending';
-        task.submittedAt = currentTime;
-        
-        // Update task counts
-        if (task.verificationStatus === 'rejected') {
-          employee.taskCounts.active = Math.max(0, (employee.taskCounts.active || 0) - 1);
-        }
+    // An overdue task expires before any requested change is considered
+    const transitions = [expireIfOverdue(task, currentTime)];
+
+    if (status && status !== task.status) {
+      if (MANAGED_STATES[status]) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: MANAGED_STATES[status] });
       }
 
-      // Add new documents to the task
-      const documents = req.files.map(file => ({
-        fileName: file.filename,
-        originalName: file.originalname,
-        filePath: `/uploads/${file.filename}`,
-        fileSize: file.size,
-        mimeType: file.mimetype,
-        uploadedAt: currentTime
-      }));
+      if (!Object.values(TASK_STATES).includes(status)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ 
+          message: `Invalid status: ${status}`,
+          validStatuses: [TASK_STATES.ACTIVE, TASK_STATES.COMPLETED, TASK_STATES.FAILED]
+        });
+      }
 
-      task.submittedDocuments = task.submittedDocuments || [];
-      task.submittedDocuments.push(...documents);
-      
-      // Update task status to reflect pending verification
-      task.status = 'pendingVerification';
-    } 
-    // Handle status updates
-    else if (status) {
-      // For status changes, ensure proper workflow is followed
-      switch (status) {
-        case 'active':
-          task.active = true;
-          task.completed = false;
-          task.failed = false;
-          task.newTask = false;
-          task.verificationStatus = ''; // Clear verification status when reactivating
-          break;
-          
-        case 'completed':
-          // Only allow marking as completed if it's pending verification
-          if (task.verificationStatus !== 'pending') {
-            await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({ 
-              message: 'Only tasks pending verification can be marked as completed',
-              currentStatus: task.verificationStatus
-            });
-          }
-          task.completed = true;
-          task.active = false;
-          task.failed = false;
-          task.newTask = false;
-          task.verificationStatus = 'approved';
-          task.verifiedAt = currentTime;
-          task.verifiedBy = req.user?.id || 'system';
-          
-          // Update task counts
-          employee.taskCounts.completed = (employee.taskCounts.completed || 0) + 1;
-          employee.taskCounts.active = Math.max(0, (employee.taskCounts.active || 1) - 1);
-          break;
-          
-        case 'failed':
-          // Only allow marking as failed if it's not completed
-          if (task.completed) {
-            await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({ 
-              message: 'Completed tasks cannot be marked as failed',
-              currentStatus: task.status
-            });
-          }
-          task.failed = true;
-          task.active = false;
-          task.completed = false;
-          task.newTask = false;
-          task.verificationStatus = 'expired';
-          
-          // Update task counts
-          employee.taskCounts.failed = (employee.taskCounts.failed || 0) + 1;
-          if (task.status === 'active') {
-            employee.taskCounts.active = Math.max(0, (employee.taskCounts.active || 1) - 1);
-          }
-          task.verificationNote = req.body.note || '';
-          task.verificationDate = currentTime;
-          break;
-          
-        case 'pendingVerification':
-          // This status is set automatically when documents are uploaded
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ 
-            message: 'Cannot directly set status to pendingVerification. Upload documents instead.'
-          });
-          
-        case 'expired':
-          // This status is set automatically when endDate is passed
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ 
-            message: 'Cannot manually set status to expired. It is set automatically when endDate is passed.'
-          });
-          
-        case 'rejected':
-          // This is handled by the verification endpoint
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({ 
-            message: 'Use the verification endpoint to reject tasks.'
-          });
-          
-        default:
+      if (!canTransition(task.status, status)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json(transitionConflict(task, status));
+      }
+
+      // A task cannot be accepted before its predecessors are completed
+      if (status === TASK_STATES.ACTIVE) {
+        const blockers = await findOpenBlockers(task, session);
+        if (blockers.length > 0) {
           await session.abortTransaction();
           session.endSession();
-          return res.status(400).json({ 
-            message: `Invalid status: ${status}`,
-            validStatuses: ['active', 'completed', 'failed']
-          });
-      }
-      
-      // Update the task status based on the new state
-      if (task.completed) {
-        task.status = 'completed';
-      } else if (task.failed) {
-        task.status = 'failed';
-      } else if (task.verificationStatus === 'pending') {
-        task.status = 'pendingVerification';
-      } else if (task.active) {
-        task.status = 'active';
-      } else {
-        task.status = 'new';
+          return res.status(409).json(blockedConflict(blockers));
+        }
       }
+
+      transitions.push(applyTransition(task, status, {
+        at: currentTime,
+        by: req.user?.id || 'system',
+        note: req.body.note
+      }));
     }
 
-    // Update other fields
-    Object.entries(updateData).forEach(([key, value]) => {
-      if (key !== '_id' && key !== '__v') {
-        task[key] = value;
-      }
+    // Only the listed fields are copied from the request; any other key is ignored
+    ASSIGNEE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) task[field] = req.body[field];
     });
 
-    // Update task state based on dates
-    updateTaskState(task, new Date());
+    // Save the updated task, log any state change and recompute the employee's counters
+    await task.save({ session });
+    await TaskEvent.record(task, transitions, { user: req.user, session });
+    const taskCounts = await Employee.refreshTaskCounts(employeeId, session);
+    await session.commitTransaction();
+    session.endSession();
 
-    // Recompute task counts for this employee to keep counters in sync
-    if (typeof employee.updateTaskCounts === 'function') {
-      employee.updateTaskCounts();
+    // The task expired as part of this request; tell the admin as the sweep would
+    if (transitions[0]) {
+      publishTaskEvent(TASK_EVENTS.EXPIRED, task, { taskCounts });
+      await notifyTaskExpired(task);
     } else {
-      // Fallback in case method is not present
-      const tasksArr = Array.isArray(employee.tasks) ? employee.tasks : [];
-      employee.taskCounts = {
-        completed: tasksArr.filter(t => t.completed === true).length,
-        failed: tasksArr.filter(t => t.failed === true && t.completed !== true).length,
-        active: tasksArr.filter(t => t.active === true && t.completed !== true && t.failed !== true).length,
-        newTask: tasksArr.filter(t => t.newTask === true && t.active !== true && t.completed !== true && t.failed !== true).length,
-      };
+      publishTaskEvent(TASK_EVENTS.UPDATED, task, { taskCounts });
+    }
+    // A finished task no longer holds back the tasks waiting for it
+    if (isTerminalState(task.status) && transitions.some(Boolean)) {
+      await notifyUnblockedSuccessors(task);
     }
-
-    // Mark the employee as modified to ensure it gets saved
-    admin.markModified('employees');
-
-    // Save the updated admin document
-    await admin.save({ session });
-    await session.commitTransaction();
-    session.endSession();
 
     console.log('Task updated successfully:', {
       taskId: task._id,
@@ -780,99 +670,28 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
       params: req.params,
       body: req.body
     });
-    res.status(500).json({ 
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
       message: 'Error updating task',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      error: error.name === 'ValidationError' || process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Check and update expired tasks
+// Expire the caller's overdue tasks right away. Expiry normally happens in the background
+// (jobs/taskExpiry.js); this endpoint is kept for older clients.
 router.post('/tasks/check-expired', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  
   try {
-    const currentTime = new Date();
-    let updatedCount = 0;
-    
-    // Find all admins with employees who have active or pending tasks that are expired
-    const admins = await Admin.find({
-      'employees.tasks': {
-        $elemMatch: {
-          $or: [
-            { active: true, endDate: { $lt: currentTime } },
-            { verificationStatus: 'pending', endDate: { $lt: currentTime } }
-          ],
-          completed: { $ne: true },
-          failed: { $ne: true }
-        }
-      }
-    }).session(session);
-
-    // Process each admin
-    for (const admin of admins) {
-      let adminModified = false;
-      
-      // Process each employee
-      for (const employee of admin.employees) {
-        let employeeModified = false;
-        
-        // Process each task
-        for (const task of employee.tasks) {
-          // Skip if task is already completed or failed
-          if (task.completed || task.failed) continue;
-          
-          // Check if task is expired
-          if (task.endDate && new Date(task.endDate) < currentTime) {
-            // Update task state to failed
-            task.active = false;
-            task.completed = false;
-            task.failed = true;
-            task.verificationStatus = 'expired';
-            task.updatedAt = currentTime;
-            
-            // Update task counts
-            if (task.status === 'active') {
-              employee.taskCounts.active = Math.max(0, (employee.taskCounts.active || 1) - 1);
-            } else if (task.verificationStatus === 'pending') {
-              // No need to update counts for pending tasks as they were never counted as active
-            }
-            
-            employee.taskCounts.failed = (employee.taskCounts.failed || 0) + 1;
-            
-            updatedCount++;
-            employeeModified = true;
-          }
-        }
-        
-        if (employeeModified) {
-          adminModified = true;
-          admin.markModified('employees');
-        }
-      }
-      
-      // Save admin if modified
-      if (adminModified) {
-        await admin.save({ session });
-      }
-    }
+    const { expiredCount } = await expireOverdueTasks({ adminId: req.user.adminId });
     
-    await session.commitTransaction();
-    session.endSession();
-    
-    console.log(`[${new Date().toISOString()}] Updated ${updatedCount} expired tasks`);
+    console.log(`[${new Date().toISOString()}] Updated ${expiredCount} expired tasks`);
     
     res.json({
       success: true,
-      updatedCount,
-      message: `Updated ${updatedCount} expired tasks`
+      updatedCount: expiredCount,
+      message: `Updated ${expiredCount} expired tasks`
     });
     
   } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    
     console.error('Error checking expired tasks:', error);
     
     res.status(500).json({
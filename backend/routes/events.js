@@ -0,0 +1,66 @@
+import express from 'express';
+import { subscribeToTaskEvents } from '../realtime/taskEvents.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { sessionEnded } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Comment line sent periodically so proxies keep the stream open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How often an open stream re-checks that its session was not ended (sign out everywhere,
+// password change, deactivation, role change) since it was opened
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// GET /api/events - Server-Sent Events stream of live task changes in the caller's organisation.
+// Members without TASK_VERIFY only receive events for their own tasks.
+router.get('/', (req, res) => {
+  const seesWholeOrganisation = hasPermission(req.user.role, PERMISSIONS.TASK_VERIFY);
+  const ownEmployeeId = req.user.employeeId?.toString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  let eventId = 0;
+  const unsubscribe = subscribeToTaskEvents(req.user.adminId.toString(), (event) => {
+    if (!seesWholeOrganisation && event.employeeId !== ownEmployeeId) return;
+
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    unsubscribe();
+  };
+
+  // A revoked session gets a final `session-ended` event; reconnecting then fails with 401
+  const sessionCheck = setInterval(async () => {
+    try {
+      // The client may have gone while the check ran
+      if (!(await sessionEnded(req.user)) || closed) return;
+      res.write(`event: session-ended\ndata: ${JSON.stringify({ type: 'session-ended', at: new Date() })}\n\n`);
+      close();
+      res.end();
+    } catch (error) {
+      console.error('Error checking the session of an event stream:', error);
+    }
+  }, SESSION_CHECK_INTERVAL_MS);
+
+  req.on('close', close);
+});
+
+export default router;
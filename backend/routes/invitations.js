@@ -0,0 +1,185 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import Team from '../models/Team.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { authorize } from '../middleware/auth.js';
+import { ROLES, PERMISSIONS, EMPLOYEE_ROLES } from '../config/permissions.js';
+import {
+  MANAGER_SELECT,
+  PROFILE_FIELDS,
+  pickProfileFields,
+  profileValidators,
+  validateManager
+} from '../utils/employeeProfile.js';
+import { sendInvitation, unusablePassword } from '../utils/invitations.js';
+
+// Invitations of an organisation, mounted by routes/admin.js at
+// /api/admin/:adminId/invitations behind organisationAccess. Invited members are
+// employees with status `invited`; accepting happens at /api/auth/invitations.
+const router = express.Router({ mergeParams: true });
+
+const INVITATION_SELECT = 'firstName lastName email role department jobTitle createdAt invitation.expiresAt invitation.sentAt invitation.invitedBy';
+
+const presentInvitation = (employee) => ({
+  ...employee,
+  expired: !employee.invitation || employee.invitation.expiresAt <= new Date()
+});
+
+const findInvitedEmployee = (adminId, employeeId) => Employee.findOne({
+  _id: employeeId,
+  admin: adminId,
+  status: EMPLOYEE_STATUSES.INVITED
+});
+
+const organisationName = async (adminId) => (await Admin.findById(adminId).select('name').lean())?.name || '';
+
+// GET /api/admin/:adminId/invitations - Members who have not accepted their invitation yet
+router.get('/', authorize(PERMISSIONS.MEMBER_VIEW), async (req, res) => {
+  try {
+    const invitations = await Employee.find({ admin: req.params.adminId, status: EMPLOYEE_STATUSES.INVITED })
+      .select(INVITATION_SELECT)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ invitations: invitations.map(presentInvitation) });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/invitations - Add a member by invitation: the profile fields of
+// a new employee without a password. Answers with the invited employee, the link and
+// whether it was emailed.
+router.post('/', authorize(PERMISSIONS.MEMBER_MANAGE), [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(EMPLOYEE_ROLES).withMessage(`Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`),
+  ...profileValidators({ requireName: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId } = req.params;
+    const normalizedEmail = req.body.email.toLowerCase().trim();
+
+    // An email can only belong to one employee in any organisation
+    const [existingEmployee] = await Employee.findByEmail(normalizedEmail);
+    if (existingEmployee) {
+      const invitedHere = existingEmployee.admin.toString() === adminId && existingEmployee.status === EMPLOYEE_STATUSES.INVITED;
+      return res.status(400).json({
+        message: invitedHere
+          ? 'This email has already been invited; resend the invitation instead'
+          : 'Employee with this email already exists'
+      });
+    }
+
+    const profile = pickProfileFields(req.body, PROFILE_FIELDS);
+    const managerError = await validateManager(adminId, profile.manager);
+    if (managerError) {
+      return res.status(400).json({ message: managerError });
+    }
+
+    const employee = await Employee.create({
+      ...profile,
+      admin: adminId,
+      email: normalizedEmail,
+      password: unusablePassword(),
+      role: req.body.role || ROLES.EMPLOYEE,
+      status: EMPLOYEE_STATUSES.INVITED,
+      statusChangedAt: new Date()
+    });
+
+    const delivery = await sendInvitation(employee, {
+      organisation: await organisationName(adminId),
+      invitedBy: req.user.id
+    });
+    console.log(`✉️ Invited ${normalizedEmail} to organisation ${adminId}`);
+
+    await employee.populate('manager', MANAGER_SELECT);
+    const employeeResponse = employee.toObject();
+    delete employeeResponse.password;
+    delete employeeResponse.invitation.tokenHash;
+    employeeResponse.tasks = [];
+
+    res.status(201).json({ employee: employeeResponse, ...delivery });
+  } catch (error) {
+    // Someone registered the email between the check and the insert
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Employee with this email already exists' });
+    }
+    console.error('Error inviting employee:', error);
+    res.status(500).json({ message: 'Error inviting employee', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/invitations/:employeeId/resend - Send a new link (the old one
+// stops working) with a fresh expiry
+router.post('/:employeeId/resend', authorize(PERMISSIONS.MEMBER_MANAGE), async (req, res) => {
+  try {
+    const { adminId, employeeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID format' });
+    }
+
+    const employee = await findInvitedEmployee(adminId, employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    const delivery = await sendInvitation(employee, {
+      organisation: await organisationName(adminId),
+      invitedBy: req.user.id
+    });
+    console.log(`✉️ Invitation resent to ${employee.email}`);
+
+    res.json({
+      message: delivery.emailSent
+        ? `A new invitation was sent to ${employee.email}`
+        : `A new invitation link was created for ${employee.email}`,
+      ...delivery
+    });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({ message: 'Error resending invitation', error: error.message });
+  }
+});
+
+// DELETE /api/admin/:adminId/invitations/:employeeId - Revoke a pending invitation; the
+// invited member is removed, as they never joined
+router.delete('/:employeeId', authorize(PERMISSIONS.MEMBER_MANAGE), async (req, res) => {
+  try {
+    const { adminId, employeeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employee ID format' });
+    }
+
+    const employee = await Employee.findOneAndDelete({
+      _id: employeeId,
+      admin: adminId,
+      status: EMPLOYEE_STATUSES.INVITED
+    });
+    if (!employee) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    // They may already have been given a manager role or team places
+    await Promise.all([
+      Employee.updateMany({ admin: adminId, manager: employee._id }, { $set: { manager: null } }),
+      Team.updateMany({ admin: adminId, lead: employee._id }, { $set: { lead: null } }),
+      Team.updateMany({ admin: adminId, members: employee._id }, { $pull: { members: employee._id } })
+    ]);
+    console.log(`🗑️ Invitation of ${employee.email} revoked`);
+
+    res.json({ message: `The invitation of ${employee.email} was revoked` });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Error revoking invitation', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import Notification from '../models/Notification.js';
+import { NOTIFICATION_PREFERENCE_KEYS } from '../models/notificationPreferences.js';
+import { isChannelAvailable } from '../notifications/notifier.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// The signed-in user's own document: employees have an employeeId, admins do not
+const recipientModel = (req) => (req.user.employeeId ? Employee : Admin);
+
+const preferencesResponse = (user) => ({
+  preferences: user.notificationPreferences,
+  // Email can only be delivered when the server has an SMTP transport configured
+  emailAvailable: isChannelAvailable('email')
+});
+
+// GET /api/notifications/preferences - Notification settings of the signed-in user
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await recipientModel(req).findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(preferencesResponse(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PUT /api/notifications/preferences - Change some or all notification settings
+router.put('/preferences', async (req, res) => {
+  try {
+    const updates = {};
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_PREFERENCE_KEYS.includes(key)) {
+        return res.status(400).json({
+          message: `Unknown notification preference: ${key}`,
+          validPreferences: NOTIFICATION_PREFERENCE_KEYS
+        });
+      }
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ message: `${key} must be true or false` });
+      }
+      updates[`notificationPreferences.${key}`] = value;
+    }
+
+    const user = await recipientModel(req).findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(preferencesResponse(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/notifications - Newest notifications of the signed-in user
+// Query: limit (default 20), before (ISO date, for the next page), unread=true
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'before must be a valid date' });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .lean(),
+      Notification.countDocuments({ recipient: req.user.id, readAt: null })
+    ]);
+
+    res.json({
+      notifications: notifications.slice(0, limit),
+      unreadCount,
+      hasMore: notifications.length > limit
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/notifications/unread-count - Unread badge count
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/notifications/read-all - Mark every notification of the signed-in user as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ updatedCount: modifiedCount, unreadCount: 0 });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/notifications/:id/read - Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Admin from '../models/Admin.js';
+import Employee, { activeStatusFilter } from '../models/Employee.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { protect } from '../middleware/auth.js';
+import { sendMail } from '../notifications/mailer.js';
+import { hashToken, startSession } from '../utils/authTokens.js';
+import { newPasswordValidator } from '../utils/password.js';
+import { unlockAccount } from '../utils/loginThrottle.js';
+
+// Password reset and change, mounted by routes/auth.js at /api/auth/password.
+//
+//   PASSWORD_RESET_URL           page of the frontend that opens reset links; the token is
+//                                added as ?resetToken=… (default http://localhost:5173/EMS_MASTER/)
+//   PASSWORD_RESET_TTL_MINUTES   how long a reset link works (default 60)
+const router = express.Router();
+
+const USER_MODELS = { Admin, Employee };
+
+const resetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const resetLink = (token) => {
+  const url = new URL(process.env.PASSWORD_RESET_URL || 'http://localhost:5173/EMS_MASTER/');
+  url.searchParams.set('resetToken', token);
+  return url.toString();
+};
+
+// Account that may reset its password with this email: the admin, or the active employee
+// with that email (an email belongs to one employee across every organisation)
+const findAccount = async (email, userType) => {
+  if (userType === 'admin') {
+    const admin = await Admin.findOne({ email }).select('email name').lean();
+    return admin ? { user: admin, userModel: 'Admin', admin: admin._id, organisation: admin.name } : null;
+  }
+
+  const employee = await Employee.findOne({
+    email,
+    status: activeStatusFilter()
+  })
+    .select('email firstName admin')
+    .populate('admin', 'name')
+    .lean();
+  if (!employee?.admin) return null;
+  return {
+    user: employee,
+    userModel: 'Employee',
+    admin: employee.admin._id,
+    organisation: employee.admin.name
+  };
+};
+
+// Store a new reset token for the account, replacing any unused one, and email the link
+const sendResetLink = async ({ user, userModel, admin, organisation }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMinutes = resetTtlMinutes();
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  await PasswordResetToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    userModel,
+    admin,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your EMS password',
+    text: [
+      `Someone asked to reset the password of your ${organisation ? `${organisation} ` : ''}EMS account.`,
+      `Open this link within ${ttlMinutes} minutes to choose a new password:`,
+      resetLink(token),
+      'The link works once. If you did not ask for it, ignore this email; your password stays the same.'
+    ].join('\n\n')
+  });
+};
+
+// POST /api/auth/password/forgot - Email a reset link: { email, userType: 'admin' | 'employee' }.
+// Always answers the same, so it does not reveal which emails have an account.
+router.post('/forgot', [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('userType').isIn(['admin', 'employee']).withMessage('userType must be admin or employee')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    const account = await findAccount(email, req.body.userType);
+    if (account) {
+      try {
+        await sendResetLink(account);
+        console.log(`🔑 Password reset link sent to ${account.userModel.toLowerCase()} ${email}`);
+      } catch (error) {
+        console.error(`❌ Could not send the password reset link to ${email}:`, error.message);
+      }
+    }
+
+    res.json({ message: 'If an account with that email exists, a link to reset its password is on its way' });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/password/reset - Choose a new password with the token of a reset link:
+// { token, password }. Ends every session of the account.
+router.post('/reset', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  newPasswordValidator('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invalid = { message: 'This reset link is invalid or has expired', code: 'RESET_TOKEN_INVALID' };
+    const now = new Date();
+
+    // Claim the token, so it can only be used once
+    const record = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(req.body.token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } }
+    );
+    if (!record) {
+      return res.status(400).json(invalid);
+    }
+
+    const user = await USER_MODELS[record.userModel].findById(record.user);
+    if (!user || (record.userModel === 'Employee' && !user.isActive)) {
+      return res.status(400).json(invalid);
+    }
+
+    // Hashed, and every session ended, by the pre-save hook
+    user.password = req.body.password;
+    if (record.userModel === 'Employee') {
+      user.mustChangePassword = false;
+    }
+    await user.save({ validateModifiedOnly: true });
+    console.log(`🔑 Password reset for ${record.userModel.toLowerCase()} ${user.email}`);
+
+    // Whoever can read the account's email may sign in again straight away
+    await unlockAccount(user, record.userModel, { ip: req.ip, note: 'Password reset' });
+
+    res.json({ message: 'Your password has been reset. Log in with the new password.' });
+  } catch (error) {
+    console.error('❌ Password reset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/password/change - Change the signed-in user's password:
+// { currentPassword, newPassword }. Other sessions end; this one gets a new access token.
+router.post('/change', protect, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  newPasswordValidator('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const userModel = req.user.employeeId ? 'Employee' : 'Admin';
+    const user = await USER_MODELS[userModel].findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { match } = await user.comparePassword(currentPassword);
+    if (!match) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'The new password must differ from the current one' });
+    }
+
+    user.password = newPassword;
+    if (userModel === 'Employee') {
+      user.mustChangePassword = false;
+    }
+    await user.save({ validateModifiedOnly: true });
+    console.log(`🔑 Password changed by ${userModel.toLowerCase()} ${user.email}`);
+
+    // The new password ended every session, this one included: start a fresh one
+    const token = await startSession(req, res, user, userModel);
+
+    res.json({ message: 'Password changed', token, accessToken: token });
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
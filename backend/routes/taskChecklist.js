@@ -0,0 +1,185 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { isTerminalState } from '../utils/taskStateMachine.js';
+import { MAX_CHECKLIST_ITEMS, checklistProgress, readChecklistText } from '../utils/taskDetails.js';
+
+// Checklist of one task, mounted by routes/employees.js at
+// /api/employees/:employeeId/tasks/:taskId/checklist behind employeeAccess.
+// The assignee ticks items off and may add steps of their own; marking items as
+// required (or removing required ones) needs the task:create permission.
+const router = express.Router({ mergeParams: true });
+
+const presentChecklist = (task) => ({
+  taskId: task._id,
+  checklist: task.checklist,
+  progress: checklistProgress(task.checklist)
+});
+
+// Load the task of the route for a checklist change. Sends the error response and
+// resolves to null when the task is missing or finished.
+const findOpenTask = async (req, res) => {
+  const { employeeId, taskId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    res.status(400).json({ message: 'Invalid task ID' });
+    return null;
+  }
+
+  const task = await Task.findOne({ _id: taskId, assignee: employeeId });
+  if (!task) {
+    res.status(404).json({ message: 'Task not found', taskId });
+    return null;
+  }
+  if (isTerminalState(task.status)) {
+    res.status(409).json({ message: `This task is ${task.status}; its checklist can no longer change` });
+    return null;
+  }
+  return task;
+};
+
+const canManageRequired = (user) => hasPermission(user.role, PERMISSIONS.TASK_CREATE);
+
+// Save a checklist change and tell the organisation's open dashboards
+const saveChecklist = async (task) => {
+  await task.save();
+  publishTaskEvent(TASK_EVENTS.UPDATED, task);
+  return presentChecklist(task);
+};
+
+// GET /api/employees/:employeeId/tasks/:taskId/checklist - Items and progress
+router.get('/', async (req, res) => {
+  try {
+    const { employeeId, taskId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    const task = await Task.findOne({ _id: taskId, assignee: employeeId }).select('checklist').lean();
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found', taskId });
+    }
+    res.json(presentChecklist(task));
+  } catch (error) {
+    console.error('Error fetching checklist:', error);
+    res.status(500).json({ message: 'Error fetching checklist', error: error.message });
+  }
+});
+
+// POST /api/employees/:employeeId/tasks/:taskId/checklist - Add an item: { text, required }
+router.post('/', async (req, res) => {
+  try {
+    const { error, value: text } = readChecklistText(req.body.text);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const required = req.body.required === true;
+    if (required && !canManageRequired(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to add required checklist items' });
+    }
+
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+    if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({ message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` });
+    }
+
+    task.checklist.push({ text, required });
+    res.status(201).json(await saveChecklist(task));
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    res.status(500).json({ message: 'Error adding checklist item', error: error.message });
+  }
+});
+
+// PUT /api/employees/:employeeId/tasks/:taskId/checklist/order - Reorder the items:
+// { itemIds } lists every item id in the new order
+router.put('/order', async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({ message: 'itemIds must be a list of checklist item IDs' });
+    }
+
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    const itemsById = new Map(task.checklist.map(item => [item._id.toString(), item]));
+    const ordered = [...new Set(itemIds.map(String))].map(id => itemsById.get(id));
+    if (ordered.length !== task.checklist.length || ordered.some(item => !item)) {
+      return res.status(400).json({ message: 'itemIds must list every checklist item of the task exactly once' });
+    }
+
+    task.checklist = ordered.map(item => item.toObject());
+    res.json(await saveChecklist(task));
+  } catch (error) {
+    console.error('Error reordering checklist:', error);
+    res.status(500).json({ message: 'Error reordering checklist', error: error.message });
+  }
+});
+
+// PATCH /api/employees/:employeeId/tasks/:taskId/checklist/:itemId - Tick an item off or
+// reopen it ({ done }), rename it ({ text }) or change whether it is required ({ required })
+router.patch('/:itemId', async (req, res) => {
+  try {
+    const { done, text, required } = req.body;
+    if (done !== undefined && typeof done !== 'boolean') {
+      return res.status(400).json({ message: 'done must be true or false' });
+    }
+    if (required !== undefined && typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+    const newText = text === undefined ? null : readChecklistText(text);
+    if (newText?.error) {
+      return res.status(400).json({ message: newText.error });
+    }
+
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+    if (required !== undefined && required !== item.required && !canManageRequired(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to change which checklist items are required' });
+    }
+
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.doneAt = done ? new Date() : null;
+      item.doneBy = done ? req.user.id : null;
+    }
+    if (newText) item.text = newText.value;
+    if (required !== undefined) item.required = required;
+
+    res.json(await saveChecklist(task));
+  } catch (error) {
+    console.error('Error updating checklist item:', error);
+    res.status(500).json({ message: 'Error updating checklist item', error: error.message });
+  }
+});
+
+// DELETE /api/employees/:employeeId/tasks/:taskId/checklist/:itemId - Remove an item
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+    if (item.required && !canManageRequired(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to remove required checklist items' });
+    }
+
+    item.deleteOne();
+    res.json(await saveChecklist(task));
+  } catch (error) {
+    console.error('Error removing checklist item:', error);
+    res.status(500).json({ message: 'Error removing checklist item', error: error.message });
+  }
+});
+
+export default router;
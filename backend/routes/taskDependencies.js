@@ -0,0 +1,90 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { isTerminalState } from '../utils/taskStateMachine.js';
+import { findOpenBlockers, readDependencies } from '../utils/taskDependencies.js';
+
+// Predecessors of one task, mounted by routes/admin.js at
+// /api/admin/:adminId/tasks/:taskId/dependencies behind organisationAccess.
+const router = express.Router({ mergeParams: true });
+
+const SUMMARY_FIELDS = 'taskTitle status assignee endDate';
+
+// The task with what it waits for and what waits for it
+const presentDependencies = async (task) => {
+  const [dependsOn, dependents, blockers] = await Promise.all([
+    Task.find({ _id: { $in: task.dependsOn } })
+      .select(SUMMARY_FIELDS)
+      .populate('assignee', 'firstName lastName email')
+      .lean(),
+    Task.find({ dependsOn: task._id })
+      .select(SUMMARY_FIELDS)
+      .populate('assignee', 'firstName lastName email')
+      .lean(),
+    findOpenBlockers(task)
+  ]);
+  return {
+    taskId: task._id,
+    dependsOn,
+    dependents,
+    blocked: blockers.length > 0
+  };
+};
+
+// GET /api/admin/:adminId/tasks/:taskId/dependencies - Predecessors, dependents and
+// whether the task is still blocked
+router.get('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, taskId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    const task = await Task.findOne({ _id: taskId, admin: adminId }).select('dependsOn').lean();
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    res.json(await presentDependencies(task));
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PUT /api/admin/:adminId/tasks/:taskId/dependencies - Replace the predecessors:
+// { dependsOn: [taskId] }. Refused with 400 (code DEPENDENCY_CYCLE) when a predecessor
+// already waits, directly or not, for this task.
+router.put('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, taskId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    const task = await Task.findOne({ _id: taskId, admin: adminId });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (isTerminalState(task.status)) {
+      return res.status(409).json({ message: `This task is ${task.status}; its dependencies can no longer change` });
+    }
+
+    const { error, code, cycle, value } = await readDependencies(adminId, req.body.dependsOn, { taskId: task._id });
+    if (error) {
+      return res.status(400).json({ message: error, code, cycle });
+    }
+
+    task.dependsOn = value;
+    await task.save();
+    publishTaskEvent(TASK_EVENTS.UPDATED, task);
+
+    res.json(await presentDependencies(task));
+  } catch (error) {
+    console.error('Error updating task dependencies:', error);
+    res.status(500).json({ message: 'Error updating task dependencies', error: error.message });
+  }
+});
+
+export default router;
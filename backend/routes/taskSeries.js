@@ -0,0 +1,327 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Employee, { activeStatusFilter } from '../models/Employee.js';
+import Task from '../models/Task.js';
+import TaskSeries from '../models/TaskSeries.js';
+import Team from '../models/Team.js';
+import { TASK_CATEGORIES, TASK_SERIES_STATUSES } from '../models/constants.js';
+import { authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { TASK_STATES } from '../utils/taskStateMachine.js';
+import { listOccurrences, nextOccurrence, normalizeRecurrence, toRRule } from '../utils/recurrence.js';
+import { materializeSeries } from '../jobs/taskRecurrence.js';
+import { readChecklist, readDocumentTypes } from '../utils/taskDetails.js';
+
+// Recurring tasks of an organisation, mounted by routes/admin.js at
+// /api/admin/:adminId/task-series behind organisationAccess.
+const router = express.Router({ mergeParams: true });
+
+const ASSIGNEE_SELECT = 'firstName lastName email status';
+// Occurrences listed ahead in the detail view
+const UPCOMING_PREVIEW = 5;
+const MAX_SERIES_ASSIGNEES = 200;
+
+// Check the fields of a series to create (or, with `partial`, to change).
+// Returns { error } for a 400 response, or { fields } ready to store.
+const readSeries = (data, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const key of ['taskTitle', 'taskDescription']) {
+    if (data[key] !== undefined || !partial) {
+      if (typeof data[key] !== 'string' || !data[key].trim()) {
+        return { error: 'Missing required task fields' };
+      }
+      fields[key] = data[key].trim();
+    }
+  }
+
+  if (data.category !== undefined || !partial) {
+    if (!TASK_CATEGORIES.includes(data.category)) {
+      return { error: `Invalid category. Must be one of: ${TASK_CATEGORIES.join(', ')}` };
+    }
+    fields.category = data.category;
+  }
+
+  if (data.requiredDocumentTypes !== undefined) {
+    const { error, value } = readDocumentTypes(data.requiredDocumentTypes);
+    if (error) return { error };
+    fields.requiredDocumentTypes = value;
+  }
+
+  if (data.checklist !== undefined) {
+    const { error, value } = readChecklist(data.checklist);
+    if (error) return { error };
+    fields.checklist = value.map(({ text, required }) => ({ text, required }));
+  }
+
+  if (data.recurrence !== undefined || data.rrule !== undefined || !partial) {
+    const { error, recurrence } = normalizeRecurrence(data.rrule ? { rrule: data.rrule } : data.recurrence);
+    if (error) return { error };
+    fields.recurrence = recurrence;
+  }
+
+  if (data.startAt !== undefined || !partial) {
+    const startAt = new Date(data.startAt);
+    if (!data.startAt || isNaN(startAt.getTime())) {
+      return { error: 'Invalid startAt format. Expect ISO string.' };
+    }
+    fields.startAt = startAt;
+  }
+
+  // The first occurrence's due date gives the time allowed for every occurrence
+  if (data.endDate !== undefined) {
+    const endDate = new Date(data.endDate);
+    const startAt = fields.startAt || (data.startAt ? new Date(data.startAt) : null);
+    if (isNaN(endDate.getTime()) || !startAt) {
+      return { error: 'endDate needs a valid startAt to compare with' };
+    }
+    fields.durationMinutes = Math.round((endDate.getTime() - startAt.getTime()) / 60000);
+  } else if (data.durationMinutes !== undefined) {
+    fields.durationMinutes = Number(data.durationMinutes);
+  }
+  if (fields.durationMinutes !== undefined || !partial) {
+    if (!Number.isInteger(fields.durationMinutes) || fields.durationMinutes < 1) {
+      return { error: 'Each occurrence must end at least a minute after it starts' };
+    }
+  }
+
+  if (data.utcOffsetMinutes !== undefined) {
+    const offset = Number(data.utcOffsetMinutes);
+    if (!Number.isInteger(offset) || Math.abs(offset) > 14 * 60) {
+      return { error: 'Invalid utcOffsetMinutes' };
+    }
+    fields.utcOffsetMinutes = offset;
+  }
+
+  if (data.assignees !== undefined) {
+    const assignees = [...new Set([].concat(data.assignees || []).map(String))];
+    if (assignees.length > MAX_SERIES_ASSIGNEES) {
+      return { error: `A series can be assigned to at most ${MAX_SERIES_ASSIGNEES} employees` };
+    }
+    if (!assignees.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid ID format' };
+    }
+    fields.assignees = assignees;
+  }
+
+  if (data.team !== undefined) {
+    if (data.team && !mongoose.Types.ObjectId.isValid(data.team)) {
+      return { error: 'Invalid ID format' };
+    }
+    fields.team = data.team || null;
+  }
+
+  return { fields };
+};
+
+// Assignees must be active members of the organisation and the team one of its teams.
+// Resolves to an error message, or null when everything is acceptable.
+const validateSeriesAssignees = async (adminId, { assignees = [], team = null }) => {
+  if (team && !(await Team.exists({ _id: team, admin: adminId }))) {
+    return 'Team not found';
+  }
+  if (assignees.length === 0) return null;
+
+  const count = await Employee.countDocuments({
+    _id: { $in: assignees },
+    admin: adminId,
+    status: activeStatusFilter()
+  });
+  return count === assignees.length ? null : 'Tasks can only be assigned to active employees of this organisation';
+};
+
+// Series as returned to clients: the rule in RRULE notation and the next start
+const presentSeries = (series) => ({
+  ...series,
+  rrule: toRRule(series.recurrence),
+  nextOccurrenceAt: series.status === TASK_SERIES_STATUSES.ACTIVE
+    ? nextOccurrence(series, series.lastOccurrenceAt)
+    : null
+});
+
+const findSeries = (adminId, seriesId) => TaskSeries.findOne({ _id: seriesId, admin: adminId })
+  .populate('assignees', ASSIGNEE_SELECT)
+  .populate('team', 'name')
+  .lean();
+
+// GET /api/admin/:adminId/task-series - Recurring tasks, newest first (?status=active)
+router.get('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const filter = { admin: req.params.adminId };
+    if (Object.values(TASK_SERIES_STATUSES).includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const series = await TaskSeries.find(filter)
+      .populate('assignees', ASSIGNEE_SELECT)
+      .populate('team', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ series: series.map(presentSeries) });
+  } catch (error) {
+    console.error('Error fetching task series:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/task-series/:seriesId - A series with its next occurrences
+// and the tasks created so far
+router.get('/:seriesId', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, seriesId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+      return res.status(400).json({ message: 'Invalid series ID format' });
+    }
+
+    const series = await findSeries(adminId, seriesId);
+    if (!series) {
+      return res.status(404).json({ message: 'Task series not found' });
+    }
+
+    const upcoming = series.status === TASK_SERIES_STATUSES.ACTIVE
+      ? listOccurrences(series, {
+        after: series.lastOccurrenceAt,
+        until: new Date(Date.now() + 400 * 24 * 60 * 60 * 1000),
+        limit: UPCOMING_PREVIEW
+      })
+      : [];
+    const tasks = await Task.find({ admin: adminId, series: seriesId })
+      .populate('assignee', ASSIGNEE_SELECT)
+      .sort({ occurrenceAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({ ...presentSeries(series), upcoming, tasks });
+  } catch (error) {
+    console.error('Error fetching task series:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/task-series - Start a recurring task; occurrences due within
+// the lookahead are created right away
+router.post('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { error, fields } = readSeries(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.assignees?.length && !fields.team) {
+      return res.status(400).json({ message: 'Choose at least one assignee or a team' });
+    }
+
+    const assigneeError = await validateSeriesAssignees(adminId, fields);
+    if (assigneeError) {
+      return res.status(400).json({ message: assigneeError });
+    }
+
+    const series = await TaskSeries.create({ ...fields, admin: adminId, createdBy: req.user.id });
+    const { taskCount } = await materializeSeries({ seriesId: series._id });
+
+    console.log(`🔁 Task series "${series.taskTitle}" created (${toRRule(series.recurrence)})`);
+
+    res.status(201).json({ ...presentSeries(await findSeries(adminId, series._id)), createdTasks: taskCount });
+  } catch (error) {
+    console.error('Error creating task series:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Error creating task series', error: error.message });
+  }
+});
+
+// PUT /api/admin/:adminId/task-series/:seriesId - Change the template, assignees or rule
+// of an active series. Occurrences that already exist but have not started yet pick up
+// the new template (title, description, category, document types, checklist); other
+// changes apply to later occurrences.
+router.put('/:seriesId', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, seriesId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+      return res.status(400).json({ message: 'Invalid series ID format' });
+    }
+
+    const series = await TaskSeries.findOne({ _id: seriesId, admin: adminId });
+    if (!series) {
+      return res.status(404).json({ message: 'Task series not found' });
+    }
+    if (series.status !== TASK_SERIES_STATUSES.ACTIVE) {
+      return res.status(409).json({ message: `This series is ${series.status} and can no longer be changed` });
+    }
+
+    // A new due date is measured against the (possibly new) first start
+    const { error, fields } = readSeries({
+      ...req.body,
+      startAt: req.body.startAt ?? (req.body.endDate !== undefined ? series.startAt : undefined)
+    }, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const assigneeError = await validateSeriesAssignees(adminId, fields);
+    if (assigneeError) {
+      return res.status(400).json({ message: assigneeError });
+    }
+
+    series.set(fields);
+    if (series.assignees.length === 0 && !series.team) {
+      return res.status(400).json({ message: 'Choose at least one assignee or a team' });
+    }
+    await series.save();
+
+    // Bring occurrences nobody has started yet in line with the template
+    const template = {};
+    ['taskTitle', 'taskDescription', 'category', 'requiredDocumentTypes'].forEach(key => {
+      if (fields[key] !== undefined) template[key] = fields[key];
+    });
+    if (fields.checklist !== undefined) {
+      template.checklist = fields.checklist.map(({ text, required }) => ({ text, required }));
+    }
+    if (Object.keys(template).length > 0) {
+      const upcomingFilter = { series: series._id, status: TASK_STATES.NEW, taskDate: { $gt: new Date() } };
+      await Task.updateMany(upcomingFilter, { $set: template });
+      const updatedTasks = await Task.find(upcomingFilter).lean();
+      updatedTasks.forEach(task => publishTaskEvent(TASK_EVENTS.UPDATED, task));
+    }
+
+    await materializeSeries({ seriesId: series._id });
+
+    res.json(presentSeries(await findSeries(adminId, series._id)));
+  } catch (error) {
+    console.error('Error updating task series:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Error updating task series', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/task-series/:seriesId/stop - End a series. Tasks already
+// created for it stay with their assignees.
+router.post('/:seriesId/stop', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, seriesId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+      return res.status(400).json({ message: 'Invalid series ID format' });
+    }
+
+    const series = await TaskSeries.findOneAndUpdate(
+      { _id: seriesId, admin: adminId, status: TASK_SERIES_STATUSES.ACTIVE },
+      { $set: { status: TASK_SERIES_STATUSES.STOPPED, stoppedAt: new Date() } },
+      { new: true }
+    );
+    if (!series) {
+      const exists = await TaskSeries.exists({ _id: seriesId, admin: adminId });
+      return exists
+        ? res.status(409).json({ message: 'This series has already ended' })
+        : res.status(404).json({ message: 'Task series not found' });
+    }
+
+    console.log(`⏹️ Task series "${series.taskTitle}" stopped by ${req.user.id}`);
+
+    res.json(presentSeries(await findSeries(adminId, series._id)));
+  } catch (error) {
+    console.error('Error stopping task series:', error);
+    res.status(500).json({ message: 'Error stopping task series', error: error.message });
+  }
+});
+
+export default router;
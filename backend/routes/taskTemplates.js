@@ -0,0 +1,167 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import TaskTemplate from '../models/TaskTemplate.js';
+import { TASK_CATEGORIES } from '../models/constants.js';
+import { authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { readChecklist, readDocumentTypes } from '../utils/taskDetails.js';
+
+// Task templates of an organisation, mounted by routes/admin.js at
+// /api/admin/:adminId/task-templates behind organisationAccess.
+const router = express.Router({ mergeParams: true });
+
+const MAX_DURATION_MINUTES = 366 * 24 * 60;
+
+// Check the fields of a template to create (or, with `partial`, to change).
+// Returns { error } for a 400 response, or { fields } ready to store.
+const readTemplate = (data, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const key of ['name', 'taskTitle']) {
+    if (data[key] !== undefined || !partial) {
+      if (typeof data[key] !== 'string' || !data[key].trim()) {
+        return { error: key === 'name' ? 'Template name is required' : 'Task title is required' };
+      }
+      if (data[key].trim().length > 200) {
+        return { error: key === 'name' ? 'Template name is too long' : 'Task title is too long' };
+      }
+      fields[key] = data[key].trim();
+    }
+  }
+
+  if (data.taskDescription !== undefined) {
+    if (typeof data.taskDescription !== 'string' || data.taskDescription.length > 5000) {
+      return { error: 'Description must be text of at most 5000 characters' };
+    }
+    fields.taskDescription = data.taskDescription.trim();
+  }
+
+  if (data.category !== undefined || !partial) {
+    if (!TASK_CATEGORIES.includes(data.category)) {
+      return { error: `Invalid category. Must be one of: ${TASK_CATEGORIES.join(', ')}` };
+    }
+    fields.category = data.category;
+  }
+
+  if (data.defaultDurationMinutes !== undefined) {
+    const minutes = data.defaultDurationMinutes === null ? null : Number(data.defaultDurationMinutes);
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES)) {
+      return { error: 'Default duration must be a whole number of minutes, up to a year' };
+    }
+    fields.defaultDurationMinutes = minutes;
+  }
+
+  if (data.requiredDocumentTypes !== undefined) {
+    const { error, value } = readDocumentTypes(data.requiredDocumentTypes);
+    if (error) return { error };
+    fields.requiredDocumentTypes = value;
+  }
+
+  if (data.checklist !== undefined) {
+    const { error, value } = readChecklist(data.checklist);
+    if (error) return { error };
+    fields.checklist = value.map(({ text, required }) => ({ text, required }));
+  }
+
+  return { fields };
+};
+
+// GET /api/admin/:adminId/task-templates - Templates by name
+router.get('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const templates = await TaskTemplate.find({ admin: req.params.adminId })
+      .sort({ name: 1 })
+      .lean();
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching task templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/task-templates/:templateId - One template
+router.get('/:templateId', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    const template = await TaskTemplate.findOne({ _id: req.params.templateId, admin: req.params.adminId }).lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching task template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/task-templates - Save a template
+router.post('/', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { error, fields } = readTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (await TaskTemplate.exists({ admin: adminId, name: fields.name })) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    const template = await TaskTemplate.create({ ...fields, admin: adminId, createdBy: req.user.id });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating task template:', error);
+    res.status(500).json({ message: 'Error creating task template', error: error.message });
+  }
+});
+
+// PUT /api/admin/:adminId/task-templates/:templateId - Change a template; tasks created
+// from it earlier are not affected
+router.put('/:templateId', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    const { adminId, templateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+
+    const template = await TaskTemplate.findOne({ _id: templateId, admin: adminId });
+    if (!template) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+
+    const { error, fields } = readTemplate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (fields.name && fields.name !== template.name && await TaskTemplate.exists({ admin: adminId, name: fields.name })) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    template.set(fields);
+    await template.save();
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating task template:', error);
+    res.status(500).json({ message: 'Error updating task template', error: error.message });
+  }
+});
+
+// DELETE /api/admin/:adminId/task-templates/:templateId - Delete a template
+router.delete('/:templateId', authorize(PERMISSIONS.TASK_CREATE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    const template = await TaskTemplate.findOneAndDelete({ _id: req.params.templateId, admin: req.params.adminId });
+    if (!template) {
+      return res.status(404).json({ message: 'Task template not found' });
+    }
+    res.json({ message: 'Task template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting task template:', error);
+    res.status(500).json({ message: 'Error deleting task template', error: error.message });
+  }
+});
+
+export default router;
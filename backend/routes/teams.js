@@ -0,0 +1,173 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Employee from '../models/Employee.js';
+import Team from '../models/Team.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// Teams of an organisation, mounted by routes/admin.js at /api/admin/:adminId/teams
+// behind organisationAccess, so every handler can trust req.params.adminId.
+const router = express.Router({ mergeParams: true });
+
+// Fields shown for the lead and members of a team
+const MEMBER_SELECT = 'firstName lastName email status jobTitle department avatarUrl';
+
+const teamValidators = ({ requireName = false } = {}) => [
+  requireName
+    ? body('name').trim().notEmpty().withMessage('Team name is required')
+    : body('name').optional().trim().notEmpty().withMessage('Team name cannot be empty'),
+  body('name').optional().isLength({ max: 100 }).withMessage('Team name is too long'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description is too long'),
+  body('lead').optional({ values: 'null' }).isMongoId().withMessage('Lead must be an employee ID'),
+  body('members').optional().isArray().withMessage('Members must be a list of employee IDs'),
+  body('members.*').isMongoId().withMessage('Members must be a list of employee IDs')
+];
+
+// Lead and members must be current members of the organisation.
+// Resolves to an error message, or null when everyone is acceptable.
+const validateTeamMembers = async (adminId, employeeIds) => {
+  const ids = [...new Set(employeeIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return null;
+
+  const count = await Employee.countDocuments({
+    _id: { $in: ids },
+    admin: adminId,
+    status: { $ne: EMPLOYEE_STATUSES.OFFBOARDED }
+  });
+  return count === ids.length ? null : 'Team members must be current members of this organisation';
+};
+
+const findTeam = (adminId, teamId) => Team.findOne({ _id: teamId, admin: adminId })
+  .populate('lead', MEMBER_SELECT)
+  .populate('members', MEMBER_SELECT);
+
+// GET /api/admin/:adminId/teams - Teams with their members and task rollups
+router.get('/', authorize(PERMISSIONS.MEMBER_VIEW), async (req, res) => {
+  try {
+    const teams = await Team.find({ admin: req.params.adminId })
+      .populate('lead', MEMBER_SELECT)
+      .populate('members', MEMBER_SELECT)
+      .sort({ name: 1 })
+      .lean();
+    res.json({ teams });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /api/admin/:adminId/teams/:teamId - One team
+router.get('/:teamId', authorize(PERMISSIONS.MEMBER_VIEW), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.teamId)) {
+      return res.status(400).json({ message: 'Invalid team ID format' });
+    }
+    const team = await findTeam(req.params.adminId, req.params.teamId).lean();
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    res.json(team);
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/admin/:adminId/teams - Create a team
+router.post('/', authorize(PERMISSIONS.MEMBER_MANAGE), teamValidators({ requireName: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId } = req.params;
+    const { name, description, lead = null, members = [] } = req.body;
+
+    const memberError = await validateTeamMembers(adminId, [lead, ...members]);
+    if (memberError) {
+      return res.status(400).json({ message: memberError });
+    }
+    if (await Team.exists({ admin: adminId, name })) {
+      return res.status(400).json({ message: 'A team with this name already exists' });
+    }
+
+    const team = await Team.create({
+      admin: adminId,
+      name,
+      description,
+      lead,
+      members: [...new Set(members.map(String))]
+    });
+    await Team.refreshTaskCounts(team._id);
+
+    res.status(201).json(await findTeam(adminId, team._id).lean());
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ message: 'Error creating team', error: error.message });
+  }
+});
+
+// PUT /api/admin/:adminId/teams/:teamId - Rename a team or change its lead and members
+router.put('/:teamId', authorize(PERMISSIONS.MEMBER_MANAGE), teamValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId, teamId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(teamId)) {
+      return res.status(400).json({ message: 'Invalid team ID format' });
+    }
+
+    const team = await Team.findOne({ _id: teamId, admin: adminId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const { name, description, lead, members } = req.body;
+
+    const memberError = await validateTeamMembers(adminId, [lead, ...(members || [])]);
+    if (memberError) {
+      return res.status(400).json({ message: memberError });
+    }
+    if (name !== undefined && name !== team.name && await Team.exists({ admin: adminId, name })) {
+      return res.status(400).json({ message: 'A team with this name already exists' });
+    }
+
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (members !== undefined) team.members = [...new Set(members.map(String))];
+    if (lead !== undefined) team.lead = lead || null;
+
+    await team.save();
+    await Team.refreshTaskCounts(team._id);
+
+    res.json(await findTeam(adminId, team._id).lean());
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({ message: 'Error updating team', error: error.message });
+  }
+});
+
+// DELETE /api/admin/:adminId/teams/:teamId - Delete a team; its members and tasks stay
+router.delete('/:teamId', authorize(PERMISSIONS.MEMBER_MANAGE), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.teamId)) {
+      return res.status(400).json({ message: 'Invalid team ID format' });
+    }
+    const team = await Team.findOneAndDelete({ _id: req.params.teamId, admin: req.params.adminId });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ message: 'Error deleting team', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,234 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Admin from '../models/Admin.js';
+import { ROLES } from '../config/permissions.js';
+import { protect } from '../middleware/auth.js';
+import { startSession } from '../utils/authTokens.js';
+import { accountRetryAfter, recordLoginFailure, tooManyAttempts } from '../utils/loginThrottle.js';
+import {
+  TWO_FACTOR_SECRETS,
+  createRecoveryCodes,
+  createTotpSecret,
+  decryptSecret,
+  encryptSecret,
+  matchTotp,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+
+// Two-factor authentication of the signed-in admin, mounted by routes/auth.js at
+// /api/auth/2fa. The code step of the login itself is POST /api/auth/admin/login/2fa.
+const router = express.Router();
+
+router.use(protect, (req, res, next) => {
+  if (req.user.role !== ROLES.ADMIN) {
+    return res.status(403).json({ message: 'Two-factor authentication is only available for admin accounts' });
+  }
+  next();
+});
+
+const INVALID_CODE = { message: 'The code is not valid', code: 'TWO_FACTOR_CODE_INVALID' };
+
+const secondFactorValidators = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('A code from the authenticator app or a recovery code is required')
+];
+
+// Check the code sent with a request that changes the 2FA settings. Wrong codes count as
+// failed logins, so a stolen session cannot be used to guess them. Sends the error
+// response and resolves to null, or resolves to the verification result.
+const checkSecondFactor = async (req, res, admin) => {
+  const wait = await accountRetryAfter(admin, 'Admin', req);
+  if (wait) {
+    tooManyAttempts(res, wait);
+    return null;
+  }
+  const result = await verifySecondFactor(admin._id, req.body);
+  if (!result) {
+    await recordLoginFailure(req, admin, 'Admin');
+    res.status(400).json(INVALID_CODE);
+    return null;
+  }
+  return result;
+};
+
+// GET /api/auth/2fa - Whether 2FA is on, how many recovery codes are left and whether the
+// organisation requires it
+router.get('/', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).select('+twoFactor.recoveryCodes').lean();
+    if (!admin) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json({
+      enabled: Boolean(admin.twoFactor?.enabled),
+      enabledAt: admin.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: admin.twoFactor?.enabled ? admin.twoFactor.recoveryCodes.length : 0,
+      required: Boolean(admin.requireTwoFactor)
+    });
+  } catch (error) {
+    console.error('❌ Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start setting up 2FA: returns { secret, otpauthUrl, qrCode }
+// to add to an authenticator app. Nothing changes until POST /enable confirms a code.
+router.post('/setup', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (admin.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already on', code: 'TWO_FACTOR_ENABLED' });
+    }
+
+    const setup = await createTotpSecret(admin);
+    await Admin.updateOne({ _id: admin._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(setup.secret) } });
+
+    res.json(setup);
+  } catch (error) {
+    console.error('❌ Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm the setup with a first code: { code }. Turns 2FA on
+// and returns the recovery codes, shown only this once. Other sessions end; this one gets
+// a new access token.
+router.post('/enable', [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const admin = await Admin.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!admin) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already on', code: 'TWO_FACTOR_ENABLED' });
+    }
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start the setup first', code: 'TWO_FACTOR_SETUP_MISSING' });
+    }
+
+    const secret = decryptSecret(admin.twoFactor.pendingSecret);
+    const step = matchTotp(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json(INVALID_CODE);
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    admin.twoFactor = {
+      enabled: true,
+      secret: admin.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    // Sessions started with the password alone end
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save({ validateModifiedOnly: true });
+    console.log(`🛡️ Two-factor authentication turned on by admin ${admin.email}`);
+
+    const token = await startSession(req, res, admin, 'Admin');
+
+    res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes, token, accessToken: token });
+  } catch (error) {
+    console.error('❌ Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes: { code } or
+// { recoveryCode }. The old codes stop working.
+router.post('/recovery-codes', secondFactorValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const admin = await Admin.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!admin.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is off', code: 'TWO_FACTOR_DISABLED' });
+    }
+    if (!await checkSecondFactor(req, res, admin)) return;
+
+    const { codes, hashes } = createRecoveryCodes();
+    await Admin.updateOne({ _id: admin._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    console.log(`🛡️ New recovery codes for admin ${admin.email}`);
+
+    res.json({ message: 'New recovery codes created', recoveryCodes: codes });
+  } catch (error) {
+    console.error('❌ Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off: { password, code } or { password, recoveryCode }.
+// Refused with 409 (code TWO_FACTOR_REQUIRED) while the organisation requires it.
+router.post('/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...secondFactorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const admin = await Admin.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!admin.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is off', code: 'TWO_FACTOR_DISABLED' });
+    }
+    if (admin.requireTwoFactor) {
+      return res.status(409).json({
+        message: 'Your organisation requires two-factor authentication',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    if (!await checkSecondFactor(req, res, admin)) return;
+    const { match } = await admin.comparePassword(req.body.password);
+    if (!match) {
+      await recordLoginFailure(req, admin, 'Admin');
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await Admin.updateOne({ _id: admin._id }, {
+      $set: {
+        twoFactor: {
+          enabled: false,
+          secret: null,
+          pendingSecret: null,
+          recoveryCodes: [],
+          lastUsedStep: 0,
+          enabledAt: null
+        }
+      }
+    });
+    console.log(`🛡️ Two-factor authentication turned off by admin ${admin.email}`);
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('❌ Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import Employee from '../models/Employee.js';
+import Task from '../models/Task.js';
+import { LEGACY_VERIFICATION_STATUSES } from '../models/constants.js';
+import { deriveStateFields, stateFromLegacyFields } from '../utils/taskStateMachine.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -16,104 +19,99 @@ const connectDB = async () => {
   }
 };
 
-// Fix task states to follow exclusive principle
+// Compute the $set/$unset needed to bring one raw task document to the canonical shape
+const repairTask = (task) => {
+  const $set = {};
+  const $unset = {};
+
+  // Legacy verification aliases ('verified', 'none')
+  const verificationStatus = Object.prototype.hasOwnProperty.call(LEGACY_VERIFICATION_STATUSES, task.verificationStatus)
+    ? LEGACY_VERIFICATION_STATUSES[task.verificationStatus]
+    : (task.verificationStatus ?? '');
+
+  // Derive the state from the legacy flags, then rewrite status, flags and
+  // verificationStatus exactly as the state machine would
+  const expected = deriveStateFields(stateFromLegacyFields({ ...task, verificationStatus }));
+  Object.entries(expected).forEach(([key, value]) => {
+    if (task[key] !== value) $set[key] = value;
+  });
+
+  // Fold the retired `documents` array into `submittedDocuments`
+  if (Array.isArray(task.documents)) {
+    if (task.documents.length > 0) {
+      $set.submittedDocuments = [
+        ...(task.submittedDocuments || []),
+        ...task.documents.map(doc => ({
+          _id: doc._id || new mongoose.Types.ObjectId(),
+          fileName: doc.filename,
+          originalName: doc.originalName,
+          filePath: doc.path,
+          uploadedAt: doc.uploadDate
+        }))
+      ];
+    }
+    $unset.documents = '';
+  }
+
+  return { $set, $unset };
+};
+
+// Repair every task in the Task collection and resync employee counters
 const fixTaskStates = async () => {
   try {
     console.log('🔧 Starting task state cleanup...');
-    
-    // Get all employees
-    const employees = await Employee.find({});
-    console.log(`Found ${employees.length} employees to process`);
-    
+
+    // Raw documents: legacy fields are invisible through the schema
+    const tasks = await Task.collection.find({}).toArray();
+    console.log(`Found ${tasks.length} tasks to process`);
+
     let totalTasksFixed = 0;
+    const orphanedTasks = [];
+
+    for (const task of tasks) {
+      const { $set, $unset } = repairTask(task);
+      const changedFields = [...Object.keys($set), ...Object.keys($unset)];
+
+      if (changedFields.length > 0) {
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+        await Task.collection.updateOne({ _id: task._id }, update);
+        console.log(`   🔍 Task "${task.taskTitle}" fixed: ${changedFields.join(', ')}`);
+        totalTasksFixed++;
+      }
+
+      if (!task.assignee) {
+        orphanedTasks.push(task._id);
+      }
+    }
+
+    // Counters may have drifted even where no task needed fixing
+    const employees = await Employee.find({}).select('firstName email taskCounts').lean();
     let totalEmployeesUpdated = 0;
-    
+
     for (const employee of employees) {
-      let employeeTasksFixed = 0;
-      let employeeUpdated = false;
-      
-      console.log(`\n👤 Processing employee: ${employee.firstName} (${employee.email})`);
-      console.log(`   Total tasks: ${employee.tasks.length}`);
-      
-      // Process each task
-      for (const task of employee.tasks) {
-        const originalState = {
-          newTask: task.newTask,
-          active: task.active,
-          completed: task.completed,
-          failed: task.failed
-        };
-        
-        // Check if task violates exclusive principle
-        const trueStates = Object.values(originalState).filter(Boolean).length;
-        
-        if (trueStates > 1) {
-          console.log(`   🔍 Task "${task.taskTitle}" has ${trueStates} states true - FIXING`);
-          console.log(`      Original: ${JSON.stringify(originalState)}`);
-          
-          // Apply exclusive state logic with priority: completed > failed > active > newTask
-          if (task.completed) {
-            task.newTask = false;
-            task.active = false;
-            task.completed = true;
-            task.failed = false;
-          } else if (task.failed) {
-            task.newTask = false;
-            task.active = false;
-            task.completed = false;
-            task.failed = true;
-          } else if (task.active) {
-            task.newTask = false;
-            task.active = true;
-            task.completed = false;
-            task.failed = false;
-          } else {
-            // Default to newTask if none of the above
-            task.newTask = true;
-            task.active = false;
-            task.completed = false;
-            task.failed = false;
-          }
-          
-          const newState = {
-            newTask: task.newTask,
-            active: task.active,
-            completed: task.completed,
-            failed: task.failed
-          };
-          
-          console.log(`      Fixed to: ${JSON.stringify(newState)}`);
-          employeeTasksFixed++;
-          employeeUpdated = true;
-        }
-      }
-      
-      if (employeeUpdated) {
-        // Update task counts using the fixed method
-        employee.updateTaskCounts();
-        await employee.save();
-        
-        console.log(`   ✅ Fixed ${employeeTasksFixed} tasks for ${employee.firstName}`);
-        console.log(`   📊 New task counts:`, {
-          newTask: employee.taskCounts.newTask,
-          active: employee.taskCounts.active,
-          completed: employee.taskCounts.completed,
-          failed: employee.taskCounts.failed
-        });
-        
-        totalTasksFixed += employeeTasksFixed;
+      const taskCounts = await Employee.refreshTaskCounts(employee._id);
+      const before = employee.taskCounts || {};
+      const changed = Object.keys(taskCounts).some(key => before[key] !== taskCounts[key]);
+
+      if (changed) {
         totalEmployeesUpdated++;
-      } else {
-        console.log(`   ✅ No fixes needed for ${employee.firstName}`);
+        console.log(`   📊 ${employee.firstName} (${employee.email}) counts:`, taskCounts);
       }
     }
-    
+
     console.log('\n🎉 Task state cleanup completed!');
     console.log(`📈 Summary:`);
-    console.log(`   - Employees processed: ${employees.length}`);
-    console.log(`   - Employees updated: ${totalEmployeesUpdated}`);
+    console.log(`   - Tasks processed: ${tasks.length}`);
     console.log(`   - Tasks fixed: ${totalTasksFixed}`);
-    
+    console.log(`   - Employees processed: ${employees.length}`);
+    console.log(`   - Employee counters updated: ${totalEmployeesUpdated}`);
+    if (orphanedTasks.length > 0) {
+      console.warn(`   - Tasks without an assignee: ${orphanedTasks.length} (${orphanedTasks.join(', ')})`);
+    }
+
   } catch (error) {
     console.error('❌ Error during task state cleanup:', error);
   } finally {
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import dotenv from 'dotenv';
+import { hashPassword, isPasswordHashed } from '../utils/password.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for password migration');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Replace every plaintext admin/employee password with a bcrypt hash.
+// Safe to run repeatedly: values that are already hashed are skipped here, since
+// hashPassword itself hashes whatever it is given.
+const hashPasswords = async () => {
+  try {
+    console.log('🔐 Starting password migration...');
+
+    const admins = await Admin.find({}).lean();
+    console.log(`Found ${admins.length} admins to process`);
+
+    let adminsHashed = 0;
+    let employeesHashed = 0;
+
+    for (const admin of admins) {
+      console.log(`\n👤 Processing admin: ${admin.email}`);
+
+      // Use focused $set updates so unrelated legacy fields are not re-validated
+      if (!isPasswordHashed(admin.password)) {
+        await Admin.updateOne(
+          { _id: admin._id },
+          { $set: { password: await hashPassword(admin.password) } },
+          { runValidators: false }
+        );
+        adminsHashed++;
+        console.log('   ✅ Admin password hashed');
+      }
+    }
+
+    const employees = await Employee.find({}).select('email password').lean();
+    console.log(`\nFound ${employees.length} employees to process`);
+
+    for (const employee of employees) {
+      if (isPasswordHashed(employee.password)) continue;
+
+      await Employee.updateOne(
+        { _id: employee._id },
+        { $set: { password: await hashPassword(employee.password) } },
+        { runValidators: false }
+      );
+      employeesHashed++;
+      console.log(`   ✅ Employee password hashed: ${employee.email}`);
+    }
+
+    console.log('\n🎉 Password migration completed!');
+    console.log(`📈 Summary:`);
+    console.log(`   - Admins processed: ${admins.length}`);
+    console.log(`   - Admin passwords hashed: ${adminsHashed}`);
+    console.log(`   - Employee passwords hashed: ${employeesHashed}`);
+
+  } catch (error) {
+    console.error('❌ Error during password migration:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration
+const runMigration = async () => {
+  await connectDB();
+  await hashPasswords();
+  process.exit(0);
+};
+
+runMigration();
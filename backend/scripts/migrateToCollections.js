@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import Task from '../models/Task.js';
+
+// Load environment variables
+dotenv.config();
+
+// Split legacy Admin documents (admin.employees[].tasks[]) into the Employee and Task collections.
+//
+//   node scripts/migrateToCollections.js          copy + verify, legacy arrays are kept
+//   node scripts/migrateToCollections.js --prune  copy + verify, then $unset admin.employees
+//
+// Employees and tasks keep their original _id, so existing links, JWTs and uploaded
+// document references stay valid. The script is idempotent: records that were already
+// copied are left untouched, so it can be re-run after a partial failure.
+const shouldPrune = process.argv.includes('--prune');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for collection migration');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Login finds employees by email alone, so an email may belong to only one employee across
+// every organisation. Checked over the embedded and the already copied employees before
+// anything is copied or pruned: the unique email index cannot be built over duplicates.
+const findDuplicateEmails = async (admins) => {
+  const owners = new Map();
+  const addOwner = (email, employeeId) => {
+    if (!email) return;
+    const key = email.toLowerCase().trim();
+    if (!owners.has(key)) owners.set(key, new Set());
+    owners.get(key).add(employeeId.toString());
+  };
+
+  admins.forEach(admin => (admin.employees || []).forEach(employee => addOwner(employee.email, employee._id)));
+  // Standalone employees without an organisation are parked below and do not count
+  const copied = await Employee.collection
+    .find({ admin: { $exists: true } }, { projection: { email: 1 } })
+    .toArray();
+  copied.forEach(employee => addOwner(employee.email, employee._id));
+
+  return [...owners].filter(([, employeeIds]) => employeeIds.size > 1).map(([email]) => email);
+};
+
+// The retired standalone Employee model wrote admin-less documents into the same
+// `employees` collection (with a unique email index of its own). Park them in
+// `employees_legacy` so they cannot clash with the new documents.
+const quarantineStandaloneEmployees = async () => {
+  const employees = mongoose.connection.db.collection('employees');
+  const legacyFilter = { admin: { $exists: false } };
+  const legacyDocs = await employees.find(legacyFilter).toArray();
+
+  if (legacyDocs.length > 0) {
+    await mongoose.connection.db.collection('employees_legacy').insertMany(legacyDocs, { ordered: false })
+      .catch(error => {
+        // Duplicate keys mean a previous run already copied them
+        if (error.code !== 11000) throw error;
+      });
+    await employees.deleteMany(legacyFilter);
+    console.log(`   📦 Moved ${legacyDocs.length} standalone employee documents to employees_legacy`);
+
+    // Their email index is rebuilt by Employee.createIndexes() below with the current options
+    const indexes = await employees.indexes().catch(() => []);
+    const legacyEmailIndex = indexes.find(index => index.unique && index.key?.email === 1 && !index.key?.admin);
+    if (legacyEmailIndex) {
+      await employees.dropIndex(legacyEmailIndex.name);
+      console.log(`   🗑️  Dropped legacy unique index ${legacyEmailIndex.name}`);
+    }
+  }
+};
+
+const migrateAdmin = async (admin) => {
+  const summary = { employees: 0, tasks: 0, mismatches: [] };
+
+  for (const legacyEmployee of admin.employees || []) {
+    const { tasks = [], ...employeeFields } = legacyEmployee;
+
+    // Raw upserts skip the password hook: the stored value is copied as-is (hash or
+    // legacy plaintext, which is upgraded on the next successful login)
+    await Employee.collection.updateOne(
+      { _id: legacyEmployee._id },
+      { $setOnInsert: { ...employeeFields, admin: admin._id } },
+      { upsert: true }
+    );
+    summary.employees++;
+
+    for (const legacyTask of tasks) {
+      await Task.collection.updateOne(
+        { _id: legacyTask._id },
+        { $setOnInsert: { ...legacyTask, admin: admin._id, assignee: legacyEmployee._id } },
+        { upsert: true }
+      );
+      summary.tasks++;
+    }
+
+    // Verify nothing was lost before anything is pruned
+    const copiedTasks = await Task.countDocuments({ assignee: legacyEmployee._id });
+    if (copiedTasks < tasks.length) {
+      summary.mismatches.push(`${legacyEmployee.email}: ${copiedTasks}/${tasks.length} tasks copied`);
+    }
+
+    await Employee.refreshTaskCounts(legacyEmployee._id);
+  }
+
+  const copiedEmployees = await Employee.countDocuments({ admin: admin._id });
+  if (copiedEmployees < (admin.employees || []).length) {
+    summary.mismatches.push(`${copiedEmployees}/${admin.employees.length} employees copied`);
+  }
+
+  return summary;
+};
+
+const migrateToCollections = async () => {
+  try {
+    console.log('🚚 Starting Admin → Employee/Task collection migration...');
+    console.log(`   Mode: ${shouldPrune ? 'copy, verify and prune legacy arrays' : 'copy and verify (legacy arrays kept)'}`);
+
+    // Read raw documents: the Admin schema no longer declares the embedded employees
+    const admins = await Admin.collection.find({ 'employees.0': { $exists: true } }).toArray();
+    console.log(`Found ${admins.length} admins with embedded employees`);
+
+    const duplicateEmails = await findDuplicateEmails(admins);
+    if (duplicateEmails.length > 0) {
+      console.error(`❌ Emails used by more than one employee: ${duplicateEmails.join(', ')}`);
+      console.error('   Give each of these employees an email of their own and run the migration again; nothing was changed.');
+      process.exitCode = 1;
+      return;
+    }
+
+    await quarantineStandaloneEmployees();
+
+    let totalEmployees = 0;
+    let totalTasks = 0;
+    let adminsPruned = 0;
+    const failures = [];
+
+    for (const admin of admins) {
+      console.log(`\n👤 Processing admin: ${admin.email}`);
+
+      const summary = await migrateAdmin(admin);
+      totalEmployees += summary.employees;
+      totalTasks += summary.tasks;
+      console.log(`   ✅ Copied ${summary.employees} employees and ${summary.tasks} tasks`);
+
+      if (summary.mismatches.length > 0) {
+        failures.push({ admin: admin.email, mismatches: summary.mismatches });
+        summary.mismatches.forEach(message => console.error(`   ❌ ${message}`));
+        continue;
+      }
+
+      if (shouldPrune) {
+        await Admin.collection.updateOne({ _id: admin._id }, { $unset: { employees: '' } });
+        adminsPruned++;
+        console.log('   🧹 Removed legacy embedded employees');
+      }
+    }
+
+    // Build the new indexes (emails were checked to be unique across organisations above)
+    await Employee.createIndexes();
+    await Task.createIndexes();
+    console.log('\n🗂️  Indexes created');
+
+    console.log('\n🎉 Migration completed!');
+    console.log(`📈 Summary:`);
+    console.log(`   - Admins processed: ${admins.length}`);
+    console.log(`   - Employees copied: ${totalEmployees}`);
+    console.log(`   - Tasks copied: ${totalTasks}`);
+    console.log(`   - Admins pruned: ${adminsPruned}`);
+
+    if (failures.length > 0) {
+      console.error(`   - Admins with mismatches (not pruned): ${failures.length}`);
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error during collection migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration
+const runMigration = async () => {
+  await connectDB();
+  await migrateToCollections();
+  process.exit(process.exitCode || 0);
+};
+
+runMigration();
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for two-factor reset');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Turn two-factor authentication off for an admin who lost both their authenticator app
+// and their recovery codes, and end all their sessions. The organisation stops requiring
+// 2FA too, so the admin can sign in with the password and set it up again.
+// Usage: npm run reset:2fa -- admin@example.com
+const resetTwoFactor = async (email) => {
+  try {
+    const result = await Admin.updateOne(
+      { email: email.toLowerCase().trim() },
+      {
+        $set: {
+          twoFactor: {
+            enabled: false,
+            secret: null,
+            pendingSecret: null,
+            recoveryCodes: [],
+            lastUsedStep: 0,
+            enabledAt: null
+          },
+          requireTwoFactor: false
+        },
+        $inc: { tokenVersion: 1 }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      console.error(`❌ No admin with email ${email}`);
+    } else {
+      console.log(`🛡️ Two-factor authentication reset for ${email}`);
+    }
+  } catch (error) {
+    console.error('❌ Error resetting two-factor authentication:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run reset:2fa -- <admin email>');
+    process.exit(1);
+  }
+  await connectDB();
+  await resetTwoFactor(email);
+  process.exit(0);
+};
+
+run();
@@ -1,70 +1,12 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import Admin from './models/Admin.js';
+import Employee from './models/Employee.js';
+import Task from './models/Task.js';
 
 // Load environment variables
 dotenv.config();
 
-// Admin schema with embedded employees (inline definition for seeding)
-const taskSchema = new mongoose.Schema({
-  active: { type: Boolean, default: false },
-  newTask: { type: Boolean, default: true },
-  completed: { type: Boolean, default: false },
-  failed: { type: Boolean, default: false },
-  verificationStatus: { 
-    type: String, 
-    // Align with runtime Admin model: allow '', 'none', 'pending', 'verified', 'rejected'
-    enum: ['pending', 'verified', 'rejected', 'none', ''],
-    default: ''
-  },
-  taskTitle: { type: String, required: true },
-  taskDescription: { type: String, required: true },
-  taskDate: { type: Date, required: true },
-  endDate: { type: Date, required: true },
-  category: { 
-    type: String, 
-    required: true,
-    enum: ['Design', 'Development', 'Meeting', 'QA', 'Documentation', 'DevOps', 'Presentation', 'Support']
-  },
-  submittedDocuments: [{
-    fileName: String,
-    originalName: String,
-    filePath: String,
-    fileSize: Number,
-    mimeType: String,
-    uploadedAt: { type: Date, default: Date.now }
-  }]
-}, { timestamps: true });
-
-const employeeSchema = new mongoose.Schema({
-  firstName: { type: String, required: true },
-  email: { type: String, required: true },
-  password: { type: String, required: true },
-  taskCounts: {
-    active: { type: Number, default: 0 },
-    newTask: { type: Number, default: 0 },
-    completed: { type: Number, default: 0 },
-    failed: { type: Number, default: 0 }
-  },
-  tasks: [taskSchema]
-}, { timestamps: true });
-
-// Method to update task counts
-employeeSchema.methods.updateTaskCounts = function() {
-  this.taskCounts.completed = this.tasks.filter(task => task.completed === true).length;
-  this.taskCounts.failed = this.tasks.filter(task => task.failed === true && task.completed !== true).length;
-  this.taskCounts.active = this.tasks.filter(task => task.active === true && task.completed !== true && task.failed !== true).length;
-  this.taskCounts.newTask = this.tasks.filter(task => task.newTask === true && task.active !== true && task.completed !== true && task.failed !== true).length;
-};
-
-const adminSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  employees: [employeeSchema]
-}, { timestamps: true });
-
-const Admin = mongoose.model('Admin', adminSchema);
-
 // Connect to database
 const connectDB = async () => {
   try {
@@ -249,32 +191,33 @@ const seedDatabase = async () => {
     await mongoose.connection.db.dropDatabase();
     console.log('   ✅ Database completely deleted');
 
-    console.log('\n🌱 STEP 2: Creating new embedded structure...');
+    console.log('\n🌱 STEP 2: Creating admins, employees and tasks...');
 
-    // Create admins with embedded employees
-    for (const adminData of seedData) {
+    // Seed data is nested for readability; each level goes to its own collection.
+    // Passwords are hashed by the Admin/Employee pre-save hooks.
+    for (const { employees = [], ...adminData } of seedData) {
       console.log(`   Creating admin: ${adminData.email}`);
+      const admin = await Admin.create(adminData);
       
-      const admin = new Admin(adminData);
-      
-      // Update task counts for each employee
-      admin.employees.forEach(employee => {
-        employee.updateTaskCounts();
-        console.log(`     Employee: ${employee.firstName} - ${employee.tasks.length} tasks`);
-      });
+      for (const { tasks = [], ...employeeData } of employees) {
+        const employee = await Employee.create({ ...employeeData, admin: admin._id });
+        await Task.create(tasks.map(task => ({ ...task, admin: admin._id, assignee: employee._id })));
+        await Employee.refreshTaskCounts(employee._id);
+        console.log(`     Employee: ${employee.firstName} - ${tasks.length} tasks`);
+      }
       
-      await admin.save();
-      console.log(`   ✅ Admin ${adminData.email} created with ${adminData.employees.length} employees`);
+      console.log(`   ✅ Admin ${adminData.email} created with ${employees.length} employees`);
     }
 
     console.log('\n📊 STEP 3: Verification...');
     const allAdmins = await Admin.find({});
     
     for (const admin of allAdmins) {
+      const employees = await Employee.find({ admin: admin._id }).populate('tasks');
       console.log(`\n👤 Admin: ${admin.email}`);
-      console.log(`   👥 Employees: ${admin.employees.length}`);
+      console.log(`   👥 Employees: ${employees.length}`);
       
-      admin.employees.forEach((emp, index) => {
+      employees.forEach((emp, index) => {
         console.log(`     ${index + 1}. ${emp.firstName} (${emp.email})`);
         console.log(`        📋 Tasks: ${emp.tasks.length} | New:${emp.taskCounts.newTask} Active:${emp.taskCounts.active} Completed:${emp.taskCounts.completed} Failed:${emp.taskCounts.failed}`);
       });
@@ -6,7 +6,14 @@ import connectDB from './config/database.js';
 import employeeRoutes from './routes/employees.js';
 import adminRoutes from './routes/admin.js';
 import authRoutes from './routes/auth.js';
-import { protect, admin } from './middleware/auth.js';
+import { protect, requirePasswordChanged } from './middleware/auth.js';
+import notificationRoutes from './routes/notifications.js';
+import eventRoutes from './routes/events.js';
+import { startJobs } from './jobs/index.js';
+import { installLogScrubbing } from './utils/logScrubber.js';
+
+// Keep passwords and tokens out of everything logged from here on
+installLogScrubbing();
 
 // Load environment variables
 dotenv.config();
@@ -17,6 +24,13 @@ connectDB();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy (Render, nginx) req.ip is the proxy's address unless Express trusts it;
+// login throttling counts failures per req.ip. TRUST_PROXY is a hop count or 'true'.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -40,10 +54,14 @@ app.use((req, res, next) => {
 // Public routes
 app.use('/api/auth', authRoutes);
 
-// Employee routes (public for now; endpoints themselves enforce workflow rules)
-app.use('/api/employees', employeeRoutes);
-// Admin routes remain protected
-app.use('/api/admin', protect, admin, adminRoutes);
+// Employee routes require an admin or employee token; ownership is checked per route
+app.use('/api/employees', protect, requirePasswordChanged, employeeRoutes);
+// Admin routes require a token; each route declares the capability it needs
+app.use('/api/admin', protect, requirePasswordChanged, adminRoutes);
+// Notifications and notification settings of the signed-in admin or employee
+app.use('/api/notifications', protect, requirePasswordChanged, notificationRoutes);
+// Live task updates (Server-Sent Events) for the signed-in admin or employee
+app.use('/api/events', protect, requirePasswordChanged, eventRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -72,4 +90,7 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
   console.log(`Database: ${process.env.MONGODB_URI}`);
+
+  // Expire overdue tasks and send due-date reminders in the background
+  startJobs();
 });
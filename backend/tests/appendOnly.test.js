@@ -0,0 +1,44 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import TaskEvent from '../models/TaskEvent.js';
+
+const ORGANISATION = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe('append-only logs', () => {
+  for (const [Model, message] of [[TaskEvent, /Task history is append-only/], [AuditEvent, /The audit log is append-only/]]) {
+    describe(Model.modelName, () => {
+      it('refuses updates and replaces', async () => {
+        await assert.rejects(Model.updateOne({}, { $set: { note: 'changed' } }), message);
+        await assert.rejects(Model.updateMany({}, { $set: { note: 'changed' } }), message);
+        await assert.rejects(Model.findOneAndUpdate({}, { $set: { note: 'changed' } }), message);
+        await assert.rejects(Model.replaceOne({}, {}), message);
+        await assert.rejects(Model.findOneAndReplace({}, {}), message);
+      });
+
+      it('refuses deletes, even of a whole organisation without deleteForOrganisation', async () => {
+        await assert.rejects(Model.deleteOne({}), message);
+        await assert.rejects(Model.findOneAndDelete({}), message);
+        await assert.rejects(Model.deleteMany({}), message);
+        await assert.rejects(Model.deleteMany({ admin: ORGANISATION }), message);
+        await assert.rejects(Model.deleteMany({ admin: ORGANISATION, note: '' }).setOptions({ organisationDeletion: true }), message);
+      });
+
+      it('refuses to save an existing document', async () => {
+        const event = Model.hydrate({ _id: new mongoose.Types.ObjectId(), admin: ORGANISATION });
+        await assert.rejects(event.save({ validateBeforeSave: false }), message);
+        await assert.rejects(event.deleteOne(), message);
+      });
+
+      it('deletes the entries of an organisation with deleteForOrganisation', async () => {
+        const deleteMany = mock.method(Model.collection, 'deleteMany', async () => ({ acknowledged: true, deletedCount: 2 }));
+        const result = await Model.deleteForOrganisation(ORGANISATION);
+        assert.equal(result.deletedCount, 2);
+        assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { admin: ORGANISATION });
+      });
+    });
+  }
+});
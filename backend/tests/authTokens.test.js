@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { REFRESH_COOKIE, hashToken, refreshSession } from '../utils/authTokens.js';
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', tokenVersion: 0 };
+// refreshSession reads the clock with new Date(), so times are relative to the real now
+let START;
+
+// Refresh tokens by id, as plain objects
+let tokens;
+
+const addToken = (token, fields = {}) => {
+  const record = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenHash: hashToken(token),
+    user: admin._id,
+    userModel: 'Admin',
+    tokenVersion: 0,
+    expiresAt: new Date(START + 60 * 60 * 1000),
+    revokedAt: null,
+    replacedBy: null,
+    ...fields
+  };
+  tokens.set(record._id.toString(), record);
+  return record;
+};
+
+const findToken = (filter) => [...tokens.values()].find(record =>
+  (!filter.tokenHash || record.tokenHash === filter.tokenHash)
+  && (!filter._id || record._id.equals(filter._id))
+  && (!('revokedAt' in filter) || record.revokedAt === filter.revokedAt)
+) || null;
+
+const fakeRequest = (token) => ({ cookies: { [REFRESH_COOKIE]: token }, get: () => 'test-agent', ip: '203.0.113.1' });
+const fakeResponse = () => ({
+  cookies: [],
+  cleared: [],
+  cookie(name, value) { this.cookies.push([name, value]); return this; },
+  clearCookie(name) { this.cleared.push(name); return this; }
+});
+
+beforeEach(() => {
+  START = Date.now();
+  tokens = new Map();
+  mock.method(console, 'warn', () => {});
+  // Each step yields, so concurrent refreshes interleave as they would against MongoDB
+  mock.method(RefreshToken, 'findOne', async (filter) => {
+    const record = findToken(filter);
+    return record && { ...record };
+  });
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, { $set }) => {
+    const record = findToken(filter);
+    if (record) Object.assign(record, $set);
+    return record;
+  });
+  mock.method(RefreshToken, 'updateOne', async (filter, { $set }) => {
+    const record = findToken(filter);
+    if (record) Object.assign(record, $set);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(RefreshToken, 'create', async (fields) => addToken('issued', { ...fields }));
+  mock.method(Admin, 'findById', () => ({ select: () => ({ lean: async () => ({ ...admin }) }) }));
+  mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('refreshSession', () => {
+  it('exchanges the cookie for a new one and an access token', async () => {
+    const record = addToken('first');
+    const res = fakeResponse();
+    const session = await refreshSession(fakeRequest('first'), res);
+    assert.ok(session.accessToken);
+    assert.equal(res.cookies.length, 1);
+    assert.ok(tokens.get(record._id.toString()).revokedAt);
+  });
+
+  it('lets only one of two concurrent refreshes through, without clearing the cookie of the other', async () => {
+    addToken('shared');
+    const [firstRes, secondRes] = [fakeResponse(), fakeResponse()];
+    const sessions = await Promise.all([
+      refreshSession(fakeRequest('shared'), firstRes),
+      refreshSession(fakeRequest('shared'), secondRes)
+    ]);
+
+    assert.equal(sessions.filter(session => session.accessToken).length, 1);
+    assert.equal(sessions.filter(session => session.error).length, 1);
+    assert.deepEqual([...firstRes.cleared, ...secondRes.cleared], []);
+    assert.equal(Admin.updateOne.mock.callCount(), 0);
+  });
+
+  it('answers a token exchanged moments ago without clearing the cookie or ending sessions', async () => {
+    addToken('exchanged', { revokedAt: new Date(START - 5000), replacedBy: new mongoose.Types.ObjectId() });
+    const res = fakeResponse();
+    assert.deepEqual(await refreshSession(fakeRequest('exchanged'), res), { error: 'Session has ended' });
+    assert.deepEqual(res.cleared, []);
+    assert.equal(Admin.updateOne.mock.callCount(), 0);
+  });
+
+  it('ends every session when an exchanged token is replayed later', async () => {
+    addToken('stolen', { revokedAt: new Date(START - 60 * 1000), replacedBy: new mongoose.Types.ObjectId() });
+    const res = fakeResponse();
+    assert.deepEqual(await refreshSession(fakeRequest('stolen'), res), { error: 'Session has ended' });
+    assert.deepEqual(res.cleared, [REFRESH_COOKIE]);
+    assert.deepEqual(Admin.updateOne.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+  });
+});
@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { AUDIT_ACTIONS } from '../models/constants.js';
+import {
+  accountRetryAfter,
+  ipRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  tooManyAttempts,
+  unlockAccount
+} from '../utils/loginThrottle.js';
+
+const START = Date.parse('2025-01-01T12:00:00Z');
+let now;
+let ipCounter = 0;
+
+// Every test gets an IP of its own; the IP counters live in memory for the whole run
+const freshRequest = () => ({ ip: `203.0.113.${++ipCounter}` });
+const account = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', ...fields });
+
+beforeEach(() => {
+  now = START;
+  mock.method(Date, 'now', () => now);
+  mock.method(AuditEvent, 'record', async () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('ipRetryAfter', () => {
+  it('lets an IP fail 10 times before it has to wait', async () => {
+    const req = freshRequest();
+    for (let i = 0; i < 9; i++) await recordLoginFailure(req);
+    assert.equal(ipRetryAfter(req.ip), 0);
+    await recordLoginFailure(req);
+    assert.equal(ipRetryAfter(req.ip), 1);
+  });
+
+  it('doubles the wait with every further failure', async () => {
+    const req = freshRequest();
+    for (let i = 0; i < 13; i++) await recordLoginFailure(req);
+    assert.equal(ipRetryAfter(req.ip), 8);
+    now += 5000;
+    assert.equal(ipRetryAfter(req.ip), 3);
+    now += 3000;
+    assert.equal(ipRetryAfter(req.ip), 0);
+  });
+
+  it('never makes an IP wait longer than 15 minutes and then forgets it', async () => {
+    const req = freshRequest();
+    for (let i = 0; i < 40; i++) await recordLoginFailure(req);
+    assert.equal(ipRetryAfter(req.ip), 15 * 60);
+    now += 15 * 60 * 1000 + 1;
+    assert.equal(ipRetryAfter(req.ip), 0);
+  });
+
+  it('is cleared by a successful login', async () => {
+    const req = freshRequest();
+    for (let i = 0; i < 12; i++) await recordLoginFailure(req);
+    assert.ok(ipRetryAfter(req.ip) > 0);
+    await recordLoginSuccess(req, account(), 'Admin');
+    assert.equal(ipRetryAfter(req.ip), 0);
+  });
+});
+
+describe('accountRetryAfter', () => {
+  it('lets an account fail 3 times before it has to wait', async () => {
+    const lastFailedLoginAt = new Date(START);
+    assert.equal(await accountRetryAfter(account({ failedLoginAttempts: 2, lastFailedLoginAt }), 'Admin', freshRequest()), null);
+    assert.deepEqual(
+      await accountRetryAfter(account({ failedLoginAttempts: 3, lastFailedLoginAt }), 'Admin', freshRequest()),
+      { locked: false, retryAfter: 1 }
+    );
+    assert.deepEqual(
+      await accountRetryAfter(account({ failedLoginAttempts: 6, lastFailedLoginAt }), 'Admin', freshRequest()),
+      { locked: false, retryAfter: 8 }
+    );
+  });
+
+  it('counts the wait from the last failure', async () => {
+    const throttled = account({ failedLoginAttempts: 6, lastFailedLoginAt: new Date(START) });
+    now += 8000;
+    assert.equal(await accountRetryAfter(throttled, 'Admin', freshRequest()), null);
+  });
+
+  it('refuses a locked account until the lockout runs out', async () => {
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const locked = account({ lockedUntil: new Date(START + 10 * 60 * 1000) });
+    assert.deepEqual(await accountRetryAfter(locked, 'Admin', freshRequest()), { locked: true, retryAfter: 600 });
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('lifts and logs a lockout that has run out', async () => {
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const expired = account({ lockedUntil: new Date(START - 1000), failedLoginAttempts: 0 });
+    assert.equal(await accountRetryAfter(expired, 'Admin', freshRequest()), null);
+    assert.equal(expired.lockedUntil, null);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(AuditEvent.record.mock.calls[0].arguments[0], AUDIT_ACTIONS.ACCOUNT_UNLOCKED);
+  });
+
+  it('logs the lift once when two logins race for it', async () => {
+    mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 0 }));
+    const expired = account({ lockedUntil: new Date(START - 1000) });
+    assert.equal(await accountRetryAfter(expired, 'Admin', freshRequest()), null);
+    assert.equal(AuditEvent.record.mock.callCount(), 0);
+  });
+});
+
+describe('recordLoginFailure', () => {
+  // findOneAndUpdate(...).select(...).lean() resolving to the counter after the failure
+  const stubFailures = (failedLoginAttempts) => mock.method(Admin, 'findOneAndUpdate', () => ({
+    select: () => ({ lean: async () => ({ failedLoginAttempts }) })
+  }));
+
+  it('counts the failure on the account', async () => {
+    const findOneAndUpdate = stubFailures(4);
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    await recordLoginFailure(freshRequest(), account(), 'Admin');
+    assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[1].$inc, { failedLoginAttempts: 1 });
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('locks the account for 15 minutes at the 10th failure and logs it', async () => {
+    stubFailures(10);
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    await recordLoginFailure(freshRequest(), account(), 'Admin');
+    const { lockedUntil } = updateOne.mock.calls[0].arguments[1].$set;
+    assert.equal(lockedUntil.getTime() - Date.now() > 14 * 60 * 1000, true);
+    assert.equal(AuditEvent.record.mock.calls[0].arguments[0], AUDIT_ACTIONS.ACCOUNT_LOCKED);
+  });
+
+  it('logs a lockout once when two failures cross the threshold together', async () => {
+    stubFailures(11);
+    mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 0 }));
+    await recordLoginFailure(freshRequest(), account(), 'Admin');
+    assert.equal(AuditEvent.record.mock.callCount(), 0);
+  });
+});
+
+describe('unlockAccount', () => {
+  it('lifts a lockout and logs who did it', async () => {
+    mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const locked = account({ lockedUntil: new Date(START + 60 * 1000) });
+    assert.equal(await unlockAccount(locked, 'Admin', { note: 'Password reset' }), true);
+    assert.equal(AuditEvent.record.mock.calls[0].arguments[3].note, 'Password reset');
+  });
+
+  it('clears the counters of an account that was not locked without logging', async () => {
+    mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    assert.equal(await unlockAccount(account({ failedLoginAttempts: 2 }), 'Admin'), false);
+    assert.equal(AuditEvent.record.mock.callCount(), 0);
+  });
+});
+
+describe('tooManyAttempts', () => {
+  const fakeResponse = () => ({
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  });
+
+  it('answers 429 with Retry-After', () => {
+    const res = tooManyAttempts(fakeResponse(), { retryAfter: 4 });
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '4');
+    assert.equal(res.body.code, 'TOO_MANY_ATTEMPTS');
+    assert.match(res.body.message, /4 seconds/);
+  });
+
+  it('tells a locked account how many minutes are left', () => {
+    const res = tooManyAttempts(fakeResponse(), { locked: true, retryAfter: 61 });
+    assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+    assert.match(res.body.message, /2 minutes/);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, isPasswordHashed, verifyPassword } from '../utils/password.js';
+
+describe('hashPassword', () => {
+  it('stores a bcrypt hash that verifies', async () => {
+    const hash = await hashPassword('correct horse');
+    assert.ok(isPasswordHashed(hash));
+    assert.deepEqual(await verifyPassword('correct horse', hash), { match: true, needsUpgrade: false });
+    assert.equal((await verifyPassword('wrong horse', hash)).match, false);
+  });
+
+  it('hashes a password that looks like a bcrypt hash instead of storing it as one', async () => {
+    const lookalike = await hashPassword('someone else');
+    const hash = await hashPassword(lookalike);
+    assert.notEqual(hash, lookalike);
+    assert.equal((await verifyPassword(lookalike, hash)).match, true);
+    assert.equal((await verifyPassword('someone else', hash)).match, false);
+  });
+});
+
+describe('verifyPassword', () => {
+  it('matches legacy plaintext and asks for an upgrade', async () => {
+    assert.deepEqual(await verifyPassword('123', '123'), { match: true, needsUpgrade: true });
+    assert.deepEqual(await verifyPassword('124', '123'), { match: false, needsUpgrade: false });
+  });
+});
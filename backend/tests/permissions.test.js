@@ -0,0 +1,181 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { authorize, employeeAccess, organisationAccess, sessionEnded } from '../middleware/auth.js';
+import { PERMISSIONS, ROLES, hasPermission } from '../config/permissions.js';
+
+const ORGANISATION = new mongoose.Types.ObjectId();
+const OTHER_ORGANISATION = new mongoose.Types.ObjectId();
+const MEMBER = new mongoose.Types.ObjectId();
+const OTHER_MEMBER = new mongoose.Types.ObjectId();
+
+const adminUser = { id: ORGANISATION, adminId: ORGANISATION, role: ROLES.ADMIN };
+const managerUser = { id: MEMBER, employeeId: MEMBER, adminId: ORGANISATION, role: ROLES.MANAGER };
+const employeeUser = { id: MEMBER, employeeId: MEMBER, adminId: ORGANISATION, role: ROLES.EMPLOYEE };
+
+// Run a middleware with a fake request; resolves to { allowed } or { status, body }
+const run = (middleware, { user, params = {} }) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ allowed: false, status: this.statusCode, body });
+      return this;
+    }
+  };
+  Promise.resolve(middleware({ user, params }, res, () => resolve({ allowed: true }))).catch(reject);
+});
+
+describe('hasPermission', () => {
+  it('gives admins every permission', () => {
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(hasPermission(ROLES.ADMIN, permission), true);
+    }
+  });
+
+  it('lets managers verify but not manage members or the organisation', () => {
+    assert.equal(hasPermission(ROLES.MANAGER, PERMISSIONS.TASK_VERIFY), true);
+    assert.equal(hasPermission(ROLES.MANAGER, PERMISSIONS.MEMBER_MANAGE), false);
+    assert.equal(hasPermission(ROLES.MANAGER, PERMISSIONS.ORG_MANAGE), false);
+  });
+
+  it('gives unknown roles nothing', () => {
+    assert.equal(hasPermission('intern', PERMISSIONS.TASK_WORK), false);
+    assert.equal(hasPermission(undefined, PERMISSIONS.TASK_WORK), false);
+  });
+});
+
+describe('authorize', () => {
+  it('lets a role with every permission through', async () => {
+    const result = await run(authorize(PERMISSIONS.TASK_CREATE, PERMISSIONS.TASK_VERIFY), { user: managerUser });
+    assert.deepEqual(result, { allowed: true });
+  });
+
+  it('refuses a role without the permission and lists what is missing', async () => {
+    const result = await run(authorize(PERMISSIONS.TASK_WORK, PERMISSIONS.TASK_VERIFY), { user: employeeUser });
+    assert.equal(result.status, 403);
+    assert.deepEqual(result.body.requiredPermissions, [PERMISSIONS.TASK_VERIFY]);
+  });
+
+  it('refuses a request without a user', async () => {
+    const result = await run(authorize(PERMISSIONS.TASK_WORK), {});
+    assert.equal(result.status, 403);
+  });
+});
+
+describe('organisationAccess', () => {
+  it('lets callers into their own organisation', async () => {
+    const result = await run(organisationAccess('adminId'), {
+      user: managerUser,
+      params: { adminId: ORGANISATION.toString() }
+    });
+    assert.deepEqual(result, { allowed: true });
+  });
+
+  it('reads the parameter it is given', async () => {
+    const result = await run(organisationAccess('id'), {
+      user: adminUser,
+      params: { id: ORGANISATION.toString(), adminId: OTHER_ORGANISATION.toString() }
+    });
+    assert.deepEqual(result, { allowed: true });
+  });
+
+  it('keeps admins out of another organisation', async () => {
+    const result = await run(organisationAccess('id'), {
+      user: adminUser,
+      params: { id: OTHER_ORGANISATION.toString() }
+    });
+    assert.equal(result.status, 403);
+  });
+
+  it('refuses a request without a user', async () => {
+    const result = await run(organisationAccess(), { params: { adminId: ORGANISATION.toString() } });
+    assert.equal(result.status, 403);
+  });
+});
+
+describe('employeeAccess', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Members of ORGANISATION are MEMBER and OTHER_MEMBER
+  const stubOrganisation = () => mock.method(Employee, 'exists', async (filter) =>
+    String(filter.admin) === ORGANISATION.toString() &&
+    [MEMBER.toString(), OTHER_MEMBER.toString()].includes(String(filter._id)));
+
+  it('lets employees act on themselves without a lookup', async () => {
+    const exists = stubOrganisation();
+    const result = await run(employeeAccess('id'), { user: employeeUser, params: { id: MEMBER.toString() } });
+    assert.deepEqual(result, { allowed: true });
+    assert.equal(exists.mock.callCount(), 0);
+  });
+
+  it('keeps employees away from other members', async () => {
+    stubOrganisation();
+    const result = await run(employeeAccess('id'), { user: employeeUser, params: { id: OTHER_MEMBER.toString() } });
+    assert.equal(result.status, 403);
+  });
+
+  it('lets managers and admins reach members of their organisation', async () => {
+    stubOrganisation();
+    for (const user of [managerUser, adminUser]) {
+      const result = await run(employeeAccess('id'), { user, params: { id: OTHER_MEMBER.toString() } });
+      assert.deepEqual(result, { allowed: true });
+    }
+  });
+
+  it('keeps managers and admins away from members of another organisation', async () => {
+    stubOrganisation();
+    for (const user of [
+      { ...managerUser, adminId: OTHER_ORGANISATION },
+      { ...adminUser, adminId: OTHER_ORGANISATION }
+    ]) {
+      const result = await run(employeeAccess('id'), { user, params: { id: OTHER_MEMBER.toString() } });
+      assert.equal(result.status, 403);
+    }
+  });
+
+  it('answers 400 for a malformed id', async () => {
+    const result = await run(employeeAccess('id'), { user: adminUser, params: { id: 'not-an-id' } });
+    assert.equal(result.status, 400);
+  });
+});
+
+describe('sessionEnded', () => {
+  // Model.findOne/findById(...).select(...).lean() resolving to `account`
+  const stubAccount = (Model, method, account) => mock.method(Model, method, () => ({
+    select: () => ({ lean: async () => account })
+  }));
+  const member = { ...employeeUser, tokenVersion: 1 };
+
+  afterEach(() => mock.restoreAll());
+
+  it('keeps a session whose account is unchanged', async () => {
+    stubAccount(Employee, 'findOne', { role: ROLES.EMPLOYEE, status: EMPLOYEE_STATUSES.ACTIVE, tokenVersion: 1 });
+    assert.equal(await sessionEnded(member), false);
+    stubAccount(Admin, 'findById', { tokenVersion: 0 });
+    assert.equal(await sessionEnded({ ...adminUser, tokenVersion: 0 }), false);
+  });
+
+  it('ends the session of a member who signed out everywhere, was deactivated or changed role', async () => {
+    for (const account of [
+      null,
+      { role: ROLES.EMPLOYEE, status: EMPLOYEE_STATUSES.ACTIVE, tokenVersion: 2 },
+      { role: ROLES.EMPLOYEE, status: EMPLOYEE_STATUSES.INACTIVE, tokenVersion: 1 },
+      { role: ROLES.MANAGER, status: EMPLOYEE_STATUSES.ACTIVE, tokenVersion: 1 }
+    ]) {
+      mock.restoreAll();
+      stubAccount(Employee, 'findOne', account);
+      assert.equal(await sessionEnded(member), true, JSON.stringify(account));
+    }
+  });
+
+  it('ends the session of an admin whose tokens were revoked', async () => {
+    stubAccount(Admin, 'findById', { tokenVersion: 1 });
+    assert.equal(await sessionEnded({ ...adminUser, tokenVersion: 0 }), true);
+  });
+});
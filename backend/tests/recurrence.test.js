@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { listOccurrences, nextOccurrence, normalizeRecurrence, toRRule } from '../utils/recurrence.js';
+
+const isoList = (dates) => dates.map(date => date.toISOString());
+
+// Series as stored, from a recurrence input
+const series = (input, startAt, utcOffsetMinutes = 0) => ({
+  recurrence: normalizeRecurrence(input).recurrence,
+  startAt: new Date(startAt),
+  utcOffsetMinutes
+});
+
+describe('normalizeRecurrence', () => {
+  it('reads an RRULE', () => {
+    assert.deepEqual(normalizeRecurrence({ rrule: 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;COUNT=10' }), {
+      recurrence: { frequency: 'weekly', interval: 2, byWeekday: [1, 3], byMonthDay: null, count: 10, until: null }
+    });
+  });
+
+  it('ends a date-only UNTIL at the end of that day', () => {
+    const { recurrence } = normalizeRecurrence({ rrule: 'FREQ=DAILY;UNTIL=20261231' });
+    assert.equal(recurrence.until.toISOString(), '2026-12-31T23:59:59.000Z');
+  });
+
+  it('defaults the interval to 1 and ignores rules that do not fit the frequency', () => {
+    const { recurrence } = normalizeRecurrence({ frequency: 'DAILY', byWeekday: [1], byMonthDay: 3 });
+    assert.deepEqual(recurrence, { frequency: 'daily', interval: 1, byWeekday: [], byMonthDay: null, count: null, until: null });
+  });
+
+  it('refuses what it cannot schedule', () => {
+    assert.match(normalizeRecurrence(null).error, /required/);
+    assert.match(normalizeRecurrence({ rrule: 'FREQ=DAILY;BYHOUR=9' }).error, /Unsupported RRULE part "BYHOUR"/);
+    assert.match(normalizeRecurrence({ frequency: 'yearly' }).error, /frequency/);
+    assert.match(normalizeRecurrence({ frequency: 'daily', interval: 0 }).error, /interval/);
+    assert.match(normalizeRecurrence({ frequency: 'weekly', byWeekday: [7] }).error, /Weekdays/);
+    assert.match(normalizeRecurrence({ frequency: 'monthly', byMonthDay: 32 }).error, /Day of the month/);
+    assert.match(normalizeRecurrence({ frequency: 'daily', count: 0 }).error, /count/);
+    assert.match(normalizeRecurrence({ frequency: 'daily', until: 'someday' }).error, /end date/);
+  });
+});
+
+describe('toRRule', () => {
+  it('writes the rule back as an RRULE that reads the same', () => {
+    const rrule = 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15;UNTIL=20261231T000000Z';
+    const { recurrence } = normalizeRecurrence({ rrule });
+    assert.equal(toRRule(recurrence), rrule);
+    assert.deepEqual(normalizeRecurrence({ rrule: toRRule(recurrence) }).recurrence, recurrence);
+  });
+});
+
+describe('listOccurrences', () => {
+  it('repeats daily every `interval` days up to `until`', () => {
+    const occurrences = listOccurrences(
+      series({ frequency: 'daily', interval: 2 }, '2025-01-01T09:00:00Z'),
+      { until: '2025-01-07T09:00:00Z' }
+    );
+    assert.deepEqual(isoList(occurrences), [
+      '2025-01-01T09:00:00.000Z',
+      '2025-01-03T09:00:00.000Z',
+      '2025-01-05T09:00:00.000Z',
+      '2025-01-07T09:00:00.000Z'
+    ]);
+  });
+
+  it('repeats weekly on the given weekdays until `count` is reached', () => {
+    const occurrences = listOccurrences(
+      series({ rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4' }, '2025-01-06T09:00:00Z')
+    );
+    assert.deepEqual(isoList(occurrences), [
+      '2025-01-06T09:00:00.000Z',
+      '2025-01-08T09:00:00.000Z',
+      '2025-01-13T09:00:00.000Z',
+      '2025-01-15T09:00:00.000Z'
+    ]);
+  });
+
+  it('skips weekdays of the first week that come before the start', () => {
+    const occurrences = listOccurrences(
+      series({ rrule: 'FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3' }, '2025-01-08T09:00:00Z')
+    );
+    assert.deepEqual(isoList(occurrences), [
+      '2025-01-10T09:00:00.000Z',
+      '2025-01-13T09:00:00.000Z',
+      '2025-01-17T09:00:00.000Z'
+    ]);
+  });
+
+  it('moves monthly days past the end of a short month to its last day', () => {
+    const occurrences = listOccurrences(
+      series({ frequency: 'monthly', byMonthDay: 31, count: 3 }, '2025-01-31T09:00:00Z')
+    );
+    assert.deepEqual(isoList(occurrences), [
+      '2025-01-31T09:00:00.000Z',
+      '2025-02-28T09:00:00.000Z',
+      '2025-03-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('keeps weekdays in the wall-clock time of the series', () => {
+    // 01:30 on Monday in India (UTC+5:30) is still Sunday in UTC
+    const occurrences = listOccurrences(
+      series({ rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=2' }, '2025-01-05T20:00:00Z', -330)
+    );
+    assert.deepEqual(isoList(occurrences), ['2025-01-05T20:00:00.000Z', '2025-01-12T20:00:00.000Z']);
+  });
+
+  it('counts from the first occurrence, not from `after`', () => {
+    const occurrences = listOccurrences(
+      series({ frequency: 'daily', count: 5 }, '2025-01-01T09:00:00Z'),
+      { after: '2025-01-03T09:00:00Z' }
+    );
+    assert.deepEqual(isoList(occurrences), ['2025-01-04T09:00:00.000Z', '2025-01-05T09:00:00.000Z']);
+  });
+
+  it('stops at `limit`', () => {
+    const occurrences = listOccurrences(
+      series({ frequency: 'daily' }, '2025-01-01T09:00:00Z'),
+      { until: '2026-01-01T00:00:00Z', limit: 2 }
+    );
+    assert.equal(occurrences.length, 2);
+  });
+
+  it('needs an end', () => {
+    assert.throws(() => listOccurrences(series({ frequency: 'daily' }, '2025-01-01T09:00:00Z')), /needs an end/);
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('finds the next start after a date', () => {
+    const weekly = series({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU' }, '2025-01-07T09:00:00Z');
+    assert.equal(nextOccurrence(weekly, new Date('2025-01-07T09:00:00Z')).toISOString(), '2025-01-21T09:00:00.000Z');
+  });
+
+  it('is null once the series has ended', () => {
+    const finite = series({ frequency: 'daily', count: 2 }, '2025-01-01T09:00:00Z');
+    assert.equal(nextOccurrence(finite, new Date('2025-01-02T09:00:00Z')), null);
+  });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { TASK_STATES } from '../utils/taskStateMachine.js';
+import { findDependencyCycle, findOpenBlockers, readDependencies } from '../utils/taskDependencies.js';
+
+const ORGANISATION = new mongoose.Types.ObjectId().toString();
+const OTHER_ORGANISATION = new mongoose.Types.ObjectId().toString();
+const id = () => new mongoose.Types.ObjectId().toString();
+
+// Tasks by id, as { _id, admin, taskTitle, status, dependsOn }
+let tasks;
+
+const addTask = (taskTitle, { status = TASK_STATES.NEW, dependsOn = [], admin = ORGANISATION } = {}) => {
+  const task = { _id: id(), admin, taskTitle, status, dependsOn };
+  tasks.set(task._id, task);
+  return task._id;
+};
+
+// Enough of a mongoose query for the filters taskDependencies.js uses
+const matches = (task, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = key === '_id' ? task._id : task[key];
+  if (condition?.$in) return condition.$in.map(String).includes(String(value));
+  return String(value) === String(condition);
+});
+
+const fakeFind = (filter) => {
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: async () => [...tasks.values()].filter(task => matches(task, filter)).map(task => ({ ...task }))
+  };
+  return query;
+};
+
+beforeEach(() => {
+  tasks = new Map();
+  mock.method(Task, 'find', fakeFind);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('findDependencyCycle', () => {
+  it('is null when the dependencies stay acyclic', async () => {
+    const design = addTask('Design');
+    const build = addTask('Build', { dependsOn: [design] });
+    const release = addTask('Release');
+    assert.equal(await findDependencyCycle(release, [build]), null);
+  });
+
+  it('finds a direct loop', async () => {
+    const design = addTask('Design');
+    const build = addTask('Build', { dependsOn: [design] });
+    assert.deepEqual(await findDependencyCycle(design, [build]), [design, build, design]);
+  });
+
+  it('finds a loop through several tasks', async () => {
+    const design = addTask('Design');
+    const build = addTask('Build', { dependsOn: [design] });
+    const test = addTask('Test', { dependsOn: [build] });
+    const release = addTask('Release', { dependsOn: [test] });
+    // Design would wait for Release, which waits for Test, which waits for Build, ...
+    assert.deepEqual(await findDependencyCycle(design, [release]), [design, release, test, build, design]);
+  });
+
+  it('follows every branch of a diamond', async () => {
+    const design = addTask('Design');
+    const frontend = addTask('Frontend', { dependsOn: [design] });
+    const backend = addTask('Backend', { dependsOn: [design] });
+    const release = addTask('Release', { dependsOn: [frontend, backend] });
+    const cycle = await findDependencyCycle(design, [release]);
+    assert.equal(cycle.length, 4);
+    assert.equal(cycle[0], design);
+    assert.equal(cycle[1], release);
+    assert.ok([frontend, backend].includes(cycle[2]));
+    assert.equal(cycle[3], design);
+  });
+});
+
+describe('readDependencies', () => {
+  it('accepts open and completed predecessors of the organisation', async () => {
+    const design = addTask('Design', { status: TASK_STATES.COMPLETED });
+    const build = addTask('Build', { status: TASK_STATES.ACTIVE });
+    const { value, error } = await readDependencies(ORGANISATION, [design, { _id: build }, design]);
+    assert.equal(error, undefined);
+    assert.deepEqual(value.map(String), [design, build]);
+  });
+
+  it('refuses malformed ids, the task itself and tasks of another organisation', async () => {
+    const build = addTask('Build');
+    const foreign = addTask('Foreign', { admin: OTHER_ORGANISATION });
+    assert.match((await readDependencies(ORGANISATION, ['nope'])).error, /Invalid predecessor/);
+    assert.match((await readDependencies(ORGANISATION, [build], { taskId: build })).error, /itself/);
+    assert.match((await readDependencies(ORGANISATION, [foreign])).error, /this organisation/);
+  });
+
+  it('refuses predecessors that failed or expired', async () => {
+    const failed = addTask('Failed step', { status: TASK_STATES.FAILED });
+    const expired = addTask('Expired step', { status: TASK_STATES.EXPIRED });
+    const result = await readDependencies(ORGANISATION, [failed, expired]);
+    assert.equal(result.code, 'PREDECESSOR_CLOSED');
+    assert.match(result.error, /"Failed step", "Expired step"/);
+  });
+
+  it('reports a cycle with the task titles', async () => {
+    const design = addTask('Design');
+    const build = addTask('Build', { dependsOn: [design] });
+    const result = await readDependencies(ORGANISATION, [build], { taskId: design });
+    assert.equal(result.code, 'DEPENDENCY_CYCLE');
+    assert.deepEqual(result.cycle, [design, build, design]);
+    assert.match(result.error, /Design → Build → Design/);
+  });
+});
+
+describe('findOpenBlockers', () => {
+  it('lists predecessors that are still open', async () => {
+    const open = addTask('Open', { status: TASK_STATES.PENDING_VERIFICATION });
+    const rejected = addTask('Rejected', { status: TASK_STATES.REJECTED });
+    const done = addTask('Done', { status: TASK_STATES.COMPLETED });
+    const blockers = await findOpenBlockers({ dependsOn: [open, rejected, done] });
+    assert.deepEqual(blockers.map(task => task.taskTitle).sort(), ['Open', 'Rejected']);
+  });
+
+  it('is released by predecessors that failed or expired', async () => {
+    const failed = addTask('Failed', { status: TASK_STATES.FAILED });
+    const expired = addTask('Expired', { status: TASK_STATES.EXPIRED });
+    assert.deepEqual(await findOpenBlockers({ dependsOn: [failed, expired] }), []);
+  });
+
+  it('does not query for a task without predecessors', async () => {
+    assert.deepEqual(await findOpenBlockers({ dependsOn: [] }), []);
+    assert.equal(Task.find.mock.callCount(), 0);
+  });
+});
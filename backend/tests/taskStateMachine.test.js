@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXPIRABLE_STATES,
+  TASK_STATES,
+  TRANSITIONS,
+  applyTransition,
+  canTransition,
+  deriveStateFields,
+  expireIfOverdue,
+  isTerminalState,
+  stateFromLegacyFields,
+  transitionConflict
+} from '../utils/taskStateMachine.js';
+
+const { NEW, ACTIVE, PENDING_VERIFICATION, COMPLETED, REJECTED, FAILED, EXPIRED } = TASK_STATES;
+
+describe('canTransition', () => {
+  it('follows the transition table', () => {
+    assert.equal(canTransition(NEW, ACTIVE), true);
+    assert.equal(canTransition(ACTIVE, PENDING_VERIFICATION), true);
+    assert.equal(canTransition(PENDING_VERIFICATION, COMPLETED), true);
+    assert.equal(canTransition(PENDING_VERIFICATION, REJECTED), true);
+    assert.equal(canTransition(REJECTED, ACTIVE), true);
+  });
+
+  it('refuses skipping verification and leaving terminal states', () => {
+    assert.equal(canTransition(ACTIVE, COMPLETED), false);
+    assert.equal(canTransition(NEW, COMPLETED), false);
+    for (const state of [COMPLETED, FAILED, EXPIRED]) {
+      for (const to of Object.values(TASK_STATES)) {
+        assert.equal(canTransition(state, to), false, `${state} -> ${to}`);
+      }
+    }
+  });
+
+  it('never expires work waiting for verification', () => {
+    assert.equal(canTransition(PENDING_VERIFICATION, EXPIRED), false);
+    assert.ok(!EXPIRABLE_STATES.includes(PENDING_VERIFICATION));
+  });
+
+  it('refuses unknown states', () => {
+    assert.equal(canTransition('archived', ACTIVE), false);
+    assert.equal(canTransition(NEW, 'archived'), false);
+  });
+});
+
+describe('isTerminalState', () => {
+  it('marks exactly completed, failed and expired as terminal', () => {
+    const terminal = Object.keys(TRANSITIONS).filter(isTerminalState);
+    assert.deepEqual(terminal.sort(), [COMPLETED, EXPIRED, FAILED].sort());
+  });
+});
+
+describe('deriveStateFields', () => {
+  it('sets one legacy flag and the verification status', () => {
+    assert.deepEqual(deriveStateFields(COMPLETED), {
+      status: COMPLETED,
+      newTask: false,
+      active: false,
+      completed: true,
+      failed: false,
+      verificationStatus: 'approved'
+    });
+  });
+
+  it('counts rejected work as active again', () => {
+    const fields = deriveStateFields(REJECTED);
+    assert.equal(fields.active, true);
+    assert.equal(fields.verificationStatus, 'rejected');
+  });
+});
+
+describe('stateFromLegacyFields', () => {
+  it('reads the state of documents written before status', () => {
+    assert.equal(stateFromLegacyFields({ completed: true }), COMPLETED);
+    assert.equal(stateFromLegacyFields({ failed: true }), EXPIRED);
+    assert.equal(stateFromLegacyFields({ failed: true, status: FAILED }), FAILED);
+    assert.equal(stateFromLegacyFields({ verificationStatus: 'pending' }), PENDING_VERIFICATION);
+    assert.equal(stateFromLegacyFields({ verificationStatus: 'rejected' }), REJECTED);
+    assert.equal(stateFromLegacyFields({ active: true }), ACTIVE);
+    assert.equal(stateFromLegacyFields({}), NEW);
+  });
+});
+
+describe('applyTransition', () => {
+  const at = new Date('2025-01-01T12:00:00Z');
+
+  it('records a submission', () => {
+    const task = { status: ACTIVE };
+    const transition = applyTransition(task, PENDING_VERIFICATION, { at, by: 'emp-1' });
+    assert.equal(task.status, PENDING_VERIFICATION);
+    assert.equal(task.verificationStatus, 'pending');
+    assert.equal(task.submittedAt, at);
+    assert.deepEqual(transition, { fromState: ACTIVE, toState: PENDING_VERIFICATION, at, by: 'emp-1', note: '' });
+  });
+
+  it('records who approved the work', () => {
+    const task = { status: PENDING_VERIFICATION };
+    applyTransition(task, COMPLETED, { at, by: 'manager-1', note: 'Looks good' });
+    assert.equal(task.completed, true);
+    assert.equal(task.verifiedBy, 'manager-1');
+    assert.equal(task.verifiedAt, at);
+    assert.equal(task.verificationNote, 'Looks good');
+  });
+
+  it('records a rejection with its reason', () => {
+    const task = { status: PENDING_VERIFICATION };
+    const transition = applyTransition(task, REJECTED, { at, by: 'manager-1', reason: 'Wrong file' });
+    assert.equal(task.rejectedBy, 'manager-1');
+    assert.equal(task.rejectionReason, 'Wrong file');
+    assert.equal(transition.note, 'Wrong file');
+  });
+
+  it('gives a rejection without a reason a default one', () => {
+    const task = { status: PENDING_VERIFICATION };
+    applyTransition(task, REJECTED, { at });
+    assert.equal(task.rejectionReason, 'No reason provided');
+  });
+
+  it('throws on an illegal move and leaves the task alone', () => {
+    const task = { status: COMPLETED };
+    assert.throws(() => applyTransition(task, ACTIVE), /Cannot move task from "completed" to "active"/);
+    assert.equal(task.status, COMPLETED);
+  });
+});
+
+describe('transitionConflict', () => {
+  it('lists the moves that are allowed instead', () => {
+    const body = transitionConflict({ status: NEW }, COMPLETED);
+    assert.equal(body.code, 'INVALID_TRANSITION');
+    assert.equal(body.currentStatus, NEW);
+    assert.equal(body.requestedStatus, COMPLETED);
+    assert.deepEqual(body.allowedTransitions, TRANSITIONS[NEW]);
+  });
+});
+
+describe('expireIfOverdue', () => {
+  const now = new Date('2025-01-02T00:00:00Z');
+  const yesterday = new Date('2025-01-01T00:00:00Z');
+  const tomorrow = new Date('2025-01-03T00:00:00Z');
+
+  it('expires open work past its end date', () => {
+    const task = { status: ACTIVE, endDate: yesterday };
+    const transition = expireIfOverdue(task, now);
+    assert.equal(task.status, EXPIRED);
+    assert.equal(transition.by, 'system');
+  });
+
+  it('leaves work that is not due yet or waits for verification', () => {
+    const notDue = { status: ACTIVE, endDate: tomorrow };
+    const submitted = { status: PENDING_VERIFICATION, endDate: yesterday };
+    assert.equal(expireIfOverdue(notDue, now), null);
+    assert.equal(expireIfOverdue(submitted, now), null);
+    assert.equal(notDue.status, ACTIVE);
+    assert.equal(submitted.status, PENDING_VERIFICATION);
+  });
+});
@@ -0,0 +1,171 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Admin from '../models/Admin.js';
+import { hashToken, jwtSecret } from '../utils/authTokens.js';
+import {
+  createRecoveryCodes,
+  createTotpSecret,
+  decryptSecret,
+  encryptSecret,
+  findChallengedAdmin,
+  matchTotp,
+  signTwoFactorChallenge,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+
+// The SHA-1 secret of the RFC 6238 test vectors ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (seconds) => mock.method(Date, 'now', () => seconds * 1000);
+
+// Admin.findById(...) as a query that can be awaited, selected and made lean
+const stubAdmin = (admin) => mock.method(Admin, 'findById', () => {
+  const query = {
+    select: () => query,
+    lean: async () => admin,
+    then: (resolve, reject) => Promise.resolve(admin).then(resolve, reject)
+  };
+  return query;
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('matchTotp', () => {
+  it('accepts the codes of the RFC 6238 test vectors', () => {
+    at(59);
+    assert.equal(matchTotp(RFC_SECRET, '287082'), 1);
+    at(1111111109);
+    assert.equal(matchTotp(RFC_SECRET, '081804'), 37037036);
+    assert.equal(matchTotp(RFC_SECRET, '081 804'), 37037036);
+  });
+
+  it('accepts the previous and next step for clocks that are a bit off', () => {
+    at(1111111109 + 30);
+    assert.equal(matchTotp(RFC_SECRET, '081804'), 37037036);
+    at(1111111109 - 30);
+    assert.equal(matchTotp(RFC_SECRET, '081804'), 37037036);
+    at(1111111109 + 60);
+    assert.equal(matchTotp(RFC_SECRET, '081804'), null);
+  });
+
+  it('refuses anything that is not six digits', () => {
+    at(59);
+    for (const code of ['', null, '28708', '2870822', 'abcdef', '94287082']) {
+      assert.equal(matchTotp(RFC_SECRET, code), null, String(code));
+    }
+  });
+});
+
+describe('encryptSecret', () => {
+  it('round-trips and never stores the secret in the clear', () => {
+    const stored = encryptSecret(RFC_SECRET);
+    assert.ok(!stored.includes(RFC_SECRET));
+    assert.notEqual(encryptSecret(RFC_SECRET), stored);
+    assert.equal(decryptSecret(stored), RFC_SECRET);
+  });
+
+  it('refuses a secret that was tampered with', () => {
+    const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split('.');
+    const flipped = encrypted.startsWith('A') ? `B${encrypted.slice(1)}` : `A${encrypted.slice(1)}`;
+    assert.throws(() => decryptSecret([iv, tag, flipped].join('.')));
+  });
+});
+
+describe('createTotpSecret', () => {
+  it('returns a base32 secret with its setup link and QR code', async () => {
+    const { secret, otpauthUrl, qrCode } = await createTotpSecret({ email: 'admin@example.com' });
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.ok(otpauthUrl.startsWith('otpauth://totp/EMS%3Aadmin%40example.com?'));
+    assert.equal(new URL(otpauthUrl).searchParams.get('secret'), secret);
+    assert.match(qrCode, /^data:image\/png;base64,/);
+  });
+});
+
+describe('createRecoveryCodes', () => {
+  it('creates 10 distinct codes and stores only their hashes', () => {
+    const { codes, hashes } = createRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.deepEqual(hashes, codes.map(code => hashToken(code.replace('-', ''))));
+  });
+});
+
+describe('verifySecondFactor', () => {
+  const adminWithTwoFactor = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    twoFactor: {
+      enabled: true,
+      secret: encryptSecret(RFC_SECRET),
+      recoveryCodes: [hashToken('3f9a2c41b7'), hashToken('0000011111')],
+      lastUsedStep: 0
+    }
+  });
+
+  it('accepts a current code once', async () => {
+    at(59);
+    stubAdmin(adminWithTwoFactor());
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    assert.deepEqual(await verifySecondFactor('id', { code: '287082' }), { method: 'totp', recoveryCodesLeft: 2 });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0]['twoFactor.lastUsedStep'], { $lt: 1 });
+
+    // The same code again finds lastUsedStep already at its step
+    updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.equal(await verifySecondFactor('id', { code: '287082' }), null);
+  });
+
+  it('refuses a wrong code without touching the account', async () => {
+    at(59);
+    stubAdmin(adminWithTwoFactor());
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    assert.equal(await verifySecondFactor('id', { code: '123456' }), null);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('spends a recovery code, ignoring case, dashes and spaces', async () => {
+    stubAdmin(adminWithTwoFactor());
+    const updateOne = mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 1 }));
+    assert.deepEqual(await verifySecondFactor('id', { recoveryCode: ' 3F9A2 c41b7 ' }), { method: 'recovery', recoveryCodesLeft: 1 });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $pull: { 'twoFactor.recoveryCodes': hashToken('3f9a2c41b7') } });
+  });
+
+  it('refuses a recovery code that is unknown or already spent', async () => {
+    stubAdmin(adminWithTwoFactor());
+    mock.method(Admin, 'updateOne', async () => ({ modifiedCount: 0 }));
+    assert.equal(await verifySecondFactor('id', { recoveryCode: '3f9a2-c41b7' }), null);
+  });
+
+  it('refuses everything while 2FA is off', async () => {
+    at(59);
+    stubAdmin({ ...adminWithTwoFactor(), twoFactor: { enabled: false } });
+    assert.equal(await verifySecondFactor('id', { code: '287082' }), null);
+  });
+});
+
+describe('two-factor challenges', () => {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenVersion: 2,
+    twoFactor: { enabled: true }
+  };
+
+  it('lead back to the admin they were issued to', async () => {
+    stubAdmin(admin);
+    assert.equal(await findChallengedAdmin(signTwoFactorChallenge(admin)), admin);
+  });
+
+  it('stop working once the admin\'s sessions were ended', async () => {
+    const challenge = signTwoFactorChallenge(admin);
+    stubAdmin({ ...admin, tokenVersion: 3 });
+    assert.equal(await findChallengedAdmin(challenge), null);
+  });
+
+  it('cannot be replaced by an access token or a forged token', async () => {
+    stubAdmin(admin);
+    const accessToken = jwt.sign({ id: admin._id.toString(), tv: 2 }, jwtSecret());
+    assert.equal(await findChallengedAdmin(accessToken), null);
+    assert.equal(await findChallengedAdmin('not-a-token'), null);
+  });
+});
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+
+// Sessions: a short-lived access token (JWT, sent as a Bearer header) plus a refresh
+// token in an httpOnly cookie that POST /api/auth/refresh exchanges for a new pair.
+// Both carry the user's tokenVersion, so raising it ends every session at once.
+//
+//   JWT_EXPIRES_IN            lifetime of access tokens (default 15m)
+//   REFRESH_TOKEN_TTL_DAYS    how long a sign-in lasts without a refresh (default 30)
+//   REFRESH_COOKIE_SAMESITE   SameSite of the cookie (default none in production, else lax)
+export const REFRESH_COOKIE = 'refreshToken';
+
+const USER_MODELS = { Admin, Employee };
+// A token replaced moments ago is most likely a second tab refreshing at the same time,
+// not a stolen token being replayed
+const REUSE_GRACE_MS = 10 * 1000;
+
+export const jwtSecret = () => process.env.JWT_SECRET || 'your_jwt_secret';
+
+const refreshTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Tokens sent to users (refresh cookies, reset links) are stored as SHA-256 hashes
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const cookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // The frontend is served from another site in production
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || (production ? 'none' : 'lax'),
+    path: '/api/auth'
+  };
+};
+
+// Access token of an admin or employee (`userModel` is 'Admin' or 'Employee')
+export const signAccessToken = (user, userModel) => {
+  const claims = userModel === 'Employee'
+    ? {
+      id: user._id.toString(),
+      role: 'employee',
+      email: user.email,
+      adminId: user.admin.toString(),
+      employeeId: user._id.toString()
+    }
+    : { id: user._id.toString(), role: 'admin', email: user.email };
+
+  return jwt.sign(
+    { ...claims, tv: user.tokenVersion || 0 },
+    jwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Store a new refresh token for the user and set its cookie
+const issueRefreshToken = async (req, res, user, userModel) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + refreshTtlMs());
+
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    userModel,
+    admin: userModel === 'Admin' ? user._id : user.admin,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt,
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+  });
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), expires: expiresAt });
+  return record;
+};
+
+export const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+// Sign a user in: sets the refresh cookie and resolves to the access token
+export const startSession = async (req, res, user, userModel) => {
+  await issueRefreshToken(req, res, user, userModel);
+  return signAccessToken(user, userModel);
+};
+
+// End every session of a user, on this and every other device
+export const revokeAllSessions = async (userModel, userId) => {
+  await USER_MODELS[userModel].updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Exchange the refresh cookie for a new refresh token and access token. Resolves to
+// { error } when the session is over (the cookie is cleared), or { accessToken, user, userModel }.
+// A token exchanged moments ago was most likely exchanged by another tab refreshing at the
+// same time: that one gets an error too, but the cookie is kept, as clearing it could throw
+// away the new cookie the other tab just received.
+export const refreshSession = async (req, res) => {
+  const fail = (error, { keepCookie = false } = {}) => {
+    if (!keepCookie) clearRefreshCookie(res);
+    return { error };
+  };
+
+  const token = req.cookies?.[REFRESH_COOKIE];
+  if (!token) return fail('No session');
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return fail('Session not found');
+
+  const now = new Date();
+  if (record.revokedAt) {
+    if (now - record.revokedAt <= REUSE_GRACE_MS) {
+      return fail('Session has ended', { keepCookie: true });
+    }
+    // A token that was already exchanged is being used again: end the whole sign-in
+    if (record.replacedBy) {
+      console.warn(`🚨 Refresh token reused for ${record.userModel} ${record.user}; ending all sessions`);
+      await revokeAllSessions(record.userModel, record.user);
+    }
+    return fail('Session has ended');
+  }
+  if (record.expiresAt <= now) return fail('Session has expired');
+
+  const user = await USER_MODELS[record.userModel].findById(record.user)
+    .select('email admin status tokenVersion')
+    .lean();
+  const inactive = user?.status && user.status !== EMPLOYEE_STATUSES.ACTIVE;
+  if (!user || inactive || (user.tokenVersion || 0) !== record.tokenVersion) {
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { revokedAt: now } });
+    return fail('Session has ended');
+  }
+
+  // Claim the token, so two requests cannot both exchange it
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  if (!claimed) return fail('Session has ended', { keepCookie: true });
+
+  const replacement = await issueRefreshToken(req, res, user, record.userModel);
+  await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: replacement._id } });
+
+  return { accessToken: signAccessToken(user, record.userModel), user, userModel: record.userModel };
+};
+
+// Sign out the session of the refresh cookie, or with `everywhere` every session of its user
+export const endSession = async (req, res, { everywhere = false } = {}) => {
+  const token = req.cookies?.[REFRESH_COOKIE];
+  clearRefreshCookie(res);
+  if (!token) return null;
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return null;
+
+  if (everywhere && !record.revokedAt) {
+    await revokeAllSessions(record.userModel, record.user);
+  } else if (!record.revokedAt) {
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { revokedAt: new Date() } });
+  }
+  return record;
+};
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Enough for spreadsheet exports without a parser dependency.
+
+// Parse CSV text into an array of rows (arrays of strings). Rows with only empty
+// fields are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Spreadsheet programs often prepend a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Quote a value when needed. Values that a spreadsheet would run as a formula are
+// prefixed with an apostrophe so an exported file cannot execute anything.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from column names and row objects keyed by those names
+export const toCsv = (columns, records) => [
+  columns.map(formatCell).join(','),
+  ...records.map(record => columns.map(column => formatCell(record[column])).join(','))
+].join('\r\n') + '\r\n';
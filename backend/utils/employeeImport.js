@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import Employee from '../models/Employee.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { EMPLOYEE_ROLES, ROLES } from '../config/permissions.js';
+import { PHONE_PATTERN } from './employeeProfile.js';
+import { parseCsv } from './csv.js';
+
+// Largest roster accepted in one import
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Columns written by the roster export; the import reads the same names back
+export const ROSTER_COLUMNS = [
+  'firstName', 'lastName', 'email', 'role', 'status', 'department', 'jobTitle', 'phone', 'hireDate', 'manager'
+];
+
+// Header spellings accepted for each imported field (compared lower-case, without spaces,
+// dashes or underscores). `name` is split into first and last name.
+const HEADER_ALIASES = {
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  name: ['name', 'fullname'],
+  email: ['email', 'emailaddress'],
+  password: ['password', 'initialpassword'],
+  role: ['role'],
+  department: ['department', 'dept'],
+  jobTitle: ['jobtitle', 'title', 'position'],
+  phone: ['phone', 'phonenumber'],
+  hireDate: ['hiredate', 'startdate'],
+  manager: ['manager', 'manageremail', 'reportsto']
+};
+
+// Export-only columns that are recognised but not imported
+const IGNORED_HEADERS = ['status'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 3;
+const MAX_TEXT_LENGTH = 100;
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+// Map each column index to the field it holds; unknown columns are reported back
+const mapHeaders = (headers) => {
+  const fields = [];
+  const ignoredColumns = [];
+  headers.forEach((header, index) => {
+    const normalised = normaliseHeader(header);
+    const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalised));
+    if (field) {
+      fields[index] = field;
+    } else if (header.trim() && !IGNORED_HEADERS.includes(normalised)) {
+      ignoredColumns.push(header.trim());
+    }
+  });
+  return { fields, ignoredColumns };
+};
+
+// Readable one-time password for members imported without one
+const generatePassword = () => crypto.randomBytes(9).toString('base64url');
+
+// Turn one CSV row into employee fields plus the list of problems found in it
+const readRow = (cells, fields) => {
+  const values = {};
+  fields.forEach((field, index) => {
+    if (field) values[field] = (cells[index] || '').trim();
+  });
+
+  if (values.name && !values.firstName) {
+    const [firstName, ...rest] = values.name.split(/\s+/);
+    values.firstName = firstName;
+    values.lastName = values.lastName || rest.join(' ');
+  }
+
+  const errors = [];
+  const email = (values.email || '').toLowerCase();
+  if (!values.firstName) errors.push('First name is required');
+  if (!email) {
+    errors.push('Email is required');
+  } else if (!EMAIL_PATTERN.test(email)) {
+    errors.push('Email is not valid');
+  }
+  if (values.password && values.password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const role = (values.role || ROLES.EMPLOYEE).toLowerCase();
+  if (!EMPLOYEE_ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`);
+  }
+  ['firstName', 'lastName', 'department', 'jobTitle'].forEach(field => {
+    if (values[field] && values[field].length > MAX_TEXT_LENGTH) {
+      errors.push(`${field} is too long`);
+    }
+  });
+  if (values.phone && !PHONE_PATTERN.test(values.phone)) {
+    errors.push('Phone number is not valid');
+  }
+  let hireDate = null;
+  if (values.hireDate) {
+    hireDate = new Date(values.hireDate);
+    if (isNaN(hireDate.getTime())) errors.push('Hire date must be a valid date');
+  }
+
+  return {
+    errors,
+    managerEmail: (values.manager || '').toLowerCase(),
+    employee: {
+      firstName: values.firstName || '',
+      lastName: values.lastName || '',
+      email,
+      password: values.password || '',
+      role,
+      department: values.department || '',
+      jobTitle: values.jobTitle || '',
+      phone: values.phone || '',
+      hireDate
+    }
+  };
+};
+
+// Parse and validate an import file for an organisation. Nothing is written here.
+// Resolves to { rows, errors, ignoredColumns } where `rows` are ready for Employee.create
+// (with `row` numbers counted from the first line after the header) and `errors` lists
+// { row, email, messages } for every rejected row. Throws on an unreadable file.
+export const prepareEmployeeImport = async (adminId, csvText) => {
+  const [headers, ...lines] = parseCsv(csvText);
+  if (!headers) {
+    throw new Error('The CSV file is empty');
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new Error(`A CSV import can contain at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const { fields, ignoredColumns } = mapHeaders(headers);
+  if (!fields.includes('email') || !(fields.includes('firstName') || fields.includes('name'))) {
+    throw new Error('The CSV header must include an email column and a firstName or name column');
+  }
+
+  const parsed = lines.map((cells, index) => ({ row: index + 1, ...readRow(cells, fields) }));
+
+  // An email identifies one person across every organisation, so it may not appear in
+  // the file twice or belong to anyone already registered
+  const emails = parsed.map(entry => entry.employee.email).filter(Boolean);
+  const registered = await Employee.findByEmail(emails);
+  const registeredEmails = new Set(registered.map(employee => employee.email));
+  const seen = new Map();
+  parsed.forEach(entry => {
+    const { email } = entry.employee;
+    if (!email) return;
+    if (registeredEmails.has(email)) {
+      entry.errors.push('Email is already registered to an employee');
+    } else if (seen.has(email)) {
+      entry.errors.push(`Email is repeated (first used on row ${seen.get(email)})`);
+    } else {
+      seen.set(email, entry.row);
+    }
+  });
+
+  // Managers are referenced by email and must already belong to the organisation
+  const managerEmails = [...new Set(parsed.map(entry => entry.managerEmail).filter(Boolean))];
+  const managers = managerEmails.length > 0
+    ? await Employee.find({
+      admin: adminId,
+      email: { $in: managerEmails },
+      status: { $ne: EMPLOYEE_STATUSES.OFFBOARDED }
+    }).select('email').lean()
+    : [];
+  const managerIds = new Map(managers.map(manager => [manager.email, manager._id]));
+  parsed.forEach(entry => {
+    if (!entry.managerEmail) return;
+    if (managerIds.has(entry.managerEmail)) {
+      entry.employee.manager = managerIds.get(entry.managerEmail);
+    } else {
+      entry.errors.push(`Manager ${entry.managerEmail} is not a member of this organisation`);
+    }
+  });
+
+  const errors = parsed
+    .filter(entry => entry.errors.length > 0)
+    .map(entry => ({ row: entry.row, email: entry.employee.email, messages: entry.errors }));
+
+  const rows = parsed
+    .filter(entry => entry.errors.length === 0)
+    .map(entry => {
+      const temporaryPassword = entry.employee.password ? null : generatePassword();
+      return {
+        row: entry.row,
+        temporaryPassword,
+        employee: {
+          // Blank cells fall back to the schema defaults
+          ...Object.fromEntries(Object.entries(entry.employee).filter(([, value]) => value !== '' && value !== null)),
+          password: entry.employee.password || temporaryPassword,
+          mustChangePassword: true,
+          admin: adminId
+        }
+      };
+    });
+
+  return { rows, errors, ignoredColumns };
+};
@@ -0,0 +1,80 @@
+import { body } from 'express-validator';
+import mongoose from 'mongoose';
+import Employee from '../models/Employee.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+
+// Profile fields an employee may change about themselves
+export const SELF_EDITABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'address', 'phone', 'avatarUrl'];
+// Fields that describe the employee's place in the organisation; only member managers set these
+export const ORGANISATION_PROFILE_FIELDS = ['department', 'jobTitle', 'manager', 'hireDate'];
+export const PROFILE_FIELDS = [...SELF_EDITABLE_PROFILE_FIELDS, ...ORGANISATION_PROFILE_FIELDS];
+
+// Fields returned wherever an employee is listed
+export const PROFILE_SELECT = 'firstName lastName email role status address phone department jobTitle manager hireDate avatarUrl';
+// Fields of the reporting manager shown next to an employee
+export const MANAGER_SELECT = 'firstName lastName email jobTitle';
+
+export const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+// Longest reporting line followed when checking for loops
+const MAX_REPORTING_DEPTH = 50;
+
+// express-validator rules for the profile fields. On create the first name is required;
+// on update every field is optional.
+export const profileValidators = ({ requireName = false } = {}) => [
+  requireName
+    ? body('firstName').trim().notEmpty().withMessage('First name is required')
+    : body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().isLength({ max: 100 }).withMessage('Last name is too long'),
+  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address is too long'),
+  body('phone').optional({ values: 'falsy' }).trim().matches(PHONE_PATTERN).withMessage('Phone number is not valid'),
+  body('department').optional().trim().isLength({ max: 100 }).withMessage('Department is too long'),
+  body('jobTitle').optional().trim().isLength({ max: 100 }).withMessage('Job title is too long'),
+  body('manager').optional({ values: 'null' }).isMongoId().withMessage('Manager must be an employee ID'),
+  body('hireDate').optional({ values: 'null' }).isISO8601().withMessage('Hire date must be a valid date'),
+  body('avatarUrl').optional({ values: 'falsy' }).isURL().withMessage('Avatar must be a valid URL')
+];
+
+// Profile fields present in the request body; empty manager/hire date clear the value
+export const pickProfileFields = (source, fields = PROFILE_FIELDS) => {
+  const profile = {};
+  fields.forEach(field => {
+    if (source[field] === undefined) return;
+    profile[field] = ['manager', 'hireDate'].includes(field) && !source[field] ? null : source[field];
+  });
+  return profile;
+};
+
+// A reporting manager must be another current member of the same organisation.
+// Resolves to an error message, or null when the manager is acceptable.
+export const validateManager = async (adminId, managerId, employeeId = null) => {
+  if (!managerId) return null;
+  if (employeeId && managerId.toString() === employeeId.toString()) {
+    return 'An employee cannot be their own manager';
+  }
+  if (!mongoose.Types.ObjectId.isValid(managerId)) {
+    return 'Manager must be an employee ID';
+  }
+
+  const manager = await Employee.exists({
+    _id: managerId,
+    admin: adminId,
+    status: { $ne: EMPLOYEE_STATUSES.OFFBOARDED }
+  });
+  if (!manager) {
+    return 'Manager must be a member of the same organisation';
+  }
+
+  // Walk up the reporting line so nobody ends up managing their own manager
+  if (employeeId) {
+    let current = managerId;
+    for (let depth = 0; current && depth < MAX_REPORTING_DEPTH; depth++) {
+      if (current.toString() === employeeId.toString()) {
+        return 'This manager reports to the employee, which would create a reporting loop';
+      }
+      const next = await Employee.findById(current).select('manager').lean();
+      current = next?.manager;
+    }
+  }
+
+  return null;
+};
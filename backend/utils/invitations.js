@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import Employee from '../models/Employee.js';
+import { EMPLOYEE_STATUSES } from '../models/constants.js';
+import { isMailerConfigured, sendMail } from '../notifications/mailer.js';
+import { hashToken } from './authTokens.js';
+
+// Invitations: an admin adds a member without choosing their password. The member gets
+// status `invited` and a link to set their own password, which makes them active.
+//
+//   INVITE_URL        page of the frontend that opens invitation links; the token is added
+//                     as ?inviteToken=… (defaults to PASSWORD_RESET_URL, then
+//                     http://localhost:5173/EMS_MASTER/)
+//   INVITE_TTL_DAYS   how long an invitation link works (default 7)
+
+const inviteTtlDays = () => parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+const inviteLink = (token) => {
+  const url = new URL(process.env.INVITE_URL || process.env.PASSWORD_RESET_URL || 'http://localhost:5173/EMS_MASTER/');
+  url.searchParams.set('inviteToken', token);
+  return url.toString();
+};
+
+// Password an invited member is created with; nobody knows it, so it cannot be used
+export const unusablePassword = () => crypto.randomBytes(32).toString('base64url');
+
+// Give an invited employee a new link, replacing any earlier one, and email it.
+// Resolves to { inviteUrl, expiresAt, emailSent }; the URL lets the admin share the link
+// by hand when email is not set up or did not go out.
+export const sendInvitation = async (employee, { organisation = '', invitedBy = '' } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + inviteTtlDays() * 24 * 60 * 60 * 1000);
+
+  employee.invitation = { tokenHash: hashToken(token), expiresAt, sentAt: new Date(), invitedBy: String(invitedBy) };
+  await employee.save({ validateModifiedOnly: true });
+
+  const inviteUrl = inviteLink(token);
+  let emailSent = isMailerConfigured();
+  try {
+    await sendMail({
+      to: employee.email,
+      subject: `You are invited to ${organisation || 'EMS'}`,
+      text: [
+        `Hi ${employee.firstName || 'there'},`,
+        `You have been added to ${organisation ? `the ${organisation} organisation on ` : ''}EMS.`,
+        `Open this link within ${inviteTtlDays()} days to choose your password and sign in:`,
+        inviteUrl
+      ].join('\n\n')
+    });
+  } catch (error) {
+    emailSent = false;
+    console.error(`❌ Could not email the invitation to ${employee.email}:`, error.message);
+  }
+
+  return { inviteUrl, expiresAt, emailSent };
+};
+
+// Invited employee an invitation token belongs to, or null when the link is unknown,
+// expired, revoked or already accepted
+export const findInvitedEmployee = (token) => {
+  if (typeof token !== 'string' || !token) return null;
+  return Employee.findOne({
+    'invitation.tokenHash': hashToken(token),
+    'invitation.expiresAt': { $gt: new Date() },
+    status: EMPLOYEE_STATUSES.INVITED
+  });
+};
@@ -0,0 +1,151 @@
+import Admin from '../models/Admin.js';
+import Employee from '../models/Employee.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { AUDIT_ACTIONS } from '../models/constants.js';
+
+// Login throttling, per client IP (in memory) and per account (on the Admin/Employee
+// document). After a few free failures every further attempt has to wait twice as long
+// as the previous one; after LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+// LOGIN_LOCKOUT_MINUTES. A successful login clears both.
+//
+//   LOGIN_FREE_ATTEMPTS         failures per account before backoff starts (default 3)
+//   LOGIN_IP_FREE_ATTEMPTS      failures per IP before backoff starts (default 10)
+//   LOGIN_LOCKOUT_THRESHOLD     failures that lock an account (default 10)
+//   LOGIN_LOCKOUT_MINUTES       how long a lockout lasts (default 15)
+
+const USER_MODELS = { Admin, Employee };
+// Longest wait between attempts, and how long an IP's failures are remembered
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+// Forget idle IPs once this many are tracked
+const MAX_TRACKED_IPS = 10000;
+
+const setting = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Wait after `failures` failures with `free` of them allowed without waiting, in ms
+const backoffMs = (failures, free) => (failures < free
+  ? 0
+  : Math.min(1000 * 2 ** (failures - free), MAX_BACKOFF_MS));
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// ip -> { failures, lastFailureAt }
+const ipFailures = new Map();
+
+const forgetIdleIps = () => {
+  const cutoff = Date.now() - MAX_BACKOFF_MS;
+  for (const [ip, entry] of ipFailures) {
+    if (entry.lastFailureAt < cutoff) ipFailures.delete(ip);
+  }
+};
+
+// Seconds the IP still has to wait before its next attempt, or 0
+export const ipRetryAfter = (ip) => {
+  const entry = ipFailures.get(ip);
+  if (!entry) return 0;
+  if (Date.now() - entry.lastFailureAt > MAX_BACKOFF_MS) {
+    ipFailures.delete(ip);
+    return 0;
+  }
+  const until = entry.lastFailureAt + backoffMs(entry.failures, setting('LOGIN_IP_FREE_ATTEMPTS', 10));
+  return until > Date.now() ? secondsUntil(until) : 0;
+};
+
+const recordIpFailure = (ip) => {
+  const entry = ipFailures.get(ip) || { failures: 0, lastFailureAt: 0 };
+  ipFailures.set(ip, { failures: entry.failures + 1, lastFailureAt: Date.now() });
+  if (ipFailures.size > MAX_TRACKED_IPS) forgetIdleIps();
+};
+
+// Whether the account may try to sign in now. Resolves to null, or to { locked,
+// retryAfter } for a 429 response. A lockout that has run out is lifted (and logged) here.
+export const accountRetryAfter = async (account, userModel, req) => {
+  const now = Date.now();
+
+  if (account.lockedUntil) {
+    if (account.lockedUntil > now) {
+      return { locked: true, retryAfter: secondsUntil(account.lockedUntil) };
+    }
+    const lifted = await USER_MODELS[userModel].updateOne(
+      { _id: account._id, lockedUntil: account.lockedUntil },
+      { $set: { lockedUntil: null, failedLoginAttempts: 0 } }
+    );
+    account.lockedUntil = null;
+    account.failedLoginAttempts = 0;
+    if (lifted.modifiedCount > 0) {
+      await AuditEvent.record(AUDIT_ACTIONS.ACCOUNT_UNLOCKED, account, userModel, { ip: req.ip, note: 'Lockout expired' });
+    }
+    return null;
+  }
+
+  const wait = backoffMs(account.failedLoginAttempts || 0, setting('LOGIN_FREE_ATTEMPTS', 3));
+  const until = account.lastFailedLoginAt ? account.lastFailedLoginAt.getTime() + wait : 0;
+  return until > now ? { locked: false, retryAfter: secondsUntil(until) } : null;
+};
+
+// A login failed with the wrong password for `account` (null when no account has the email)
+export const recordLoginFailure = async (req, account = null, userModel = null) => {
+  recordIpFailure(req.ip);
+  if (!account) return;
+
+  const Model = USER_MODELS[userModel];
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  ).select('failedLoginAttempts').lean();
+
+  const threshold = setting('LOGIN_LOCKOUT_THRESHOLD', 10);
+  if (!updated || updated.failedLoginAttempts < threshold) return;
+
+  // Only the request that crossed the threshold locks the account and logs it
+  const lockedUntil = new Date(Date.now() + setting('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000);
+  const locked = await Model.updateOne(
+    { _id: account._id, failedLoginAttempts: { $gte: threshold } },
+    { $set: { lockedUntil, failedLoginAttempts: 0 } }
+  );
+  if (locked.modifiedCount > 0) {
+    console.warn(`🔒 ${userModel} ${account.email} locked after ${threshold} failed logins`);
+    await AuditEvent.record(AUDIT_ACTIONS.ACCOUNT_LOCKED, account, userModel, {
+      ip: req.ip,
+      note: `${threshold} failed logins`
+    });
+  }
+};
+
+// A login succeeded: forget the failures of the IP and the account
+export const recordLoginSuccess = async (req, account, userModel) => {
+  ipFailures.delete(req.ip);
+  if (account.failedLoginAttempts || account.lastFailedLoginAt) {
+    await USER_MODELS[userModel].updateOne(
+      { _id: account._id },
+      { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null } }
+    );
+  }
+};
+
+// Lift a lockout by hand (an admin unlocking a member, or a password reset). Resolves to
+// whether the account was locked.
+export const unlockAccount = async (account, userModel, { user = null, ip = '', note = '' } = {}) => {
+  const result = await USER_MODELS[userModel].updateOne(
+    { _id: account._id },
+    { $set: { lockedUntil: null, failedLoginAttempts: 0, lastFailedLoginAt: null } }
+  );
+  const wasLocked = Boolean(account.lockedUntil && account.lockedUntil > Date.now());
+  if (result.modifiedCount > 0 && wasLocked) {
+    await AuditEvent.record(AUDIT_ACTIONS.ACCOUNT_UNLOCKED, account, userModel, { user, ip, note });
+  }
+  return wasLocked;
+};
+
+// Send the 429 answer for a throttled login
+export const tooManyAttempts = (res, { locked = false, retryAfter }) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: locked
+      ? `Too many failed logins. This account is locked; try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`
+      : `Too many failed logins. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+    code: locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter
+  });
+};
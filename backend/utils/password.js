@@ -0,0 +1,41 @@
+import bcrypt from 'bcryptjs';
+import { body } from 'express-validator';
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 10;
+
+// Passwords people choose for themselves (reset, change, accepted invitation)
+export const MIN_NEW_PASSWORD_LENGTH = 8;
+
+// express-validator rule for a password someone chooses for themselves
+export const newPasswordValidator = (field) => body(field)
+  .isString()
+  .isLength({ min: MIN_NEW_PASSWORD_LENGTH })
+  .withMessage(`Password must be at least ${MIN_NEW_PASSWORD_LENGTH} characters`);
+
+// bcrypt hashes look like $2a$10$<53 chars of salt + digest>
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Check whether a stored password is already a bcrypt hash (legacy records are plaintext)
+export const isPasswordHashed = (value) =>
+  typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+
+// Hash a password. Always hashes, even a value that looks like a bcrypt hash: otherwise
+// a chosen password of that shape would be stored as the hash itself. Only the legacy
+// migration (scripts/hashPasswords.js) skips values that are already hashed.
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+// Compare a candidate password with the stored value.
+// `needsUpgrade` is true when the stored value is legacy plaintext and matched,
+// so the caller can replace it with a hash after a successful login.
+export const verifyPassword = async (candidate, stored) => {
+  if (typeof candidate !== 'string' || typeof stored !== 'string' || !stored) {
+    return { match: false, needsUpgrade: false };
+  }
+
+  if (isPasswordHashed(stored)) {
+    return { match: await bcrypt.compare(candidate, stored), needsUpgrade: false };
+  }
+
+  const match = stored === candidate;
+  return { match, needsUpgrade: match };
+};
@@ -0,0 +1,201 @@
+// Recurrence rules for task series (models/TaskSeries.js): daily, weekly on given
+// weekdays and monthly on a day of the month, every `interval` periods, optionally
+// limited by `count` or `until`. The same rules can be written as an RRULE subset:
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY;INTERVAL=n;BYDAY=MO,WE;BYMONTHDAY=n;COUNT=n;UNTIL=20261231T000000Z
+//
+// Occurrences are computed in the series' wall-clock time (`utcOffsetMinutes`, as returned
+// by Date#getTimezoneOffset in the admin's browser), so a 09:00 Monday series stays at
+// 09:00 on Mondays for that offset.
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Upper bound on the periods walked for one listing; far beyond any real series
+const MAX_PERIODS = 20000;
+
+// 'FREQ=WEEKLY;BYDAY=MO,WE' (an optional 'RRULE:' prefix is ignored) -> recurrence input
+const parseRRule = (text) => {
+  const parts = String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = {};
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = value.split(',').map(code => WEEKDAY_CODES.indexOf(code.toUpperCase()));
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL': {
+        // Basic format 20261231 or 20261231T090000Z
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/i.exec(value);
+        rule.until = match
+          ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 23), +(match[5] || 59), +(match[6] || 59)))
+          : new Date(value);
+        break;
+      }
+      default:
+        return { error: `Unsupported RRULE part "${key}"` };
+    }
+  }
+  return { rule };
+};
+
+// Check and normalise a recurrence given as an object or as `{ rrule }`.
+// Returns { error } for a 400 response, or { recurrence } ready to store.
+export const normalizeRecurrence = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Recurrence is required' };
+  }
+
+  let rule = input;
+  if (input.rrule) {
+    const parsed = parseRRule(input.rrule);
+    if (parsed.error) return parsed;
+    rule = parsed.rule;
+  }
+
+  const frequency = String(rule.frequency || '').toLowerCase();
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  const recurrence = { frequency, interval, byWeekday: [], byMonthDay: null, count: null, until: null };
+
+  if (frequency === 'weekly' && rule.byWeekday !== undefined) {
+    const days = [].concat(rule.byWeekday).map(Number);
+    if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    recurrence.byWeekday = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (frequency === 'monthly' && rule.byMonthDay !== undefined && rule.byMonthDay !== null) {
+    const day = Number(rule.byMonthDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return { error: 'Day of the month must be between 1 and 31' };
+    }
+    recurrence.byMonthDay = day;
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+      return { error: 'Recurrence count must be between 1 and 1000' };
+    }
+    recurrence.count = count;
+  }
+
+  if (rule.until !== undefined && rule.until !== null && rule.until !== '') {
+    const until = new Date(rule.until);
+    if (isNaN(until.getTime())) {
+      return { error: 'Invalid recurrence end date' };
+    }
+    recurrence.until = until;
+  }
+
+  return { recurrence };
+};
+
+// Recurrence -> 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE'
+export const toRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`, `INTERVAL=${recurrence.interval || 1}`];
+  if (recurrence.byWeekday?.length) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (recurrence.byMonthDay) parts.push(`BYMONTHDAY=${recurrence.byMonthDay}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) {
+    parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  return parts.join(';');
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Candidate starts of one period, as wall-clock times (UTC fields hold local values)
+const periodCandidates = (recurrence, first, period) => {
+  const timeOfDay = first.getTime() % DAY_MS;
+  const firstDay = first.getTime() - timeOfDay;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return [new Date(firstDay + period * recurrence.interval * DAY_MS + timeOfDay)];
+    case 'weekly': {
+      const weekStart = firstDay - first.getUTCDay() * DAY_MS + period * recurrence.interval * 7 * DAY_MS;
+      const weekdays = recurrence.byWeekday?.length ? recurrence.byWeekday : [first.getUTCDay()];
+      return weekdays.map(day => new Date(weekStart + day * DAY_MS + timeOfDay));
+    }
+    case 'monthly': {
+      const monthIndex = first.getUTCMonth() + period * recurrence.interval;
+      const year = first.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      // Days past the end of a shorter month fall on its last day
+      const day = Math.min(recurrence.byMonthDay || first.getUTCDate(), daysInMonth(year, month));
+      return [new Date(Date.UTC(year, month, day) + timeOfDay)];
+    }
+    default:
+      return [];
+  }
+};
+
+// Start times of a series' occurrences after `after` (exclusive) up to `until` (inclusive),
+// at most `limit` of them. `count` and `until` of the recurrence are always honoured,
+// counting from the first occurrence at `startAt`.
+export const listOccurrences = ({ recurrence, startAt, utcOffsetMinutes = 0 }, { after = null, until, limit = 100 } = {}) => {
+  const offsetMs = utcOffsetMinutes * MINUTE_MS;
+  const start = new Date(startAt).getTime();
+  const first = new Date(start - offsetMs);
+  const windowEnd = Math.min(
+    until ? new Date(until).getTime() : Infinity,
+    recurrence.until ? new Date(recurrence.until).getTime() : Infinity
+  );
+  const afterMs = after ? new Date(after).getTime() : -Infinity;
+
+  if (windowEnd === Infinity && !recurrence.count) {
+    throw new Error('listOccurrences needs an end: `until` or a recurrence count');
+  }
+
+  const occurrences = [];
+  let seen = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const candidate of periodCandidates(recurrence, first, period)) {
+      const at = candidate.getTime() + offsetMs;
+      if (at < start) continue;
+      if (at > windowEnd) return occurrences;
+      if (recurrence.count && seen >= recurrence.count) return occurrences;
+      seen++;
+      if (at > afterMs) {
+        occurrences.push(new Date(at));
+        if (occurrences.length >= limit) return occurrences;
+      }
+    }
+  }
+  return occurrences;
+};
+
+// Next occurrence after `after`, or null when the series has ended
+export const nextOccurrence = (series, after) => {
+  // A year ahead covers every supported rule with an interval that fits in it
+  const horizon = new Date(new Date(after || series.startAt).getTime() + 366 * DAY_MS * (series.recurrence.interval || 1));
+  return listOccurrences(series, { after, until: horizon, limit: 1 })[0] || null;
+};
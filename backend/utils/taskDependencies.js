@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { notifyTaskUnblocked } from '../notifications/notifier.js';
+import { TASK_EVENTS, publishTaskEvent } from '../realtime/taskEvents.js';
+import { TASK_STATES, isTerminalState } from './taskStateMachine.js';
+
+// Predecessors of a task (`task.dependsOn`): the task can only be accepted or submitted
+// once every one of them is finished. That normally means completed, i.e. verified; a
+// predecessor that failed or expired will never be completed, so it releases its
+// successors instead of blocking them for good, and cannot be chosen as a new predecessor.
+
+export const MAX_PREDECESSORS = 20;
+
+// States in which a task still waits for its predecessors
+const WAITING_STATES = [TASK_STATES.NEW, TASK_STATES.ACTIVE, TASK_STATES.REJECTED];
+// States in which a predecessor still holds its successors back
+const BLOCKING_STATES = Object.values(TASK_STATES).filter(state => !isTerminalState(state));
+
+// Loop the new predecessors would close, as task ids from `taskId` through what each
+// depends on back to `taskId`, or null when the dependencies stay acyclic. Walks the
+// existing dependsOn links breadth first, one query per level.
+export const findDependencyCycle = async (taskId, predecessorIds) => {
+  const target = taskId.toString();
+  const cameFrom = new Map(predecessorIds.map(id => [id.toString(), target]));
+  let frontier = [...cameFrom.keys()];
+
+  while (frontier.length > 0 && !cameFrom.has(target)) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('dependsOn').lean();
+    frontier = [];
+    for (const task of tasks) {
+      for (const predecessor of task.dependsOn || []) {
+        const id = predecessor.toString();
+        if (cameFrom.has(id)) continue;
+        cameFrom.set(id, task._id.toString());
+        frontier.push(id);
+      }
+    }
+  }
+
+  if (!cameFrom.has(target)) return null;
+  const path = [target];
+  for (let id = cameFrom.get(target); id !== target; id = cameFrom.get(id)) {
+    path.unshift(id);
+  }
+  path.unshift(target);
+  return path;
+};
+
+// Check the predecessors given for a task of the organisation (`taskId` is null for a
+// task still to be created). Accepts ids or task objects. Returns { error } for a 400
+// response (with `code` and `cycle` for a cycle), or { value } ready to store.
+export const readDependencies = async (adminId, input, { taskId = null } = {}) => {
+  const ids = [...new Set([].concat(input || []).map(item => String(item?._id ?? item)))];
+
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid predecessor task ID' };
+  }
+  if (ids.length > MAX_PREDECESSORS) {
+    return { error: `A task can depend on at most ${MAX_PREDECESSORS} tasks` };
+  }
+  if (taskId && ids.includes(taskId.toString())) {
+    return { error: 'A task cannot depend on itself' };
+  }
+
+  const predecessors = await Task.find({ _id: { $in: ids }, admin: adminId }).select('taskTitle status').lean();
+  if (predecessors.length !== ids.length) {
+    return { error: 'Predecessor tasks must belong to this organisation' };
+  }
+  const unfinishable = predecessors.filter(task => isTerminalState(task.status) && task.status !== TASK_STATES.COMPLETED);
+  if (unfinishable.length > 0) {
+    return {
+      error: `${unfinishable.map(task => `"${task.taskTitle}"`).join(', ')} ended without being completed and cannot be waited for`,
+      code: 'PREDECESSOR_CLOSED'
+    };
+  }
+
+  // Only an existing task can close a loop; nothing depends on a new one yet
+  if (taskId) {
+    const cycle = await findDependencyCycle(taskId, ids);
+    if (cycle) {
+      const titles = new Map((await Task.find({ _id: { $in: cycle } }).select('taskTitle').lean())
+        .map(task => [task._id.toString(), task.taskTitle]));
+      return {
+        error: `These dependencies would create a cycle: ${cycle.map(id => titles.get(id) || id).join(' → ')}`,
+        code: 'DEPENDENCY_CYCLE',
+        cycle
+      };
+    }
+  }
+
+  return { value: ids.map(id => new mongoose.Types.ObjectId(id)) };
+};
+
+// Predecessors of a task that are not finished yet
+export const findOpenBlockers = async (task, session = null) => {
+  if (!task.dependsOn?.length) return [];
+  return Task.find({ _id: { $in: task.dependsOn }, status: { $in: BLOCKING_STATES } })
+    .select('taskTitle status assignee endDate')
+    .session(session)
+    .lean();
+};
+
+// Response body for a task that still waits for its predecessors (sent with HTTP 409)
+export const blockedConflict = (blockers) => ({
+  success: false,
+  message: `This task is waiting for ${blockers.map(task => `"${task.taskTitle}"`).join(', ')} to be completed`,
+  code: 'TASK_BLOCKED',
+  blockers
+});
+
+// After a task finished (verified as completed, failed or expired), tell the assignees of
+// the tasks that were only waiting for it. Never throws: the state change already happened.
+export const notifyUnblockedSuccessors = async (predecessor) => {
+  try {
+    const successors = await Task.find({ dependsOn: predecessor._id, status: { $in: WAITING_STATES } }).lean();
+    for (const successor of successors) {
+      const stillBlocked = await Task.exists({
+        _id: { $in: successor.dependsOn },
+        status: { $in: BLOCKING_STATES }
+      });
+      if (stillBlocked) continue;
+
+      publishTaskEvent(TASK_EVENTS.UPDATED, successor);
+      await notifyTaskUnblocked(successor, predecessor);
+    }
+  } catch (error) {
+    console.error(`❌ Could not notify the successors of task ${predecessor._id}:`, error.message);
+  }
+};
@@ -0,0 +1,63 @@
+import { DOCUMENT_TYPES } from '../models/constants.js';
+
+// Optional details a task can carry beyond title, description and dates, shared by task
+// creation, recurring series and task templates. Each reader returns { error } for a
+// 400 response, or { value } ready to store.
+
+export const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_ITEM_LENGTH = 200;
+
+// Text of one checklist item, trimmed and checked
+export const readChecklistText = (text) => {
+  const value = typeof text === 'string' ? text.trim() : '';
+  if (!value) {
+    return { error: 'Checklist items cannot be empty' };
+  }
+  if (value.length > MAX_CHECKLIST_ITEM_LENGTH) {
+    return { error: `Checklist items can be at most ${MAX_CHECKLIST_ITEM_LENGTH} characters` };
+  }
+  return { value };
+};
+
+// ['pdf', 'image'] -> the same list, checked against DOCUMENT_TYPES and deduplicated
+export const readDocumentTypes = (input) => {
+  const types = [...new Set([].concat(input || []))];
+  const unknown = types.filter(type => !Object.hasOwn(DOCUMENT_TYPES, type));
+  if (unknown.length > 0) {
+    return { error: `Unknown document type(s): ${unknown.join(', ')}. Use ${Object.keys(DOCUMENT_TYPES).join(', ')}` };
+  }
+  return { value: types };
+};
+
+// ['Draft', 'Review'] (or [{ text, done, required }]) ->
+// [{ text: 'Draft', done: false, required: false }, ...]
+export const readChecklist = (input) => {
+  const items = [];
+  for (const item of [].concat(input || [])) {
+    const { error, value } = readChecklistText(typeof item === 'string' ? item : item?.text);
+    if (error) return { error };
+    items.push({ text: value, done: item?.done === true, required: item?.required === true });
+  }
+
+  if (items.length > MAX_CHECKLIST_ITEMS) {
+    return { error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` };
+  }
+  return { value: items };
+};
+
+// { total, done, percent } of a task's checklist; percent is null without items
+export const checklistProgress = (checklist = []) => {
+  const done = checklist.filter(item => item.done).length;
+  return {
+    total: checklist.length,
+    done,
+    percent: checklist.length > 0 ? Math.round((done / checklist.length) * 100) : null
+  };
+};
+
+// Required items not ticked off yet; documents cannot be submitted while there are any
+export const openRequiredItems = (checklist = []) => checklist.filter(item => item.required && !item.done);
+
+// Whether a MIME type satisfies a task's required document types (any type without a rule)
+export const matchesDocumentTypes = (mimeType, requiredTypes = []) => requiredTypes.length === 0
+  || requiredTypes.some(type => (DOCUMENT_TYPES[type] || []).includes(mimeType));
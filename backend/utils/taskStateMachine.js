@@ -0,0 +1,146 @@
+// Task workflow state machine: the single place that decides which status changes are
+// legal. `status` is the source of truth; the legacy booleans (newTask, active,
+// completed, failed) and `verificationStatus` are derived from it for older clients.
+
+export const TASK_STATES = {
+  NEW: 'new',
+  ACTIVE: 'active',
+  PENDING_VERIFICATION: 'pendingVerification',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+const {
+  NEW, ACTIVE, PENDING_VERIFICATION, COMPLETED, REJECTED, FAILED, EXPIRED
+} = TASK_STATES;
+
+// Allowed moves out of every state. Completed, failed and expired are terminal.
+export const TRANSITIONS = {
+  [NEW]: [ACTIVE, PENDING_VERIFICATION, FAILED, EXPIRED],
+  [ACTIVE]: [PENDING_VERIFICATION, FAILED, EXPIRED],
+  // Submitted work is judged by a verifier and never expires while it waits
+  [PENDING_VERIFICATION]: [COMPLETED, REJECTED, FAILED],
+  // Rejected work goes back to the assignee, who resumes or resubmits it
+  [REJECTED]: [ACTIVE, PENDING_VERIFICATION, FAILED, EXPIRED],
+  [COMPLETED]: [],
+  [FAILED]: [],
+  [EXPIRED]: []
+};
+
+// Fields owned by the state machine; routes never copy them from a request body
+export const STATE_FIELDS = ['status', 'newTask', 'active', 'completed', 'failed', 'verificationStatus'];
+
+// Flags kept for backward compatibility: rejected work counts as active again
+const STATE_FLAGS = {
+  [NEW]: { newTask: true },
+  [ACTIVE]: { active: true },
+  [PENDING_VERIFICATION]: {},
+  [COMPLETED]: { completed: true },
+  [REJECTED]: { active: true },
+  [FAILED]: { failed: true },
+  [EXPIRED]: { failed: true }
+};
+
+const STATE_VERIFICATION = {
+  [NEW]: '',
+  [ACTIVE]: '',
+  [PENDING_VERIFICATION]: 'pending',
+  [COMPLETED]: 'approved',
+  [REJECTED]: 'rejected',
+  [FAILED]: 'expired',
+  [EXPIRED]: 'expired'
+};
+
+export const isTerminalState = (state) => (TRANSITIONS[state] || []).length === 0;
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// The status, flags and verificationStatus that belong to a state
+export const deriveStateFields = (state) => ({
+  status: state,
+  newTask: false,
+  active: false,
+  completed: false,
+  failed: false,
+  ...STATE_FLAGS[state],
+  verificationStatus: STATE_VERIFICATION[state]
+});
+
+// Best guess of the state of a document written before `status` was authoritative
+export const stateFromLegacyFields = (task) => {
+  if (task.completed) return COMPLETED;
+  if (task.failed) return task.status === FAILED ? FAILED : EXPIRED;
+  if (task.verificationStatus === 'pending') return PENDING_VERIFICATION;
+  if (task.verificationStatus === 'rejected') return REJECTED;
+  if (task.active) return ACTIVE;
+  return NEW;
+};
+
+// Response body for a refused transition (sent with HTTP 409)
+export const transitionConflict = (task, to) => ({
+  success: false,
+  message: `Cannot move task from "${task.status}" to "${to}"`,
+  code: 'INVALID_TRANSITION',
+  currentStatus: task.status,
+  requestedStatus: to,
+  allowedTransitions: TRANSITIONS[task.status] || []
+});
+
+// Move a task (mongoose document or plain object) to `to`, recording who did it and when.
+// Returns the transition ({ fromState, toState, at, by, note }) for the task history.
+// Throws on an illegal move; routes check `canTransition` first to answer with a 409.
+export const applyTransition = (task, to, { at = new Date(), by = null, note, reason } = {}) => {
+  if (!canTransition(task.status, to)) {
+    throw new Error(transitionConflict(task, to).message);
+  }
+
+  const fromState = task.status;
+  Object.assign(task, deriveStateFields(to));
+
+  switch (to) {
+    case PENDING_VERIFICATION:
+      task.submittedAt = at;
+      break;
+    case COMPLETED:
+      task.verifiedAt = at;
+      task.verifiedBy = by;
+      task.verificationDate = at;
+      if (note !== undefined) task.verificationNote = note;
+      break;
+    case REJECTED:
+      task.rejectedAt = at;
+      task.rejectedBy = by;
+      task.rejectionReason = reason || 'No reason provided';
+      task.verificationNote = note || 'Task rejected - please resubmit';
+      task.verificationDate = at;
+      break;
+    case FAILED:
+      task.verificationNote = note || '';
+      task.verificationDate = at;
+      break;
+    default:
+      break;
+  }
+
+  return {
+    fromState,
+    toState: to,
+    at,
+    by,
+    note: to === REJECTED ? task.rejectionReason : (note || '')
+  };
+};
+
+// Expire a task whose deadline has passed, if its current state allows it.
+// Returns the transition, or null when the task was left alone.
+export const expireIfOverdue = (task, now = new Date()) => {
+  if (task.endDate && new Date(task.endDate) < now && canTransition(task.status, EXPIRED)) {
+    return applyTransition(task, EXPIRED, { at: now, by: 'system' });
+  }
+  return null;
+};
+
+// States a task can expire from, for bulk expiry queries
+export const EXPIRABLE_STATES = Object.keys(TRANSITIONS).filter(state => canTransition(state, EXPIRED));
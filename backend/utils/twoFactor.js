@@ -0,0 +1,174 @@
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import Admin from '../models/Admin.js';
+import { hashToken, jwtSecret } from './authTokens.js';
+
+// TOTP two-factor authentication of admins (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+// steps), as understood by Google Authenticator, Authy, 1Password and the like. The
+// secret is stored encrypted; recovery codes are stored as SHA-256 hashes.
+//
+//   TWO_FACTOR_ISSUER           name shown in authenticator apps (default EMS)
+//   TWO_FACTOR_ENCRYPTION_KEY   key the secrets are encrypted with (default derived
+//                               from JWT_SECRET, so changing that disables every 2FA)
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Codes of the previous and next step are accepted too, for clocks that are a bit off
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Time to enter the code after the password was accepted
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Fields of admin.twoFactor that are never selected by default
+export const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// The code an authenticator app shows for `secret` (base32) during time step `step`
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Time step a code belongs to, or null when it is not a current code for the secret
+export const matchTotp = (secret, code) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${jwtSecret()}:two-factor-secrets`)
+  .digest();
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64url
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// New secret for an admin setting up 2FA: the secret itself (for typing it in), the
+// otpauth:// URI and the same URI as a QR code image (data URL)
+export const createTotpSecret = async (admin) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'EMS';
+  const label = encodeURIComponent(`${issuer}:${admin.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Recovery codes look like 3f9a2-c41b7; dashes, spaces and case do not matter
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Fresh recovery codes: `codes` to show the admin once, `hashes` to store
+export const createRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normaliseRecoveryCode(code))) };
+};
+
+// Check the second factor of an admin with 2FA on: `code` from the authenticator app or
+// a `recoveryCode`, each usable once. Resolves to null when wrong, or to
+// { method: 'totp' | 'recovery', recoveryCodesLeft }.
+export const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+  const admin = await Admin.findById(adminId).select(TWO_FACTOR_SECRETS).lean();
+  if (!admin?.twoFactor?.enabled || !admin.twoFactor.secret) return null;
+
+  if (recoveryCode) {
+    const hash = hashToken(normaliseRecoveryCode(recoveryCode));
+    // Pulled atomically, so a code cannot be spent twice
+    const used = await Admin.updateOne(
+      { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (used.modifiedCount === 0) return null;
+    return { method: 'recovery', recoveryCodesLeft: admin.twoFactor.recoveryCodes.length - 1 };
+  }
+
+  const step = matchTotp(decryptSecret(admin.twoFactor.secret), code);
+  if (step === null) return null;
+  // A code is only good once: it must be newer than the last one accepted
+  const accepted = await Admin.updateOne(
+    { _id: admin._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (accepted.modifiedCount === 0) return null;
+  return { method: 'totp', recoveryCodesLeft: admin.twoFactor.recoveryCodes.length };
+};
+
+// Signed with a secret of its own, so a challenge can never pass as an access token
+const challengeSecret = () => `${jwtSecret()}:two-factor-challenge`;
+
+// Short-lived proof that the admin's password was right, exchanged together with a code
+// at POST /api/auth/admin/login/2fa
+export const signTwoFactorChallenge = (admin) => jwt.sign(
+  { id: admin._id.toString(), tv: admin.tokenVersion || 0 },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Admin a challenge was issued to, or null when it is invalid, expired or outdated
+export const findChallengedAdmin = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, challengeSecret());
+  } catch {
+    return null;
+  }
+  const admin = await Admin.findById(decoded.id);
+  if (!admin || (admin.tokenVersion || 0) !== decoded.tv || !admin.twoFactor?.enabled) return null;
+  return admin;
+};
@@ -5,6 +5,7 @@ import AuthWrapper from './components/Auth/AuthWrapper'
 import EmployeeDashboard from './components/Dashboard/EmployeeDashboard'
 import AdminDashboard from './components/Dashboard/AdminDashboard'
 import { AuthContext } from './context/AuthProvider'
+import { authAPI } from './services/api'
 
 const App = () => {
   const [user, setUser] = useState(null)
@@ -73,6 +74,8 @@ const App = () => {
   }
 
   const handleLogout = () => {
+    // End the session on the server too; the local sign-out does not wait for it
+    authAPI.logout()
     setUser(null)
     setLoggedInUserData(null)
     updateCurrentUser(null)
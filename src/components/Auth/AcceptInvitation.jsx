@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react'
+import { authAPI } from '../../services/api'
+import { MIN_PASSWORD_LENGTH, validateNewPassword } from '../../utils/passwordUtils'
+
+const inputClass = 'w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400'
+
+// Join an organisation from an invitation link by choosing a password
+const AcceptInvitation = ({ token, onAccepted, switchToLogin }) => {
+    const [invitation, setInvitation] = useState(null)
+    const [loadError, setLoadError] = useState('')
+    const [password, setPassword] = useState('')
+    const [confirmation, setConfirmation] = useState('')
+    const [isLoading, setIsLoading] = useState(false)
+    const [error, setError] = useState('')
+
+    useEffect(() => {
+        authAPI.getInvitation(token)
+            .then(setInvitation)
+            .catch(err => {
+                console.error('Error loading invitation:', err)
+                setLoadError(err.message || 'This invitation link is invalid or has expired.')
+            })
+    }, [token])
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+        const problem = validateNewPassword(password, confirmation)
+        if (problem) {
+            setError(problem)
+            return
+        }
+
+        setIsLoading(true)
+        setError('')
+        try {
+            const response = await authAPI.acceptInvitation(token, password)
+            onAccepted(response)
+        } catch (err) {
+            console.error('Accept invitation error:', err)
+            setError(err.response?.errors?.[0]?.msg || err.message || 'Could not accept the invitation. Please try again.')
+            setIsLoading(false)
+        }
+    }
+
+    return (
+        <div className='flex h-screen w-screen items-center justify-center bg-gray-50'>
+            <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
+                {loadError ? (
+                    <p className='text-center text-red-700 bg-red-50 border border-red-300 rounded-lg p-4'>{loadError}</p>
+                ) : !invitation ? (
+                    <p className='text-center text-gray-600'>Loading invitation...</p>
+                ) : (
+                    <>
+                        <div className='text-center mb-6'>
+                            <h2 className='text-2xl font-bold text-gray-800 mb-2'>
+                                Join {invitation.organisation || 'your team'}
+                            </h2>
+                            <p className='text-gray-600'>
+                                Welcome{invitation.firstName ? `, ${invitation.firstName}` : ''}! Choose a password of at
+                                least {MIN_PASSWORD_LENGTH} characters for {invitation.email}.
+                            </p>
+                        </div>
+
+                        <form onSubmit={submitHandler} className='flex flex-col space-y-4'>
+                            <input
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                autoComplete='new-password'
+                                className={inputClass}
+                                type='password'
+                                placeholder='Password'
+                            />
+                            <input
+                                value={confirmation}
+                                onChange={(e) => setConfirmation(e.target.value)}
+                                required
+                                autoComplete='new-password'
+                                className={inputClass}
+                                type='password'
+                                placeholder='Repeat the password'
+                            />
+                            {error && <p className='text-sm text-red-600'>{error}</p>}
+                            <button
+                                type='submit'
+                                disabled={isLoading}
+                                className={`mt-2 text-white border-none outline-none font-semibold text-lg py-3 px-8 w-full rounded-full transition-colors ${
+                                    isLoading
+                                        ? 'bg-gray-400 cursor-not-allowed'
+                                        : 'bg-emerald-600 hover:bg-emerald-700'
+                                }`}
+                            >
+                                {isLoading ? 'Joining...' : 'Join and log in'}
+                            </button>
+                        </form>
+                    </>
+                )}
+
+                <div className='text-center mt-6'>
+                    <button
+                        type='button'
+                        onClick={switchToLogin}
+                        className='text-emerald-600 hover:text-emerald-700 font-semibold underline'
+                    >
+                        Go to login
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default AcceptInvitation
@@ -1,30 +1,61 @@
 import React, { useState } from 'react'
 import Login from './Login'
 import Signup from './Signup'
+import ForgotPassword from './ForgotPassword'
+import ResetPassword from './ResetPassword'
+import ChangePassword from './ChangePassword'
+import AcceptInvitation from './AcceptInvitation'
 import { authAPI } from '../../services/api'
 
+// Token of a password reset (?resetToken=…) or invitation (?inviteToken=…) link the app
+// was opened with
+const readLinkToken = (name) => new URLSearchParams(window.location.search).get(name)
+
+// Leave an emailed link behind, so reloading does not open it again
+const forgetLinkToken = (name) => {
+    const url = new URL(window.location.href)
+    url.searchParams.delete(name)
+    window.history.replaceState(null, '', url.toString())
+}
+
 const AuthWrapper = ({ onAuthSuccess }) => {
-    const [isLoginMode, setIsLoginMode] = useState(true)
+    const [resetToken, setResetToken] = useState(() => readLinkToken('resetToken'))
+    const [inviteToken, setInviteToken] = useState(() => readLinkToken('inviteToken'))
+    // 'login' | 'signup' | 'forgot'; an emailed link or a forced password change takes precedence
+    const [mode, setMode] = useState('login')
+    const [forgotUserType, setForgotUserType] = useState('admin')
+    // Employee signed in with a password their admin chose, kept until they replace it
+    const [pendingEmployee, setPendingEmployee] = useState(null)
+    // Challenge of an admin whose password was right, until they enter their 2FA code
+    const [twoFactorChallenge, setTwoFactorChallenge] = useState(null)
     const [error, setError] = useState('')
     const [successMessage, setSuccessMessage] = useState('')
 
+    const completeAdminLogin = (response) => {
+        // Persist token if provided by backend (support multiple shapes)
+        const token = response.token || response?.data?.token || response?.user?.token || response?.accessToken;
+        if (token) {
+            localStorage.setItem('token', token)
+        }
+        // Include user type in the response
+        const adminData = {
+            ...response.user,
+            userType: 'admin'
+        };
+        onAuthSuccess('admin', adminData)
+    }
+
     const handleLogin = async (email, password) => {
         try {
             setError('')
             
             const response = await authAPI.adminLogin({ email, password })
+            if (response.twoFactorRequired) {
+                setTwoFactorChallenge(response.challengeToken)
+                return
+            }
             if (response.user) {
-                // Persist token if provided by backend (support multiple shapes)
-                const token = response.token || response?.data?.token || response?.user?.token || response?.accessToken;
-                if (token) {
-                    localStorage.setItem('token', token)
-                }
-                // Include user type in the response
-                const adminData = {
-                    ...response.user,
-                    userType: 'admin'
-                };
-                onAuthSuccess('admin', adminData)
+                completeAdminLogin(response)
                 return
             }
         } catch (error) {
@@ -36,6 +67,31 @@ const AuthWrapper = ({ onAuthSuccess }) => {
         }
     }
 
+    // `secondFactor` is { code } or { recoveryCode }
+    const handleTwoFactorLogin = async (secondFactor) => {
+        try {
+            setError('')
+            const response = await authAPI.adminLoginTwoFactor(twoFactorChallenge, secondFactor)
+            setTwoFactorChallenge(null)
+            if (response.recoveryCodesLeft !== undefined) {
+                alert(`You signed in with a recovery code; ${response.recoveryCodesLeft} left. Create new ones in the two-factor settings (🛡️) if you are running low.`)
+            }
+            completeAdminLogin(response)
+        } catch (error) {
+            console.error('Two-factor login error:', error)
+            // An expired challenge means starting over with the password
+            if (error.response?.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+                setTwoFactorChallenge(null)
+            }
+            setError(error.message || 'The code is not valid')
+        }
+    }
+
+    const cancelTwoFactorLogin = () => {
+        setTwoFactorChallenge(null)
+        setError('')
+    }
+
     const handleEmployeeLogin = async (email, password) => {
         try {
             setError('')
@@ -53,6 +109,10 @@ const AuthWrapper = ({ onAuthSuccess }) => {
                     userType: 'employee',
                     adminId: response.adminId
                 }
+                if (employeeData.mustChangePassword) {
+                    setPendingEmployee(employeeData)
+                    return
+                }
                 onAuthSuccess('employee', employeeData)
                 return
             }
@@ -92,16 +152,113 @@ const AuthWrapper = ({ onAuthSuccess }) => {
         }
     }
 
-    const switchToLogin = () => {
-        setIsLoginMode(true)
+    const switchTo = (nextMode) => {
+        setMode(nextMode)
         setError('')
         setSuccessMessage('')
     }
 
-    const switchToSignup = () => {
-        setIsLoginMode(false)
-        setError('')
-        setSuccessMessage('')
+    const switchToLogin = () => switchTo('login')
+
+    const switchToSignup = () => switchTo('signup')
+
+    const switchToForgotPassword = (userType) => {
+        setForgotUserType(userType)
+        switchTo('forgot')
+    }
+
+    const closeResetLink = () => {
+        forgetLinkToken('resetToken')
+        setResetToken(null)
+        switchToLogin()
+    }
+
+    const closeInvitation = () => {
+        forgetLinkToken('inviteToken')
+        setInviteToken(null)
+        switchToLogin()
+    }
+
+    // Accepting signs the new member in, like an employee login
+    const handleInvitationAccepted = (response) => {
+        forgetLinkToken('inviteToken')
+        setInviteToken(null)
+        if (response.token) {
+            localStorage.setItem('token', response.token)
+        }
+        onAuthSuccess('employee', {
+            ...response.user,
+            userType: 'employee',
+            adminId: response.adminId
+        })
+    }
+
+    const handlePasswordReset = (message) => {
+        closeResetLink()
+        setSuccessMessage(message)
+    }
+
+    const handleForcedPasswordChanged = () => {
+        const employeeData = { ...pendingEmployee, mustChangePassword: false }
+        setPendingEmployee(null)
+        onAuthSuccess('employee', employeeData)
+    }
+
+    const cancelForcedPasswordChange = () => {
+        setPendingEmployee(null)
+        authAPI.logout()
+    }
+
+    const renderScreen = () => {
+        if (pendingEmployee) {
+            return (
+                <ChangePassword
+                    forced
+                    onChanged={handleForcedPasswordChanged}
+                    onCancel={cancelForcedPasswordChange}
+                />
+            )
+        }
+        if (inviteToken) {
+            return (
+                <AcceptInvitation
+                    token={inviteToken}
+                    onAccepted={handleInvitationAccepted}
+                    switchToLogin={closeInvitation}
+                />
+            )
+        }
+        if (resetToken) {
+            return (
+                <ResetPassword
+                    token={resetToken}
+                    onReset={handlePasswordReset}
+                    switchToLogin={closeResetLink}
+                />
+            )
+        }
+        if (mode === 'forgot') {
+            return <ForgotPassword initialUserType={forgotUserType} switchToLogin={switchToLogin} />
+        }
+        if (mode === 'signup') {
+            return (
+                <Signup 
+                    handleSignup={handleSignup} 
+                    switchToLogin={switchToLogin}
+                />
+            )
+        }
+        return (
+            <Login 
+                handleLogin={handleLogin}
+                handleEmployeeLogin={handleEmployeeLogin}
+                twoFactorRequired={Boolean(twoFactorChallenge)}
+                handleTwoFactorLogin={handleTwoFactorLogin}
+                cancelTwoFactorLogin={cancelTwoFactorLogin}
+                switchToSignup={switchToSignup}
+                switchToForgotPassword={switchToForgotPassword}
+            />
+        )
     }
 
     return (
@@ -136,18 +293,7 @@ const AuthWrapper = ({ onAuthSuccess }) => {
             )}
 
             {/* Auth Components */}
-            {isLoginMode ? (
-                <Login 
-                    handleLogin={handleLogin}
-                    handleEmployeeLogin={handleEmployeeLogin}
-                    switchToSignup={switchToSignup}
-                />
-            ) : (
-                <Signup 
-                    handleSignup={handleSignup} 
-                    switchToLogin={switchToLogin}
-                />
-            )}
+            {renderScreen()}
         </div>
     )
 }
@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { authAPI } from '../../services/api'
+import { MIN_PASSWORD_LENGTH, validateNewPassword } from '../../utils/passwordUtils'
+
+const inputClass = 'w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-base py-2.5 px-4 rounded-full placeholder:text-gray-400 text-gray-900'
+
+// Change the signed-in user's password. `forced` is the full screen an employee sees at
+// their first login with a password their admin chose; otherwise it opens as a dialog.
+const ChangePassword = ({ forced = false, onChanged, onCancel }) => {
+    const [currentPassword, setCurrentPassword] = useState('')
+    const [newPassword, setNewPassword] = useState('')
+    const [confirmation, setConfirmation] = useState('')
+    const [isLoading, setIsLoading] = useState(false)
+    const [error, setError] = useState('')
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+        const problem = validateNewPassword(newPassword, confirmation)
+        if (problem) {
+            setError(problem)
+            return
+        }
+
+        setIsLoading(true)
+        setError('')
+        try {
+            await authAPI.changePassword(currentPassword, newPassword)
+            onChanged()
+        } catch (err) {
+            console.error('Change password error:', err)
+            setError(err.response?.errors?.[0]?.msg || err.message || 'Could not change the password. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    return (
+        <div className={forced
+            ? 'flex h-screen w-screen items-center justify-center bg-gray-50'
+            : 'fixed inset-0 z-50 flex items-center justify-center bg-black/60'
+        }>
+            <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
+                <div className='text-center mb-6'>
+                    <h2 className='text-2xl font-bold text-gray-800 mb-2'>
+                        {forced ? 'Choose your own password' : 'Change password'}
+                    </h2>
+                    <p className='text-gray-600'>
+                        {forced
+                            ? 'Your administrator set your current password. Replace it to continue.'
+                            : `At least ${MIN_PASSWORD_LENGTH} characters. Other devices will be signed out.`}
+                    </p>
+                </div>
+
+                <form onSubmit={submitHandler} className='flex flex-col space-y-3'>
+                    <input
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        required
+                        autoComplete='current-password'
+                        className={inputClass}
+                        type='password'
+                        placeholder='Current password'
+                    />
+                    <input
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        required
+                        autoComplete='new-password'
+                        className={inputClass}
+                        type='password'
+                        placeholder='New password'
+                    />
+                    <input
+                        value={confirmation}
+                        onChange={(e) => setConfirmation(e.target.value)}
+                        required
+                        autoComplete='new-password'
+                        className={inputClass}
+                        type='password'
+                        placeholder='Repeat the new password'
+                    />
+                    {error && <p className='text-sm text-red-600'>{error}</p>}
+                    <div className='flex gap-3 pt-2'>
+                        <button
+                            type='button'
+                            onClick={onCancel}
+                            className='flex-1 py-2.5 rounded-full border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-100'
+                        >
+                            {forced ? 'Log out' : 'Cancel'}
+                        </button>
+                        <button
+                            type='submit'
+                            disabled={isLoading}
+                            className={`flex-1 py-2.5 rounded-full text-white font-semibold transition-colors ${
+                                isLoading
+                                    ? 'bg-gray-400 cursor-not-allowed'
+                                    : 'bg-emerald-600 hover:bg-emerald-700'
+                            }`}
+                        >
+                            {isLoading ? 'Saving...' : 'Save password'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+export default ChangePassword
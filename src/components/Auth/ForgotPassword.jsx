@@ -0,0 +1,96 @@
+import React, { useState } from 'react'
+import { authAPI } from '../../services/api'
+
+const inputClass = 'w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400'
+
+// Ask for a password reset link by email
+const ForgotPassword = ({ initialUserType = 'admin', switchToLogin }) => {
+    const [email, setEmail] = useState('')
+    const [userType, setUserType] = useState(initialUserType)
+    const [isLoading, setIsLoading] = useState(false)
+    const [sentMessage, setSentMessage] = useState('')
+    const [error, setError] = useState('')
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+        setIsLoading(true)
+        setError('')
+        try {
+            const response = await authAPI.forgotPassword(email, userType)
+            setSentMessage(response.message)
+        } catch (err) {
+            console.error('Forgot password error:', err)
+            setError(err.message || 'Could not send the reset link. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    return (
+        <div className='flex h-screen w-screen items-center justify-center bg-gray-50'>
+            <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
+                <div className='text-center mb-6'>
+                    <h2 className='text-2xl font-bold text-gray-800 mb-2'>Forgot your password?</h2>
+                    <p className='text-gray-600'>We will email you a link to choose a new one</p>
+                </div>
+
+                {sentMessage ? (
+                    <p className='text-center text-emerald-700 bg-emerald-50 border border-emerald-300 rounded-lg p-4'>
+                        {sentMessage}
+                    </p>
+                ) : (
+                    <form onSubmit={submitHandler} className='flex flex-col space-y-4'>
+                        <div className='flex bg-gray-100 rounded-full p-1'>
+                            {['admin', 'employee'].map(type => (
+                                <button
+                                    key={type}
+                                    type='button'
+                                    onClick={() => setUserType(type)}
+                                    className={`flex-1 py-2 px-4 rounded-full text-sm font-medium transition-colors capitalize ${
+                                        userType === type
+                                            ? 'bg-emerald-600 text-white'
+                                            : 'text-gray-600 hover:text-gray-800'
+                                    }`}
+                                >
+                                    {type}
+                                </button>
+                            ))}
+                        </div>
+                        <input
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            required
+                            className={inputClass}
+                            type='email'
+                            placeholder='Enter your email'
+                        />
+                        {error && <p className='text-sm text-red-600'>{error}</p>}
+                        <button
+                            type='submit'
+                            disabled={isLoading}
+                            className={`mt-2 text-white border-none outline-none font-semibold text-lg py-3 px-8 w-full rounded-full transition-colors ${
+                                isLoading
+                                    ? 'bg-gray-400 cursor-not-allowed'
+                                    : 'bg-emerald-600 hover:bg-emerald-700'
+                            }`}
+                        >
+                            {isLoading ? 'Sending...' : 'Send reset link'}
+                        </button>
+                    </form>
+                )}
+
+                <div className='text-center mt-6'>
+                    <button
+                        type='button'
+                        onClick={switchToLogin}
+                        className='text-emerald-600 hover:text-emerald-700 font-semibold underline'
+                    >
+                        Back to login
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ForgotPassword
@@ -1,6 +1,88 @@
 import React, { useState } from 'react'
 
-const Login = ({handleLogin, handleEmployeeLogin, switchToSignup}) => {
+const inputClass = 'w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400'
+
+// Second step for admins with two-factor authentication: a code from the authenticator
+// app, or one of the recovery codes
+const TwoFactorStep = ({ handleTwoFactorLogin, cancelTwoFactorLogin }) => {
+    const [code, setCode] = useState('')
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+    const [isLoading, setIsLoading] = useState(false)
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+        setIsLoading(true)
+        try {
+            await handleTwoFactorLogin(useRecoveryCode ? { recoveryCode: code } : { code })
+        } finally {
+            setIsLoading(false)
+            setCode('')
+        }
+    }
+
+    const toggleRecoveryCode = () => {
+        setUseRecoveryCode(current => !current)
+        setCode('')
+    }
+
+    return (
+        <div className='flex h-screen w-screen items-center justify-center bg-gray-50'>
+            <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
+                <div className='text-center mb-6'>
+                    <h2 className='text-2xl font-bold text-gray-800 mb-2'>Two-factor authentication</h2>
+                    <p className='text-gray-600'>
+                        {useRecoveryCode
+                            ? 'Enter one of your recovery codes. Each code works once.'
+                            : 'Enter the 6-digit code from your authenticator app.'}
+                    </p>
+                </div>
+
+                <form onSubmit={submitHandler} className='flex flex-col space-y-4'>
+                    <input
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        required
+                        autoFocus
+                        autoComplete='one-time-code'
+                        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                        className={`${inputClass} text-center tracking-widest`}
+                        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                    />
+                    <button
+                        type="submit"
+                        disabled={isLoading}
+                        className={`mt-2 text-white border-none outline-none font-semibold text-lg py-3 px-8 w-full rounded-full transition-colors ${
+                            isLoading
+                                ? 'bg-gray-400 cursor-not-allowed'
+                                : 'bg-emerald-600 hover:bg-emerald-700'
+                        }`}
+                    >
+                        {isLoading ? 'Checking...' : 'Verify'}
+                    </button>
+                </form>
+
+                <div className='flex justify-between mt-4 text-sm'>
+                    <button
+                        type="button"
+                        onClick={toggleRecoveryCode}
+                        className='text-emerald-600 hover:text-emerald-700 underline'
+                    >
+                        {useRecoveryCode ? 'Use the authenticator app' : 'Use a recovery code'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={cancelTwoFactorLogin}
+                        className='text-gray-600 hover:text-gray-800 underline'
+                    >
+                        Back to login
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+const Login = ({handleLogin, handleEmployeeLogin, switchToSignup, switchToForgotPassword, twoFactorRequired, handleTwoFactorLogin, cancelTwoFactorLogin}) => {
     const [email, setEmail] = useState('')
     const [password, setPassword] = useState('')
     const [isLoading, setIsLoading] = useState(false)
@@ -24,6 +106,15 @@ const Login = ({handleLogin, handleEmployeeLogin, switchToSignup}) => {
         }
     }
 
+    if (twoFactorRequired) {
+        return (
+            <TwoFactorStep
+                handleTwoFactorLogin={handleTwoFactorLogin}
+                cancelTwoFactorLogin={cancelTwoFactorLogin}
+            />
+        )
+    }
+
     return (
         <div className='flex h-screen w-screen items-center justify-center bg-gray-50'>
             <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
@@ -70,7 +161,7 @@ const Login = ({handleLogin, handleEmployeeLogin, switchToSignup}) => {
                         value={email}
                         onChange={(e) => setEmail(e.target.value)}
                         required 
-                        className='w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400' 
+                        className={inputClass}
                         type="email" 
                         placeholder='Enter your email' 
                     />
@@ -78,7 +169,7 @@ const Login = ({handleLogin, handleEmployeeLogin, switchToSignup}) => {
                         value={password}
                         onChange={(e) => setPassword(e.target.value)}
                         required 
-                        className='w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400' 
+                        className={inputClass}
                         type="password" 
                         placeholder='Enter password' 
                     />
@@ -94,6 +185,18 @@ const Login = ({handleLogin, handleEmployeeLogin, switchToSignup}) => {
                         {isLoading ? 'Logging in...' : `Log in as ${loginType === 'admin' ? 'Admin' : 'Employee'}`}
                     </button>
                 </form>
+
+                {switchToForgotPassword && (
+                    <div className='text-center mt-4'>
+                        <button
+                            type="button"
+                            onClick={() => switchToForgotPassword(loginType)}
+                            className='text-sm text-emerald-600 hover:text-emerald-700 underline'
+                        >
+                            Forgot password?
+                        </button>
+                    </div>
+                )}
                 
                 {switchToSignup && loginType === 'admin' && (
                     <div className='text-center mt-6'>
@@ -0,0 +1,90 @@
+import React, { useState } from 'react'
+import { authAPI } from '../../services/api'
+import { MIN_PASSWORD_LENGTH, validateNewPassword } from '../../utils/passwordUtils'
+
+const inputClass = 'w-full outline-none bg-transparent border-2 border-emerald-600 font-medium text-lg py-3 px-4 rounded-full placeholder:text-gray-400'
+
+// Choose a new password with the token of an emailed reset link
+const ResetPassword = ({ token, onReset, switchToLogin }) => {
+    const [password, setPassword] = useState('')
+    const [confirmation, setConfirmation] = useState('')
+    const [isLoading, setIsLoading] = useState(false)
+    const [error, setError] = useState('')
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+        const problem = validateNewPassword(password, confirmation)
+        if (problem) {
+            setError(problem)
+            return
+        }
+
+        setIsLoading(true)
+        setError('')
+        try {
+            const response = await authAPI.resetPassword(token, password)
+            onReset(response.message)
+        } catch (err) {
+            console.error('Reset password error:', err)
+            setError(err.response?.errors?.[0]?.msg || err.message || 'Could not reset the password. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    return (
+        <div className='flex h-screen w-screen items-center justify-center bg-gray-50'>
+            <div className='border-2 rounded-xl border-emerald-600 p-8 bg-white shadow-lg max-w-md w-full mx-4'>
+                <div className='text-center mb-6'>
+                    <h2 className='text-2xl font-bold text-gray-800 mb-2'>Choose a new password</h2>
+                    <p className='text-gray-600'>At least {MIN_PASSWORD_LENGTH} characters</p>
+                </div>
+
+                <form onSubmit={submitHandler} className='flex flex-col space-y-4'>
+                    <input
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                        autoComplete='new-password'
+                        className={inputClass}
+                        type='password'
+                        placeholder='New password'
+                    />
+                    <input
+                        value={confirmation}
+                        onChange={(e) => setConfirmation(e.target.value)}
+                        required
+                        autoComplete='new-password'
+                        className={inputClass}
+                        type='password'
+                        placeholder='Repeat the new password'
+                    />
+                    {error && <p className='text-sm text-red-600'>{error}</p>}
+                    <button
+                        type='submit'
+                        disabled={isLoading}
+                        className={`mt-2 text-white border-none outline-none font-semibold text-lg py-3 px-8 w-full rounded-full transition-colors ${
+                            isLoading
+                                ? 'bg-gray-400 cursor-not-allowed'
+                                : 'bg-emerald-600 hover:bg-emerald-700'
+                        }`}
+                    >
+                        {isLoading ? 'Saving...' : 'Reset password'}
+                    </button>
+                </form>
+
+                <div className='text-center mt-6'>
+                    <button
+                        type='button'
+                        onClick={switchToLogin}
+                        className='text-emerald-600 hover:text-emerald-700 font-semibold underline'
+                    >
+                        Back to login
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ResetPassword
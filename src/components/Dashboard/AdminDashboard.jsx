@@ -5,10 +5,17 @@ import { AuthContext } from '../../context/AuthProvider';
 import AdminToggle from '../other/AdminToggle';
 import CreateTask from '../other/CreateTask';
 import AddMember from '../other/AddMember';
+import ManageMembers from '../other/ManageMembers';
+import ImportMembers from '../other/ImportMembers';
+import ManageTeams from '../other/ManageTeams';
+import TaskGroups from '../other/TaskGroups';
+import TaskSeriesList from '../other/TaskSeriesList';
 import TaskVerificationSimple from './TaskVerificationSimple';
 import AllTask from '../other/AllTask';
 import Header from '../other/Header';
 import EmployeeSearch from './EmployeeSearch';
+import useTaskEvents from '../../hooks/useTaskEvents';
+import { applyTaskEvent } from '../../utils/taskUtils';
 
 // Memoized components
 const MemoizedHeader = React.memo(Header);
@@ -16,6 +23,9 @@ const MemoizedEmployeeSearch = React.memo(EmployeeSearch);
 const MemoizedAdminToggle = React.memo(AdminToggle);
 const MemoizedCreateTask = React.memo(CreateTask);
 const MemoizedAddMember = React.memo(AddMember);
+const MemoizedManageMembers = React.memo(ManageMembers);
+const MemoizedImportMembers = React.memo(ImportMembers);
+const MemoizedManageTeams = React.memo(ManageTeams);
 const MemoizedTaskVerification = React.memo(TaskVerificationSimple);
 const MemoizedAllTask = React.memo(AllTask);
 
@@ -26,6 +36,9 @@ const MIN_FETCH_INTERVAL = 5000; // 5 seconds
 const AdminDashboard = (props) => {
   const [activeTab, setActiveTab] = useState('createTask');
   const [adminData, setAdminData] = useState({ employees: [] });
+  const [teams, setTeams] = useState([]);
+  // Bumped when a recurring task is created so the series list reloads
+  const [seriesVersion, setSeriesVersion] = useState(0);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -35,7 +48,7 @@ const AdminDashboard = (props) => {
   const [loading, setLoading] = useState(true);
   const [isSyncing, setIsSyncing] = useState(false);
   const [error, setError] = useState(null);
-  const { currentAdmin, currentUser } = useContext(AuthContext);
+  const { currentAdmin, currentUser, refreshEmployees } = useContext(AuthContext);
   const navigate = useNavigate();
   
   // Refs for tracking
@@ -236,6 +249,58 @@ const AdminDashboard = (props) => {
     };
   }, [fetchAdminData, adminId]);
 
+  // Teams with their task rollups, shared by the filters and the Teams tab
+  const loadTeams = useCallback(async () => {
+    if (!adminId || !localStorage.getItem('token')) return;
+    try {
+      const response = await adminAPI.getTeams(adminId);
+      if (isMounted.current) {
+        setTeams(response.teams || []);
+      }
+    } catch (err) {
+      console.error('Error loading teams:', err);
+    }
+  }, [adminId]);
+
+  useEffect(() => {
+    loadTeams();
+  }, [loadTeams]);
+
+  // Patch the assignee's tasks and counters from live task events
+  useTaskEvents((event) => {
+    if (event.type === 'reconnected') {
+      fetchAdminData(true).catch(console.error);
+      loadTeams();
+      return;
+    }
+    if (!event.employeeId) return;
+
+    // Team rollups are recomputed on the server whenever a member's tasks change
+    if (teams.length > 0) {
+      loadTeams();
+    }
+
+    setAdminData(prev => {
+      if (!prev || !Array.isArray(prev.employees)) return prev;
+
+      let changed = false;
+      const employees = prev.employees.map(employee => {
+        if (String(employee._id) !== String(event.employeeId)) return employee;
+        changed = true;
+        return {
+          ...employee,
+          tasks: applyTaskEvent(employee.tasks || [], event),
+          taskCounts: event.taskCounts || employee.taskCounts
+        };
+      });
+      if (!changed) return prev;
+
+      const next = { ...prev, employees };
+      prevAdminData.current = next;
+      return next;
+    });
+  }, Boolean(adminId));
+
   // Memoize tab change handler
   const handleTabChange = useCallback((tab) => {
     setActiveTab(tab);
@@ -245,20 +310,48 @@ const AdminDashboard = (props) => {
   const handleDataUpdate = useCallback(() => {
     fetchAdminData().catch(console.error);
   }, [fetchAdminData]);
+
+  const handleSeriesCreated = useCallback(() => {
+    setSeriesVersion(version => version + 1);
+  }, []);
+
+  // Member edits also change the roster used by the employee search
+  const handleMembersChanged = useCallback(() => {
+    lastFetchTime.current = 0;
+    fetchAdminData().catch(console.error);
+    loadTeams();
+    if (typeof refreshEmployees === 'function') {
+      refreshEmployees();
+    }
+  }, [fetchAdminData, loadTeams, refreshEmployees]);
   
   // Memoize the active tab content to prevent unnecessary re-renders
   const activeTabContent = useMemo(() => {
     switch (activeTab) {
       case 'addMember':
-        return <MemoizedAddMember onMemberAdded={handleDataUpdate} />;
+        return (
+          <>
+            <MemoizedAddMember onMemberAdded={handleDataUpdate} employees={adminData?.employees || []} />
+            <MemoizedImportMembers onImported={handleMembersChanged} />
+          </>
+        );
+      case 'manageMembers':
+        return <MemoizedManageMembers onMembersChanged={handleMembersChanged} employees={adminData?.employees || []} />;
+      case 'teams':
+        return <MemoizedManageTeams adminId={adminId} teams={teams} onTeamsChanged={loadTeams} employees={adminData?.employees || []} />;
       case 'allTasks':
         // Rendered by the dedicated overview panel below to avoid duplicate mounts
         return null;
       case 'createTask':
       default:
-        return <MemoizedCreateTask onTaskCreated={handleDataUpdate} employees={adminData?.employees || []} />;
+        return (
+          <>
+            <MemoizedCreateTask adminId={adminId} onTaskCreated={handleDataUpdate} onSeriesCreated={handleSeriesCreated} employees={adminData?.employees || []} teams={teams} />
+            <TaskSeriesList adminId={adminId} refreshKey={seriesVersion} />
+          </>
+        );
     }
-  }, [activeTab, adminData?.employees, handleDataUpdate]);
+  }, [activeTab, adminData?.employees, adminId, teams, seriesVersion, handleDataUpdate, handleMembersChanged, handleSeriesCreated, loadTeams]);
 
   return (
     <div className='h-screen w-full p-7'>
@@ -269,7 +362,7 @@ const AdminDashboard = (props) => {
 
       {/* Search bar */}
       <div className="mb-6">
-        <MemoizedEmployeeSearch />
+        <MemoizedEmployeeSearch teams={teams} />
       </div>
 
       {/* Toggle between different admin functions */}
@@ -292,7 +385,7 @@ const AdminDashboard = (props) => {
             <div className="text-gray-400 text-sm mt-1">Add employees to start assigning tasks and verifying submissions.</div>
           </div>
         ) : (
-          <MemoizedTaskVerification adminData={adminData} onDataUpdate={handleDataUpdate} />
+          <MemoizedTaskVerification adminData={adminData} teams={teams} onDataUpdate={handleDataUpdate} />
         )}
       </div>
       
@@ -311,6 +404,7 @@ const AdminDashboard = (props) => {
           {isSyncing && (
             <div className="text-sm text-gray-500 mb-2">Syncing latest data...</div>
           )}
+          <TaskGroups adminId={adminId} />
           {(!adminData || !Array.isArray(adminData.employees) || adminData.employees.length === 0) ? (
             <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4">
               <p>No employees found. Add some employees to see their tasks.</p>
@@ -334,7 +428,7 @@ const AdminDashboard = (props) => {
               <p>Loading task data...</p>
             </div>
           ) : adminData?.employees?.length > 0 ? (
-            <MemoizedAllTask employees={adminData.employees} onDataUpdate={handleDataUpdate} />
+            <MemoizedAllTask employees={adminData.employees} teams={teams} onDataUpdate={handleDataUpdate} />
           ) : null}
         </div>
       )}
@@ -4,9 +4,9 @@ import Header from '../other/Header';
 import TaskListNumbers from '../other/TaskListNumbers';
 import TaskList from '../TaskList/TaskList';
 import { employeeAPI } from '../../services/api';
+import useTaskEvents from '../../hooks/useTaskEvents';
 
 // Constants
-const POLLING_INTERVAL = 60000; // 60 seconds
 const MIN_UPDATE_INTERVAL = 10000; // 10 seconds
 
 const EmployeeDashboard = (props) => {
@@ -101,58 +101,10 @@ const EmployeeDashboard = (props) => {
     }
   }, [employeeId]);
 
-  // Handle task expiration - only run when employeeData changes
-  useEffect(() => {
-    if (!isMounted.current || !employeeData?.tasks?.length || updateInProgress.current) {
-      return;
-    }
-
-    const checkExpiredTasks = async () => {
-      const now = new Date();
-      const expiredTasks = employeeData.tasks.filter(task => {
-        if (!task.active || task.completed || task.failed) return false;
-        const taskEndDate = new Date(task.endDate);
-        return now > taskEndDate;
-      });
-
-      if (expiredTasks.length === 0) return;
-
-      try {
-        const updatePromises = expiredTasks.map(task => {
-          if (!isMounted.current) return null;
-          
-          return employeeAPI.updateTask(
-            employeeData._id || employeeData.id,
-            task._id || task.id,
-            {
-              ...task,
-              active: false,
-              failed: true,
-              status: 'failed',
-              updatedAt: now.toISOString()
-            }
-          );
-        }).filter(Boolean);
-
-        if (updatePromises.length > 0) {
-          await Promise.all(updatePromises);
-          // After updating expired tasks, refresh the data
-          if (isMounted.current) {
-            handleTaskUpdate();
-          }
-        }
-      } catch (error) {
-        console.error('Failed to update expired tasks:', error);
-      }
-    };
-
-    checkExpiredTasks();
-  }, [employeeData?._id, employeeData?.id, employeeData?.tasks?.length, handleTaskUpdate]);
-
-  // Initial data fetch on mount and cleanup (guarded against double-invoke in StrictMode)
+  // Initial data fetch on mount and cleanup (guarded against double-invoke in StrictMode).
+  // Later changes arrive as live task events instead of polling.
   useEffect(() => {
     isMounted.current = true;
-    let pollInterval;
 
     const fetchInitialData = async () => {
       if (!isMounted.current) return;
@@ -161,42 +113,25 @@ const EmployeeDashboard = (props) => {
       
       try {
         await handleTaskUpdate(true);
-        
-        // Set up polling only after initial fetch is complete
-        if (isMounted.current && employeeId) {
-          pollInterval = setInterval(() => {
-            if (isMounted.current && document.visibilityState === 'visible') {
-              handleTaskUpdate();
-            }
-          }, POLLING_INTERVAL);
-        }
       } catch (error) {
         console.error('Error in initial data fetch:', error);
       }
     };
 
     fetchInitialData();
-    
-    // Handle visibility changes to pause polling when tab is not active
-    const handleVisibilityChange = () => {
-      if (document.visibilityState === 'visible' && isMounted.current) {
-        // Refresh data when tab becomes visible
-        handleTaskUpdate(true);
-      }
-    };
-    
-    document.addEventListener('visibilitychange', handleVisibilityChange);
 
     // Cleanup function
     return () => {
       isMounted.current = false;
-      if (pollInterval) {
-        clearInterval(pollInterval);
-      }
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
   }, [employeeId, handleTaskUpdate]);
 
+  // Keep the counters in sync with live task events; TaskList patches the tasks themselves
+  useTaskEvents((event) => {
+    if (!event.taskCounts || String(event.employeeId) !== String(employeeId)) return;
+    setEmployeeData(prev => (prev ? { ...prev, taskCounts: event.taskCounts } : prev));
+  }, Boolean(employeeId));
+
   // Memoize the task list to prevent unnecessary re-renders
   const taskList = useMemo(() => {
     if (!employeeData?.tasks) return [];
@@ -215,12 +150,11 @@ const EmployeeDashboard = (props) => {
     }, { total: 0, completed: 0, pending: 0 });
   }, [employeeData?.tasks]);
 
-  // Handle tab visibility changes
+  // Resync when the tab becomes visible again, in case the event stream was suspended
   useEffect(() => {
     const handleVisibilityChange = () => {
       if (document.visibilityState === 'visible' && isMounted.current) {
-        // Tab became visible, force an update
-        handleTaskUpdate(true);
+        handleTaskUpdate();
       }
     };
 
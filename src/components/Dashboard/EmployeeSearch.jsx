@@ -2,14 +2,18 @@ import React, { useState, useEffect, useRef } from 'react';
 import { X } from 'lucide-react';
 import { useAuth } from '../../context/AuthProvider';
 import { adminAPI } from '../../services/api';
+import { getEmployeeInitials, getEmployeeName, getEmployeeSubtitle } from '../../utils/employeeUtils';
+import { filterByTeam } from '../../utils/teamUtils';
+import TeamFilter from '../other/TeamFilter';
 
-const EmployeeSearch = () => {
+const EmployeeSearch = ({ teams = [] }) => {
   const { currentAdmin } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [selectedEmployee, setSelectedEmployee] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showPopup, setShowPopup] = useState(false);
+  const [teamId, setTeamId] = useState('');
   const searchRef = useRef(null);
   const popupRef = useRef(null);
   
@@ -21,7 +25,7 @@ const EmployeeSearch = () => {
     console.log('Current Admin:', currentAdmin);
     if (currentAdmin?.employees) {
       console.log('Number of employees:', currentAdmin.employees.length);
-      console.log('Employee names:', currentAdmin.employees.map(e => e.name || 'Unnamed'));
+      console.log('Employee names:', currentAdmin.employees.map(getEmployeeName));
     }
   }, [currentAdmin]);
 
@@ -30,7 +34,8 @@ const EmployeeSearch = () => {
     const searchEmployees = () => {
       const trimmedTerm = searchTerm.trim().toLowerCase();
       
-      if (trimmedTerm === '') {
+      // With a team selected, an empty search lists the whole team
+      if (trimmedTerm === '' && !teamId) {
         setSearchResults([]);
         return;
       }
@@ -48,18 +53,15 @@ const EmployeeSearch = () => {
       setIsLoading(true);
       try {
         // Use the already loaded employees from the currentAdmin
-        const employees = currentAdmin.employees || [];
+        const employees = filterByTeam(currentAdmin.employees || [], teams, teamId);
         
-        const filtered = employees.filter(emp => {
-          // Handle different possible property names
-          const name = emp?.name || emp?.firstName || '';
-          const email = emp?.email || '';
-          
-          return (
-            (name && name.toLowerCase().includes(trimmedTerm)) ||
-            (email && email.toLowerCase().includes(trimmedTerm))
-          );
-        });
+        // Match on name, email, job title or department
+        const filtered = employees.filter(emp => [
+          getEmployeeName(emp),
+          emp?.email,
+          emp?.jobTitle,
+          emp?.department
+        ].some(value => value && value.toLowerCase().includes(trimmedTerm)));
         
         console.log('Search results:', filtered);
         setSearchResults(filtered);
@@ -73,7 +75,7 @@ const EmployeeSearch = () => {
 
     const debounceTimer = setTimeout(searchEmployees, 300);
     return () => clearTimeout(debounceTimer);
-  }, [searchTerm, currentAdmin]);
+  }, [searchTerm, currentAdmin, teams, teamId]);
 
   // Close popup when clicking outside
   useEffect(() => {
@@ -139,9 +141,9 @@ const EmployeeSearch = () => {
         verificationStatus: status,
         verificationNote: note,
         verificationDate: new Date(),
-        // If verified, mark as completed, otherwise keep as active
-        completed: status === 'verified',
-        active: status !== 'verified'
+        // If approved, mark as completed, otherwise keep as active
+        completed: status === 'approved',
+        active: status !== 'approved'
       };
 
       // Update the employee's tasks
@@ -170,7 +172,7 @@ const EmployeeSearch = () => {
 
   const handleVerifyTask = (task) => {
     const note = prompt('Add an optional note for the employee:');
-    updateTaskVerification(task, 'verified', note || '');
+    updateTaskVerification(task, 'approved', note || '');
   };
 
   const handleRejectTask = (task) => {
@@ -190,6 +192,7 @@ const EmployeeSearch = () => {
           placeholder="Search employees..."
           className="w-full p-3 bg-black text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-400"
         />
+        <TeamFilter teams={teams} value={teamId} onChange={setTeamId} className="mt-2 w-full" />
         
         {isLoading && (
           <div className="absolute right-3 top-2.5">
@@ -205,8 +208,11 @@ const EmployeeSearch = () => {
                 onClick={() => handleEmployeeSelect(employee)}
                 className="p-2 hover:bg-gray-100 cursor-pointer border-b last:border-b-0"
               >
-                <div className="font-medium">{employee.name}</div>
-                <div className="text-sm text-gray-500">{employee.email}</div>
+                <div className="font-medium">{getEmployeeName(employee)}</div>
+                <div className="text-sm text-gray-500">
+                  {employee.email}
+                  {getEmployeeSubtitle(employee) && ` · ${getEmployeeSubtitle(employee)}`}
+                </div>
               </div>
             ))}
           </div>
@@ -228,25 +234,46 @@ const EmployeeSearch = () => {
             
             <div className="p-6">
               <div className="flex items-center space-x-4 mb-4">
-                <div className="h-16 w-16 rounded-full bg-blue-100 flex items-center justify-center text-2xl font-bold text-blue-600">
-                  {selectedEmployee?.name ? selectedEmployee.name.charAt(0).toUpperCase() : '?'}
-                </div>
+                {selectedEmployee.avatarUrl ? (
+                  <img
+                    src={selectedEmployee.avatarUrl}
+                    alt={getEmployeeName(selectedEmployee)}
+                    className="h-16 w-16 rounded-full object-cover"
+                  />
+                ) : (
+                  <div className="h-16 w-16 rounded-full bg-blue-100 flex items-center justify-center text-2xl font-bold text-blue-600">
+                    {getEmployeeInitials(selectedEmployee)}
+                  </div>
+                )}
                 <div>
-                  <h2 className="text-xl font-bold">{selectedEmployee?.name || 'No Name'}</h2>
+                  <h2 className="text-xl font-bold">{getEmployeeName(selectedEmployee)}</h2>
                   <p className="text-gray-600">{selectedEmployee?.email || 'No email'}</p>
-                  {selectedEmployee?.position && (
-                    <p className="text-sm text-gray-500">{selectedEmployee.position}</p>
+                  {getEmployeeSubtitle(selectedEmployee) && (
+                    <p className="text-sm text-gray-500">{getEmployeeSubtitle(selectedEmployee)}</p>
                   )}
                 </div>
               </div>
 
+              <dl className="grid grid-cols-3 gap-x-2 gap-y-1 text-sm">
+                <dt className="text-gray-500">Phone</dt>
+                <dd className="col-span-2">{selectedEmployee.phone || '—'}</dd>
+                <dt className="text-gray-500">Reports to</dt>
+                <dd className="col-span-2">{selectedEmployee.manager ? getEmployeeName(selectedEmployee.manager) : '—'}</dd>
+                <dt className="text-gray-500">Hire date</dt>
+                <dd className="col-span-2">
+                  {selectedEmployee.hireDate ? new Date(selectedEmployee.hireDate).toLocaleDateString() : '—'}
+                </dd>
+                <dt className="text-gray-500">Address</dt>
+                <dd className="col-span-2 whitespace-pre-line">{selectedEmployee.address || '—'}</dd>
+              </dl>
+
               <div className="mt-6 bg-gray-50 p-4 rounded-lg">
                 <h3 className="font-semibold text-gray-800 mb-3">Uploaded Documents</h3>
                 {selectedEmployee?.tasks?.length > 0 ? (
                   <div className="space-y-4">
                     {selectedEmployee.tasks.map((task, index) => {
-                      const hasDocuments = task.documents && task.documents.length > 0;
-                      const isVerified = task.verificationStatus === 'verified';
+                      const hasDocuments = task.submittedDocuments && task.submittedDocuments.length > 0;
+                      const isVerified = task.verificationStatus === 'approved';
                       const isRejected = task.verificationStatus === 'rejected';
                       
                       return hasDocuments ? (
@@ -277,7 +304,7 @@ const EmployeeSearch = () => {
                             </div>
                             <div className="flex space-x-2">
                               <a 
-                                href={task.documents[0]?.path} 
+                                href={`http://localhost:5000${task.submittedDocuments[0]?.filePath || ''}`} 
                                 target="_blank" 
                                 rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 hover:underline text-sm font-medium transition-colors px-2 py-1 border border-blue-200 rounded"
@@ -296,7 +323,7 @@ const EmployeeSearch = () => {
                           <div className="mt-3 pt-3 border-t border-gray-100 flex justify-end space-x-2">
                             {!isVerified && (
                               <button 
-                                onClick={() => handleVerifyTask(task, 'verified')}
+                                onClick={() => handleVerifyTask(task, 'approved')}
                                 className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
                               >
                                 Approve
@@ -1,8 +1,12 @@
 import React, { useEffect, useState, useContext } from 'react';
 import { adminAPI } from '../../services/api';
 import { AuthContext } from '../../context/AuthProvider';
+import useTaskEvents from '../../hooks/useTaskEvents';
+import { getEmployeeName } from '../../utils/employeeUtils';
+import { filterByTeam } from '../../utils/teamUtils';
+import TeamFilter from '../other/TeamFilter';
 
-const TaskVerificationSimple = ({ adminData, onDataUpdate }) => {
+const TaskVerificationSimple = ({ adminData, onDataUpdate, teams = [] }) => {
   const { currentAdmin } = useContext(AuthContext);
   const adminId = currentAdmin?._id;
   const [tasks, setTasks] = useState([]);
@@ -10,6 +14,7 @@ const TaskVerificationSimple = ({ adminData, onDataUpdate }) => {
   const [error, setError] = useState('');
   const [busy, setBusy] = useState('');
   const [verificationNotes, setVerificationNotes] = useState({});
+  const [teamId, setTeamId] = useState('');
 
   // Extract pending tasks from adminData or currentAdmin
   useEffect(() => {
@@ -32,6 +37,7 @@ const TaskVerificationSimple = ({ adminData, onDataUpdate }) => {
                 employee: {
                   _id: employee._id,
                   firstName: employee.firstName,
+                  lastName: employee.lastName,
                   email: employee.email
                 }
               });
@@ -47,6 +53,35 @@ const TaskVerificationSimple = ({ adminData, onDataUpdate }) => {
     }
   }, [adminData, currentAdmin]);
 
+  // Live updates: new submissions join the queue, reviewed or expired tasks leave it
+  useTaskEvents((event) => {
+    const task = event.task;
+    if (!task?._id) return;
+
+    if (task.status === 'pendingVerification') {
+      const dataSource = adminData || currentAdmin;
+      const employee = dataSource?.employees?.find(emp => String(emp._id) === String(event.employeeId));
+      setTasks(current => {
+        const existing = current.find(item => item._id === task._id);
+        const entry = {
+          ...existing,
+          ...task,
+          employee: existing?.employee || (employee ? {
+            _id: employee._id,
+            firstName: employee.firstName,
+            lastName: employee.lastName,
+            email: employee.email
+          } : { _id: event.employeeId })
+        };
+        return existing
+          ? current.map(item => (item._id === task._id ? entry : item))
+          : [...current, entry];
+      });
+    } else {
+      setTasks(current => current.filter(item => item._id !== task._id));
+    }
+  });
+
   const handleVerificationNoteChange = (taskId, note) => {
     setVerificationNotes(prev => ({
       ...prev,
@@ -120,17 +155,28 @@ const TaskVerificationSimple = ({ adminData, onDataUpdate }) => {
     </div>
   );
 
+  // Narrow the queue to submissions from one team's members
+  const visibleTasks = filterByTeam(tasks, teams, teamId, task => task.employee?._id);
+
   return (
     <div>
+      {teams.length > 0 && (
+        <div className="flex justify-end mb-3">
+          <TeamFilter teams={teams} value={teamId} onChange={setTeamId} />
+        </div>
+      )}
+      {visibleTasks.length === 0 && (
+        <div className="text-sm text-gray-500 text-center py-4">No tasks from this team are pending verification</div>
+      )}
       <div className="space-y-4">
-        {tasks.map(task => (
+        {visibleTasks.map(task => (
           <div key={task._id} className="border rounded-lg p-4 bg-gray-50">
             <div className="flex justify-between items-start mb-3">
               <div className="flex-1">
                 <div className="font-medium text-lg">{task.taskTitle}</div>
                 <div className="text-sm text-gray-600 mt-1">{task.taskDescription}</div>
                 <div className="text-xs text-gray-500 mt-2">
-                  <span className="font-medium">Employee:</span> {task.employee?.firstName} ({task.employee?.email})
+                  <span className="font-medium">Employee:</span> {getEmployeeName(task.employee)} ({task.employee?.email})
                 </div>
                 <div className="text-xs text-gray-500">
                   <span className="font-medium">Due:</span> {task.endDate ? new Date(task.endDate).toLocaleString() : 'N/A'}
@@ -2,10 +2,10 @@ import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
 import { format, isAfter, isBefore, formatDistanceToNow } from 'date-fns';
 import PropTypes from 'prop-types';
 import { employeeAPI } from '../../services/api';
-import { toast } from 'react-toastify';
-import { getTaskStatus, validateStatusUpdate, getStatusUpdatePayload } from '../../utils/taskUtils';
+import { describeDocumentTypes, getTaskStatus, hasOpenRequiredItems } from '../../utils/taskUtils';
 import DocumentUploader from './DocumentUploader';
-import { debounce } from 'lodash';
+import TaskChecklist from './TaskChecklist';
+import TaskTimeline from './TaskTimeline';
 // Helper function to check if task can be resubmitted
   const canResubmit = (task) => {
   if (!task.endDate) return true; // No deadline, can always resubmit
@@ -26,6 +26,12 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
   
   // Memoize the task data comparison to prevent unnecessary re-renders
   const taskData = useMemo(() => data, [JSON.stringify(data)]);
+
+  // Checklist as last saved from this card; replaced whenever the task data brings a newer one
+  const [checklist, setChecklist] = useState(data.checklist || []);
+  useEffect(() => {
+    setChecklist(taskData.checklist || []);
+  }, [taskData]);
   
   // Update local state with debounce
   const updateLocalState = useCallback((updates) => {
@@ -51,123 +57,6 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
     return isAfter(new Date(), new Date(endDate));
   }, []);
 
-  // Debounced task update function
-  const debouncedTaskUpdate = useCallback(debounce(async (taskId, updateData) => {
-    try {
-      await employeeAPI.updateTask(data.employeeId, taskId, updateData);
-      toast.success(`Task status updated`);
-      onTaskUpdate?.();
-    } catch (error) {
-      console.error('Error updating task status:', error);
-      toast.error(`Failed to update task: ${error.message || 'Unknown error'}`);
-      throw error;
-    }
-  }, 500), [data?.employeeId, onTaskUpdate]);
-
-  // Handle status updates for the task
-  const handleStatusUpdate = useCallback(async (newStatus) => {
-    if (!data?._id) return;
-    
-    try {
-      updateLocalState({ loading: true });
-      
-      // Validate the status update
-      const validation = validateStatusUpdate(data, newStatus);
-      if (!validation.isValid) {
-        toast.error(validation.reason || 'Invalid status update');
-        return;
-      }
-      
-      // Get the appropriate update payload
-      const updateData = getStatusUpdatePayload(newStatus, data);
-      
-      // Optimistic UI update
-      updateLocalState({
-        taskData: { ...data, ...updateData },
-        loading: false
-      });
-      
-      // Debounced API call
-      await debouncedTaskUpdate(data._id, updateData);
-      
-    } catch (error) {
-      console.error('Error in handleStatusUpdate:', error);
-      updateLocalState({ 
-        error: error.message || 'Failed to update task',
-        loading: false 
-      });
-    }
-  }, [data, debouncedTaskUpdate, updateLocalState]);
-
-  // Check task status with cleanup
-  useEffect(() => {
-    if (!data?._id || !data?.endDate) return;
-    
-    // Create a flag to track if the component is still mounted
-    let isMounted = true;
-    
-    const checkTaskStatus = async () => {
-      if (!isMounted) return;
-      
-      try {
-        const currentStatus = getTaskStatus(data);
-        const now = new Date();
-        const endDate = new Date(data.endDate);
-        
-        // Skip if task is already in a terminal state
-        if (['completed', 'failed'].includes(currentStatus)) {
-          return;
-        }
-        
-        // Check if task is expired and should be marked as failed
-        if (now > endDate) {
-          const hasPendingVerification = data.verificationStatus === 'pending';
-          const hasSubmittedDocument = !!data.documentUrl || (data.submittedDocuments?.length > 0);
-          
-          if (!hasPendingVerification && !hasSubmittedDocument && data.active && !data.completed) {
-            console.log('Marking task as failed due to expiration');
-            await handleStatusUpdate('failed');
-          }
-        }
-      } catch (error) {
-        if (isMounted) {
-          console.error('Error in task status check:', error);
-        }
-      }
-    };
-    
-    // Initial check with debounce
-    const debounceTimer = setTimeout(() => {
-      checkTaskStatus();
-    }, 1000);
-    
-    // Set up interval for periodic checks (reduced to every 10 minutes)
-    const intervalId = setInterval(() => {
-      checkTaskStatus();
-    }, 600000);
-    
-    // Clean up
-    return () => {
-      isMounted = false;
-      clearTimeout(debounceTimer);
-      clearInterval(intervalId);
-    };
-  }, [data?._id, data?.endDate, data?.verificationStatus, data?.documentUrl, data?.submittedDocuments, data?.active, data?.completed, handleStatusUpdate]);
-
-  // Handle task acceptance (newTask -> active)
-  const handleAcceptTask = useCallback(async () => {
-    if (!data?.newTask) return;
-    
-    try {
-      await handleStatusUpdate('active');
-    } catch (error) {
-      console.error('Error accepting task:', error);
-      updateLocalState({ 
-        error: error.message || 'Failed to accept task' 
-      });
-    }
-  }, [data?.newTask, handleStatusUpdate, updateLocalState]);
-
   // Handle document upload and submit for verification (active -> pendingVerification)
   const handleDocumentUpload = useCallback(async (file, onProgress) => {
     if (!file) return;
@@ -184,12 +73,7 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
     });
 
     try {
-      // First, ensure task is active (accept it if it's new or has empty verification status)
-      if (data.newTask || data.verificationStatus === '') {
-        await handleAcceptTask();
-      }
-
-      // Upload the document
+      // Upload the document; the server moves the task to pendingVerification
       const formData = new FormData();
       formData.append('document', file);
       
@@ -220,9 +104,7 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
         taskData: updatedTask,
         isUploading: false
       });
-
-      // Mark task as pending verification after successful upload
-      await handleStatusUpdate('pendingVerification');
+      onTaskUpdate?.();
       
       return updatedTask;
     } catch (error) {
@@ -233,7 +115,7 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
       });
       throw error;
     }
-  }, [data, handleAcceptTask, handleStatusUpdate, updateLocalState]);
+  }, [data, onTaskUpdate, updateLocalState]);
 
   // Timer effect for countdown
   useEffect(() => {
@@ -310,6 +192,7 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
   const isRejected = data?.verificationStatus === 'rejected';
   const isExpired = isTaskExpired(data?.endDate);
   const currentStatus = getTaskStatus(data);
+  const checklistBlocksUpload = hasOpenRequiredItems(checklist);
 
   return (
     <div className="flex-shrink-0 min-h-[280px] sm:min-h-[300px] w-full sm:w-[300px] p-4 sm:p-5 bg-white border-l-4 border-blue-500 rounded-xl shadow-sm hover:shadow-md transition-shadow duration-200">
@@ -334,6 +217,12 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
           <span className="w-24 font-medium">Category:</span>
           <span className="capitalize">{data.category || 'N/A'}</span>
         </div>
+        {data.requiredDocumentTypes?.length > 0 && (
+          <div className="flex items-center">
+            <span className="w-24 font-medium">Submit:</span>
+            <span>{describeDocumentTypes(data.requiredDocumentTypes)}</span>
+          </div>
+        )}
         <div className="flex items-center">
           <span className="w-24 font-medium">Due:</span>
           <span className={isExpired ? 'text-red-500' : ''}>
@@ -345,7 +234,7 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
           <span className="w-24 font-medium">Status:</span>
           <span className={`capitalize ${
             currentStatus === 'completed' ? 'text-green-600' :
-            currentStatus === 'failed' ? 'text-red-600' :
+            ['failed', 'expired'].includes(currentStatus) ? 'text-red-600' :
             'text-blue-600'
           }`}>
             {currentStatus}
@@ -353,6 +242,15 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
         </div>
       </div>
 
+      {/* Checklist with its progress */}
+      <TaskChecklist
+        employeeId={data.employeeId}
+        taskId={data._id}
+        checklist={checklist}
+        readOnly={isPendingVerification || isExpired}
+        onChange={setChecklist}
+      />
+
       {/* Rejection reason */}
       {isRejected && data?.rejectionReason && (
         <div className='mt-3 p-2 bg-red-50 border border-red-100 rounded-md mb-4'>
@@ -369,8 +267,11 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
             isUploading={localState.isUploading}
             error={localState.uploadError}
             task={data}
-            disabled={localState.isUpdating}
+            disabled={localState.isUpdating || checklistBlocksUpload}
           />
+          {checklistBlocksUpload && (
+            <p className='mt-1 text-xs text-gray-500'>Finish the items marked * to submit documents.</p>
+          )}
         </div>
       )}
 
@@ -387,6 +288,8 @@ const AcceptTask = ({ data, onTaskUpdate }) => {
       {localState.error && (
         <div className='mt-2 text-xs text-red-500'>{localState.error}</div>
       )}
+
+      <TaskTimeline employeeId={data.employeeId} taskId={data._id} />
     </div>
   );
 };
@@ -400,9 +303,11 @@ AcceptTask.propTypes = {
     category: PropTypes.string,
     priority: PropTypes.oneOf(['low', 'medium', 'high']),
     endDate: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
-    status: PropTypes.oneOf(['new', 'active', 'completed', 'failed']),
+    status: PropTypes.oneOf(['new', 'active', 'pendingVerification', 'completed', 'rejected', 'failed', 'expired']),
     verificationStatus: PropTypes.string,
     submittedDocuments: PropTypes.array,
+    requiredDocumentTypes: PropTypes.arrayOf(PropTypes.string),
+    checklist: PropTypes.arrayOf(PropTypes.object),
     documentUrl: PropTypes.string,
     active: PropTypes.bool,
     completed: PropTypes.bool,
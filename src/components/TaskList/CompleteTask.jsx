@@ -1,12 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { format } from 'date-fns';
-import { employeeAPI } from '../../services/api';
+import TaskTimeline from './TaskTimeline';
 
-const CompleteTask = ({ data, onTaskUpdate }) => {
+// Completed is a terminal state, so approved work is shown read-only
+const CompleteTask = ({ data }) => {
   const [timeLeft, setTimeLeft] = useState('');
-  const [isUpdating, setIsUpdating] = useState(false);
-  const [error, setError] = useState(null);
   let interval = null;
 
   // Format date for display
@@ -19,38 +18,6 @@ const CompleteTask = ({ data, onTaskUpdate }) => {
     }
   };
 
-  // Handle task reopen
-  const handleReopenTask = async () => {
-    if (!data?._id) {
-      setError(new Error('Task ID is missing'));
-      return;
-    }
-
-    setIsUpdating(true);
-    setError(null);
-
-    try {
-      // Update task status back to 'active' via employeeAPI
-      // Note: We need the employee ID to update the task
-      const employeeId = data.employeeId; // Make sure this is available in the data prop
-      if (!employeeId) {
-        throw new Error('Employee ID is required to reopen task');
-      }
-      
-      await employeeAPI.updateTask(employeeId, data._id, { status: 'active' });
-      
-      // Notify parent component to refresh task list
-      if (onTaskUpdate) {
-        await onTaskUpdate();
-      }
-    } catch (err) {
-      console.error('Error reopening task:', err);
-      setError(err);
-    } finally {
-      setIsUpdating(false);
-    }
-  };
-
   // Timer effect for countdown (for reference)
   useEffect(() => {
     if (!data?.endDate) return;
@@ -91,33 +58,6 @@ const CompleteTask = ({ data, onTaskUpdate }) => {
     };
   }, [data?.endDate]);
 
-  // Show error state
-  if (error) {
-    return (
-      <div className="flex-shrink-0 min-h-[280px] sm:min-h-[300px] w-full sm:w-[300px] p-4 sm:p-5 bg-red-100 border-l-4 border-red-500 rounded-xl">
-        <h3 className="text-red-700 font-bold text-sm sm:text-base">Error</h3>
-        <p className="text-red-600 text-xs sm:text-sm mt-2">
-          {error.message || 'Failed to load task details'}
-        </p>
-        <button 
-          onClick={() => setError(null)}
-          className="mt-4 text-xs bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded"
-        >
-          Dismiss
-        </button>
-      </div>
-    );
-  }
-
-  // Show loading state
-  if (isUpdating) {
-    return (
-      <div className="flex-shrink-0 min-h-[280px] sm:min-h-[300px] w-full sm:w-[300px] p-4 sm:p-5 bg-white bg-opacity-70 rounded-xl flex items-center justify-center">
-        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
-      </div>
-    );
-  }
-
   return (
     <div className='flex-shrink-0 min-h-[280px] sm:min-h-[300px] w-full sm:w-[300px] p-4 sm:p-5 bg-white shadow-md rounded-xl border border-gray-200 hover:shadow-lg transition-shadow duration-200'>
       <div className='flex flex-col sm:flex-row justify-between items-start gap-2 sm:gap-0'>
@@ -129,7 +69,7 @@ const CompleteTask = ({ data, onTaskUpdate }) => {
           {data.priority || 'Normal'} Priority
         </span>
         <div className='text-left sm:text-right'>
-          <div className='text-xs text-gray-500'>Completed: {formatDate(data.completedAt)}</div>
+          <div className='text-xs text-gray-500'>Completed: {formatDate(data.verifiedAt || data.completedAt)}</div>
           <div className='text-xs text-gray-500 mt-1'>Due: {formatDate(data.endDate)}</div>
         </div>
       </div>
@@ -153,14 +93,8 @@ const CompleteTask = ({ data, onTaskUpdate }) => {
           <span className='text-xs text-green-600 font-medium'>
             ✓ Completed
           </span>
-          <button
-            onClick={handleReopenTask}
-            disabled={isUpdating}
-            className='text-xs text-blue-600 hover:text-blue-800 font-medium px-2 py-1 -mx-2 sm:mx-0'
-          >
-            {isUpdating ? 'Reopening...' : 'Reopen Task'}
-          </button>
         </div>
+        <TaskTimeline employeeId={data.employeeId} taskId={data._id} />
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import React, { useCallback, useState } from 'react';
 import PropTypes from 'prop-types';
+import { describeDocumentTypes, getDocumentAccept } from '../../utils/taskUtils';
 
 export const DocumentUploader = ({ onUpload, isUploading, error, task, disabled = false }) => {
   const [isDragging, setIsDragging] = useState(false);
@@ -76,6 +77,7 @@ export const DocumentUploader = ({ onUpload, isUploading, error, task, disabled
           id="document-upload"
           ref={fileInputRef}
           className="hidden"
+          accept={getDocumentAccept(task?.requiredDocumentTypes)}
           onChange={handleFileInput}
           disabled={isUploading || disabled}
         />
@@ -104,6 +106,11 @@ export const DocumentUploader = ({ onUpload, isUploading, error, task, disabled
               <span>Click to upload a file</span>
             </label>
             <p className="text-xs text-gray-500 mt-1">or drag and drop</p>
+            {task?.requiredDocumentTypes?.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Accepted: {describeDocumentTypes(task.requiredDocumentTypes)}
+              </p>
+            )}
           </div>
           
           {(isUploading || disabled) && (
@@ -163,6 +170,7 @@ DocumentUploader.propTypes = {
   isUploading: PropTypes.bool,
   error: PropTypes.string,
   task: PropTypes.shape({
+    requiredDocumentTypes: PropTypes.arrayOf(PropTypes.string),
     submittedDocuments: PropTypes.arrayOf(
       PropTypes.shape({
         fileName: PropTypes.string,
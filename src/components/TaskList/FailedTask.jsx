@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { format, isAfter } from 'date-fns';
 import { FaExclamationTriangle } from 'react-icons/fa';
+import TaskTimeline from './TaskTimeline';
 
 const FailedTask = ({ data, isExpired, isRejected = false }) => {
   const [timeLeft, setTimeLeft] = useState('');
@@ -185,6 +186,7 @@ const FailedTask = ({ data, isExpired, isRejected = false }) => {
         >
           Expired
         </button>
+        <TaskTimeline employeeId={data?.employeeId} taskId={data?._id} />
       </div>
 
     </div>
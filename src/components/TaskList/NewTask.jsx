@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { format } from 'date-fns';
 import { employeeAPI } from '../../services/api';
+import { getOpenBlockers } from '../../utils/taskUtils';
 
 const NewTask = ({ data, onTaskUpdate }) => {
   const [timeLeft, setTimeLeft] = useState('');
@@ -53,16 +54,8 @@ const NewTask = ({ data, onTaskUpdate }) => {
     try {
       console.log('Attempting to accept task:', { taskId: data._id, employeeId });
       
-      // Update task status to 'active' with all necessary fields
-      const response = await employeeAPI.updateTask(employeeId, data._id, { 
-        status: 'active',
-        newTask: false,
-        active: true,
-        completed: false,
-        failed: false,
-        verificationStatus: '',
-        updatedAt: new Date().toISOString()
-      });
+      // Move the task to 'active'; the server derives the remaining state fields
+      const response = await employeeAPI.updateTask(employeeId, data._id, { status: 'active' });
       
       if (!response || response.error) {
         throw new Error(response?.error || 'Failed to update task status');
@@ -85,8 +78,10 @@ const NewTask = ({ data, onTaskUpdate }) => {
         fullError: err
       });
       
-      // Only show user-friendly error message
-      const userFriendlyError = new Error('Failed to accept task. Please refresh the page and try again.');
+      // Only show user-friendly error message; a blocked task says what it waits for
+      const userFriendlyError = err.response?.code === 'TASK_BLOCKED'
+        ? new Error(err.message)
+        : new Error('Failed to accept task. Please refresh the page and try again.');
       setError(userFriendlyError);
     } finally {
       setIsUpdating(false);
@@ -161,6 +156,8 @@ const NewTask = ({ data, onTaskUpdate }) => {
     );
   }
 
+  const blockers = getOpenBlockers(data);
+
   return (
     <div className='flex-shrink-0 min-h-[280px] sm:min-h-[300px] w-full sm:w-[300px] p-4 sm:p-5 bg-white shadow-md rounded-xl border border-gray-200 hover:shadow-lg transition-shadow duration-200'>
       <div className='flex flex-col sm:flex-row justify-between items-start gap-2 sm:gap-0'>
@@ -191,10 +188,22 @@ const NewTask = ({ data, onTaskUpdate }) => {
         {data.taskDescription || 'No description provided.'}
       </p>
       
+      {blockers.length > 0 && (
+        <div className='mt-3 p-2 bg-gray-50 border border-gray-200 rounded-md'>
+          <p className='text-xs font-medium text-gray-700'>Waiting for:</p>
+          <ul className='text-xs text-gray-600 list-disc list-inside'>
+            {blockers.map(blocker => (
+              <li key={blocker._id}>{blocker.taskTitle} ({blocker.status})</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
       <div className='mt-4 sm:mt-6 pt-3 border-t border-gray-100'>
         <button 
           onClick={handleAcceptTask}
-          disabled={isUpdating}
+          disabled={isUpdating || blockers.length > 0}
+          title={blockers.length > 0 ? 'Available once the tasks above are completed' : ''}
           className="w-full py-2 px-4 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
         >
           {isUpdating ? (
@@ -221,6 +230,7 @@ NewTask.propTypes = {
     priority: PropTypes.oneOf(['low', 'medium', 'high']),
     endDate: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
     status: PropTypes.oneOf(['new', 'active', 'completed', 'failed']),
+    dependsOn: PropTypes.array,
   }).isRequired,
   onTaskUpdate: PropTypes.func,
 };
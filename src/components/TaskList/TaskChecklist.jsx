@@ -0,0 +1,151 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { employeeAPI } from '../../services/api';
+import { getChecklistProgress } from '../../utils/taskUtils';
+
+// Checklist of a task with its progress: tick items off, add own steps, move or remove them.
+// Every change is saved right away and the server's checklist is handed to `onChange`.
+const TaskChecklist = ({ employeeId, taskId, checklist = [], readOnly = false, onChange }) => {
+  const [newItem, setNewItem] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const progress = getChecklistProgress(checklist);
+
+  const save = useCallback(async (request) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await request();
+      onChange?.(response.checklist || []);
+      return true;
+    } catch (err) {
+      console.error('Error updating checklist:', err);
+      setError(err.message || 'Failed to update checklist');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [onChange]);
+
+  const toggle = (item) => save(() => employeeAPI.updateChecklistItem(employeeId, taskId, item._id, { done: !item.done }));
+
+  const remove = (item) => save(() => employeeAPI.removeChecklistItem(employeeId, taskId, item._id));
+
+  const move = (index, offset) => {
+    const ids = checklist.map(item => item._id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    return save(() => employeeAPI.reorderChecklist(employeeId, taskId, ids));
+  };
+
+  const add = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    const added = await save(() => employeeAPI.addChecklistItem(employeeId, taskId, { text: newItem.trim() }));
+    if (added) setNewItem('');
+  };
+
+  if (checklist.length === 0 && readOnly) return null;
+
+  return (
+    <div className='mb-4'>
+      {progress.total > 0 && (
+        <div className='mb-2'>
+          <div className='flex justify-between text-xs text-gray-500 mb-1'>
+            <span className='font-medium'>Checklist</span>
+            <span>{progress.done}/{progress.total} ({progress.percent}%)</span>
+          </div>
+          <div className='h-1.5 w-full bg-gray-200 rounded-full overflow-hidden'>
+            <div className='h-full bg-green-500 transition-all' style={{ width: `${progress.percent}%` }} />
+          </div>
+        </div>
+      )}
+
+      <ul className='space-y-1'>
+        {checklist.map((item, index) => (
+          <li key={item._id} className='flex items-center gap-2 text-xs text-gray-700'>
+            <input
+              type='checkbox'
+              checked={item.done}
+              disabled={readOnly || isSaving}
+              onChange={() => toggle(item)}
+            />
+            <span className={`flex-1 ${item.done ? 'line-through text-gray-400' : ''}`}>
+              {item.text}
+              {item.required && <span className='ml-1 text-red-500' title='Required before submitting'>*</span>}
+            </span>
+            {!readOnly && (
+              <>
+                <button
+                  type='button'
+                  disabled={isSaving || index === 0}
+                  onClick={() => move(index, -1)}
+                  className='text-gray-400 hover:text-gray-700 disabled:opacity-30'
+                  title='Move up'
+                >
+                  ↑
+                </button>
+                <button
+                  type='button'
+                  disabled={isSaving || index === checklist.length - 1}
+                  onClick={() => move(index, 1)}
+                  className='text-gray-400 hover:text-gray-700 disabled:opacity-30'
+                  title='Move down'
+                >
+                  ↓
+                </button>
+                {!item.required && (
+                  <button
+                    type='button'
+                    disabled={isSaving}
+                    onClick={() => remove(item)}
+                    className='text-gray-400 hover:text-red-600'
+                    title='Remove'
+                  >
+                    ✕
+                  </button>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <form onSubmit={add} className='flex gap-2 mt-2'>
+          <input
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            placeholder='Add a step'
+            maxLength={200}
+            className='flex-1 text-xs py-1 px-2 rounded border border-gray-300 outline-none'
+          />
+          <button
+            type='submit'
+            disabled={isSaving || !newItem.trim()}
+            className='text-xs px-2 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-300'
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && <p className='mt-1 text-xs text-red-500'>{error}</p>}
+    </div>
+  );
+};
+
+TaskChecklist.propTypes = {
+  employeeId: PropTypes.string,
+  taskId: PropTypes.string,
+  checklist: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    text: PropTypes.string,
+    done: PropTypes.bool,
+    required: PropTypes.bool
+  })),
+  readOnly: PropTypes.bool,
+  onChange: PropTypes.func
+};
+
+export default TaskChecklist;
@@ -1,11 +1,12 @@
 import React, { useMemo, useCallback, useState, useEffect, memo } from 'react';
 import PropTypes from 'prop-types';
-import { isAfter, isEqual } from 'date-fns';
 import { debounce } from 'lodash';
 import AcceptTask from './AcceptTask';
 import NewTask from './NewTask';
 import CompleteTask from './CompleteTask';
 import FailedTask from './FailedTask';
+import { applyTaskEvent, getTaskStatus } from '../../utils/taskUtils';
+import useTaskEvents from '../../hooks/useTaskEvents';
 
 // Styled components for consistency
 const sectionTitleStyles = 'text-lg sm:text-xl font-bold m-4 sm:m-10 px-4 sm:px-0';
@@ -41,130 +42,25 @@ const TaskList = ({ data, isLoading, error, onTaskUpdate }) => {
     debouncedTaskUpdate();
   }, [debouncedTaskUpdate]);
 
-  // Memoize the current date to prevent unnecessary recalculations
-  const now = useMemo(() => new Date(), []);
-  
-  // Process tasks and ensure they can only be in one state at a time
-  const tasks = useMemo(() => {
-    if (!data?.tasks?.length) return [];
-    
-    return data.tasks.map(task => {
-      // Skip invalid tasks
-      if (!task || typeof task !== 'object') return null;
-      
-      // Check if task is expired
-      const endDate = task.endDate ? new Date(task.endDate) : null;
-      const isExpired = endDate ? now > endDate : false;
-      
-      // Create base task with employee reference and default values
-      const baseTask = {
-        ...task,
-        employeeId: data._id || data.id,
-        // Reset all status flags
-        newTask: false,
-        active: false,
-        completed: false,
-        failed: false,
-        // Preserve empty string for initial state, default to 'none' only if undefined
-        verificationStatus: task.verificationStatus === undefined ? 'none' : task.verificationStatus,
-        // Store expiration status for easier access
-        isExpired
-      };
-
-      // 1. Check for expired tasks first (highest priority)
-      if (isExpired && !task.completed && task.verificationStatus !== 'approved') {
-        return {
-          ...baseTask,
-          failed: true,
-          status: 'failed',
-          verificationStatus: 'expired',
-          // Ensure all other statuses are false
-          newTask: false,
-          active: false,
-          completed: false
-        };
-      }
-
-      // 2. Check for completed tasks (approved by admin)
-      if (task.completed || task.verificationStatus === 'approved') {
-        return {
-          ...baseTask,
-          completed: true,
-          verificationStatus: 'approved',
-          // Ensure all other statuses are false
-          newTask: false,
-          active: false,
-          failed: false
-        };
-      }
-
-      // 3. Check for pending verification
-      if (task.verificationStatus === 'pending') {
-        return {
-          ...baseTask,
-          verificationStatus: 'pending',
-          // Ensure all other statuses are false
-          newTask: false,
-          active: false,
-          completed: false,
-          failed: false
-        };
-      }
-
-      // 4. Rejected tasks should return to Active for re-upload
-      if (task.verificationStatus === 'rejected') {
-        return {
-          ...baseTask,
-          verificationStatus: 'rejected',
-          // Place back into active with rejection context
-          active: true,
-          newTask: false,
-          completed: false,
-          failed: false
-        };
-      }
-
-      // 5. Handle tasks with empty verification status (initial state)
-      if (task.verificationStatus === '') {
-        return {
-          ...baseTask,
-          verificationStatus: '',
-          // Keep the task in its current state (new or active)
-          newTask: task.newTask || false,
-          active: task.active || false,
-          // Ensure other statuses are false
-          completed: false,
-          failed: false
-        };
-      }
+  // Tasks from props, patched live by task events until the next refetch
+  const employeeId = data?._id || data?.id;
+  const [tasks, setTasks] = useState(data?.tasks || []);
 
-      // 6. Check for new tasks
-      if (task.newTask) {
-        return {
-          ...baseTask,
-          newTask: true,
-          // Ensure all other statuses are false
-          active: false,
-          completed: false,
-          failed: false,
-          verificationStatus: 'none'
-        };
-      }
+  useEffect(() => {
+    setTasks(data?.tasks || []);
+  }, [data?.tasks]);
 
-      // 6. Default to active task (lowest priority)
-      return {
-        ...baseTask,
-        active: true,
-        // Ensure all other statuses are false
-        newTask: false,
-        completed: false,
-        failed: false,
-        verificationStatus: 'none'
-      };
-    }).filter(Boolean); // Remove any null entries
-  }, [data?.tasks, data?._id, data?.id]);
+  useTaskEvents((event) => {
+    if (event.type === 'reconnected') {
+      handleTaskUpdate();
+      return;
+    }
+    if (event.employeeId && String(event.employeeId) === String(employeeId)) {
+      setTasks(current => applyTaskEvent(current, event));
+    }
+  }, Boolean(employeeId));
 
-  // Single pass to categorize all tasks into their respective statuses
+  // Attach the employee reference and bucket every task by its server-side status
   const {
     failedTasks,
     completeTasks,
@@ -173,39 +69,46 @@ const TaskList = ({ data, isLoading, error, onTaskUpdate }) => {
     newTasks,
     activeTasks
   } = useMemo(() => {
-    const failed = [];
-    const complete = [];
-    const pending = [];
-    const rejected = [];
-    const newTasks = [];
-    const active = [];
-    
+    const buckets = {
+      failedTasks: [],
+      completeTasks: [],
+      pendingVerificationTasks: [],
+      rejectedTasks: [],
+      newTasks: [],
+      activeTasks: []
+    };
+
     tasks.forEach(task => {
-      if (task.failed) {
-        failed.push(task);
-      } else if (task.completed || task.verificationStatus === 'approved') {
-        complete.push(task);
-      } else if (task.verificationStatus === 'pending') {
-        pending.push(task);
-      } else if (task.verificationStatus === 'rejected') {
-        // Show rejected tasks under Active so user can re-upload
-        active.push(task);
-      } else if (task.newTask) {
-        newTasks.push(task);
-      } else {
-        active.push(task);
+      // Skip invalid tasks
+      if (!task || typeof task !== 'object') return;
+
+      const status = getTaskStatus(task);
+      const entry = { ...task, employeeId, isExpired: status === 'expired' };
+
+      switch (status) {
+        case 'completed':
+          buckets.completeTasks.push(entry);
+          break;
+        case 'failed':
+        case 'expired':
+          buckets.failedTasks.push(entry);
+          break;
+        case 'pendingVerification':
+          buckets.pendingVerificationTasks.push(entry);
+          break;
+        case 'rejected':
+          buckets.rejectedTasks.push(entry);
+          break;
+        case 'active':
+          buckets.activeTasks.push(entry);
+          break;
+        default:
+          buckets.newTasks.push(entry);
       }
     });
-    
-    return { 
-      failedTasks: failed, 
-      completeTasks: complete, 
-      pendingVerificationTasks: pending, 
-      rejectedTasks: rejected,
-      newTasks: newTasks,
-      activeTasks: active
-    };
-  }, [tasks]);
+
+    return buckets;
+  }, [tasks, employeeId]);
 
   // Show loading state
   if (isLoading) {
@@ -233,7 +136,7 @@ const TaskList = ({ data, isLoading, error, onTaskUpdate }) => {
   }
 
   // Show empty state
-  if (!data || !Array.isArray(data.tasks) || data.tasks.length === 0) {
+  if (!data || tasks.length === 0) {
     return <div className='text-center py-10'>No tasks found</div>;
   }
 
@@ -363,7 +266,7 @@ TaskList.propTypes = {
       active: PropTypes.bool,
       newTask: PropTypes.bool,
       status: PropTypes.string,
-      verificationStatus: PropTypes.oneOf(['pending', 'verified', 'rejected']),
+      verificationStatus: PropTypes.oneOf(['', 'pending', 'approved', 'rejected', 'expired']),
       category: PropTypes.oneOf(['Design', 'Development', 'Meeting', 'QA', 'Documentation', 'DevOps', 'Presentation', 'Support']),
       priority: PropTypes.oneOf(['low', 'medium', 'high']),
       files: PropTypes.arrayOf(PropTypes.shape({
@@ -0,0 +1,108 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { employeeAPI } from '../../services/api';
+
+// Human readable label for a history event
+const describeEvent = (event) => {
+  if (!event.fromState) return 'Task created';
+  if (event.fromState === event.toState) return 'Document added';
+
+  switch (event.toState) {
+    case 'active':
+      return event.fromState === 'rejected' ? 'Work resumed' : 'Task accepted';
+    case 'pendingVerification':
+      return event.fromState === 'rejected' ? 'Resubmitted for verification' : 'Submitted for verification';
+    case 'completed':
+      return 'Approved';
+    case 'rejected':
+      return 'Rejected';
+    case 'failed':
+      return 'Marked as failed';
+    case 'expired':
+      return 'Expired';
+    default:
+      return `Moved to ${event.toState}`;
+  }
+};
+
+const dotColor = {
+  completed: 'bg-green-500',
+  rejected: 'bg-orange-500',
+  failed: 'bg-red-500',
+  expired: 'bg-red-500',
+  pendingVerification: 'bg-yellow-500'
+};
+
+// Collapsible timeline of a task's state changes; history is loaded on first open
+const TaskTimeline = ({ employeeId, taskId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = useCallback(async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening || history || !employeeId || !taskId) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await employeeAPI.getTaskHistory(employeeId, taskId);
+      setHistory(response?.history || []);
+    } catch (err) {
+      console.error('Error loading task history:', err);
+      setError(err.message || 'Failed to load history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isOpen, history, employeeId, taskId]);
+
+  return (
+    <div className='mt-3'>
+      <button
+        type='button'
+        onClick={toggle}
+        className='text-xs text-blue-600 hover:text-blue-800 font-medium'
+      >
+        {isOpen ? 'Hide history' : 'Show history'}
+      </button>
+
+      {isOpen && (
+        <div className='mt-2 p-2 bg-white bg-opacity-90 rounded-md border border-gray-100 max-h-40 overflow-y-auto'>
+          {isLoading && <p className='text-xs text-gray-500'>Loading history...</p>}
+          {error && <p className='text-xs text-red-500'>{error}</p>}
+          {history && history.length === 0 && (
+            <p className='text-xs text-gray-500'>No history recorded yet.</p>
+          )}
+          {history && history.length > 0 && (
+            <ol className='space-y-2'>
+              {history.map(event => (
+                <li key={event._id} className='flex items-start gap-2'>
+                  <span className={`mt-1 h-2 w-2 rounded-full flex-shrink-0 ${dotColor[event.toState] || 'bg-blue-500'}`} />
+                  <div>
+                    <p className='text-xs font-medium text-gray-800'>{describeEvent(event)}</p>
+                    <p className='text-[11px] text-gray-500'>
+                      {format(new Date(event.at), 'MMM d, yyyy h:mm a')}
+                      {event.actorRole && event.actorRole !== 'system' ? ` · ${event.actorRole}` : ''}
+                      {event.actorRole === 'system' ? ' · automatic' : ''}
+                    </p>
+                    {event.note && <p className='text-[11px] text-gray-600'>{event.note}</p>}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+TaskTimeline.propTypes = {
+  employeeId: PropTypes.string,
+  taskId: PropTypes.string
+};
+
+export default TaskTimeline;
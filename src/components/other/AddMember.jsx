@@ -1,105 +1,238 @@
 import React, { useState } from 'react'
+import PropTypes from 'prop-types'
 import { employeeAPI } from '../../services/api'
+import { getEmployeeName, isEmployeeActive } from '../../utils/employeeUtils'
 
-const AddMember = () => {
-    const [firstName, setFirstName] = useState('')
-    const [email, setEmail] = useState('')
-    const [password, setPassword] = useState('')
-    const [address, setAddress] = useState('')
+const emptyForm = {
+    firstName: '',
+    lastName: '',
+    email: '',
+    role: 'employee',
+    phone: '',
+    department: '',
+    jobTitle: '',
+    manager: '',
+    hireDate: '',
+    avatarUrl: '',
+    address: ''
+}
+
+const inputStyles = 'text-sm py-1 px-2 w-4/5 rounded outline-none bg-transparent border-[1px] border-gray-400 mb-4 text-white placeholder-gray-500'
+
+// Collect validation messages from a 400 response ({ errors: [...] } or { message })
+const describeError = (error) => {
+    const details = error.response?.errors
+    if (Array.isArray(details) && details.length > 0) {
+        return details.map(detail => detail.msg).join('\n')
+    }
+    return error.message
+}
+
+// Invite a member: they get a link to choose their own password
+const AddMember = ({ employees = [], onMemberAdded }) => {
+    const [form, setForm] = useState(emptyForm)
     const [isLoading, setIsLoading] = useState(false)
+    // { email, inviteUrl, emailSent, expiresAt } of the last invitation sent
+    const [invited, setInvited] = useState(null)
+
+    const updateField = (field) => (e) => {
+        setForm(prev => ({ ...prev, [field]: e.target.value }))
+    }
 
     const submitHandler = async (e) => {
         e.preventDefault()
         setIsLoading(true)
+        setInvited(null)
 
         try {
-            // Create new employee object for backend
-            const newEmployee = {
-                firstName,
-                email,
-                password,
-                address,
-                role: 'employee'
-            }
+            // Optional fields are only sent when filled in
+            const newEmployee = Object.fromEntries(
+                Object.entries(form).filter(([, value]) => value !== '')
+            )
 
-            // Add employee using backend API
-            const response = await employeeAPI.create(newEmployee)
-            
-            // Reset form on success
-            setFirstName('')
-            setEmail('')
-            setPassword('')
-            setAddress('')
+            const result = await employeeAPI.invite(newEmployee)
 
-            alert('Employee added successfully! They can now log in with their credentials.')
+            // Reset form on success
+            setForm(emptyForm)
+            setInvited({ email: result.employee.email, inviteUrl: result.inviteUrl, emailSent: result.emailSent, expiresAt: result.expiresAt })
+            if (onMemberAdded) {
+                onMemberAdded()
+            }
         } catch (error) {
-            console.error('Error adding employee:', error)
-            alert(`Failed to add employee: ${error.message}`)
+            console.error('Error inviting employee:', error)
+            alert(`Failed to invite employee: ${describeError(error)}`)
         } finally {
             setIsLoading(false)
         }
     }
 
+    const copyInviteLink = async () => {
+        try {
+            await navigator.clipboard.writeText(invited.inviteUrl)
+        } catch {
+            window.prompt('Copy the invitation link', invited.inviteUrl)
+        }
+    }
+
     return (
         <div className='p-5 bg-[#1c1c1c] mt-5 rounded'>
+            {invited && (
+                <div className='mb-5 p-4 rounded border border-green-500 bg-green-950/40 text-sm text-gray-200'>
+                    <p className='font-semibold text-green-300 mb-1'>
+                        {invited.emailSent
+                            ? `Invitation sent to ${invited.email}`
+                            : `Invitation created for ${invited.email}, but email is not set up. Share the link with them.`}
+                    </p>
+                    <p className='mb-2'>
+                        They appear as invited under Manage Members until they choose a password.
+                        The link works until {new Date(invited.expiresAt).toLocaleDateString()}.
+                    </p>
+                    <div className='flex gap-2 items-center'>
+                        <input readOnly value={invited.inviteUrl} className='flex-1 text-xs py-1 px-2 rounded bg-transparent border border-gray-500 text-gray-300' />
+                        <button type='button' onClick={copyInviteLink} className='px-3 py-1 rounded border border-gray-400 hover:bg-gray-700'>
+                            Copy link
+                        </button>
+                        <button type='button' onClick={() => setInvited(null)} className='px-2 py-1 text-gray-400 hover:text-white'>
+                            ×
+                        </button>
+                    </div>
+                </div>
+            )}
             <form
                 onSubmit={submitHandler}
                 className='flex flex-wrap w-full items-start justify-between'
             >
                 <div className='w-1/2'>
-                    <div>
-                        <h3 className='text-sm text-gray-300 mb-0.5'>First Name</h3>
-                        <input
-                            value={firstName}
-                            onChange={(e) => setFirstName(e.target.value)}
-                            className='text-sm py-1 px-2 w-4/5 rounded outline-none bg-transparent border-[1px] border-gray-400 mb-4 text-white placeholder-gray-500'
-                            type="text"
-                            placeholder='John Doe'
-                            required
-                        />
+                    <div className='flex w-4/5 gap-2'>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>First Name</h3>
+                            <input
+                                value={form.firstName}
+                                onChange={updateField('firstName')}
+                                className={`${inputStyles} w-full`}
+                                type="text"
+                                placeholder='John'
+                                required
+                            />
+                        </div>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Last Name</h3>
+                            <input
+                                value={form.lastName}
+                                onChange={updateField('lastName')}
+                                className={`${inputStyles} w-full`}
+                                type="text"
+                                placeholder='Doe'
+                            />
+                        </div>
                     </div>
                     <div>
                         <h3 className='text-sm text-gray-300 mb-0.5'>Email</h3>
                         <input
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            className='text-sm py-1 px-2 w-4/5 rounded outline-none bg-transparent border-[1px] border-gray-400 mb-4 text-white placeholder-gray-500'
+                            value={form.email}
+                            onChange={updateField('email')}
+                            className={inputStyles}
                             type="email"
                             placeholder='john@example.com'
                             required
                         />
                     </div>
                     <div>
-                        <h3 className='text-sm text-gray-300 mb-0.5'>Password</h3>
+                        <h3 className='text-sm text-gray-300 mb-0.5'>Role</h3>
+                        <select
+                            value={form.role}
+                            onChange={updateField('role')}
+                            className='text-sm py-1 px-2 w-4/5 rounded outline-none bg-[#1c1c1c] border-[1px] border-gray-400 mb-4 text-white'
+                        >
+                            <option value='employee'>Employee</option>
+                            <option value='manager'>Manager (can create and verify tasks)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <h3 className='text-sm text-gray-300 mb-0.5'>Phone</h3>
                         <input
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            className='text-sm py-1 px-2 w-4/5 rounded outline-none bg-transparent border-[1px] border-gray-400 mb-4 text-white placeholder-gray-500'
-                            type="password"
-                            placeholder='Enter password'
-                            required
+                            value={form.phone}
+                            onChange={updateField('phone')}
+                            className={inputStyles}
+                            type="tel"
+                            placeholder='+91 98765 43210'
                         />
                     </div>
+                    <div className='flex w-4/5 gap-2'>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Department</h3>
+                            <input
+                                value={form.department}
+                                onChange={updateField('department')}
+                                className={`${inputStyles} w-full`}
+                                type="text"
+                                placeholder='Engineering'
+                            />
+                        </div>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Job Title</h3>
+                            <input
+                                value={form.jobTitle}
+                                onChange={updateField('jobTitle')}
+                                className={`${inputStyles} w-full`}
+                                type="text"
+                                placeholder='Frontend Developer'
+                            />
+                        </div>
+                    </div>
+                    <div className='flex w-4/5 gap-2'>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Reports To</h3>
+                            <select
+                                value={form.manager}
+                                onChange={updateField('manager')}
+                                className='text-sm py-1 px-2 w-full rounded outline-none bg-[#1c1c1c] border-[1px] border-gray-400 mb-4 text-white'
+                            >
+                                <option value=''>No manager</option>
+                                {employees.filter(isEmployeeActive).map(employee => (
+                                    <option key={employee._id} value={employee._id}>
+                                        {getEmployeeName(employee)}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className='flex-1'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Hire Date</h3>
+                            <input
+                                value={form.hireDate}
+                                onChange={updateField('hireDate')}
+                                className={`${inputStyles} w-full`}
+                                type="date"
+                            />
+                        </div>
+                    </div>
                 </div>
 
                 <div className='w-2/5 flex flex-col items-start'>
+                    <h3 className='text-sm text-gray-300 mb-0.5'>Avatar URL</h3>
+                    <input
+                        value={form.avatarUrl}
+                        onChange={updateField('avatarUrl')}
+                        className='w-full text-sm py-1 px-2 rounded outline-none bg-transparent border-[1px] border-gray-400 mb-4 text-white placeholder-gray-500'
+                        type="url"
+                        placeholder='https://example.com/photo.jpg'
+                    />
                     <h3 className='text-sm text-gray-300 mb-0.5'>Address</h3>
                     <textarea
-                        value={address}
-                        onChange={(e) => setAddress(e.target.value)}
+                        value={form.address}
+                        onChange={updateField('address')}
                         className='w-full h-44 text-sm py-2 px-4 rounded outline-none bg-transparent border-[1px] border-gray-400 text-white placeholder-gray-500'
                         placeholder='Enter full address'
-                        required
                     ></textarea>
-                    <button 
+                    <button
                         className={`py-3 px-5 rounded text-sm mt-4 w-full ${
-                            isLoading 
-                                ? 'bg-gray-500 cursor-not-allowed' 
+                            isLoading
+                                ? 'bg-gray-500 cursor-not-allowed'
                                 : 'bg-blue-500 hover:bg-blue-600'
                         }`}
                         disabled={isLoading}
                     >
-                        {isLoading ? 'Adding Employee...' : 'Add Employee'}
+                        {isLoading ? 'Sending Invitation...' : 'Invite Employee'}
                     </button>
                 </div>
             </form>
@@ -107,4 +240,14 @@ const AddMember = () => {
     )
 }
 
+AddMember.propTypes = {
+    employees: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        firstName: PropTypes.string,
+        lastName: PropTypes.string,
+        email: PropTypes.string
+    })),
+    onMemberAdded: PropTypes.func
+}
+
 export default AddMember
@@ -24,6 +24,26 @@ const AdminToggle = ({ activeTab, onTabChange }) => {
                 >
                     Add Member
                 </button>
+                <button
+                    onClick={() => onTabChange('manageMembers')}
+                    className={`px-6 py-2 rounded-full text-sm font-medium transition-all duration-300 ${
+                        activeTab === 'manageMembers'
+                            ? 'bg-white text-gray-800 shadow-md'
+                            : 'text-gray-300 hover:text-white'
+                    }`}
+                >
+                    Manage Members
+                </button>
+                <button
+                    onClick={() => onTabChange('teams')}
+                    className={`px-6 py-2 rounded-full text-sm font-medium transition-all duration-300 ${
+                        activeTab === 'teams'
+                            ? 'bg-white text-gray-800 shadow-md'
+                            : 'text-gray-300 hover:text-white'
+                    }`}
+                >
+                    Teams
+                </button>
             </div>
         </div>
     )
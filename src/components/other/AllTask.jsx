@@ -1,7 +1,12 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import { getEmployeeInitials, getEmployeeName, getEmployeeSubtitle } from '../../utils/employeeUtils';
+import { filterByTeam } from '../../utils/teamUtils';
+import TeamFilter from './TeamFilter';
+
+const AllTask = ({ employees = [], teams = [], onDataUpdate }) => {
+   const [teamId, setTeamId] = useState('')
 
-const AllTask = ({ employees = [], onDataUpdate }) => {
    // Check if employee data exists
    if (!employees || !Array.isArray(employees) || employees.length === 0) {
      return (
@@ -13,12 +18,48 @@ const AllTask = ({ employees = [], onDataUpdate }) => {
      )
    }
 
+   const visibleEmployees = filterByTeam(employees, teams, teamId)
+
    return (
     <div className='bg-[#1c1c1c] p-5 rounded mt-5'>
-        <div className='mb-4'>
-          <h1 className='text-white text-2xl font-bold mb-2'>All Tasks Overview</h1>
-          <p className='text-gray-400'>Task distribution across all employees</p>
+        <div className='mb-4 flex items-start justify-between'>
+          <div>
+            <h1 className='text-white text-2xl font-bold mb-2'>All Tasks Overview</h1>
+            <p className='text-gray-400'>Task distribution across {teamId ? 'the selected team' : 'all employees'}</p>
+          </div>
+          <TeamFilter teams={teams} value={teamId} onChange={setTeamId} />
         </div>
+
+        {/* Per-team rollups kept up to date by the server */}
+        {teams.length > 0 && (
+          <div className='mb-6'>
+            <h2 className='text-white text-lg font-medium mb-2'>Teams</h2>
+            <div className='grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2'>
+              {teams.map(team => {
+                const counts = team.taskCounts || {}
+                return (
+                  <button
+                    key={team._id}
+                    type='button'
+                    onClick={() => setTeamId(teamId === team._id ? '' : team._id)}
+                    className={`text-left p-3 rounded border ${teamId === team._id ? 'border-emerald-400 bg-gray-800' : 'border-gray-700 hover:bg-gray-800'}`}
+                  >
+                    <div className='text-white font-medium'>{team.name}</div>
+                    <div className='text-xs text-gray-400 mb-1'>
+                      {(team.members || []).length} member(s){team.lead ? ` · lead ${getEmployeeName(team.lead)}` : ''}
+                    </div>
+                    <div className='text-sm flex gap-3'>
+                      <span className='text-blue-400'>{counts.newTask || 0} new</span>
+                      <span className='text-yellow-400'>{counts.active || 0} active</span>
+                      <span className='text-green-400'>{counts.completed || 0} done</span>
+                      <span className='text-red-400'>{counts.failed || 0} failed</span>
+                    </div>
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
         
         <div className='bg-red-400 mb-2 py-2 px-4 flex justify-between rounded'>
             <h2 className='text-lg font-medium w-1/6 text-white'>Employee Name</h2>
@@ -30,7 +71,7 @@ const AllTask = ({ employees = [], onDataUpdate }) => {
         </div>
         
         <div className='space-y-2'>
-        {employees.map(function(employee, idx){
+        {visibleEmployees.map(function(employee, idx){
             
             // Get task counts with fallback values
             const taskCounts = employee.taskCounts || {
@@ -48,9 +89,21 @@ const AllTask = ({ employees = [], onDataUpdate }) => {
             
             return (
               <div key={employee._id || idx} className='border-2 border-emerald-500 py-3 px-4 flex justify-between rounded hover:bg-gray-800 transition-colors'>
-                <div className='w-1/6'>
-                  <h2 className='text-lg font-medium text-white'>{employee.firstName || 'Unknown'}</h2>
-                  <p className='text-sm text-gray-400'>{employee.email}</p>
+                <div className='w-1/6 flex items-start gap-2'>
+                  {employee.avatarUrl ? (
+                    <img src={employee.avatarUrl} alt='' className='h-8 w-8 rounded-full object-cover flex-shrink-0' />
+                  ) : (
+                    <div className='h-8 w-8 rounded-full bg-emerald-700 text-white text-xs font-semibold flex items-center justify-center flex-shrink-0'>
+                      {getEmployeeInitials(employee)}
+                    </div>
+                  )}
+                  <div className='min-w-0'>
+                    <h2 className='text-lg font-medium text-white'>{getEmployeeName(employee)}</h2>
+                    <p className='text-sm text-gray-400 truncate'>{employee.email}</p>
+                    {getEmployeeSubtitle(employee) && (
+                      <p className='text-xs text-gray-500 truncate'>{getEmployeeSubtitle(employee)}</p>
+                    )}
+                  </div>
                 </div>
                 <div className='w-1/6 text-center'>
                   <h3 className='text-lg font-medium text-blue-400'>{taskCounts.newTask}</h3>
@@ -81,11 +134,11 @@ const AllTask = ({ employees = [], onDataUpdate }) => {
         <div className='mt-6 bg-gray-800 p-4 rounded'>
           <h3 className='text-white text-lg font-medium mb-2'>Summary</h3>
           <p className='text-gray-300'>
-            Total Employees: <span className='text-emerald-400 font-medium'>{employees.length}</span>
+            Total Employees: <span className='text-emerald-400 font-medium'>{visibleEmployees.length}</span>
           </p>
           <p className='text-gray-300'>
             Total Tasks: <span className='text-emerald-400 font-medium'>
-              {employees.reduce((total, emp) => {
+              {visibleEmployees.reduce((total, emp) => {
                 const counts = emp.taskCounts || { newTask: 0, active: 0, pendingVerification: 0, completed: 0, failed: 0 }
                 return total + counts.newTask + counts.active + (counts.pendingVerification || 0) + counts.completed + counts.failed
               }, 0)}
@@ -99,9 +152,12 @@ const AllTask = ({ employees = [], onDataUpdate }) => {
 AllTask.propTypes = {
   employees: PropTypes.arrayOf(PropTypes.shape({
     _id: PropTypes.string.isRequired,
-    firstName: PropTypes.string.isRequired,
+    firstName: PropTypes.string,
     lastName: PropTypes.string,
     email: PropTypes.string.isRequired,
+    jobTitle: PropTypes.string,
+    department: PropTypes.string,
+    avatarUrl: PropTypes.string,
     tasks: PropTypes.array,
     taskCounts: PropTypes.shape({
       newTask: PropTypes.number,
@@ -110,11 +166,18 @@ AllTask.propTypes = {
       failed: PropTypes.number
     })
   })),
+  teams: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    members: PropTypes.array,
+    taskCounts: PropTypes.object
+  })),
   onDataUpdate: PropTypes.func
 };
 
 AllTask.defaultProps = {
   employees: [],
+  teams: [],
   onDataUpdate: () => {}
 };
 
@@ -1,8 +1,15 @@
 import React, { useContext, useState, useEffect, useRef } from 'react'
 import { AuthContext } from '../../context/AuthProvider'
 import { adminAPI /*, employeeAPI*/ } from '../../services/api'
+import { getEmployeeName, isEmployeeActive } from '../../utils/employeeUtils'
+import { filterByTeam } from '../../utils/teamUtils'
+import { EMPTY_REPEAT, buildRecurrence, describeRecurrence } from '../../utils/recurrenceUtils'
+import { DOCUMENT_TYPES, isTerminalStatus } from '../../utils/taskUtils'
+import { toDateTimeLocalValue } from '../../utils/dateUtils'
+import RepeatFields from './RepeatFields'
+import TaskTemplatePicker from './TaskTemplatePicker'
 
-const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
+const CreateTask = ({ adminId, employees: employeesProp = [], teams = [], onTaskCreated, onSeriesCreated }) => {
 
     const { userData, refreshEmployees, currentUser /*, currentAdmin*/ } = useContext(AuthContext)
 
@@ -11,7 +18,19 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
     const [taskDate, setTaskDate] = useState('') 
     const [endDate, setEndDate] = useState('')
     const [asignTo, setAsignTo] = useState('')
+    // Employees picked so far; more than one creates a linked copy of the task for each
+    const [assignees, setAssignees] = useState([])
     const [category, setCategory] = useState('')
+    // A repeating task becomes a series; its first occurrence starts at `startsAt` (or now)
+    const [repeat, setRepeat] = useState(EMPTY_REPEAT)
+    const [startsAt, setStartsAt] = useState('')
+    // Files the assignee must submit (empty accepts any), and checklist items one per line
+    const [requiredDocumentTypes, setRequiredDocumentTypes] = useState([])
+    const [checklistText, setChecklistText] = useState('')
+    // Whether the checklist items have to be done before documents can be submitted
+    const [checklistRequired, setChecklistRequired] = useState(false)
+    // Ids of tasks that must be completed before the new task can be accepted
+    const [dependsOn, setDependsOn] = useState([])
     const [showDropdown, setShowDropdown] = useState(false)
     const [hasToken, setHasToken] = useState(() => !!localStorage.getItem('token'))
 
@@ -29,7 +48,8 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         const source = Array.isArray(employeesProp) && employeesProp.length > 0
           ? employeesProp
           : (Array.isArray(userData) ? userData : []);
-        const validEmployees = source.filter(emp => emp && emp.email); // only require email
+        // Only require email; deactivated members cannot be given new work
+        const validEmployees = source.filter(emp => emp && emp.email && isEmployeeActive(emp));
         if (process.env.NODE_ENV === 'development') {
             console.log('[CreateTask] employees source:', Array.isArray(employeesProp) && employeesProp.length > 0 ? 'props' : 'context');
             console.log('[CreateTask] employees count:', validEmployees.length);
@@ -38,6 +58,13 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         return validEmployees;
     }, [employeesProp, userData]);
 
+    // Unfinished tasks of the organisation, which a new task can wait for
+    const openTasks = React.useMemo(() => (Array.isArray(employeesProp) ? employeesProp : [])
+        .flatMap(emp => (emp?.tasks || [])
+            .filter(task => task?._id && !isTerminalStatus(task.status))
+            .map(task => ({ _id: task._id, label: `${task.taskTitle} (${getEmployeeName(emp)})` }))),
+    [employeesProp])
+
     // Ensure employees are loaded for current admin on mount if empty
     useEffect(() => {
         const loadIfEmpty = async () => {
@@ -63,6 +90,26 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         setHasToken(!!localStorage.getItem('token'))
     }, []);
 
+    const addAssignee = (employee) => {
+        setAssignees(prev => (prev.some(emp => emp._id === employee._id) ? prev : [...prev, employee]))
+        setAsignTo('')
+        setShowDropdown(false)
+    }
+
+    // Add every active member of a team who is not selected yet
+    const addTeam = (teamId) => {
+        const members = filterByTeam(employees, teams, teamId)
+        setAssignees(prev => [...prev, ...members.filter(emp => !prev.some(selected => selected._id === emp._id))])
+        setShowDropdown(false)
+    }
+
+    const removeAssignee = (employeeId) => {
+        setAssignees(prev => prev.filter(emp => emp._id !== employeeId))
+    }
+
+    // Employees that can still be added
+    const selectableEmployees = employees.filter(emp => !assignees.some(selected => selected._id === emp._id))
+
     // Close dropdown when clicking outside
     useEffect(() => {
         const handleClickOutside = (event) => {
@@ -90,6 +137,28 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         setHasToken(!!localStorage.getItem('token'))
     }, [currentUser])
 
+    const checklist = checklistText.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(text => ({ text, required: checklistRequired }))
+
+    const toggleDocumentType = (type) => {
+        setRequiredDocumentTypes(prev => (prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]))
+    }
+
+    // Fill the form from a saved template; the due date is now plus its default duration
+    const applyTemplate = (template) => {
+        setTaskTitle(template.taskTitle || '')
+        setTaskDescription(template.taskDescription || '')
+        setCategory(template.category || '')
+        setRequiredDocumentTypes(template.requiredDocumentTypes || [])
+        setChecklistText((template.checklist || []).map(item => item.text).join('\n'))
+        setChecklistRequired((template.checklist || []).some(item => item.required))
+        if (template.defaultDurationMinutes) {
+            setEndDate(toDateTimeLocalValue(Date.now() + template.defaultDurationMinutes * 60 * 1000))
+        }
+    }
+
     const submitHandler = async (e) => {
         e.preventDefault()
         
@@ -109,8 +178,18 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
             return
         }
         
-        if (!asignTo) {
-            alert('Please select an employee to assign the task to')
+        // An exact email typed without picking it from the list still counts
+        const typedEmail = (asignTo || '').trim().toLowerCase()
+        const typedEmployee = typedEmail
+            ? selectableEmployees.find(emp => (emp.email || '').toLowerCase() === typedEmail)
+            : null
+        if (typedEmail && !typedEmployee) {
+            alert('Selected employee not found')
+            return
+        }
+        const selectedEmployees = typedEmployee ? [...assignees, typedEmployee] : assignees
+        if (selectedEmployees.length === 0) {
+            alert('Please select at least one employee to assign the task to')
             return
         }
         
@@ -120,7 +199,7 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         }
         
         // Validate dates (server will also validate with a grace window)
-        const startDate = new Date() // let server set taskDate; use now for quick client-side check
+        const startDate = repeat.frequency && startsAt ? new Date(startsAt) : new Date() // let server set taskDate; use now for quick client-side check
         const taskEndDate = new Date(endDate)
         const GRACE_MS = 30 * 1000
         if (isNaN(taskEndDate.getTime())) {
@@ -133,14 +212,6 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
         }
 
         try {
-            // Find the selected employee (case-insensitive email match)
-            const emailEntered = (asignTo || '').trim().toLowerCase();
-            const selectedEmployee = employees.find(emp => (emp.email || '').toLowerCase() === emailEntered)
-            if (!selectedEmployee) {
-                alert('Selected employee not found')
-                return
-            }
-
             // Ensure we have an auth token before calling protected API
             const token = localStorage.getItem('token')
             if (!token) {
@@ -155,6 +226,9 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                 // taskDate is set on the server to avoid client clock issues
                 endDate: new Date(endDate).toISOString(),
                 category: category,
+                requiredDocumentTypes,
+                checklist,
+                dependsOn,
                 newTask: true,
                 active: false,
                 completed: false,
@@ -162,7 +236,7 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
             }
 
             console.log('Creating task:', taskData)
-            console.log('For employee:', selectedEmployee)
+            console.log('For employees:', selectedEmployees)
             
             // Get current admin from localStorage
             const storedUser = localStorage.getItem('user')
@@ -177,14 +251,60 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                 return
             }
 
-            // Use the adminAPI to add a task to an employee
+            // A repeating task is created as a series; the server creates each occurrence
+            if (repeat.frequency) {
+                try {
+                    const series = await adminAPI.createTaskSeries(storedAdmin._id, {
+                        taskTitle: taskData.taskTitle,
+                        taskDescription: taskData.taskDescription,
+                        category: taskData.category,
+                        requiredDocumentTypes,
+                        checklist,
+                        recurrence: buildRecurrence(repeat),
+                        startAt: startDate.toISOString(),
+                        endDate: taskData.endDate,
+                        utcOffsetMinutes: new Date().getTimezoneOffset(),
+                        assignees: selectedEmployees.map(emp => emp._id)
+                    })
+                    alert(`Recurring task "${taskTitle}" created: ${describeRecurrence(series.recurrence)}`)
+
+                    setTaskTitle('')
+                    setTaskDescription('')
+                    setEndDate('')
+                    setAsignTo('')
+                    setAssignees([])
+                    setCategory('')
+                    setRepeat(EMPTY_REPEAT)
+                    setStartsAt('')
+                    setRequiredDocumentTypes([])
+                    setChecklistText('')
+                    setChecklistRequired(false)
+
+                    if (onSeriesCreated) {
+                        onSeriesCreated()
+                    }
+                    if (series.createdTasks > 0 && onTaskCreated) {
+                        onTaskCreated()
+                    }
+                } catch (error) {
+                    console.error('Error creating recurring task:', error)
+                    alert(`Failed to create recurring task: ${error.message}`)
+                }
+                return
+            }
+
+            // Use the adminAPI to add the task to one employee, or a linked copy to each of several
             try {
                 const adminId = storedAdmin._id;
                 // Call centralized API (handles base URL, headers, token, x-admin-id)
-                const responseData = await adminAPI.addTask(adminId, selectedEmployee._id, taskData);
+                const responseData = selectedEmployees.length === 1
+                    ? await adminAPI.addTask(adminId, selectedEmployees[0]._id, taskData)
+                    : await adminAPI.assignTask(adminId, taskData, selectedEmployees.map(emp => emp._id));
                 console.log('Task assignment result:', responseData)
                 
-                alert(`Task "${taskTitle}" successfully assigned to ${selectedEmployee.firstName} (${selectedEmployee.email})!`)
+                alert(selectedEmployees.length === 1
+                    ? `Task "${taskTitle}" successfully assigned to ${getEmployeeName(selectedEmployees[0])} (${selectedEmployees[0].email})!`
+                    : `Task "${taskTitle}" successfully assigned to ${selectedEmployees.length} employees!`)
                 
                 // Clear form
                 setTaskTitle('')
@@ -192,7 +312,12 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                 // Keep taskDate as now for subsequent entries
                 setEndDate('')
                 setAsignTo('')
+                setAssignees([])
                 setCategory('')
+                setRequiredDocumentTypes([])
+                setChecklistText('')
+                setChecklistRequired(false)
+                setDependsOn([])
                 // setNewTask({}) // Unused
                 
                 // Refresh employee data to show updated task counts
@@ -232,6 +357,11 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                 }}
                 className='flex flex-wrap w-full items-start justify-between'
             >
+                <TaskTemplatePicker
+                    adminId={adminId}
+                    draft={{ taskTitle, taskDescription, category, endDate, requiredDocumentTypes, checklist }}
+                    onApply={applyTemplate}
+                />
                 <div className='w-1/2'>
                     <div>
                         <h3 className='text-sm text-gray-300 mb-0.5'>Task Title</h3>
@@ -255,7 +385,24 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                             className='text-sm py-2 px-3 w-4/5 rounded outline-none bg-white text-gray-900 placeholder-gray-500 border-[1px] border-gray-300 mb-4' type="datetime-local" min={new Date().toISOString().slice(0,16)} />
                     </div>
                     <div className='relative dropdown-container'>
-                        <h3 className='text-sm text-gray-300 mb-0.5'>Assign to (Employee Email)</h3>
+                        <h3 className='text-sm text-gray-300 mb-0.5'>Assign to (one or more employees)</h3>
+                        {assignees.length > 0 && (
+                            <div className='flex flex-wrap gap-1 w-4/5 mb-2'>
+                                {assignees.map(employee => (
+                                    <span key={employee._id} className='flex items-center gap-1 px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-900 text-xs'>
+                                        {getEmployeeName(employee)}
+                                        <button
+                                            type='button'
+                                            onClick={() => removeAssignee(employee._id)}
+                                            className='text-emerald-700 hover:text-emerald-900'
+                                            title='Remove'
+                                        >
+                                            ✕
+                                        </button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
                         <div className='relative w-4/5'>
                             <input
                                 value={asignTo}
@@ -287,7 +434,7 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
 
                                         // Optional: pick the first matching employee on Enter
                                         const searchTerm = (asignTo || '').toLowerCase();
-                                        const match = employees.find(emp => {
+                                        const match = selectableEmployees.find(emp => {
                                             if (!emp) return false;
                                             return (
                                                 (emp.email && emp.email.toLowerCase().includes(searchTerm)) ||
@@ -297,8 +444,7 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                                             );
                                         });
                                         if (match) {
-                                            setAsignTo(match.email);
-                                            setShowDropdown(false);
+                                            addAssignee(match);
                                         }
                                     }
                                 }}
@@ -309,13 +455,37 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                             />
                             {showDropdown && (
                                 <div className='absolute top-12 left-0 w-full bg-white border border-gray-300 rounded max-h-60 overflow-y-auto z-10 shadow-lg'>
-                                    {!employees || employees.length === 0 ? (
+                                    {selectableEmployees.length > 1 && !asignTo && (
+                                        <div
+                                            onClick={() => {
+                                                setAssignees(employees);
+                                                setShowDropdown(false);
+                                            }}
+                                            className='px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm text-emerald-700 font-medium border-b border-gray-200'
+                                        >
+                                            Add all {employees.length} employees
+                                        </div>
+                                    )}
+                                    {!asignTo && teams.map(team => {
+                                        const remaining = filterByTeam(selectableEmployees, teams, team._id).length
+                                        if (remaining === 0) return null
+                                        return (
+                                            <div
+                                                key={team._id}
+                                                onClick={() => addTeam(team._id)}
+                                                className='px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm text-indigo-700 font-medium border-b border-gray-200'
+                                            >
+                                                Add team {team.name} ({remaining})
+                                            </div>
+                                        )
+                                    })}
+                                    {selectableEmployees.length === 0 ? (
                                         <div className='p-3 text-sm text-gray-500'>
-                                            {asignTo ? 'No matching employees found' : 'No employees found. Add employees first.'}
+                                            {asignTo ? 'No matching employees found' : (employees.length > 0 ? 'Everyone is already selected' : 'No employees found. Add employees first.')}
                                         </div>
                                     ) : asignTo ? (
                                         (() => {
-                                            const filtered = employees.filter(emp => {
+                                            const filtered = selectableEmployees.filter(emp => {
                                                 if (!emp) return false;
                                                 const searchTerm = asignTo.toLowerCase();
                                                 return (
@@ -328,11 +498,7 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                                             return filtered.length > 0 ? filtered.map((employee) => (
                                                 <div
                                                     key={employee._id || employee.email}
-                                                    onClick={() => {
-                                                        console.log('Selected employee:', employee);
-                                                        setAsignTo(employee.email);
-                                                        setShowDropdown(false);
-                                                    }}
+                                                    onClick={() => addAssignee(employee)}
                                                     className='px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm text-gray-900 border-b border-gray-200 last:border-b-0 flex items-center justify-between'
                                                 >
                                                     <div className='min-w-0'>
@@ -355,14 +521,10 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                                         })()
                                     ) : (
                                         // Show all employees when there is no search term
-                                        employees.slice(0, 50).map((employee) => (
+                                        selectableEmployees.slice(0, 50).map((employee) => (
                                             <div
                                                 key={employee._id || employee.email}
-                                                onClick={() => {
-                                                    console.log('Selected employee:', employee);
-                                                    setAsignTo(employee.email);
-                                                    setShowDropdown(false);
-                                                }}
+                                                onClick={() => addAssignee(employee)}
                                                 className='px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm text-gray-900 border-b border-gray-200 last:border-b-0 flex items-center justify-between'
                                             >
                                                 <div className='min-w-0'>
@@ -405,6 +567,57 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                             <option value="Support" className='bg-white'>Support</option>
                         </select>
                     </div>
+                    {!repeat.frequency && openTasks.length > 0 && (
+                        <div className='w-4/5 mb-4'>
+                            <h3 className='text-sm text-gray-300 mb-0.5'>Waits for (optional)</h3>
+                            {dependsOn.length > 0 && (
+                                <div className='flex flex-wrap gap-1 mb-2'>
+                                    {dependsOn.map(taskId => (
+                                        <span key={taskId} className='flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-900 text-xs'>
+                                            {openTasks.find(task => task._id === taskId)?.label || 'Task'}
+                                            <button
+                                                type='button'
+                                                onClick={() => setDependsOn(prev => prev.filter(id => id !== taskId))}
+                                                className='text-amber-700 hover:text-amber-900'
+                                                title='Remove'
+                                            >
+                                                ✕
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                            <select
+                                value=''
+                                onChange={(e) => e.target.value && setDependsOn(prev => [...prev, e.target.value])}
+                                className='text-sm py-2 px-3 w-full rounded outline-none bg-white text-gray-900 border-[1px] border-gray-300'
+                            >
+                                <option value=''>Add a task that must be completed first</option>
+                                {openTasks.filter(task => !dependsOn.includes(task._id)).map(task => (
+                                    <option key={task._id} value={task._id}>{task.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div className='w-4/5 mb-4'>
+                        <h3 className='text-sm text-gray-300 mb-0.5'>Repeat</h3>
+                        <RepeatFields value={repeat} onChange={setRepeat} />
+                        {repeat.frequency && (
+                            <div className='mt-2'>
+                                <h3 className='text-sm text-gray-300 mb-0.5'>First occurrence starts</h3>
+                                <input
+                                    value={startsAt}
+                                    onChange={(e) => setStartsAt(e.target.value)}
+                                    className='text-sm py-2 px-3 w-full rounded outline-none bg-white text-gray-900 border-[1px] border-gray-300'
+                                    type="datetime-local"
+                                />
+                                <p className='text-xs text-gray-400 mt-1'>
+                                    Leave empty to start now. The last date above is the first occurrence&apos;s deadline;
+                                    later occurrences get the same amount of time.
+                                </p>
+                            </div>
+                        )}
+                    </div>
                 </div>
 
                 <div className='w-2/5 flex flex-col items-start'>
@@ -413,6 +626,35 @@ const CreateTask = ({ employees: employeesProp = [], onTaskCreated }) => {
                         onChange={(e) => {
                             setTaskDescription(e.target.value)
                         }} className='w-full h-44 text-sm py-2 px-4 rounded outline-none bg-white text-gray-900 placeholder-gray-500 border-[1px] border-gray-300' name="" id=""></textarea>
+                    <h3 className='text-sm text-gray-300 mb-0.5 mt-4'>Checklist (one item per line)</h3>
+                    <textarea
+                        value={checklistText}
+                        onChange={(e) => setChecklistText(e.target.value)}
+                        className='w-full h-24 text-sm py-2 px-4 rounded outline-none bg-white text-gray-900 placeholder-gray-500 border-[1px] border-gray-300'
+                        placeholder={'Draft\nReview\nPublish'}
+                    ></textarea>
+                    <label className='flex items-center gap-1 text-sm text-gray-300 mt-1'>
+                        <input
+                            type='checkbox'
+                            checked={checklistRequired}
+                            onChange={(e) => setChecklistRequired(e.target.checked)}
+                        />
+                        Items must be done before documents can be submitted
+                    </label>
+                    <h3 className='text-sm text-gray-300 mb-0.5 mt-4'>Required documents</h3>
+                    <div className='flex flex-wrap gap-x-4 gap-y-1'>
+                        {Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => (
+                            <label key={type} className='flex items-center gap-1 text-sm text-gray-300'>
+                                <input
+                                    type='checkbox'
+                                    checked={requiredDocumentTypes.includes(type)}
+                                    onChange={() => toggleDocumentType(type)}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <p className='text-xs text-gray-400 mt-1'>Leave all unchecked to accept any supported file.</p>
                     <button 
                         className={`py-3 px-5 rounded text-sm mt-4 w-full ${hasToken && employees.length > 0 ? 'bg-emerald-500 hover:bg-emerald-600' : 'bg-gray-400 cursor-not-allowed'}`}
                         disabled={!hasToken || employees.length === 0}
@@ -1,7 +1,16 @@
-import React from 'react';
+import React, { useState } from 'react';
+import NotificationBell from './NotificationBell';
+import NotificationSettings from './NotificationSettings';
+import ChangePassword from '../Auth/ChangePassword';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const Header = ({ changeUser }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
   let displayName = 'User';
+  // Two-factor authentication is for admins only
+  let adminId = null;
   const loggedInUser = localStorage.getItem('loggedInUser');
   
   if (loggedInUser) {
@@ -9,6 +18,7 @@ const Header = ({ changeUser }) => {
       const user = JSON.parse(loggedInUser);
       if (user.role === 'admin') {
         displayName = 'Admin';
+        adminId = user.data?._id || null;
       } else if (user.role === 'employee' && user.data && user.data.firstName) {
         displayName = user.data.firstName;
       }
@@ -31,12 +41,46 @@ const Header = ({ changeUser }) => {
           <span className='text-2xl sm:text-3xl font-semibold'>{displayName} 👋</span>
         </h1>
       </div>
-      <button 
-        onClick={handleLogout}
-        className="bg-red-600 text-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg hover:bg-red-700 transition-colors shadow-md mt-2 text-sm sm:text-base flex-shrink-0"
-      >
-        Logout
-      </button>
+      <div className="relative flex items-center gap-2 mt-2 flex-shrink-0">
+        <NotificationBell />
+        <button
+          onClick={() => setShowSettings(open => !open)}
+          title="Notification settings"
+          className="bg-gray-700 text-white px-3 py-1.5 sm:py-2 rounded-lg hover:bg-gray-600 transition-colors shadow-md text-sm sm:text-base"
+        >
+          ⚙️
+        </button>
+        <button
+          onClick={() => setShowChangePassword(true)}
+          title="Change password"
+          className="bg-gray-700 text-white px-3 py-1.5 sm:py-2 rounded-lg hover:bg-gray-600 transition-colors shadow-md text-sm sm:text-base"
+        >
+          🔑
+        </button>
+        {adminId && (
+          <button
+            onClick={() => setShowTwoFactor(true)}
+            title="Two-factor authentication"
+            className="bg-gray-700 text-white px-3 py-1.5 sm:py-2 rounded-lg hover:bg-gray-600 transition-colors shadow-md text-sm sm:text-base"
+          >
+            🛡️
+          </button>
+        )}
+        <button 
+          onClick={handleLogout}
+          className="bg-red-600 text-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg hover:bg-red-700 transition-colors shadow-md text-sm sm:text-base"
+        >
+          Logout
+        </button>
+        {showSettings && <NotificationSettings onClose={() => setShowSettings(false)} />}
+        {showChangePassword && (
+          <ChangePassword
+            onChanged={() => setShowChangePassword(false)}
+            onCancel={() => setShowChangePassword(false)}
+          />
+        )}
+        {showTwoFactor && <TwoFactorSettings adminId={adminId} onClose={() => setShowTwoFactor(false)} />}
+      </div>
     </div>
   );
 };
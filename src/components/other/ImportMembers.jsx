@@ -0,0 +1,125 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { employeeAPI } from '../../services/api'
+import { downloadBlob } from '../../utils/fileUtils'
+
+const TEMPLATE = 'firstName,lastName,email,password,role,department,jobTitle,phone,hireDate,manager\n'
+
+// Bulk onboarding from a CSV file: validate first (dry run), then import
+const ImportMembers = ({ onImported }) => {
+    const [file, setFile] = useState(null)
+    const [result, setResult] = useState(null)
+    const [isLoading, setIsLoading] = useState(false)
+    const [error, setError] = useState(null)
+
+    const chooseFile = (e) => {
+        setFile(e.target.files[0] || null)
+        setResult(null)
+        setError(null)
+    }
+
+    const run = async (dryRun) => {
+        if (!file) return
+        setIsLoading(true)
+        setError(null)
+        try {
+            const response = await employeeAPI.importCsv(await file.text(), { dryRun })
+            setResult(response)
+            if (!dryRun && onImported) {
+                onImported()
+            }
+        } catch (err) {
+            // A rejected import still describes the failing rows
+            if (err.response?.errors) {
+                setResult(err.response)
+            } else {
+                console.error('Error importing employees:', err)
+                setError(err.message)
+            }
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const downloadTemplate = () => {
+        downloadBlob(new Blob([TEMPLATE], { type: 'text/csv' }), 'employees-template.csv')
+    }
+
+    return (
+        <div className='p-5 bg-[#1c1c1c] mt-5 rounded text-white'>
+            <div className='flex justify-between items-center mb-3'>
+                <h3 className='font-semibold'>Import from CSV</h3>
+                <button type='button' onClick={downloadTemplate} className='text-xs text-blue-400 hover:text-blue-300'>
+                    Download template
+                </button>
+            </div>
+            <p className='text-xs text-gray-400 mb-3'>
+                Leave the password empty to generate a temporary one. Managers are referenced by email.
+            </p>
+
+            <div className='flex flex-wrap items-center gap-2'>
+                <input type='file' accept='.csv,text/csv' onChange={chooseFile} className='text-sm text-gray-300' />
+                <button
+                    type='button'
+                    disabled={!file || isLoading}
+                    onClick={() => run(true)}
+                    className='px-3 py-1.5 text-sm rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-50'
+                >
+                    Validate
+                </button>
+                <button
+                    type='button'
+                    disabled={!file || isLoading || (result?.dryRun && result.errors.length > 0)}
+                    onClick={() => run(false)}
+                    className='px-3 py-1.5 text-sm rounded bg-blue-500 hover:bg-blue-600 disabled:opacity-50'
+                >
+                    {isLoading ? 'Working...' : 'Import'}
+                </button>
+            </div>
+
+            {error && <p className='text-sm text-red-400 mt-3'>{error}</p>}
+
+            {result && (
+                <div className='mt-4 text-sm'>
+                    <p className='mb-2'>
+                        {result.dryRun
+                            ? `${result.valid} of ${result.totalRows} row(s) are ready to import.`
+                            : result.message || `Imported ${result.imported} employee(s).`}
+                    </p>
+                    {result.ignoredColumns?.length > 0 && (
+                        <p className='text-xs text-gray-400 mb-2'>Ignored columns: {result.ignoredColumns.join(', ')}</p>
+                    )}
+
+                    {result.errors?.length > 0 && (
+                        <ul className='mb-3 space-y-1'>
+                            {result.errors.map(rowError => (
+                                <li key={rowError.row} className='text-red-300'>
+                                    Row {rowError.row}{rowError.email && ` (${rowError.email})`}: {rowError.messages.join('; ')}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {!result.dryRun && result.employees?.some(employee => employee.temporaryPassword) && (
+                        <div className='p-3 rounded border border-yellow-500'>
+                            <p className='text-yellow-300 mb-2'>
+                                Temporary passwords are shown only once. Share them with the new members now.
+                            </p>
+                            <ul className='font-mono text-xs space-y-0.5'>
+                                {result.employees.filter(employee => employee.temporaryPassword).map(employee => (
+                                    <li key={employee._id}>{employee.email}: {employee.temporaryPassword}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
+
+ImportMembers.propTypes = {
+    onImported: PropTypes.func
+}
+
+export default ImportMembers
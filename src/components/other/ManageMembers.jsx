@@ -0,0 +1,402 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { employeeAPI } from '../../services/api'
+import {
+    getEmployeeInitials,
+    getEmployeeName,
+    getEmployeeSubtitle,
+    isEmployeeActive
+} from '../../utils/employeeUtils'
+import { downloadBlob } from '../../utils/fileUtils'
+
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'email', 'role', 'phone', 'department', 'jobTitle', 'manager']
+
+const inputStyles = 'text-sm py-1 px-2 w-full rounded outline-none bg-transparent border-[1px] border-gray-400 text-white placeholder-gray-500'
+const selectStyles = 'text-sm py-1 px-2 w-full rounded outline-none bg-[#1c1c1c] border-[1px] border-gray-400 text-white'
+
+const statusBadge = {
+    invited: 'bg-blue-100 text-blue-800',
+    active: 'bg-green-100 text-green-800',
+    inactive: 'bg-yellow-100 text-yellow-800'
+}
+
+// Collect validation messages from a 400 response ({ errors: [...] } or { message })
+const describeError = (error) => {
+    const details = error.response?.errors
+    if (Array.isArray(details) && details.length > 0) {
+        return details.map(detail => detail.msg).join('\n')
+    }
+    return error.message
+}
+
+// Form values for an employee; a populated manager is reduced to its ID
+const toForm = (employee) => Object.fromEntries(EDITABLE_FIELDS.map(field => {
+    const value = employee[field]
+    if (field === 'manager') return [field, value?._id || value || '']
+    return [field, value || '']
+}))
+
+// Pending invitation line under an invited member
+const describeInvitation = (invitation) => {
+    if (!invitation?.expiresAt) return 'Invitation pending'
+    const expiresAt = new Date(invitation.expiresAt)
+    return expiresAt <= new Date()
+        ? 'Invitation expired; resend it'
+        : `Invitation pending, link valid until ${expiresAt.toLocaleDateString()}`
+}
+
+// Locked out after too many failed logins (the lockout lifts by itself at lockedUntil)
+const isLockedOut = (employee) => Boolean(employee.lockedUntil) && new Date(employee.lockedUntil) > new Date()
+
+// Edit, deactivate, reactivate and offboard the members of the organisation; resend or
+// revoke the invitations of members who have not joined yet; unlock locked-out members
+const ManageMembers = ({ employees = [], onMembersChanged }) => {
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState({})
+    const [busyId, setBusyId] = useState(null)
+    // { employee, openTasks, reassignTo } while the reassignment prompt is open
+    const [offboarding, setOffboarding] = useState(null)
+
+    const activeEmployees = employees.filter(isEmployeeActive)
+
+    const finish = () => {
+        if (onMembersChanged) {
+            onMembersChanged()
+        }
+    }
+
+    const startEditing = (employee) => {
+        setEditing(employee._id)
+        setForm(toForm(employee))
+    }
+
+    const updateField = (field) => (e) => {
+        setForm(prev => ({ ...prev, [field]: e.target.value }))
+    }
+
+    const saveEdit = async (e) => {
+        e.preventDefault()
+        setBusyId(editing)
+        try {
+            await employeeAPI.update(editing, { ...form, manager: form.manager || null })
+            setEditing(null)
+            finish()
+        } catch (error) {
+            console.error('Error updating employee:', error)
+            alert(`Failed to update employee: ${describeError(error)}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const setStatus = async (employee, status) => {
+        const name = getEmployeeName(employee)
+        if (status === 'inactive' && !window.confirm(`Deactivate ${name}? They will be signed out and cannot log in until reactivated.`)) {
+            return
+        }
+        setBusyId(employee._id)
+        try {
+            await employeeAPI.update(employee._id, { status })
+            finish()
+        } catch (error) {
+            console.error('Error changing employee status:', error)
+            alert(`Failed to update ${name}: ${describeError(error)}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    // First attempt without options; open tasks come back as a 409 and open the prompt
+    const offboard = async (employee, options = {}) => {
+        setBusyId(employee._id)
+        try {
+            const result = await employeeAPI.offboard(employee._id, options)
+            setOffboarding(null)
+            alert(result.message)
+            finish()
+        } catch (error) {
+            if (error.status === 409 && error.response?.code === 'OPEN_TASKS') {
+                setOffboarding({ employee, openTasks: error.response.openTasks, reassignTo: '' })
+            } else {
+                console.error('Error offboarding employee:', error)
+                alert(`Failed to offboard ${getEmployeeName(employee)}: ${describeError(error)}`)
+            }
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const resendInvitation = async (employee) => {
+        setBusyId(employee._id)
+        try {
+            const result = await employeeAPI.resendInvitation(employee._id)
+            if (result.emailSent) {
+                alert(result.message)
+            } else {
+                window.prompt(`${result.message}. Email is not set up; share this link:`, result.inviteUrl)
+            }
+            finish()
+        } catch (error) {
+            console.error('Error resending invitation:', error)
+            alert(`Failed to resend the invitation: ${describeError(error)}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const revokeInvitation = async (employee) => {
+        if (!window.confirm(`Revoke the invitation of ${getEmployeeName(employee)}? Their link stops working and they are removed.`)) {
+            return
+        }
+        setBusyId(employee._id)
+        try {
+            await employeeAPI.revokeInvitation(employee._id)
+            finish()
+        } catch (error) {
+            console.error('Error revoking invitation:', error)
+            alert(`Failed to revoke the invitation: ${describeError(error)}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const unlock = async (employee) => {
+        setBusyId(employee._id)
+        try {
+            await employeeAPI.unlock(employee._id)
+            finish()
+        } catch (error) {
+            console.error('Error unlocking employee:', error)
+            alert(`Failed to unlock ${getEmployeeName(employee)}: ${describeError(error)}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const exportRoster = async () => {
+        try {
+            const blob = await employeeAPI.exportCsv()
+            downloadBlob(blob, `employees-${new Date().toISOString().slice(0, 10)}.csv`)
+        } catch (error) {
+            console.error('Error exporting employees:', error)
+            alert(`Failed to export employees: ${error.message}`)
+        }
+    }
+
+    const startOffboarding = (employee) => {
+        if (window.confirm(`Offboard ${getEmployeeName(employee)}? They will be removed from the team.`)) {
+            offboard(employee)
+        }
+    }
+
+    if (employees.length === 0) {
+        return <p className='p-5 text-sm text-gray-500'>No members yet. Add someone from the Add Member tab.</p>
+    }
+
+    return (
+        <div className='p-5 bg-[#1c1c1c] mt-5 rounded text-white'>
+            <div className='flex justify-end mb-3'>
+                <button
+                    type='button'
+                    onClick={exportRoster}
+                    className='px-3 py-1.5 text-sm rounded border border-gray-500 hover:bg-gray-700'
+                >
+                    Export CSV
+                </button>
+            </div>
+
+            {offboarding && (
+                <div className='mb-5 p-4 rounded border border-red-400 bg-red-950/40'>
+                    <h3 className='font-semibold mb-2'>
+                        {getEmployeeName(offboarding.employee)} has {offboarding.openTasks.length} open task(s)
+                    </h3>
+                    <ul className='text-sm text-gray-300 list-disc ml-5 mb-3'>
+                        {offboarding.openTasks.map(task => (
+                            <li key={task._id}>{task.taskTitle} <span className='text-gray-500'>({task.status})</span></li>
+                        ))}
+                    </ul>
+                    <h4 className='text-sm text-gray-300 mb-1'>Reassign them to</h4>
+                    <select
+                        value={offboarding.reassignTo}
+                        onChange={(e) => setOffboarding(prev => ({ ...prev, reassignTo: e.target.value }))}
+                        className={`${selectStyles} mb-3`}
+                    >
+                        <option value=''>Choose a member...</option>
+                        {activeEmployees
+                            .filter(employee => employee._id !== offboarding.employee._id)
+                            .map(employee => (
+                                <option key={employee._id} value={employee._id}>{getEmployeeName(employee)}</option>
+                            ))}
+                    </select>
+                    <div className='flex flex-wrap gap-2'>
+                        <button
+                            type='button'
+                            disabled={!offboarding.reassignTo || busyId === offboarding.employee._id}
+                            onClick={() => offboard(offboarding.employee, { reassignTo: offboarding.reassignTo })}
+                            className='px-3 py-1.5 text-sm rounded bg-blue-500 hover:bg-blue-600 disabled:bg-gray-500 disabled:cursor-not-allowed'
+                        >
+                            Reassign and offboard
+                        </button>
+                        <button
+                            type='button'
+                            disabled={busyId === offboarding.employee._id}
+                            onClick={() => offboard(offboarding.employee, { closeOpenTasks: true })}
+                            className='px-3 py-1.5 text-sm rounded bg-red-600 hover:bg-red-700 disabled:bg-gray-500'
+                        >
+                            Mark tasks failed and offboard
+                        </button>
+                        <button
+                            type='button'
+                            onClick={() => setOffboarding(null)}
+                            className='px-3 py-1.5 text-sm rounded bg-gray-600 hover:bg-gray-500'
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <ul className='divide-y divide-gray-700'>
+                {employees.map(employee => {
+                    const status = employee.status || 'active'
+                    const isBusy = busyId === employee._id
+
+                    return (
+                        <li key={employee._id} className='py-3'>
+                            <div className='flex items-center gap-3'>
+                                <div className='h-9 w-9 rounded-full bg-blue-100 text-blue-600 flex items-center justify-center text-sm font-bold flex-shrink-0'>
+                                    {getEmployeeInitials(employee)}
+                                </div>
+                                <div className='flex-1 min-w-0'>
+                                    <div className='font-medium'>
+                                        {getEmployeeName(employee)}
+                                        <span className={`ml-2 px-2 py-0.5 text-xs font-medium rounded-full ${statusBadge[status] || 'bg-gray-200 text-gray-700'}`}>
+                                            {status}
+                                        </span>
+                                    </div>
+                                    <div className='text-xs text-gray-400 truncate'>
+                                        {employee.email}
+                                        {getEmployeeSubtitle(employee) && ` · ${getEmployeeSubtitle(employee)}`}
+                                    </div>
+                                    {status === 'invited' && (
+                                        <div className='text-xs text-blue-300'>{describeInvitation(employee.invitation)}</div>
+                                    )}
+                                    {isLockedOut(employee) && (
+                                        <div className='text-xs text-red-300'>
+                                            Locked after too many failed logins until {new Date(employee.lockedUntil).toLocaleTimeString()}
+                                        </div>
+                                    )}
+                                </div>
+                                <div className='flex gap-2 text-sm'>
+                                    <button
+                                        type='button'
+                                        disabled={isBusy}
+                                        onClick={() => (editing === employee._id ? setEditing(null) : startEditing(employee))}
+                                        className='px-2 py-1 rounded border border-gray-500 hover:bg-gray-700'
+                                    >
+                                        {editing === employee._id ? 'Close' : 'Edit'}
+                                    </button>
+                                    {isLockedOut(employee) && (
+                                        <button
+                                            type='button'
+                                            disabled={isBusy}
+                                            onClick={() => unlock(employee)}
+                                            className='px-2 py-1 rounded border border-green-500 text-green-300 hover:bg-green-900/40'
+                                        >
+                                            Unlock
+                                        </button>
+                                    )}
+                                    {status === 'invited' ? (
+                                        <>
+                                            <button
+                                                type='button'
+                                                disabled={isBusy}
+                                                onClick={() => resendInvitation(employee)}
+                                                className='px-2 py-1 rounded border border-blue-500 text-blue-300 hover:bg-blue-900/40'
+                                            >
+                                                Resend invite
+                                            </button>
+                                            <button
+                                                type='button'
+                                                disabled={isBusy}
+                                                onClick={() => revokeInvitation(employee)}
+                                                className='px-2 py-1 rounded border border-red-500 text-red-300 hover:bg-red-900/40'
+                                            >
+                                                Revoke
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <button
+                                                type='button'
+                                                disabled={isBusy}
+                                                onClick={() => setStatus(employee, status === 'active' ? 'inactive' : 'active')}
+                                                className='px-2 py-1 rounded border border-yellow-500 text-yellow-300 hover:bg-yellow-900/40'
+                                            >
+                                                {status === 'active' ? 'Deactivate' : 'Reactivate'}
+                                            </button>
+                                            <button
+                                                type='button'
+                                                disabled={isBusy}
+                                                onClick={() => startOffboarding(employee)}
+                                                className='px-2 py-1 rounded border border-red-500 text-red-300 hover:bg-red-900/40'
+                                            >
+                                                Offboard
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+
+                            {editing === employee._id && (
+                                <form onSubmit={saveEdit} className='mt-3 grid grid-cols-2 gap-2'>
+                                    <input value={form.firstName} onChange={updateField('firstName')} className={inputStyles} placeholder='First name' required />
+                                    <input value={form.lastName} onChange={updateField('lastName')} className={inputStyles} placeholder='Last name' />
+                                    <input value={form.email} onChange={updateField('email')} className={inputStyles} type='email' placeholder='Email' required />
+                                    <input value={form.phone} onChange={updateField('phone')} className={inputStyles} type='tel' placeholder='Phone' />
+                                    <input value={form.department} onChange={updateField('department')} className={inputStyles} placeholder='Department' />
+                                    <input value={form.jobTitle} onChange={updateField('jobTitle')} className={inputStyles} placeholder='Job title' />
+                                    <select value={form.role} onChange={updateField('role')} className={selectStyles}>
+                                        <option value='employee'>Employee</option>
+                                        <option value='manager'>Manager</option>
+                                    </select>
+                                    <select value={form.manager} onChange={updateField('manager')} className={selectStyles}>
+                                        <option value=''>No manager</option>
+                                        {activeEmployees
+                                            .filter(other => other._id !== employee._id)
+                                            .map(other => (
+                                                <option key={other._id} value={other._id}>{getEmployeeName(other)}</option>
+                                            ))}
+                                    </select>
+                                    <button
+                                        disabled={isBusy}
+                                        className='col-span-2 py-2 rounded text-sm bg-blue-500 hover:bg-blue-600 disabled:bg-gray-500'
+                                    >
+                                        {isBusy ? 'Saving...' : 'Save changes'}
+                                    </button>
+                                </form>
+                            )}
+                        </li>
+                    )
+                })}
+            </ul>
+        </div>
+    )
+}
+
+ManageMembers.propTypes = {
+    employees: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        firstName: PropTypes.string,
+        lastName: PropTypes.string,
+        email: PropTypes.string,
+        status: PropTypes.string,
+        invitation: PropTypes.shape({
+            expiresAt: PropTypes.string,
+            sentAt: PropTypes.string
+        })
+    })),
+    onMembersChanged: PropTypes.func
+}
+
+export default ManageMembers
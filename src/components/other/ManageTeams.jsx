@@ -0,0 +1,237 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { adminAPI } from '../../services/api'
+import { getEmployeeName, isEmployeeActive } from '../../utils/employeeUtils'
+
+const inputStyles = 'text-sm py-1 px-2 w-full rounded outline-none bg-transparent border-[1px] border-gray-400 text-white placeholder-gray-500'
+const selectStyles = 'text-sm py-1 px-2 w-full rounded outline-none bg-[#1c1c1c] border-[1px] border-gray-400 text-white'
+
+const emptyForm = { name: '', description: '', lead: '', members: [] }
+
+// Collect validation messages from a 400 response ({ errors: [...] } or { message })
+const describeError = (error) => {
+    const details = error.response?.errors
+    if (Array.isArray(details) && details.length > 0) {
+        return details.map(detail => detail.msg).join('\n')
+    }
+    return error.message
+}
+
+// Form values for a team; populated lead and members are reduced to their IDs
+const toForm = (team) => ({
+    name: team.name || '',
+    description: team.description || '',
+    lead: team.lead?._id || team.lead || '',
+    members: (team.members || []).map(member => member?._id || member)
+})
+
+// Create, edit and delete the teams of the organisation
+const ManageTeams = ({ adminId, teams = [], employees = [], onTeamsChanged }) => {
+    // null when closed, 'new' for a new team, otherwise the ID of the team being edited
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState(emptyForm)
+    const [busy, setBusy] = useState(false)
+
+    const activeEmployees = employees.filter(isEmployeeActive)
+
+    const finish = () => {
+        setEditing(null)
+        if (onTeamsChanged) {
+            onTeamsChanged()
+        }
+    }
+
+    const startEditing = (team) => {
+        setEditing(team ? team._id : 'new')
+        setForm(team ? toForm(team) : emptyForm)
+    }
+
+    const toggleMember = (employeeId) => {
+        setForm(prev => ({
+            ...prev,
+            members: prev.members.includes(employeeId)
+                ? prev.members.filter(id => id !== employeeId)
+                : [...prev.members, employeeId]
+        }))
+    }
+
+    const save = async (e) => {
+        e.preventDefault()
+        setBusy(true)
+        try {
+            const team = { ...form, lead: form.lead || null }
+            if (editing === 'new') {
+                await adminAPI.createTeam(adminId, team)
+            } else {
+                await adminAPI.updateTeam(adminId, editing, team)
+            }
+            finish()
+        } catch (error) {
+            console.error('Error saving team:', error)
+            alert(`Failed to save team: ${describeError(error)}`)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const remove = async (team) => {
+        if (!window.confirm(`Delete the team "${team.name}"? Its members and their tasks are kept.`)) {
+            return
+        }
+        setBusy(true)
+        try {
+            await adminAPI.deleteTeam(adminId, team._id)
+            finish()
+        } catch (error) {
+            console.error('Error deleting team:', error)
+            alert(`Failed to delete team: ${describeError(error)}`)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const teamForm = (
+        <form onSubmit={save} className='mt-3 space-y-2'>
+            <input
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className={inputStyles}
+                placeholder='Team name'
+                required
+            />
+            <input
+                value={form.description}
+                onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                className={inputStyles}
+                placeholder='Description (optional)'
+            />
+            <select
+                value={form.lead}
+                onChange={(e) => setForm(prev => ({ ...prev, lead: e.target.value }))}
+                className={selectStyles}
+            >
+                <option value=''>No lead</option>
+                {activeEmployees.map(employee => (
+                    <option key={employee._id} value={employee._id}>{getEmployeeName(employee)}</option>
+                ))}
+            </select>
+            <h4 className='text-sm text-gray-300'>Members</h4>
+            <div className='grid grid-cols-2 gap-1 max-h-48 overflow-y-auto text-sm'>
+                {activeEmployees.map(employee => (
+                    <label key={employee._id} className='flex items-center gap-2'>
+                        <input
+                            type='checkbox'
+                            checked={form.members.includes(employee._id) || form.lead === employee._id}
+                            disabled={form.lead === employee._id}
+                            onChange={() => toggleMember(employee._id)}
+                        />
+                        {getEmployeeName(employee)}
+                    </label>
+                ))}
+            </div>
+            <div className='flex gap-2'>
+                <button
+                    disabled={busy}
+                    className='px-3 py-1.5 text-sm rounded bg-blue-500 hover:bg-blue-600 disabled:bg-gray-500'
+                >
+                    {busy ? 'Saving...' : (editing === 'new' ? 'Create team' : 'Save changes')}
+                </button>
+                <button
+                    type='button'
+                    onClick={() => setEditing(null)}
+                    className='px-3 py-1.5 text-sm rounded bg-gray-600 hover:bg-gray-500'
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    )
+
+    return (
+        <div className='p-5 bg-[#1c1c1c] mt-5 rounded text-white'>
+            <div className='flex justify-between items-center mb-3'>
+                <h2 className='text-lg font-semibold'>Teams</h2>
+                {editing !== 'new' && (
+                    <button
+                        type='button'
+                        onClick={() => startEditing(null)}
+                        className='px-3 py-1.5 text-sm rounded border border-gray-500 hover:bg-gray-700'
+                    >
+                        New team
+                    </button>
+                )}
+            </div>
+
+            {editing === 'new' && teamForm}
+
+            {teams.length === 0 && editing !== 'new' && (
+                <p className='text-sm text-gray-500'>No teams yet. Group members into teams to filter tasks and see per-team progress.</p>
+            )}
+
+            <ul className='divide-y divide-gray-700'>
+                {teams.map(team => {
+                    const counts = team.taskCounts || {}
+                    return (
+                        <li key={team._id} className='py-3'>
+                            <div className='flex items-start gap-3'>
+                                <div className='flex-1 min-w-0'>
+                                    <div className='font-medium'>{team.name}</div>
+                                    {team.description && <div className='text-xs text-gray-400'>{team.description}</div>}
+                                    <div className='text-xs text-gray-400 mt-1'>
+                                        {team.lead ? `Lead: ${getEmployeeName(team.lead)} · ` : ''}
+                                        {(team.members || []).map(getEmployeeName).join(', ') || 'No members'}
+                                    </div>
+                                    <div className='text-xs mt-1 flex gap-3'>
+                                        <span className='text-blue-400'>{counts.newTask || 0} new</span>
+                                        <span className='text-yellow-400'>{counts.active || 0} active</span>
+                                        <span className='text-green-400'>{counts.completed || 0} done</span>
+                                        <span className='text-red-400'>{counts.failed || 0} failed</span>
+                                    </div>
+                                </div>
+                                <div className='flex gap-2 text-sm'>
+                                    <button
+                                        type='button'
+                                        disabled={busy}
+                                        onClick={() => (editing === team._id ? setEditing(null) : startEditing(team))}
+                                        className='px-2 py-1 rounded border border-gray-500 hover:bg-gray-700'
+                                    >
+                                        {editing === team._id ? 'Close' : 'Edit'}
+                                    </button>
+                                    <button
+                                        type='button'
+                                        disabled={busy}
+                                        onClick={() => remove(team)}
+                                        className='px-2 py-1 rounded border border-red-500 text-red-300 hover:bg-red-900/40'
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                            {editing === team._id && teamForm}
+                        </li>
+                    )
+                })}
+            </ul>
+        </div>
+    )
+}
+
+ManageTeams.propTypes = {
+    adminId: PropTypes.string,
+    teams: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        description: PropTypes.string,
+        members: PropTypes.array,
+        taskCounts: PropTypes.object
+    })),
+    employees: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        firstName: PropTypes.string,
+        lastName: PropTypes.string,
+        status: PropTypes.string
+    })),
+    onTeamsChanged: PropTypes.func
+}
+
+export default ManageTeams
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { notificationAPI } from '../../services/api';
+
+// How often the unread badge is refreshed while the dropdown is closed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const typeIcon = {
+  'task-assigned': '📋',
+  'task-submitted': '📤',
+  'task-approved': '✅',
+  'task-rejected': '↩️',
+  'task-reminder': '⏰',
+  'task-expired': '⌛',
+  'task-unblocked': '🔓'
+};
+
+// Bell with unread count and a dropdown of the latest notifications
+const NotificationBell = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount();
+      setUnreadCount(response?.unreadCount || 0);
+    } catch (err) {
+      console.error('Error loading unread notifications:', err);
+    }
+  }, []);
+
+  const loadNotifications = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await notificationAPI.getNotifications({ limit: 20 });
+      setNotifications(response?.notifications || []);
+      setUnreadCount(response?.unreadCount || 0);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+      setError(err.message || 'Failed to load notifications');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshUnreadCount();
+    const interval = setInterval(refreshUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refreshUnreadCount]);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggle = () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (opening) {
+      loadNotifications();
+    }
+  };
+
+  const markAsRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      const response = await notificationAPI.markAsRead(notification._id);
+      setNotifications(current => current.map(item => (
+        item._id === notification._id ? { ...item, readAt: response.notification.readAt } : item
+      )));
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead();
+      const readAt = new Date().toISOString();
+      setNotifications(current => current.map(item => ({ ...item, readAt: item.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className='relative'>
+      <button
+        onClick={toggle}
+        title='Notifications'
+        className='relative bg-gray-700 text-white px-3 py-1.5 sm:py-2 rounded-lg hover:bg-gray-600 transition-colors shadow-md text-sm sm:text-base'
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className='absolute -top-1.5 -right-1.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center'>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className='absolute right-0 top-full mt-2 w-80 bg-white rounded-lg shadow-lg z-20 text-left'>
+          <div className='flex justify-between items-center px-4 py-2 border-b border-gray-100'>
+            <h3 className='text-sm font-semibold text-gray-800'>Notifications</h3>
+            <button
+              type='button'
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+              className='text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400'
+            >
+              Mark all read
+            </button>
+          </div>
+
+          <div className='max-h-96 overflow-y-auto'>
+            {isLoading && notifications.length === 0 && (
+              <p className='px-4 py-3 text-xs text-gray-500'>Loading...</p>
+            )}
+            {error && <p className='px-4 py-3 text-xs text-red-500'>{error}</p>}
+            {!isLoading && !error && notifications.length === 0 && (
+              <p className='px-4 py-3 text-xs text-gray-500'>You&apos;re all caught up.</p>
+            )}
+            {notifications.map(notification => (
+              <button
+                key={notification._id}
+                type='button'
+                onClick={() => markAsRead(notification)}
+                className={`w-full flex items-start gap-2 px-4 py-2 text-left border-b border-gray-50 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-blue-50'}`}
+              >
+                <span className='text-base leading-5'>{typeIcon[notification.type] || '🔔'}</span>
+                <span className='flex-1'>
+                  <span className={`block text-sm text-gray-800 ${notification.readAt ? '' : 'font-semibold'}`}>
+                    {notification.title}
+                  </span>
+                  {notification.message && (
+                    <span className='block text-xs text-gray-600'>{notification.message}</span>
+                  )}
+                  <span className='block text-[11px] text-gray-400'>
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </span>
+                </span>
+                {!notification.readAt && <span className='mt-1.5 h-2 w-2 rounded-full bg-blue-500 flex-shrink-0' />}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { notificationAPI } from '../../services/api';
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app notifications' },
+  { key: 'email', label: 'Email notifications' }
+];
+
+const TYPES = [
+  { key: 'taskUpdates', label: 'New tasks and review results' },
+  { key: 'verificationRequests', label: 'Submissions to verify' },
+  { key: 'taskReminders', label: 'Due-date reminders' },
+  { key: 'taskExpiredAlerts', label: 'Expired task alerts' }
+];
+
+// Per-user notification opt-in settings, shown as a small panel under the header
+const NotificationSettings = ({ onClose }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [emailAvailable, setEmailAvailable] = useState(false);
+  const [savingKey, setSavingKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    notificationAPI.getPreferences()
+      .then(response => {
+        setPreferences(response.preferences);
+        setEmailAvailable(response.emailAvailable);
+      })
+      .catch(err => {
+        console.error('Error loading notification settings:', err);
+        setError(err.message || 'Failed to load settings');
+      });
+  }, []);
+
+  const toggle = async (key) => {
+    const value = !preferences[key];
+    setSavingKey(key);
+    setError(null);
+    try {
+      const response = await notificationAPI.updatePreferences({ [key]: value });
+      setPreferences(response.preferences);
+    } catch (err) {
+      console.error('Error saving notification settings:', err);
+      setError(err.message || 'Failed to save settings');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const renderToggle = ({ key, label }, disabled = false) => (
+    <label key={key} className={`flex items-center justify-between gap-4 py-1 ${disabled ? 'opacity-50' : ''}`}>
+      <span className='text-sm text-gray-700'>{label}</span>
+      <input
+        type='checkbox'
+        checked={Boolean(preferences[key])}
+        disabled={disabled || savingKey === key}
+        onChange={() => toggle(key)}
+        className='h-4 w-4 accent-emerald-600'
+      />
+    </label>
+  );
+
+  return (
+    <div className='absolute right-0 top-full mt-2 w-72 bg-white rounded-lg shadow-lg p-4 z-20 text-left'>
+      <div className='flex justify-between items-center mb-2'>
+        <h3 className='text-sm font-semibold text-gray-800'>Notification settings</h3>
+        <button type='button' onClick={onClose} className='text-gray-400 hover:text-gray-600 text-sm'>✕</button>
+      </div>
+
+      {error && <p className='text-xs text-red-500 mb-2'>{error}</p>}
+      {!preferences && !error && <p className='text-xs text-gray-500'>Loading...</p>}
+
+      {preferences && (
+        <>
+          <p className='text-xs font-medium text-gray-500 uppercase mt-2'>Deliver via</p>
+          {CHANNELS.map(channel => renderToggle(channel, channel.key === 'email' && !emailAvailable))}
+          {!emailAvailable && (
+            <p className='text-[11px] text-gray-500'>Email is not configured on this server.</p>
+          )}
+
+          <p className='text-xs font-medium text-gray-500 uppercase mt-3'>Notify me about</p>
+          {TYPES.map(type => renderToggle(type))}
+        </>
+      )}
+    </div>
+  );
+};
+
+NotificationSettings.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
+
+export default NotificationSettings;
@@ -0,0 +1,94 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { WEEKDAY_LABELS } from '../../utils/recurrenceUtils'
+
+// Repeat settings of a recurring task: frequency, interval, weekdays and an end date
+const RepeatFields = ({ value, onChange, allowNone = true, dark = false }) => {
+    const fieldStyles = dark
+        ? 'text-sm py-1 px-2 rounded outline-none bg-[#1c1c1c] border-[1px] border-gray-400 text-white'
+        : 'text-sm py-2 px-3 rounded outline-none bg-white text-gray-900 border-[1px] border-gray-300'
+
+    const update = (changes) => onChange({ ...value, ...changes })
+
+    const toggleWeekday = (day) => {
+        const byWeekday = value.byWeekday.includes(day)
+            ? value.byWeekday.filter(d => d !== day)
+            : [...value.byWeekday, day].sort((a, b) => a - b)
+        update({ byWeekday })
+    }
+
+    return (
+        <div className='space-y-2'>
+            <div className='flex items-center gap-2'>
+                <select
+                    value={value.frequency}
+                    onChange={(e) => update({ frequency: e.target.value })}
+                    className={fieldStyles}
+                >
+                    {allowNone && <option value=''>Does not repeat</option>}
+                    <option value='daily'>Daily</option>
+                    <option value='weekly'>Weekly</option>
+                    <option value='monthly'>Monthly</option>
+                </select>
+                {value.frequency && (
+                    <>
+                        <span className='text-sm text-gray-300'>every</span>
+                        <input
+                            type='number'
+                            min='1'
+                            max='365'
+                            value={value.interval}
+                            onChange={(e) => update({ interval: e.target.value })}
+                            className={`${fieldStyles} w-16`}
+                        />
+                        <span className='text-sm text-gray-300'>
+                            {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[value.frequency]}
+                        </span>
+                    </>
+                )}
+            </div>
+            {value.frequency === 'weekly' && (
+                <div className='flex flex-wrap gap-1'>
+                    {WEEKDAY_LABELS.map((label, day) => (
+                        <button
+                            key={label}
+                            type='button'
+                            onClick={() => toggleWeekday(day)}
+                            className={`px-2 py-1 text-xs rounded border ${value.byWeekday.includes(day)
+                                ? 'bg-emerald-500 border-emerald-500 text-white'
+                                : 'border-gray-400 text-gray-300 hover:bg-gray-700'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {value.frequency && (
+                <div className='flex items-center gap-2'>
+                    <span className='text-sm text-gray-300'>Ends</span>
+                    <input
+                        type='date'
+                        value={value.until}
+                        onChange={(e) => update({ until: e.target.value })}
+                        className={fieldStyles}
+                    />
+                    {!value.until && <span className='text-xs text-gray-400'>never</span>}
+                </div>
+            )}
+        </div>
+    )
+}
+
+RepeatFields.propTypes = {
+    value: PropTypes.shape({
+        frequency: PropTypes.string.isRequired,
+        interval: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        byWeekday: PropTypes.arrayOf(PropTypes.number).isRequired,
+        until: PropTypes.string
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+    allowNone: PropTypes.bool,
+    dark: PropTypes.bool
+}
+
+export default RepeatFields
@@ -0,0 +1,123 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { adminAPI } from '../../services/api'
+import useTaskEvents from '../../hooks/useTaskEvents'
+import { getEmployeeName } from '../../utils/employeeUtils'
+
+const statusColor = {
+    completed: 'text-green-400',
+    pendingVerification: 'text-purple-400',
+    rejected: 'text-red-300',
+    failed: 'text-red-400',
+    expired: 'text-red-400'
+}
+
+// Multi-assignee tasks with their overall completion; expanding a row lists each assignee
+const TaskGroups = ({ adminId }) => {
+    const [groups, setGroups] = useState([])
+    const [expanded, setExpanded] = useState(null)
+    const [details, setDetails] = useState({})
+    const [error, setError] = useState(null)
+
+    const loadGroups = useCallback(async () => {
+        if (!adminId) return
+        try {
+            const response = await adminAPI.getTaskGroups(adminId, { limit: 20 })
+            setGroups(response.groups || [])
+            setError(null)
+        } catch (err) {
+            console.error('Error loading task groups:', err)
+            setError(err.message)
+        }
+    }, [adminId])
+
+    const loadDetails = useCallback(async (groupId) => {
+        try {
+            const response = await adminAPI.getTaskGroup(adminId, groupId)
+            setDetails(prev => ({ ...prev, [groupId]: response.tasks }))
+        } catch (err) {
+            console.error('Error loading task group:', err)
+        }
+    }, [adminId])
+
+    useEffect(() => {
+        loadGroups()
+    }, [loadGroups])
+
+    // Group progress only changes when one of its copies does
+    useTaskEvents((event) => {
+        if (event.type !== 'reconnected' && !event.task?.assignmentGroup) return
+        loadGroups()
+        if (expanded) {
+            loadDetails(expanded)
+        }
+    }, Boolean(adminId))
+
+    const toggle = (groupId) => {
+        if (expanded === groupId) {
+            setExpanded(null)
+            return
+        }
+        setExpanded(groupId)
+        loadDetails(groupId)
+    }
+
+    if (error) {
+        return <p className='text-sm text-red-500 mb-4'>Failed to load group tasks: {error}</p>
+    }
+    if (groups.length === 0) {
+        return null
+    }
+
+    return (
+        <div className='bg-[#1c1c1c] p-5 rounded mb-5'>
+            <h2 className='text-white text-xl font-bold mb-3'>Group Tasks</h2>
+            <ul className='space-y-2'>
+                {groups.map(group => (
+                    <li key={group.assignmentGroup} className='border border-gray-700 rounded'>
+                        <button
+                            type='button'
+                            onClick={() => toggle(group.assignmentGroup)}
+                            className='w-full px-4 py-3 text-left hover:bg-gray-800'
+                        >
+                            <div className='flex justify-between items-center text-white'>
+                                <span className='font-medium'>{group.taskTitle}</span>
+                                <span className='text-sm text-gray-300'>
+                                    {group.progress.completed}/{group.progress.total} completed
+                                </span>
+                            </div>
+                            <div className='mt-2 h-2 rounded bg-gray-700 overflow-hidden'>
+                                <div
+                                    className='h-full bg-emerald-500'
+                                    style={{ width: `${group.progress.completion}%` }}
+                                />
+                            </div>
+                            <div className='mt-1 text-xs text-gray-400'>
+                                {group.category} · due {new Date(group.endDate).toLocaleString()}
+                                {group.progress.open > 0 && ` · ${group.progress.open} still open`}
+                            </div>
+                        </button>
+
+                        {expanded === group.assignmentGroup && (
+                            <ul className='px-4 pb-3 text-sm'>
+                                {!details[group.assignmentGroup] && <li className='text-gray-400'>Loading...</li>}
+                                {(details[group.assignmentGroup] || []).map(task => (
+                                    <li key={task._id} className='flex justify-between py-1 border-t border-gray-800'>
+                                        <span className='text-gray-200'>{getEmployeeName(task.assignee)}</span>
+                                        <span className={statusColor[task.status] || 'text-yellow-400'}>{task.status}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    )
+}
+
+TaskGroups.propTypes = {
+    adminId: PropTypes.string
+}
+
+export default TaskGroups
@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { adminAPI } from '../../services/api'
+import { getEmployeeName } from '../../utils/employeeUtils'
+import { buildRecurrence, describeRecurrence } from '../../utils/recurrenceUtils'
+import RepeatFields from './RepeatFields'
+
+const inputStyles = 'text-sm py-1 px-2 w-full rounded outline-none bg-transparent border-[1px] border-gray-400 text-white placeholder-gray-500'
+
+const statusBadge = {
+    active: 'bg-green-100 text-green-800',
+    stopped: 'bg-gray-200 text-gray-700',
+    finished: 'bg-blue-100 text-blue-800'
+}
+
+// Form values for a series; the rule is reduced to the fields RepeatFields edits
+// (the end date as a local YYYY-MM-DD, which the en-CA locale produces)
+const toForm = (series) => ({
+    taskTitle: series.taskTitle,
+    taskDescription: series.taskDescription,
+    repeat: {
+        frequency: series.recurrence.frequency,
+        interval: series.recurrence.interval || 1,
+        byWeekday: series.recurrence.byWeekday || [],
+        until: series.recurrence.until ? new Date(series.recurrence.until).toLocaleDateString('en-CA') : '',
+        count: series.recurrence.count
+    }
+})
+
+// Recurring tasks of the organisation: what repeats, when it runs next, edit and stop
+const TaskSeriesList = ({ adminId, refreshKey = 0 }) => {
+    const [series, setSeries] = useState([])
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState(null)
+    const [busyId, setBusyId] = useState(null)
+    const [error, setError] = useState(null)
+
+    const loadSeries = useCallback(async () => {
+        if (!adminId) return
+        try {
+            const response = await adminAPI.getTaskSeries(adminId)
+            setSeries(response.series || [])
+            setError(null)
+        } catch (err) {
+            console.error('Error loading recurring tasks:', err)
+            setError(err.message)
+        }
+    }, [adminId])
+
+    useEffect(() => {
+        loadSeries()
+    }, [loadSeries, refreshKey])
+
+    const startEditing = (item) => {
+        setEditing(item._id)
+        setForm(toForm(item))
+    }
+
+    const save = async (e) => {
+        e.preventDefault()
+        setBusyId(editing)
+        try {
+            await adminAPI.updateTaskSeries(adminId, editing, {
+                taskTitle: form.taskTitle,
+                taskDescription: form.taskDescription,
+                recurrence: buildRecurrence(form.repeat)
+            })
+            setEditing(null)
+            loadSeries()
+        } catch (err) {
+            console.error('Error updating recurring task:', err)
+            alert(`Failed to update recurring task: ${err.message}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    const stop = async (item) => {
+        if (!window.confirm(`Stop "${item.taskTitle}"? No new occurrences will be created; existing tasks stay assigned.`)) {
+            return
+        }
+        setBusyId(item._id)
+        try {
+            await adminAPI.stopTaskSeries(adminId, item._id)
+            loadSeries()
+        } catch (err) {
+            console.error('Error stopping recurring task:', err)
+            alert(`Failed to stop recurring task: ${err.message}`)
+        } finally {
+            setBusyId(null)
+        }
+    }
+
+    if (error) {
+        return <p className='text-sm text-red-500 mt-4'>Failed to load recurring tasks: {error}</p>
+    }
+    if (series.length === 0) {
+        return null
+    }
+
+    return (
+        <div className='p-5 bg-[#1c1c1c] mt-5 rounded text-white'>
+            <h2 className='text-lg font-semibold mb-3'>Recurring Tasks</h2>
+            <ul className='divide-y divide-gray-700'>
+                {series.map(item => {
+                    const isBusy = busyId === item._id
+                    const assigned = [
+                        ...(item.team ? [`team ${item.team.name}`] : []),
+                        ...(item.assignees || []).map(getEmployeeName)
+                    ].join(', ')
+
+                    return (
+                        <li key={item._id} className='py-3'>
+                            <div className='flex items-start gap-3'>
+                                <div className='flex-1 min-w-0'>
+                                    <div className='font-medium'>
+                                        {item.taskTitle}
+                                        <span className={`ml-2 px-2 py-0.5 text-xs font-medium rounded-full ${statusBadge[item.status] || statusBadge.stopped}`}>
+                                            {item.status}
+                                        </span>
+                                    </div>
+                                    <div className='text-xs text-gray-400'>
+                                        {describeRecurrence(item.recurrence)} · {item.category} · {assigned || 'nobody'}
+                                    </div>
+                                    <div className='text-xs text-gray-500'>
+                                        {item.occurrenceCount} created so far
+                                        {item.nextOccurrenceAt && ` · next ${new Date(item.nextOccurrenceAt).toLocaleString()}`}
+                                    </div>
+                                </div>
+                                {item.status === 'active' && (
+                                    <div className='flex gap-2 text-sm'>
+                                        <button
+                                            type='button'
+                                            disabled={isBusy}
+                                            onClick={() => (editing === item._id ? setEditing(null) : startEditing(item))}
+                                            className='px-2 py-1 rounded border border-gray-500 hover:bg-gray-700'
+                                        >
+                                            {editing === item._id ? 'Close' : 'Edit'}
+                                        </button>
+                                        <button
+                                            type='button'
+                                            disabled={isBusy}
+                                            onClick={() => stop(item)}
+                                            className='px-2 py-1 rounded border border-red-500 text-red-300 hover:bg-red-900/40'
+                                        >
+                                            Stop
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {editing === item._id && form && (
+                                <form onSubmit={save} className='mt-3 space-y-2'>
+                                    <input
+                                        value={form.taskTitle}
+                                        onChange={(e) => setForm(prev => ({ ...prev, taskTitle: e.target.value }))}
+                                        className={inputStyles}
+                                        placeholder='Title'
+                                        required
+                                    />
+                                    <textarea
+                                        value={form.taskDescription}
+                                        onChange={(e) => setForm(prev => ({ ...prev, taskDescription: e.target.value }))}
+                                        className={`${inputStyles} h-20`}
+                                        placeholder='Description'
+                                        required
+                                    />
+                                    <RepeatFields
+                                        value={form.repeat}
+                                        onChange={(repeat) => setForm(prev => ({ ...prev, repeat }))}
+                                        allowNone={false}
+                                        dark
+                                    />
+                                    <button
+                                        disabled={isBusy}
+                                        className='px-3 py-1.5 text-sm rounded bg-blue-500 hover:bg-blue-600 disabled:bg-gray-500'
+                                    >
+                                        {isBusy ? 'Saving...' : 'Save changes'}
+                                    </button>
+                                </form>
+                            )}
+                        </li>
+                    )
+                })}
+            </ul>
+        </div>
+    )
+}
+
+TaskSeriesList.propTypes = {
+    adminId: PropTypes.string,
+    refreshKey: PropTypes.number
+}
+
+export default TaskSeriesList
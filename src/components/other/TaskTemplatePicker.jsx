@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { adminAPI } from '../../services/api'
+
+// Template fields taken from what is typed in the create task form; the time left until
+// the last date becomes the default duration
+const toTemplate = (draft) => {
+    const endDate = draft.endDate ? new Date(draft.endDate) : null
+    const minutes = endDate && !isNaN(endDate.getTime())
+        ? Math.round((endDate.getTime() - Date.now()) / 60000)
+        : 0
+    return {
+        taskTitle: draft.taskTitle.trim(),
+        taskDescription: draft.taskDescription.trim(),
+        category: draft.category,
+        defaultDurationMinutes: minutes > 0 ? minutes : null,
+        requiredDocumentTypes: draft.requiredDocumentTypes,
+        checklist: draft.checklist
+    }
+}
+
+// Saved task templates: pick one to fill the create task form, or save the form as one
+const TaskTemplatePicker = ({ adminId, draft, onApply }) => {
+    const [templates, setTemplates] = useState([])
+    const [selectedId, setSelectedId] = useState('')
+    const [busy, setBusy] = useState(false)
+
+    const loadTemplates = useCallback(async () => {
+        if (!adminId || !localStorage.getItem('token')) return
+        try {
+            const response = await adminAPI.getTaskTemplates(adminId)
+            setTemplates(response.templates || [])
+        } catch (err) {
+            console.error('Error loading task templates:', err)
+        }
+    }, [adminId])
+
+    useEffect(() => {
+        loadTemplates()
+    }, [loadTemplates])
+
+    const selected = templates.find(template => template._id === selectedId) || null
+
+    const pick = (templateId) => {
+        setSelectedId(templateId)
+        const template = templates.find(item => item._id === templateId)
+        if (template) {
+            onApply(template)
+        }
+    }
+
+    const canSave = draft.taskTitle.trim() && draft.category
+
+    const saveAsNew = async () => {
+        const name = window.prompt('Template name', draft.taskTitle.trim())
+        if (!name || !name.trim()) return
+        setBusy(true)
+        try {
+            const template = await adminAPI.createTaskTemplate(adminId, { name: name.trim(), ...toTemplate(draft) })
+            await loadTemplates()
+            setSelectedId(template._id)
+        } catch (err) {
+            console.error('Error saving task template:', err)
+            alert(`Failed to save template: ${err.message}`)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const updateSelected = async () => {
+        if (!window.confirm(`Replace template "${selected.name}" with the current form? Tasks created from it earlier stay as they are.`)) {
+            return
+        }
+        setBusy(true)
+        try {
+            await adminAPI.updateTaskTemplate(adminId, selected._id, toTemplate(draft))
+            await loadTemplates()
+        } catch (err) {
+            console.error('Error updating task template:', err)
+            alert(`Failed to update template: ${err.message}`)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const deleteSelected = async () => {
+        if (!window.confirm(`Delete template "${selected.name}"?`)) {
+            return
+        }
+        setBusy(true)
+        try {
+            await adminAPI.deleteTaskTemplate(adminId, selected._id)
+            setSelectedId('')
+            await loadTemplates()
+        } catch (err) {
+            console.error('Error deleting task template:', err)
+            alert(`Failed to delete template: ${err.message}`)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    return (
+        <div className='w-full mb-4 flex flex-wrap items-end gap-2'>
+            <div className='flex-1 min-w-[12rem]'>
+                <h3 className='text-sm text-gray-300 mb-0.5'>Start from template</h3>
+                <select
+                    value={selectedId}
+                    onChange={(e) => pick(e.target.value)}
+                    disabled={templates.length === 0}
+                    className='text-sm py-2 px-3 w-full rounded outline-none bg-white text-gray-900 border-[1px] border-gray-300'
+                >
+                    <option value=''>{templates.length === 0 ? 'No templates saved yet' : 'Choose a template'}</option>
+                    {templates.map(template => (
+                        <option key={template._id} value={template._id}>{template.name}</option>
+                    ))}
+                </select>
+            </div>
+            <button
+                type='button'
+                onClick={saveAsNew}
+                disabled={busy || !canSave}
+                title={canSave ? '' : 'Enter a title and category first'}
+                className='text-sm py-2 px-3 rounded border border-gray-400 text-gray-200 hover:bg-gray-700 disabled:opacity-50'
+            >
+                Save as template
+            </button>
+            {selected && (
+                <>
+                    <button
+                        type='button'
+                        onClick={updateSelected}
+                        disabled={busy || !canSave}
+                        className='text-sm py-2 px-3 rounded border border-gray-400 text-gray-200 hover:bg-gray-700 disabled:opacity-50'
+                    >
+                        Update template
+                    </button>
+                    <button
+                        type='button'
+                        onClick={deleteSelected}
+                        disabled={busy}
+                        className='text-sm py-2 px-3 rounded border border-red-500 text-red-300 hover:bg-red-900/40 disabled:opacity-50'
+                    >
+                        Delete
+                    </button>
+                </>
+            )}
+        </div>
+    )
+}
+
+TaskTemplatePicker.propTypes = {
+    adminId: PropTypes.string,
+    draft: PropTypes.shape({
+        taskTitle: PropTypes.string,
+        taskDescription: PropTypes.string,
+        category: PropTypes.string,
+        endDate: PropTypes.string,
+        requiredDocumentTypes: PropTypes.arrayOf(PropTypes.string),
+        checklist: PropTypes.arrayOf(PropTypes.shape({
+            text: PropTypes.string,
+            required: PropTypes.bool
+        }))
+    }).isRequired,
+    onApply: PropTypes.func.isRequired
+}
+
+export default TaskTemplatePicker
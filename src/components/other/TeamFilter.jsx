@@ -0,0 +1,32 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+// "All teams / <team>" select used to narrow employee and task lists
+const TeamFilter = ({ teams = [], value, onChange, className = '' }) => {
+    if (teams.length === 0) return null
+
+    return (
+        <select
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className={`text-sm py-1.5 px-2 rounded border border-gray-300 bg-white text-gray-900 ${className}`}
+        >
+            <option value=''>All teams</option>
+            {teams.map(team => (
+                <option key={team._id} value={team._id}>{team.name}</option>
+            ))}
+        </select>
+    )
+}
+
+TeamFilter.propTypes = {
+    teams: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired
+    })),
+    value: PropTypes.string.isRequired,
+    onChange: PropTypes.func.isRequired,
+    className: PropTypes.string
+}
+
+export default TeamFilter
@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { adminAPI, authAPI } from '../../services/api';
+
+const inputClass = 'w-full outline-none border-2 border-emerald-600 font-medium text-base py-2 px-4 rounded-full placeholder:text-gray-400 text-gray-900';
+const primaryButton = 'px-4 py-2 rounded-full bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 disabled:bg-gray-400';
+const secondaryButton = 'px-4 py-2 rounded-full border-2 border-gray-300 text-gray-700 text-sm font-semibold hover:bg-gray-100';
+
+// Recovery codes, shown once after turning 2FA on or creating new ones
+const RecoveryCodes = ({ codes, onDone }) => {
+  const copy = () => navigator.clipboard?.writeText(codes.join('\n'));
+
+  return (
+    <div>
+      <p className='text-sm text-gray-700 mb-3'>
+        Keep these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They are not shown again.
+      </p>
+      <ul className='grid grid-cols-2 gap-2 font-mono text-sm bg-gray-100 rounded-lg p-3 mb-4'>
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className='flex gap-3'>
+        <button type='button' onClick={copy} className={secondaryButton}>Copy</button>
+        <button type='button' onClick={onDone} className={primaryButton}>I saved them</button>
+      </div>
+    </div>
+  );
+};
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDone: PropTypes.func.isRequired
+};
+
+// Two-factor authentication of the signed-in admin: set it up with an authenticator app,
+// create new recovery codes, turn it off, and require it for the organisation
+const TwoFactorSettings = ({ adminId, onClose }) => {
+  const [status, setStatus] = useState(null);
+  // { secret, qrCode } while setting up
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'regenerate' | 'disable' while asking for a code to confirm it
+  const [confirming, setConfirming] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = () => authAPI.getTwoFactorStatus()
+    .then(setStatus)
+    .catch(err => {
+      console.error('Error loading two-factor settings:', err);
+      setError(err.message || 'Failed to load settings');
+    });
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setConfirming(null);
+    setCode('');
+    setPassword('');
+    setUseRecoveryCode(false);
+  };
+
+  // Run an action, showing its error; resolves to whether it succeeded
+  const run = async (action, label) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(`Error trying to ${label}:`, err);
+      setError(err.response?.errors?.[0]?.msg || err.message || `Failed to ${label}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setSetup(await authAPI.setupTwoFactor());
+  }, 'start the setup');
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code);
+      setSetup(null);
+      resetForm();
+      setRecoveryCodes(response.recoveryCodes);
+      await loadStatus();
+    }, 'turn on two-factor authentication');
+  };
+
+  const confirm = (e) => {
+    e.preventDefault();
+    const secondFactor = useRecoveryCode ? { recoveryCode: code } : { code };
+    run(async () => {
+      if (confirming === 'disable') {
+        await authAPI.disableTwoFactor(password, secondFactor);
+      } else {
+        const response = await authAPI.regenerateRecoveryCodes(secondFactor);
+        setRecoveryCodes(response.recoveryCodes);
+      }
+      resetForm();
+      await loadStatus();
+    }, confirming === 'disable' ? 'turn off two-factor authentication' : 'create new recovery codes');
+  };
+
+  const toggleRequired = () => run(async () => {
+    const response = await adminAPI.updateSecurity(adminId, { requireTwoFactor: !status.required });
+    setStatus(current => ({ ...current, required: response.requireTwoFactor }));
+  }, 'update the organisation setting');
+
+  const renderBody = () => {
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={enable} className='flex flex-col items-center gap-3'>
+          <p className='text-sm text-gray-700'>
+            Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+            then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt='QR code for the authenticator app' className='w-48 h-48' />
+          <p className='text-xs text-gray-500 text-center'>
+            Or enter this key by hand: <span className='font-mono break-all'>{setup.secret}</span>
+          </p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            autoComplete='one-time-code'
+            inputMode='numeric'
+            className={`${inputClass} text-center tracking-widest`}
+            placeholder='123456'
+          />
+          <div className='flex gap-3'>
+            <button type='button' onClick={() => { setSetup(null); resetForm(); }} className={secondaryButton}>Cancel</button>
+            <button type='submit' disabled={busy} className={primaryButton}>Turn on</button>
+          </div>
+        </form>
+      );
+    }
+
+    if (confirming) {
+      return (
+        <form onSubmit={confirm} className='flex flex-col gap-3'>
+          <p className='text-sm text-gray-700'>
+            {confirming === 'disable'
+              ? 'Enter your password and a code to turn two-factor authentication off.'
+              : 'Enter a code to create new recovery codes. The old ones stop working.'}
+          </p>
+          {confirming === 'disable' && (
+            <input
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              type='password'
+              autoComplete='current-password'
+              className={inputClass}
+              placeholder='Password'
+            />
+          )}
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            autoComplete='one-time-code'
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            className={`${inputClass} text-center tracking-widest`}
+            placeholder={useRecoveryCode ? 'Recovery code' : 'Code from the app'}
+          />
+          <button
+            type='button'
+            onClick={() => { setUseRecoveryCode(current => !current); setCode(''); }}
+            className='text-xs text-emerald-600 hover:text-emerald-700 underline self-start'
+          >
+            {useRecoveryCode ? 'Use the authenticator app' : 'Use a recovery code'}
+          </button>
+          <div className='flex gap-3'>
+            <button type='button' onClick={resetForm} className={secondaryButton}>Cancel</button>
+            <button type='submit' disabled={busy} className={primaryButton}>
+              {confirming === 'disable' ? 'Turn off' : 'Create new codes'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <div className='flex flex-col gap-3'>
+          <p className='text-sm text-gray-700'>
+            Two-factor authentication is off. Turn it on to ask for a code from your phone
+            whenever you log in.
+          </p>
+          <button type='button' onClick={startSetup} disabled={busy} className={`${primaryButton} self-start`}>
+            Set up
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className='flex flex-col gap-3'>
+        <p className='text-sm text-gray-700'>
+          Two-factor authentication is on
+          {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}.
+          {' '}{status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+        </p>
+        <label className='flex items-center justify-between gap-4 py-1'>
+          <span className='text-sm text-gray-700'>Require two-factor authentication for this organisation</span>
+          <input
+            type='checkbox'
+            checked={Boolean(status.required)}
+            disabled={busy}
+            onChange={toggleRequired}
+            className='h-4 w-4 accent-emerald-600'
+          />
+        </label>
+        <div className='flex gap-3'>
+          <button type='button' onClick={() => setConfirming('regenerate')} className={secondaryButton}>
+            New recovery codes
+          </button>
+          <button
+            type='button'
+            onClick={() => setConfirming('disable')}
+            disabled={status.required}
+            title={status.required ? 'Your organisation requires two-factor authentication' : undefined}
+            className={`${secondaryButton} disabled:opacity-50`}
+          >
+            Turn off
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className='fixed inset-0 z-50 flex items-center justify-center bg-black/60'>
+      <div className='border-2 rounded-xl border-emerald-600 p-6 bg-white shadow-lg max-w-md w-full mx-4 text-left'>
+        <div className='flex justify-between items-center mb-4'>
+          <h2 className='text-xl font-bold text-gray-800'>Two-factor authentication</h2>
+          <button type='button' onClick={onClose} className='text-gray-400 hover:text-gray-600'>✕</button>
+        </div>
+
+        {error && <p className='text-sm text-red-600 mb-3'>{error}</p>}
+        {!status && !error && <p className='text-sm text-gray-500'>Loading...</p>}
+        {status && renderBody()}
+      </div>
+    </div>
+  );
+};
+
+TwoFactorSettings.propTypes = {
+  adminId: PropTypes.string,
+  onClose: PropTypes.func.isRequired
+};
+
+export default TwoFactorSettings;
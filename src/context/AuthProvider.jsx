@@ -38,7 +38,7 @@ const AuthProvider = ({ children }) => {
                 const token = localStorage.getItem('token')
 
                 if (isEmployee) {
-                    // Employees do NOT have admin JWT; fetch their own record directly
+                    // Employees carry their own JWT; fetch their own record directly
                     const empResp = await employeeAPI.getById(stored._id)
                     const employee = empResp?.data
                     setUserData(employee ? [employee] : [])
@@ -0,0 +1,19 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToTaskEvents } from '../services/realtime';
+
+// Call `onEvent` for every live task event while the component is mounted.
+// The latest callback is always used, so it does not need to be memoized.
+const useTaskEvents = (onEvent, enabled = true) => {
+  const handlerRef = useRef(onEvent);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeToTaskEvents(event => handlerRef.current?.(event));
+  }, [enabled]);
+};
+
+export default useTaskEvents;
@@ -1,25 +1,62 @@
 // In src/services/api.js
 // Force production to use the Render backend; override via VITE_API_BASE_URL for local dev.
-const API_BASE_URL =
+export const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL?.replace(/\/$/, '') ||
   'https://ems-master-deft.onrender.com';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
-// Enhanced API request function with retry logic
-const apiRequest = async (endpoint, options = {}, retryCount = 0) => {
+// Access tokens are short-lived; the refresh token lives in an httpOnly cookie that
+// POST /api/auth/refresh exchanges for a new access token. Concurrent callers share
+// one refresh. Resolves to the new token, or null when the session is over.
+let pendingRefresh = null;
+
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    const previousToken = localStorage.getItem('token');
+    pendingRefresh = fetch(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          // Another tab may have refreshed with the same cookie a moment earlier
+          const currentToken = localStorage.getItem('token');
+          return currentToken && currentToken !== previousToken ? currentToken : null;
+        }
+        const data = await response.json();
+        localStorage.setItem('token', data.accessToken);
+        return data.accessToken;
+      })
+      .catch((error) => {
+        console.warn('[api] Token refresh failed:', error?.message);
+        return null;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+// Endpoints under /auth that need a signed-in user; the others answer 401 for bad credentials
+const AUTHENTICATED_AUTH_ENDPOINTS = ['/auth/password/change', '/auth/2fa'];
+
+// Enhanced API request function with retry logic; a 401 is retried once after a refresh
+const apiRequest = async (endpoint, options = {}, retryCount = 0, refreshed = false) => {
   // Normalize endpoint and construct URL
   const normalizedEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
   const url = `${API_BASE_URL}${normalizedEndpoint.startsWith('/api') ? '' : '/api'}${normalizedEndpoint}`;
   
   // Configure request
+  // Headers are merged last so caller headers add to the defaults instead of replacing them
   const config = {
     method: 'GET',
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
     credentials: 'include',
   };
 
@@ -73,6 +110,18 @@ const apiRequest = async (endpoint, options = {}, retryCount = 0) => {
     
     // Handle 401 Unauthorized: try to parse and surface server message
     if (response.status === 401) {
+      // The access token expired: refresh it and try again
+      const canRefresh = !normalizedEndpoint.includes('/auth/') ||
+        AUTHENTICATED_AUTH_ENDPOINTS.some(path => normalizedEndpoint.replace(/^\/api/, '').startsWith(path));
+      if (!refreshed && canRefresh) {
+        const refreshedToken = await refreshAccessToken();
+        if (refreshedToken) {
+          // Same request with the merged headers, minus the expired token
+          const headers = { ...config.headers };
+          delete headers.Authorization;
+          return apiRequest(endpoint, { ...options, headers }, retryCount, true);
+        }
+      }
       localStorage.removeItem('token');
       let errMessage = 'Unauthorized';
       try {
@@ -124,7 +173,7 @@ const apiRequest = async (endpoint, options = {}, retryCount = 0) => {
       console.log(`Retry ${retryCount + 1}/${MAX_RETRIES} for ${url} in ${delay}ms`);
       
       await new Promise(resolve => setTimeout(resolve, delay));
-      return apiRequest(endpoint, options, retryCount + 1);
+      return apiRequest(endpoint, options, retryCount + 1, refreshed);
     }
 
     console.error('API request failed:', {
@@ -176,6 +225,12 @@ export const adminAPI = {
       cacheDuration: 60000,
       adminId: null
     };
+    // Drop cached pending-verification pages as well
+    for (const key of requestCache.keys()) {
+      if (key.startsWith('/admin/tasks/pending-verification')) {
+        requestCache.delete(key);
+      }
+    }
   },
 
   // Get tasks pending verification with pagination, caching and deduplication
@@ -319,6 +374,91 @@ export const adminAPI = {
     });
   },
 
+  // Give one task to several employees and/or every active member of a team;
+  // each assignee gets a copy linked by `assignmentGroup`
+  assignTask: (adminId, taskData, assigneeIds, teamId = null) => {
+    if (!adminId) throw new Error('adminId is required');
+    return apiRequest(`/admin/${adminId}/tasks`, {
+      method: 'POST',
+      body: { ...taskData, assignees: assigneeIds, ...(teamId ? { team: teamId } : {}) },
+    });
+  },
+
+  // Multi-assignee tasks with their overall progress; params: { limit, open }
+  getTaskGroups: (adminId, params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+    return apiRequest(`/admin/${adminId}/task-groups${query ? `?${query}` : ''}`);
+  },
+
+  // Every assignee's copy of one multi-assignee task
+  getTaskGroup: (adminId, groupId) => apiRequest(`/admin/${adminId}/task-groups/${groupId}`),
+
+  // Recurring tasks; `status` narrows the list to active, stopped or finished series
+  getTaskSeries: (adminId, status) => apiRequest(`/admin/${adminId}/task-series${status ? `?status=${status}` : ''}`),
+
+  // One series with its next occurrences and the tasks created so far
+  getTaskSeriesDetail: (adminId, seriesId) => apiRequest(`/admin/${adminId}/task-series/${seriesId}`),
+
+  // series: task fields plus { recurrence, startAt, endDate, utcOffsetMinutes, assignees, team }
+  createTaskSeries: (adminId, series) => apiRequest(`/admin/${adminId}/task-series`, {
+    method: 'POST',
+    body: series,
+  }),
+
+  updateTaskSeries: (adminId, seriesId, changes) => apiRequest(`/admin/${adminId}/task-series/${seriesId}`, {
+    method: 'PUT',
+    body: changes,
+  }),
+
+  stopTaskSeries: (adminId, seriesId) => apiRequest(`/admin/${adminId}/task-series/${seriesId}/stop`, {
+    method: 'POST',
+  }),
+
+  // Saved task templates of the organisation, by name
+  getTaskTemplates: (adminId) => apiRequest(`/admin/${adminId}/task-templates`),
+
+  // template: { name, taskTitle, taskDescription, category, defaultDurationMinutes,
+  //             requiredDocumentTypes, checklist: [text] }
+  createTaskTemplate: (adminId, template) => apiRequest(`/admin/${adminId}/task-templates`, {
+    method: 'POST',
+    body: template,
+  }),
+
+  updateTaskTemplate: (adminId, templateId, changes) => apiRequest(`/admin/${adminId}/task-templates/${templateId}`, {
+    method: 'PUT',
+    body: changes,
+  }),
+
+  deleteTaskTemplate: (adminId, templateId) => apiRequest(`/admin/${adminId}/task-templates/${templateId}`, {
+    method: 'DELETE',
+  }),
+
+  // Teams of the organisation with their members and task rollups
+  getTeams: (adminId) => apiRequest(`/admin/${adminId}/teams`),
+
+  // team: { name, description, lead, members: [employeeId] }
+  createTeam: (adminId, team) => apiRequest(`/admin/${adminId}/teams`, {
+    method: 'POST',
+    body: team,
+  }),
+
+  updateTeam: (adminId, teamId, changes) => apiRequest(`/admin/${adminId}/teams/${teamId}`, {
+    method: 'PUT',
+    body: changes,
+  }),
+
+  deleteTeam: (adminId, teamId) => apiRequest(`/admin/${adminId}/teams/${teamId}`, {
+    method: 'DELETE',
+  }),
+
+  // Security settings of the organisation: { requireTwoFactor }
+  updateSecurity: (adminId, settings) => apiRequest(`/admin/${adminId}/security`, {
+    method: 'PATCH',
+    body: settings,
+  }),
+
   // Admin authentication
   login: (credentials) =>
     apiRequest('/auth/admin/login', {
@@ -374,29 +514,33 @@ export const adminAPI = {
 };
 
 // Employee API
+// Organisation (admin) ID of the signed-in user, for admin scoped endpoints
+const getStoredAdminId = () => {
+  const storedUser = localStorage.getItem('user');
+  if (!storedUser) {
+    throw new Error('User not authenticated');
+  }
+  const user = JSON.parse(storedUser);
+  let adminId;
+  if (user?.userType === 'admin') {
+    adminId = user?._id;
+  } else if (user?.userType === 'employee') {
+    adminId = user?.adminId || user?.admin?._id;
+  } else {
+    adminId = user?.adminId || user?.admin?._id || user?._id;
+  }
+
+  if (!adminId) {
+    throw new Error('Admin ID not found');
+  }
+  return adminId;
+};
+
 export const employeeAPI = {
   // Create a new employee (requires adminId from context)
   create: async (employeeData) => {
-    // Get adminId from localStorage
     try {
-      const storedUser = localStorage.getItem('user');
-      if (!storedUser) {
-        throw new Error('User not authenticated');
-      }
-      const user = JSON.parse(storedUser);
-      let adminId;
-      if (user?.userType === 'admin') {
-        adminId = user?._id;
-      } else if (user?.userType === 'employee') {
-        adminId = user?.adminId || user?.admin?._id;
-      } else {
-        adminId = user?.adminId || user?.admin?._id || user?._id;
-      }
-      
-      if (!adminId) {
-        throw new Error('Admin ID not found');
-      }
-      
+      const adminId = getStoredAdminId();
       return apiRequest(`/admin/${adminId}/employees`, {
         method: 'POST',
         body: employeeData,
@@ -406,7 +550,82 @@ export const employeeAPI = {
       throw error;
     }
   },
+
+  // Add a member by invitation: they choose their own password from the emailed link.
+  // Answers with { employee, inviteUrl, expiresAt, emailSent }.
+  invite: async (employeeData) => apiRequest(`/admin/${getStoredAdminId()}/invitations`, {
+    method: 'POST',
+    body: employeeData,
+  }),
+
+  // Members who have not accepted their invitation yet
+  getInvitations: async () => apiRequest(`/admin/${getStoredAdminId()}/invitations`),
+
+  // New invitation link for a pending member; the previous one stops working
+  resendInvitation: async (employeeId) => apiRequest(`/admin/${getStoredAdminId()}/invitations/${employeeId}/resend`, {
+    method: 'POST',
+  }),
+
+  // Revoke a pending invitation, removing the invited member
+  revokeInvitation: async (employeeId) => apiRequest(`/admin/${getStoredAdminId()}/invitations/${employeeId}`, {
+    method: 'DELETE',
+  }),
+
+  // Lift the lockout of an employee locked out after too many failed logins
+  unlock: async (employeeId) => apiRequest(`/admin/${getStoredAdminId()}/employees/${employeeId}/unlock`, {
+    method: 'POST',
+  }),
+
+  // Edit an employee's details, or set status to 'inactive' / 'active' to deactivate or reactivate them
+  update: async (employeeId, changes) => apiRequest(`/admin/${getStoredAdminId()}/employees/${employeeId}`, {
+    method: 'PATCH',
+    body: changes,
+  }),
+
+  // Import employees from CSV text. With { dryRun: true } the rows are only validated.
+  // Rejected rows come back as { row, email, messages } in `errors` (status 400 on a real import).
+  importCsv: async (csvText, { dryRun = false } = {}) => apiRequest(
+    `/admin/${getStoredAdminId()}/employees/import${dryRun ? '?dryRun=true' : ''}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: csvText,
+    }
+  ),
+
+  // Download the roster as a CSV Blob
+  exportCsv: async ({ includeOffboarded = false } = {}) => {
+    const adminId = getStoredAdminId();
+    const query = includeOffboarded ? '?includeOffboarded=true' : '';
+    const response = await fetch(`${API_BASE_URL}/api/admin/${adminId}/employees/export${query}`, {
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+        'x-admin-id': adminId,
+      },
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      throw new Error(`Export failed with status ${response.status}`);
+    }
+    return response.blob();
+  },
+
+  // Offboard an employee. Open tasks need { reassignTo: employeeId } or { closeOpenTasks: true };
+  // without either the request fails with status 409 and error.response.openTasks.
+  offboard: async (employeeId, options = {}) => apiRequest(`/admin/${getStoredAdminId()}/employees/${employeeId}`, {
+    method: 'DELETE',
+    body: options,
+  }),
   
+  // Profile of an employee, with their reporting manager
+  getProfile: (employeeId) => apiRequest(`/employees/${employeeId}/profile`),
+
+  // Update profile fields (department, job title, manager and hire date need an admin)
+  updateProfile: (employeeId, profile) => apiRequest(`/employees/${employeeId}/profile`, {
+    method: 'PUT',
+    body: profile,
+  }),
+
   // Get a single employee by ID
   getById: (employeeId) =>
     apiRequest(`/employees/${employeeId}`, {
@@ -424,7 +643,7 @@ export const employeeAPI = {
     }),
 
   // Upload document for a task with progress reporting
-  uploadDocument: (employeeId, taskId, formData, onProgress) => new Promise(async (resolve, reject) => {
+  uploadDocument: (employeeId, taskId, formData, onProgress, refreshed = false) => new Promise(async (resolve, reject) => {
     try {
       const url = `${API_BASE_URL}/api/employees/${employeeId}/tasks/${taskId}/documents`;
       const xhr = new XMLHttpRequest();
@@ -448,7 +667,12 @@ export const employeeAPI = {
         }
       };
 
-      xhr.onload = () => {
+      xhr.onload = async () => {
+        // Expired access token: refresh it and send the upload once more
+        if (xhr.status === 401 && !refreshed && await refreshAccessToken()) {
+          employeeAPI.uploadDocument(employeeId, taskId, formData, onProgress, true).then(resolve, reject);
+          return;
+        }
         if (xhr.status >= 200 && xhr.status < 300) {
           try { resolve(JSON.parse(xhr.responseText)); } catch { resolve({}); }
         } else {
@@ -472,18 +696,72 @@ export const employeeAPI = {
   getTask: (employeeId, taskId) =>
     apiRequest(`/employees/${employeeId}/tasks/${taskId}`),
 
-    // Update task state
+  // Get the state change history of a task (oldest first)
+  getTaskHistory: (employeeId, taskId) =>
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}/history`),
+
+  // Move a task to another workflow state (409 if the transition is not allowed)
   updateTaskState: (employeeId, taskId, status) =>
-    apiRequest(`/employees/${employeeId}/tasks/${taskId}/state`, {
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}`, {
       method: 'PUT',
       body: { status },
     }),
-    
-  // Check and update expired tasks
-  checkExpiredTasks: () =>
-    apiRequest('/tasks/check-expired', {
+
+  // Checklist of a task; every change answers with { checklist, progress }
+  addChecklistItem: (employeeId, taskId, item) =>
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}/checklist`, {
       method: 'POST',
+      body: item,
+    }),
+
+  // changes: { done, text, required }
+  updateChecklistItem: (employeeId, taskId, itemId, changes) =>
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}/checklist/${itemId}`, {
+      method: 'PATCH',
+      body: changes,
+    }),
+
+  reorderChecklist: (employeeId, taskId, itemIds) =>
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}/checklist/order`, {
+      method: 'PUT',
+      body: { itemIds },
+    }),
+
+  removeChecklistItem: (employeeId, taskId, itemId) =>
+    apiRequest(`/employees/${employeeId}/tasks/${taskId}/checklist/${itemId}`, {
+      method: 'DELETE',
     }),
+
+};
+
+// Notifications API
+export const notificationAPI = {
+  // Newest notifications of the signed-in user; params: { limit, before, unread }
+  getNotifications: (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+    return apiRequest(`/notifications${query ? `?${query}` : ''}`);
+  },
+
+  getUnreadCount: () => apiRequest('/notifications/unread-count'),
+
+  markAsRead: (notificationId) => apiRequest(`/notifications/${notificationId}/read`, {
+    method: 'POST',
+  }),
+
+  markAllAsRead: () => apiRequest('/notifications/read-all', {
+    method: 'POST',
+  }),
+
+  // Notification settings of the signed-in user
+  getPreferences: () => apiRequest('/notifications/preferences'),
+
+  // Change some or all settings, e.g. { email: true }
+  updatePreferences: (preferences) => apiRequest('/notifications/preferences', {
+    method: 'PUT',
+    body: preferences,
+  }),
 };
 
 // Authentication API
@@ -500,16 +778,97 @@ export const authAPI = {
     body: credentials,
   }),
 
+  // Second step of an admin login with two-factor authentication: the challenge from
+  // adminLogin with { code } or { recoveryCode }; answers like adminLogin
+  adminLoginTwoFactor: (challengeToken, secondFactor) => apiRequest('/auth/admin/login/2fa', {
+    method: 'POST',
+    body: { challengeToken, ...secondFactor },
+  }),
+
   // Admin signup
   adminSignup: (userData) => apiRequest('/auth/admin/signup', {
     method: 'POST',
     body: userData,
   }),
 
-  // Logout
-  logout: () => {
+  // Email a password reset link; answers the same whether or not the account exists
+  forgotPassword: (email, userType) => apiRequest('/auth/password/forgot', {
+    method: 'POST',
+    body: { email, userType },
+  }),
+
+  // Choose a new password with the token of a reset link
+  resetPassword: (token, password) => apiRequest('/auth/password/reset', {
+    method: 'POST',
+    body: { token, password },
+  }),
+
+  // Who an invitation link is for: { email, firstName, lastName, organisation, expiresAt }
+  getInvitation: (token) => apiRequest(`/auth/invitations/${encodeURIComponent(token)}`),
+
+  // Accept an invitation with a new password; answers like the employee login
+  acceptInvitation: (token, password) => apiRequest('/auth/invitations/accept', {
+    method: 'POST',
+    body: { token, password },
+  }),
+
+  // Change the signed-in user's password; other sessions end and this one gets a new token
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await apiRequest('/auth/password/change', {
+      method: 'POST',
+      body: { currentPassword, newPassword },
+    });
+    if (response.token) {
+      localStorage.setItem('token', response.token);
+    }
+    return response;
+  },
+
+  // Two-factor authentication of the signed-in admin: { enabled, enabledAt, recoveryCodesLeft, required }
+  getTwoFactorStatus: () => apiRequest('/auth/2fa'),
+
+  // Start the setup: { secret, otpauthUrl, qrCode } for the authenticator app
+  setupTwoFactor: () => apiRequest('/auth/2fa/setup', { method: 'POST' }),
+
+  // Confirm the setup with a first code; returns the recovery codes. Other sessions end
+  // and this one gets a new token.
+  enableTwoFactor: async (code) => {
+    const response = await apiRequest('/auth/2fa/enable', {
+      method: 'POST',
+      body: { code },
+    });
+    if (response.token) {
+      localStorage.setItem('token', response.token);
+    }
+    return response;
+  },
+
+  // Replace the recovery codes, confirmed with { code } or { recoveryCode }
+  regenerateRecoveryCodes: (secondFactor) => apiRequest('/auth/2fa/recovery-codes', {
+    method: 'POST',
+    body: secondFactor,
+  }),
+
+  // Turn two-factor authentication off with the password and { code } or { recoveryCode }
+  disableTwoFactor: (password, secondFactor) => apiRequest('/auth/2fa/disable', {
+    method: 'POST',
+    body: { password, ...secondFactor },
+  }),
+
+  // Logout: ends the session on the server (with everywhere: true on every device too)
+  // and forgets the access token. Never rejects, so signing out always works offline.
+  logout: async ({ everywhere = false } = {}) => {
     localStorage.removeItem('token');
-    return Promise.resolve();
+    try {
+      await fetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ everywhere }),
+      });
+    } catch (error) {
+      console.warn('[api] Logout request failed:', error?.message);
+    }
   },
 };
 
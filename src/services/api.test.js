@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { employeeAPI } from './api';
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// localStorage as the browser has it, backed by a Map
+const fakeStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+};
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', fakeStorage());
+  localStorage.setItem('token', 'expired-token');
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('apiRequest', () => {
+  it('replays a JSON request with its content type and body after a silent refresh', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(jsonResponse(401, { message: 'Not authorized, token failed' }))
+      .mockResolvedValueOnce(jsonResponse(200, { accessToken: 'fresh-token' }))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(employeeAPI.updateTask('emp1', 'task1', { status: 'active' })).resolves.toEqual({ ok: true });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[1][0]).toMatch(/\/api\/auth\/refresh$/);
+    const [url, retried] = fetchMock.mock.calls[2];
+    expect(url).toMatch(/\/api\/employees\/emp1\/tasks\/task1$/);
+    expect(retried.method).toBe('PUT');
+    expect(retried.headers['Content-Type']).toBe('application/json');
+    expect(retried.headers.Authorization).toBe('Bearer fresh-token');
+    expect(retried.body).toBe(JSON.stringify({ status: 'active' }));
+  });
+
+  it('keeps the JSON content type next to headers passed by the caller', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(200, { _id: 'emp1' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await employeeAPI.getById('emp1');
+
+    const [, sent] = fetchMock.mock.calls[0];
+    expect(sent.headers['Content-Type']).toBe('application/json');
+    expect(sent.headers['Cache-Control']).toBe('no-cache');
+    expect(sent.headers.Authorization).toBe('Bearer expired-token');
+  });
+});
@@ -0,0 +1,137 @@
+import { API_BASE_URL, adminAPI, refreshAccessToken } from './api';
+
+// Live task updates from GET /api/events (Server-Sent Events).
+// EventSource cannot send the Authorization header, so the stream is read with fetch.
+// One connection is shared by all subscribers and closed when the last one leaves.
+
+const RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// Events that change what is waiting for verification
+const VERIFICATION_EVENTS = ['task-submitted', 'task-verified', 'task-expired'];
+
+const listeners = new Set();
+let controller = null;
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_DELAY;
+let wasConnected = false;
+
+const dispatch = (event) => {
+  if (VERIFICATION_EVENTS.includes(event.type)) {
+    adminAPI.clearCache();
+  }
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[realtime] Listener failed:', error);
+    }
+  });
+};
+
+// Parse one "event: ...\ndata: ..." block; comments (heartbeats) and retry hints are ignored
+const parseBlock = (block) => {
+  const data = block
+    .split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trimStart())
+    .join('\n');
+  if (!data) return null;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+const scheduleReconnect = () => {
+  if (listeners.size === 0 || reconnectTimer) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+};
+
+const connect = async () => {
+  const token = localStorage.getItem('token');
+  if (!token || controller) return;
+
+  const currentController = new AbortController();
+  controller = currentController;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/events`, {
+      headers: {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${token}`
+      },
+      credentials: 'include',
+      signal: currentController.signal
+    });
+    // Expired access token: get a new one before the reconnect below
+    if (response.status === 401) {
+      await refreshAccessToken();
+    }
+    if (!response.ok || !response.body) {
+      throw new Error(`Event stream failed with status ${response.status}`);
+    }
+
+    reconnectDelay = RECONNECT_DELAY;
+    // Anything may have changed while disconnected; let subscribers resync
+    if (wasConnected) {
+      dispatch({ type: 'reconnected' });
+    }
+    wasConnected = true;
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.map(parseBlock).filter(Boolean).forEach(dispatch);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn('[realtime] Event stream disconnected:', error.message);
+    }
+  } finally {
+    if (controller === currentController) {
+      controller = null;
+      if (!currentController.signal.aborted) {
+        scheduleReconnect();
+      }
+    }
+  }
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  wasConnected = false;
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+};
+
+// Receive every task event ({ type, task, employeeId, taskCounts, at }) plus a
+// { type: 'reconnected' } event after the stream recovers. Returns the unsubscribe function.
+export const subscribeToTaskEvents = (listener) => {
+  listeners.add(listener);
+  connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
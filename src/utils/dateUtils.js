@@ -27,3 +27,11 @@ export const formatDateReadable = (dateString) => {
     day: 'numeric'
   });
 };
+
+// Value for a datetime-local input ("YYYY-MM-DDTHH:mm") in the browser's time zone
+export const toDateTimeLocalValue = (date) => {
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
@@ -0,0 +1,39 @@
+/**
+ * Display name of an employee: "First Last", falling back to the email.
+ * @param {Object} employee - The employee (or a populated manager reference)
+ * @returns {string} - The display name
+ */
+export const getEmployeeName = (employee) => {
+  if (!employee) return 'Unknown';
+  const name = [employee.firstName, employee.lastName].filter(Boolean).join(' ').trim();
+  return name || employee.email || 'Unknown';
+};
+
+/**
+ * Initials for avatar placeholders, e.g. "AL" for Ann Lee.
+ * @param {Object} employee - The employee
+ * @returns {string} - One or two upper-case letters
+ */
+export const getEmployeeInitials = (employee) => {
+  const initials = [employee?.firstName, employee?.lastName]
+    .filter(Boolean)
+    .map(part => part.trim().charAt(0))
+    .join('');
+  return (initials || employee?.email?.charAt(0) || '?').toUpperCase();
+};
+
+/**
+ * "Job title · Department" line for an employee, or an empty string.
+ * @param {Object} employee - The employee
+ * @returns {string} - The subtitle
+ */
+export const getEmployeeSubtitle = (employee) =>
+  [employee?.jobTitle, employee?.department].filter(Boolean).join(' · ');
+
+/**
+ * Whether an employee can sign in and receive work. Records without a status predate
+ * deactivation and count as active.
+ * @param {Object} employee - The employee
+ * @returns {boolean} - True unless the employee is invited, inactive or offboarded
+ */
+export const isEmployeeActive = (employee) => !employee?.status || employee.status === 'active';
@@ -0,0 +1,13 @@
+/**
+ * Offer a Blob to the browser as a file download.
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - Name suggested to the browser
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
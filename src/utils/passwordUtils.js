@@ -0,0 +1,18 @@
+/** Minimum length of a password people choose for themselves (checked by the backend too). */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Check a new password before sending it.
+ * @param {string} password - The new password
+ * @param {string} confirmation - The same password typed a second time
+ * @returns {string|null} - What is wrong with it, or null when it can be sent
+ */
+export const validateNewPassword = (password, confirmation) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password !== confirmation) {
+    return 'The passwords do not match';
+  }
+  return null;
+};
@@ -0,0 +1,50 @@
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Repeat fields of a task that does not repeat (see RepeatFields.jsx)
+export const EMPTY_REPEAT = { frequency: '', interval: 1, byWeekday: [], until: '' };
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+/**
+ * Human readable recurrence, e.g. "Every 2 weeks on Mon, Wed until 12/31/2026".
+ * @param {Object} recurrence - { frequency, interval, byWeekday, byMonthDay, count, until }
+ * @returns {string} - The description, or an empty string without a rule
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return '';
+  const interval = recurrence.interval || 1;
+  const unit = UNITS[recurrence.frequency] || recurrence.frequency;
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (recurrence.frequency === 'weekly' && recurrence.byWeekday?.length) {
+    text += ` on ${recurrence.byWeekday.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (recurrence.frequency === 'monthly' && recurrence.byMonthDay) {
+    text += ` on day ${recurrence.byMonthDay}`;
+  }
+  if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  }
+  if (recurrence.until) {
+    text += ` until ${new Date(recurrence.until).toLocaleDateString()}`;
+  }
+  return text;
+};
+
+/**
+ * Recurrence to send to the API from the repeat fields of a form.
+ * @param {Object} form - { frequency, interval, byWeekday, until, count } as edited in the form
+ * @returns {Object|null} - The recurrence, or null when the task does not repeat
+ */
+export const buildRecurrence = ({ frequency, interval, byWeekday = [], until, count }) => {
+  if (!frequency) return null;
+  return {
+    frequency,
+    interval: Number(interval) || 1,
+    ...(frequency === 'weekly' && byWeekday.length > 0 ? { byWeekday } : {}),
+    // Only set by series created through the API; the form keeps it unchanged
+    ...(count ? { count } : {}),
+    // An end date covers the whole of that day
+    until: until ? new Date(`${until}T23:59:59`).toISOString() : null
+  };
+};
@@ -1,20 +1,35 @@
 /**
  * Task Status Management Utilities
- * 
- * This module provides consistent task status management across the application.
- * It ensures that task state transitions are valid and handles all edge cases.
+ *
+ * The server owns task state (backend/utils/taskStateMachine.js) and answers illegal
+ * transitions with 409. This module mirrors its transition table so the UI can hide
+ * actions that would be refused, and reads the state from `task.status`.
  */
 
 /**
- * Valid task status transitions
+ * Valid task status transitions (keep in sync with the backend state machine)
  */
 const ALLOWED_TRANSITIONS = {
-  'new': ['active', 'failed'],
-  'active': ['pendingVerification', 'failed'],
+  'new': ['active', 'pendingVerification', 'failed', 'expired'],
+  'active': ['pendingVerification', 'failed', 'expired'],
   'pendingVerification': ['completed', 'rejected', 'failed'],
-  'rejected': ['pendingVerification', 'failed'],
+  'rejected': ['active', 'pendingVerification', 'failed', 'expired'],
   'completed': [], // Terminal state
-  'failed': []     // Terminal state
+  'failed': [],    // Terminal state
+  'expired': []    // Terminal state
+};
+
+/**
+ * Legacy boolean flags for each state, used for optimistic UI updates
+ */
+const STATE_FLAGS = {
+  'new': { newTask: true },
+  'active': { active: true },
+  'pendingVerification': {},
+  'completed': { completed: true },
+  'rejected': { active: true },
+  'failed': { failed: true },
+  'expired': { failed: true }
 };
 
 /**
@@ -26,114 +41,52 @@ const ALLOWED_TRANSITIONS = {
 export const isValidTransition = (currentStatus, newStatus) => {
   if (!currentStatus) return false;
   if (currentStatus === newStatus) return true; // No state change is always valid
-  
+
   const allowedNextStates = ALLOWED_TRANSITIONS[currentStatus] || [];
   return allowedNextStates.includes(newStatus);
 };
 
 /**
- * Get the appropriate task status based on task properties
+ * Check if a status is terminal (no further transitions)
+ * @param {string} status - Task status
+ * @returns {boolean}
+ */
+export const isTerminalStatus = (status) => (ALLOWED_TRANSITIONS[status] || []).length === 0;
+
+/**
+ * Get the status of a task as the server sees it. Overdue tasks that the server has
+ * not swept yet are shown as expired, since that is the only move left for them.
  * @param {Object} task - The task object
- * @returns {string} - The calculated status
+ * @returns {string} - The task status
  */
 export const getTaskStatus = (task) => {
   if (!task) return 'unknown';
-  
-  const now = new Date();
+
+  const status = ALLOWED_TRANSITIONS[task.status] ? task.status : 'new';
   const endDate = task.endDate ? new Date(task.endDate) : null;
-  const isExpired = endDate ? now > endDate : false;
-  
-  // Check for terminal states first (highest priority)
-  if (task.completed && task.verificationStatus === 'verified') {
-    return 'completed';
-  }
-  
-  if (task.failed || (isExpired && task.verificationStatus !== 'verified')) {
-    return 'failed';
-  }
-  
-  // Check for verification states
-  if (task.verificationStatus === 'pending') {
-    return 'pendingVerification';
-  }
-  
-  if (task.verificationStatus === 'rejected') {
-    return 'rejected';
-  }
-  
-  // Check for active state
-  if (task.active) {
-    return 'active';
+  const isOverdue = endDate ? new Date() > endDate : false;
+
+  if (isOverdue && ALLOWED_TRANSITIONS[status].includes('expired')) {
+    return 'expired';
   }
-  
-  // Default to new task
-  return 'new';
+
+  return status;
 };
 
 /**
- * Get the appropriate status update payload for a task
+ * Get the update payload for a status change. The server derives the flags itself;
+ * they are included so the payload can be merged into local state optimistically.
  * @param {string} newStatus - The target status
- * @param {Object} task - The task object
  * @returns {Object} - The update payload
  */
-export const getStatusUpdatePayload = (newStatus, task = {}) => {
-  const now = new Date().toISOString();
-  const baseUpdate = {
-    updatedAt: now,
-    status: newStatus
-  };
-  
-  switch (newStatus) {
-    case 'active':
-      return {
-        ...baseUpdate,
-        active: true,
-        newTask: false,
-        completed: false,
-        failed: false,
-        acceptedAt: now
-      };
-      
-    case 'pendingVerification':
-      return {
-        ...baseUpdate,
-        active: false,
-        verificationStatus: 'pending',
-        submittedAt: now
-      };
-      
-    case 'completed':
-      return {
-        ...baseUpdate,
-        active: false,
-        completed: true,
-        failed: false,
-        verificationStatus: 'verified',
-        completedAt: now
-      };
-      
-    case 'rejected':
-      return {
-        ...baseUpdate,
-        active: false,
-        verificationStatus: 'rejected',
-        rejectedAt: now
-      };
-      
-    case 'failed':
-      return {
-        ...baseUpdate,
-        active: false,
-        completed: false,
-        failed: true,
-        verificationStatus: 'expired',
-        failedAt: now
-      };
-      
-    default:
-      return baseUpdate;
-  }
-};
+export const getStatusUpdatePayload = (newStatus) => ({
+  status: newStatus,
+  newTask: false,
+  active: false,
+  completed: false,
+  failed: false,
+  ...STATE_FLAGS[newStatus]
+});
 
 /**
  * Validate if a task can be updated to the new status
@@ -143,7 +96,7 @@ export const getStatusUpdatePayload = (newStatus, task = {}) => {
  */
 export const validateStatusUpdate = (task, newStatus) => {
   const currentStatus = getTaskStatus(task);
-  
+
   // Check if it's a valid transition
   if (!isValidTransition(currentStatus, newStatus)) {
     return {
@@ -151,14 +104,97 @@ export const validateStatusUpdate = (task, newStatus) => {
       reason: `Invalid status transition from ${currentStatus} to ${newStatus}`
     };
   }
-  
+
   // Additional validation for specific statuses
-  if (newStatus === 'pendingVerification' && !task.documentUrl) {
+  if (newStatus === 'pendingVerification' && !(task.submittedDocuments?.length > 0)) {
     return {
       isValid: false,
       reason: 'Cannot submit for verification without a document'
     };
   }
-  
+
   return { isValid: true, reason: null };
 };
+
+/**
+ * Apply a live task event (see services/realtime.js) to a list of tasks: new tasks are
+ * appended and changed tasks are merged into the existing entry.
+ * @param {Array} tasks - The current tasks
+ * @param {Object} event - The event ({ type, task })
+ * @returns {Array} - The updated tasks (the same array if nothing changed)
+ */
+export const applyTaskEvent = (tasks = [], event) => {
+  if (!event?.task?._id) return tasks;
+
+  const taskId = String(event.task._id);
+  const index = tasks.findIndex(task => String(task._id) === taskId);
+
+  if (index === -1) {
+    return event.type === 'task-created' ? [...tasks, event.task] : tasks;
+  }
+
+  const next = [...tasks];
+  next[index] = { ...tasks[index], ...event.task };
+  return next;
+};
+
+/**
+ * Kinds of document a task can require (keys match DOCUMENT_TYPES in
+ * backend/models/constants.js), with a label and the file extensions they cover
+ */
+export const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', accept: '.pdf' },
+  document: { label: 'Word document', accept: '.doc,.docx' },
+  spreadsheet: { label: 'Spreadsheet', accept: '.xls,.xlsx' },
+  image: { label: 'Image', accept: '.jpg,.jpeg,.png,.gif' },
+  text: { label: 'Text file', accept: '.txt' }
+};
+
+/**
+ * Readable list of a task's required document types, e.g. "PDF or Image"
+ * @param {string[]} types - The task's requiredDocumentTypes
+ * @returns {string} - The labels, or an empty string when any document is accepted
+ */
+export const describeDocumentTypes = (types = []) =>
+  types.map(type => DOCUMENT_TYPES[type]?.label || type).join(' or ');
+
+/**
+ * `accept` attribute for a file input limited to a task's required document types
+ * @param {string[]} types - The task's requiredDocumentTypes
+ * @returns {string|undefined} - Comma separated extensions, or undefined for any file
+ */
+export const getDocumentAccept = (types = []) => (types.length > 0
+  ? types.map(type => DOCUMENT_TYPES[type]?.accept).filter(Boolean).join(',')
+  : undefined);
+
+/**
+ * Progress of a task's checklist
+ * @param {Object[]} checklist - The task's checklist items ({ text, done, required })
+ * @returns {Object} - { total, done, percent }; percent is null without items
+ */
+export const getChecklistProgress = (checklist = []) => {
+  const done = checklist.filter(item => item.done).length;
+  return {
+    total: checklist.length,
+    done,
+    percent: checklist.length > 0 ? Math.round((done / checklist.length) * 100) : null
+  };
+};
+
+/**
+ * Whether required checklist items are still open; the server refuses submissions until
+ * they are done
+ * @param {Object[]} checklist - The task's checklist items
+ * @returns {boolean}
+ */
+export const hasOpenRequiredItems = (checklist = []) => checklist.some(item => item.required && !item.done);
+
+/**
+ * Predecessors of a task that are not finished yet; failed or expired ones no longer
+ * block. Only predecessors loaded with their status (as the employee's own task list
+ * provides them) are considered; the server checks the rest when the task is accepted.
+ * @param {Object} task - The task, with `dependsOn` as ids or { _id, taskTitle, status }
+ * @returns {Object[]} - The open predecessors
+ */
+export const getOpenBlockers = (task) => (task?.dependsOn || [])
+  .filter(predecessor => predecessor && typeof predecessor === 'object' && !isTerminalStatus(predecessor.status));
@@ -0,0 +1,25 @@
+/**
+ * IDs of the members of a team, as strings.
+ * @param {Array} teams - Teams as returned by the API (members populated or as IDs)
+ * @param {string} teamId - The team to look up
+ * @returns {Set<string>|null} - The member IDs, or null when no team is selected
+ */
+export const getTeamMemberIds = (teams = [], teamId) => {
+  if (!teamId) return null;
+  const team = teams.find(t => t._id === teamId);
+  return new Set((team?.members || []).map(member => String(member?._id || member)));
+};
+
+/**
+ * Keep the items that belong to a member of the selected team.
+ * @param {Array} items - Employees, tasks or anything else tied to an employee
+ * @param {Array} teams - Teams as returned by the API
+ * @param {string} teamId - The selected team, or '' for everyone
+ * @param {Function} getEmployeeId - Reads the employee ID of an item (defaults to `_id`)
+ * @returns {Array} - The matching items (all of them when no team is selected)
+ */
+export const filterByTeam = (items = [], teams, teamId, getEmployeeId = item => item?._id) => {
+  const memberIds = getTeamMemberIds(teams, teamId);
+  if (!memberIds) return items;
+  return items.filter(item => memberIds.has(String(getEmployeeId(item))));
+};
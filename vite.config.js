@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   base: "/EMS_MASTER/",
   plugins: [react()],
+  // Frontend tests only; the backend runs its own with node --test
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })